@@ -0,0 +1,29 @@
+// Scheduled jobs, enabled in config/server.js (CRON_ENABLED)
+
+const alerts = (strapi) => strapi.service('api::alert.alert');
+
+module.exports = {
+  // Just after midnight UTC, the day opportunities' closing dates use
+  closeOpportunities: {
+    task: ({ strapi }) => strapi.service('api::opportunity.opportunity').syncClosed(),
+    options: { rule: '5 0 * * *', tz: 'Etc/UTC' },
+  },
+
+  // Verified companies whose NCDMB certificate expired the day before
+  expireVerifications: {
+    task: ({ strapi }) => strapi.service('api::verification.verification').expireVerifications(),
+    options: { rule: '10 0 * * *', tz: 'Etc/UTC' },
+  },
+
+  // New entries matching users' saved searches become notifications
+  checkSavedSearches: {
+    task: ({ strapi }) => alerts(strapi).checkSavedSearches(),
+    options: { rule: '*/15 * * * *' },
+  },
+
+  // Morning digest of new matches for searches with email alerts on
+  sendAlertDigests: {
+    task: ({ strapi }) => alerts(strapi).sendDigests(),
+    options: { rule: '0 7 * * *', tz: 'Africa/Lagos' },
+  },
+};
@@ -0,0 +1,13 @@
+module.exports = ({ env }) => ({
+  'users-permissions': {
+    config: {
+      jwt: {
+        expiresIn: env('USERS_JWT_EXPIRES_IN', '30d'),
+      },
+      register: {
+        // Extra fields accepted on sign-up besides username, email, password
+        allowedFields: ['name'],
+      },
+    },
+  },
+});
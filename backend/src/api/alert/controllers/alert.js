@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * alert controller
+ */
+
+const alerts = () => strapi.service('api::alert.alert');
+
+module.exports = {
+  async searches(ctx) {
+    ctx.body = { data: await alerts().getSearches(ctx.state.user) };
+  },
+
+  async createSearch(ctx) {
+    const { data = {} } = ctx.request.body || {};
+    ctx.body = { data: await alerts().createSearch(ctx.state.user, data) };
+  },
+
+  async updateSearch(ctx) {
+    const { data = {} } = ctx.request.body || {};
+    ctx.body = {
+      data: await alerts().updateSearch(ctx.state.user, Number(ctx.params.id), data),
+    };
+  },
+
+  async deleteSearch(ctx) {
+    await alerts().deleteSearch(ctx.state.user, Number(ctx.params.id));
+    ctx.body = { data: null };
+  },
+
+  async notifications(ctx) {
+    ctx.body = { data: await alerts().getNotifications(ctx.state.user) };
+  },
+
+  async markRead(ctx) {
+    const { ids = null } = ctx.request.body || {};
+    await alerts().markRead(ctx.state.user, ids);
+    ctx.body = { data: null };
+  },
+};
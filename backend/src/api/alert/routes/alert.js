@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * alert router
+ *
+ * A signed-in user's saved searches and the notifications they produce.
+ * Enable every Alert action for Settings → Users & Permissions → Roles →
+ * Authenticated; each one only reaches the user's own entries.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/alerts/searches',
+      handler: 'alert.searches',
+    },
+    {
+      method: 'POST',
+      path: '/alerts/searches',
+      handler: 'alert.createSearch',
+    },
+    {
+      method: 'PUT',
+      path: '/alerts/searches/:id',
+      handler: 'alert.updateSearch',
+    },
+    {
+      method: 'DELETE',
+      path: '/alerts/searches/:id',
+      handler: 'alert.deleteSearch',
+    },
+    {
+      method: 'GET',
+      path: '/alerts/notifications',
+      handler: 'alert.notifications',
+    },
+    {
+      method: 'POST',
+      path: '/alerts/notifications/read',
+      handler: 'alert.markRead',
+    },
+  ],
+};
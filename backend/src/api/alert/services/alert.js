@@ -0,0 +1,402 @@
+'use strict';
+
+/**
+ * alert service
+ *
+ * Users save a search or a filtered list (the site's `{ section, params }`
+ * query, see frontend js/saved-searches.js). A cron job
+ * (config/cron-tasks.js) runs every saved search against entries
+ * published since its last run and adds a notification per match;
+ * another emails a daily digest of new notifications from searches with
+ * `email` set.
+ */
+
+const { errors } = require('@strapi/utils');
+const { stateTerms } = require('../../../utils/nigerian-states');
+const { lgaTerms } = require('../../../utils/locations');
+
+const { NotFoundError, ValidationError } = errors;
+
+const SEARCH_UID = 'api::alert.saved-search';
+const NOTIFICATION_UID = 'api::alert.notification';
+
+// Saved searches per user
+const SEARCH_LIMIT = 20;
+
+// Notifications listed per user, newest first
+const NOTIFICATION_LIMIT = 50;
+
+// Content types alerts cover, keyed as on the site. `collection` is the
+// site's collection key, `route` the page an entry is linked to.
+const CONTENT_TYPES = {
+  opportunity: {
+    uid: 'api::opportunity.opportunity',
+    collection: 'opportunities',
+    titleField: 'title',
+    route: 'opportunities',
+    searchFields: ['title', 'company.companyName', 'opportunityType', 'location', 'description'],
+  },
+  company: {
+    uid: 'api::company.company',
+    collection: 'companies',
+    titleField: 'companyName',
+    route: 'directory',
+    searchFields: ['companyName', 'sector', 'location', 'description'],
+  },
+  regulatory: {
+    uid: 'api::regulatory-update.regulatory-update',
+    collection: 'regulatory',
+    titleField: 'title',
+    route: 'regulatory',
+    searchFields: ['title', 'source', 'summary'],
+  },
+  article: {
+    uid: 'api::article.article',
+    collection: 'articles',
+    titleField: 'title',
+    route: 'insights',
+    searchFields: ['title', 'summary', 'author'],
+  },
+};
+
+// List sections and the content type each one lists
+const SECTIONS = {
+  opportunities: 'opportunity',
+  directory: 'company',
+  regulatory: 'regulatory',
+  insights: 'article',
+};
+
+const typeOfCollection = (collection) =>
+  Object.keys(CONTENT_TYPES).find((type) => CONTENT_TYPES[type].collection === collection);
+
+const combine = (clauses) => {
+  const applied = clauses.filter(Boolean);
+  return applied.length > 0 ? { $and: applied } : {};
+};
+
+// Entries whose stored `field` is `value`, or which predate it and whose location mentions it
+const locationFilter = (field, value, terms) => ({
+  $or: [
+    { [field]: { $eq: value } },
+    {
+      [field]: { $null: true },
+      $or: terms.map((term) => ({ location: { $containsi: term } })),
+    },
+  ],
+});
+
+const stateFilter = (state) => locationFilter('state', state, stateTerms(state));
+
+const lgaFilter = (lga) => locationFilter('lga', lga, lgaTerms(lga));
+
+// Closing date range (YYYY-MM-DD, UTC days) for the site's closing presets
+const closingRange = (preset, now) => {
+  const days = { week: 7, month: 31, quarter: 92 }[preset];
+  if (!days) return {};
+
+  const to = new Date(now);
+  if (preset === 'month') {
+    to.setUTCMonth(to.getUTCMonth() + 1, 0);
+  } else {
+    to.setUTCDate(to.getUTCDate() + days);
+  }
+
+  return { from: now.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) };
+};
+
+// Open opportunities unless closed ones are included (`closed=include`)
+// or asked for alone (`closed=only`)
+const closedFilter = (closed, now) => {
+  const today = now.toISOString().slice(0, 10);
+
+  if (closed === 'include') return null;
+  if (closed === 'only') return { closingDate: { $lt: today } };
+  return { $or: [{ closingDate: { $null: true } }, { closingDate: { $gte: today } }] };
+};
+
+// Companies by NCDMB verification status as the site shows it: verified
+// ones past their expiry date count as expired, pending ones as unverified
+const ncdmbFilter = (ncdmb, now) => {
+  const today = now.toISOString().slice(0, 10);
+  const verified = { ncdmbStatus: { $eq: 'verified' } };
+
+  if (ncdmb === 'verified') return { ...verified, ncdmbExpiresAt: { $gte: today } };
+  if (ncdmb === 'expired') {
+    return {
+      $or: [{ ncdmbStatus: { $eq: 'expired' } }, { ...verified, ncdmbExpiresAt: { $lt: today } }],
+    };
+  }
+  if (ncdmb === 'unverified') {
+    return {
+      $or: [{ ncdmbStatus: { $null: true } }, { ncdmbStatus: { $in: ['unverified', 'pending'] } }],
+    };
+  }
+  return null;
+};
+
+// Any query word in any search field; dotted paths filter on relations
+const searchFilter = (type, q) => {
+  const words = String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return {
+    $or: CONTENT_TYPES[type].searchFields.flatMap((path) =>
+      words.map((word) =>
+        path.split('.').reduceRight((filter, key) => ({ [key]: filter }), { $containsi: word })
+      )
+    ),
+  };
+};
+
+// The list filters of a section's URL parameters, as the site applies them
+const LIST_FILTERS = {
+  opportunity: (params, now) => {
+    const closing = closingRange(params.closing, now);
+    const closingFrom = params.closingFrom || closing.from;
+    const closingTo = params.closingTo || closing.to;
+
+    return combine([
+      params.type && { opportunityType: { $eq: params.type } },
+      params.sector && { company: { sector: { $eq: params.sector } } },
+      params.state && stateFilter(params.state),
+      params.lga && lgaFilter(params.lga),
+      closingFrom && { closingDate: { $gte: closingFrom } },
+      closingTo && { closingDate: { $lte: closingTo } },
+      params.company && { company: { id: { $eq: params.company } } },
+      closedFilter(params.closed, now),
+    ]);
+  },
+  company: (params, now) =>
+    combine([
+      params.sector && { sector: { $eq: params.sector } },
+      ncdmbFilter(params.ncdmb, now),
+      params.state && stateFilter(params.state),
+      params.lga && lgaFilter(params.lga),
+    ]),
+  regulatory: (params) =>
+    combine([
+      params.source && { source: { $eq: params.source } },
+      params.year && { publishedDate: { $gte: `${params.year}-01-01` } },
+      params.year && { publishedDate: { $lte: `${params.year}-12-31` } },
+    ]),
+  article: (params) => combine([params.category && { tags: { $containsi: params.category } }]),
+};
+
+// Identifies a query regardless of parameter order
+const queryKey = ({ section, params }) =>
+  JSON.stringify([section, Object.entries(params || {}).sort()]);
+
+// Owners are implied by the route; never sent back
+const withoutUser = ({ user, ...entry }) => entry;
+
+module.exports = ({ strapi }) => ({
+  /**
+   * `[type, filters]` pairs a saved search runs: one content type for a
+   * list section or a search within a collection, all of them otherwise.
+   */
+  queriesOf({ section, params = {} }, now = new Date()) {
+    if (section === 'search') {
+      const types = params.type ? [typeOfCollection(params.type)] : Object.keys(CONTENT_TYPES);
+      return types.filter(Boolean).map((type) => [type, searchFilter(type, params.q)]);
+    }
+
+    const type = SECTIONS[section];
+    return [[type, LIST_FILTERS[type](params, now)]];
+  },
+
+  async findSearch(user, id) {
+    const [search] = await strapi.entityService.findMany(SEARCH_UID, {
+      filters: { id, user: { id: user.id } },
+    });
+    if (!search) throw new NotFoundError('This saved search no longer exists');
+    return search;
+  },
+
+  async getSearches(user) {
+    const searches = await strapi.entityService.findMany(SEARCH_UID, {
+      filters: { user: { id: user.id } },
+      sort: { createdAt: 'asc' },
+    });
+    return searches.map(withoutUser);
+  },
+
+  async createSearch(user, { name, section, params = {}, email = false }) {
+    if (!Object.keys(SECTIONS).includes(section) && section !== 'search') {
+      throw new ValidationError(`Unknown section "${section}"`);
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new ValidationError('params must be an object');
+    }
+    if (section === 'search' && !String(params.q || '').trim()) {
+      throw new ValidationError('A saved search needs search words');
+    }
+
+    const searches = await this.getSearches(user);
+    if (searches.length >= SEARCH_LIMIT) {
+      throw new ValidationError(`You can save up to ${SEARCH_LIMIT} searches. Delete one first.`);
+    }
+
+    const key = queryKey({ section, params });
+    if (searches.some((search) => queryKey(search) === key)) {
+      throw new ValidationError("You've already saved this search.");
+    }
+
+    const search = await strapi.entityService.create(SEARCH_UID, {
+      data: {
+        name: String(name || '').trim() || 'Saved search',
+        section,
+        params,
+        email: Boolean(email),
+        lastCheckedAt: new Date(),
+        user: user.id,
+      },
+    });
+    return withoutUser(search);
+  },
+
+  // Only the name and the email digest can change
+  async updateSearch(user, id, { name, email }) {
+    await this.findSearch(user, id);
+
+    const search = await strapi.entityService.update(SEARCH_UID, id, {
+      data: {
+        ...(typeof name === 'string' && name.trim() ? { name: name.trim() } : {}),
+        ...(email !== undefined ? { email: Boolean(email) } : {}),
+      },
+    });
+    return withoutUser(search);
+  },
+
+  async deleteSearch(user, id) {
+    await this.findSearch(user, id);
+
+    await strapi.db.query(NOTIFICATION_UID).deleteMany({
+      where: { savedSearch: { id } },
+    });
+    await strapi.entityService.delete(SEARCH_UID, id);
+  },
+
+  async getNotifications(user) {
+    const notifications = await strapi.entityService.findMany(NOTIFICATION_UID, {
+      filters: { user: { id: user.id } },
+      populate: { savedSearch: { fields: ['id', 'name'] } },
+      sort: { createdAt: 'desc' },
+      limit: NOTIFICATION_LIMIT,
+    });
+    return notifications.map(withoutUser);
+  },
+
+  // Mark the user's notifications with `ids` read, or all of them
+  async markRead(user, ids = null) {
+    if (ids !== null && !Array.isArray(ids)) {
+      throw new ValidationError('ids must be a list');
+    }
+
+    await strapi.db.query(NOTIFICATION_UID).updateMany({
+      where: {
+        user: { id: user.id },
+        readAt: { $null: true },
+        ...(ids ? { id: { $in: ids.map(Number) } } : {}),
+      },
+      data: { readAt: new Date() },
+    });
+  },
+
+  /**
+   * Cron task: run every saved search against entries published since
+   * its last run and notify its user of each match not yet notified.
+   */
+  async checkSavedSearches(now = new Date()) {
+    const searches = await strapi.entityService.findMany(SEARCH_UID, {
+      populate: { user: { fields: ['id'] } },
+    });
+
+    for (const search of searches) {
+      if (!search.user) continue;
+      const since = search.lastCheckedAt || search.createdAt;
+
+      try {
+        for (const [type, filters] of this.queriesOf(search, now)) {
+          const { uid, titleField } = CONTENT_TYPES[type];
+          const entries = await strapi.entityService.findMany(uid, {
+            filters: combine([{ publishedAt: { $gt: since, $lte: now } }, filters]),
+            fields: ['id', titleField],
+            limit: 100,
+          });
+
+          for (const entry of entries) {
+            const existing = await strapi.db.query(NOTIFICATION_UID).count({
+              where: { savedSearch: { id: search.id }, contentType: type, entryId: entry.id },
+            });
+            if (existing > 0) continue;
+
+            await strapi.entityService.create(NOTIFICATION_UID, {
+              data: {
+                contentType: type,
+                entryId: entry.id,
+                title: entry[titleField],
+                savedSearch: search.id,
+                user: search.user.id,
+              },
+            });
+          }
+        }
+
+        await strapi.entityService.update(SEARCH_UID, search.id, {
+          data: { lastCheckedAt: now },
+        });
+      } catch (error) {
+        strapi.log.warn(`Could not check saved search ${search.id}: ${error.message}`);
+      }
+    }
+  },
+
+  /**
+   * Cron task: email each user one digest of the notifications not yet
+   * emailed from their searches with `email` set. Undelivered digests are
+   * retried on the next run.
+   */
+  async sendDigests() {
+    const notifications = await strapi.entityService.findMany(NOTIFICATION_UID, {
+      filters: { emailedAt: { $null: true }, savedSearch: { email: true } },
+      populate: {
+        savedSearch: { fields: ['id', 'name'] },
+        user: { fields: ['id', 'email'] },
+      },
+      sort: { createdAt: 'asc' },
+    });
+
+    const byUser = new Map();
+    notifications.forEach((notification) => {
+      if (!notification.user?.email) return;
+      const pending = byUser.get(notification.user.email) || [];
+      byUser.set(notification.user.email, [...pending, notification]);
+    });
+
+    const siteUrl = (process.env.SITE_URL || '').replace(/\/$/, '');
+
+    for (const [email, pending] of byUser) {
+      const lines = pending.map(({ contentType, entryId, title, savedSearch }) => {
+        const link = siteUrl ? `\n  ${siteUrl}/#${CONTENT_TYPES[contentType].route}/${entryId}` : '';
+        return `- ${title} (${savedSearch.name})${link}`;
+      });
+
+      try {
+        await strapi.plugin('email').service('email').send({
+          to: email,
+          subject: `${pending.length} new ${pending.length === 1 ? 'match' : 'matches'} for your saved searches`,
+          text: `New on The Pipeline for your saved searches:\n\n${lines.join('\n')}${
+            siteUrl ? `\n\nManage your alerts: ${siteUrl}/#alerts` : ''
+          }`,
+        });
+      } catch (error) {
+        strapi.log.warn(`Could not email alert digest to ${email}: ${error.message}`);
+        continue;
+      }
+
+      await strapi.db.query(NOTIFICATION_UID).updateMany({
+        where: { id: { $in: pending.map((notification) => notification.id) } },
+        data: { emailedAt: new Date() },
+      });
+    }
+  },
+});
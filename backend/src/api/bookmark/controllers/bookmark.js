@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * bookmark controller
+ */
+
+module.exports = {
+  async sync(ctx) {
+    const { data = [] } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await strapi.service('api::bookmark.bookmark').sync(ctx.state.user, data),
+    };
+  },
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * bookmark router
+ *
+ * Signed-in users sync their saved items. Enable `sync` for Bookmark
+ * under Settings → Users & Permissions → Roles → Authenticated.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'POST',
+      path: '/bookmarks/sync',
+      handler: 'bookmark.sync',
+    },
+  ],
+};
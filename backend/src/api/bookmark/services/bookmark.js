@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * bookmark service
+ *
+ * A user's saved items, stored on the user as `bookmarks`:
+ * `{ type, id, title, savedAt, removedAt? }`. Removals keep their entry
+ * (with `removedAt`) so a browser that still has the item can't bring it
+ * back: when lists are merged, the newest change to each item wins. The
+ * site merges the same way (js/bookmarks.js).
+ */
+
+const { errors } = require('@strapi/utils');
+
+const { ValidationError } = errors;
+
+const USER_UID = 'plugin::users-permissions.user';
+
+// Content type keys the site uses (js/content-types.js)
+const TYPES = ['opportunity', 'company', 'regulatory', 'article'];
+
+// Saved items kept per user, newest first
+const LIMIT = 500;
+
+// Removals are remembered this long
+const TOMBSTONE_DAYS = 90;
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const changedAt = (bookmark) => bookmark.removedAt || bookmark.savedAt;
+
+// Keep the known fields of a well-formed bookmark, or null
+const clean = (bookmark) => {
+  if (
+    !bookmark ||
+    !TYPES.includes(bookmark.type) ||
+    !['string', 'number'].includes(typeof bookmark.id) ||
+    !isDate(bookmark.savedAt) ||
+    (bookmark.removedAt != null && !isDate(bookmark.removedAt))
+  ) {
+    return null;
+  }
+
+  return {
+    type: bookmark.type,
+    id: String(bookmark.id).slice(0, 64),
+    title: typeof bookmark.title === 'string' ? bookmark.title.slice(0, 300) : '',
+    savedAt: bookmark.savedAt,
+    ...(bookmark.removedAt ? { removedAt: bookmark.removedAt } : {}),
+  };
+};
+
+module.exports = ({ strapi }) => ({
+  merge(...lists) {
+    const merged = new Map();
+
+    lists
+      .flat()
+      .map(clean)
+      .filter(Boolean)
+      .forEach((bookmark) => {
+        const key = `${bookmark.type}:${bookmark.id}`;
+        const current = merged.get(key);
+        if (!current || changedAt(bookmark) > changedAt(current)) {
+          merged.set(key, bookmark);
+        }
+      });
+
+    const cutoff = new Date(Date.now() - TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const sorted = [...merged.values()]
+      .filter((bookmark) => !bookmark.removedAt || bookmark.removedAt > cutoff)
+      .sort((a, b) => changedAt(b).localeCompare(changedAt(a)));
+
+    const saved = sorted.filter((bookmark) => !bookmark.removedAt).slice(0, LIMIT);
+    return sorted.filter((bookmark) => bookmark.removedAt || saved.includes(bookmark));
+  },
+
+  // Merge `bookmarks` into the user's stored list; returns the result
+  async sync(user, bookmarks) {
+    if (!Array.isArray(bookmarks)) {
+      throw new ValidationError('Expected a list of bookmarks');
+    }
+
+    const { bookmarks: stored } = await strapi.entityService.findOne(USER_UID, user.id, {
+      fields: ['bookmarks'],
+    });
+    const merged = this.merge(bookmarks, Array.isArray(stored) ? stored : []);
+
+    await strapi.entityService.update(USER_UID, user.id, {
+      data: { bookmarks: merged },
+    });
+    return merged;
+  },
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * claim controller
+ */
+
+const claims = () => strapi.service('api::claim.claim');
+
+module.exports = {
+  async queue(ctx) {
+    const { status = 'pending' } = ctx.query;
+    ctx.body = { data: await claims().getClaimQueue({ status }) };
+  },
+
+  async mine(ctx) {
+    ctx.body = { data: await claims().getMyClaims(ctx.state.user) };
+  },
+
+  async create(ctx) {
+    const { data = {} } = ctx.request.body || {};
+    ctx.body = { data: await claims().claim(ctx.state.user, data) };
+  },
+
+  async decide(ctx) {
+    const { action, reason } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await claims().decideClaim(ctx.state.user, Number(ctx.params.id), { action, reason }),
+    };
+  },
+
+  async editQueue(ctx) {
+    const { status = 'pending' } = ctx.query;
+    ctx.body = { data: await claims().getEditQueue({ status }) };
+  },
+
+  async decideEdit(ctx) {
+    const { action, reason } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await claims().decideEdit(ctx.state.user, Number(ctx.params.id), { action, reason }),
+    };
+  },
+
+  async edits(ctx) {
+    ctx.body = { data: await claims().getEdits(ctx.state.user, Number(ctx.params.id)) };
+  },
+
+  async proposeEdit(ctx) {
+    const { data = {} } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await claims().proposeEdit(ctx.state.user, Number(ctx.params.id), data),
+    };
+  },
+};
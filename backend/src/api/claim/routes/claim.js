@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * claim router
+ *
+ * Signed-in users claim company profiles and, once they manage one,
+ * propose edits to it; the queues and decisions are for the Editor role
+ * (`global::is-editor`). Enable `mine`, `create`, `edits` and
+ * `proposeEdit` for Authenticated and every action for Editor under
+ * Settings → Users & Permissions → Roles.
+ */
+
+const editorsOnly = {
+  policies: ['global::is-editor'],
+};
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/claims',
+      handler: 'claim.queue',
+      config: editorsOnly,
+    },
+    {
+      method: 'GET',
+      path: '/claims/mine',
+      handler: 'claim.mine',
+    },
+    {
+      method: 'POST',
+      path: '/claims',
+      handler: 'claim.create',
+    },
+    {
+      method: 'POST',
+      path: '/claims/:id/decisions',
+      handler: 'claim.decide',
+      config: editorsOnly,
+    },
+    {
+      method: 'GET',
+      path: '/claims/edits',
+      handler: 'claim.editQueue',
+      config: editorsOnly,
+    },
+    {
+      method: 'POST',
+      path: '/claims/edits/:id/decisions',
+      handler: 'claim.decideEdit',
+      config: editorsOnly,
+    },
+    {
+      method: 'GET',
+      path: '/claims/companies/:id/edits',
+      handler: 'claim.edits',
+    },
+    {
+      method: 'POST',
+      path: '/claims/companies/:id/edits',
+      handler: 'claim.proposeEdit',
+    },
+  ],
+};
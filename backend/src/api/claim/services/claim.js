@@ -0,0 +1,452 @@
+'use strict';
+
+/**
+ * claim service
+ *
+ * Claiming directory companies and editing their profiles. A signed-in
+ * user claims an unclaimed profile with a confirmed email address on the
+ * company's website domain (approved at once where sign-ups confirm their
+ * address) or with documents an editor checks. The claimant then manages
+ * the profile with its submitter: their edits to the public fields are
+ * stored as a company-edit and applied only when an editor approves them.
+ * Every step is recorded as a moderation-event on the company and users
+ * are emailed decisions.
+ */
+
+const { errors } = require('@strapi/utils');
+const { domainOf, emailMatches } = require('../../../utils/claims');
+
+const { ForbiddenError, NotFoundError, ValidationError } = errors;
+
+const COMPANY_UID = 'api::company.company';
+const CLAIM_UID = 'api::claim.company-claim';
+const EDIT_UID = 'api::claim.company-edit';
+
+const USER_FIELDS = ['id', 'username', 'name', 'email'];
+
+// Fields a company's admins may change through an edit
+const EDITABLE_FIELDS = [
+  'description',
+  'servicesOffered',
+  'projects',
+  'logo',
+  'website',
+  'contactEmail',
+  'location',
+];
+
+const PROJECT_STATUSES = ['Planned', 'Ongoing', 'Completed'];
+
+// Documents sent with a claim
+const MAX_DOCUMENTS = 5;
+
+// Services and projects a profile lists at most
+const LIST_LIMIT = 12;
+
+// Status a pending claim or edit moves to with each decision
+const DECISIONS = {
+  'approve-claim': { to: 'approved' },
+  'reject-claim': { to: 'rejected', needsReason: true },
+  'approve-edit': { to: 'approved' },
+  'reject-edit': { to: 'rejected', needsReason: true },
+};
+
+const EMAILS = {
+  'approve-claim': (name) => ({
+    subject: `You now manage ${name}`,
+    text: `An editor approved your claim on "${name}". You can edit its directory profile from your account page; editors review each edit before it goes live.`,
+  }),
+  'reject-claim': (name, reason) => ({
+    subject: `Claim not approved: ${name}`,
+    text: `An editor reviewed your claim on "${name}" and couldn't approve it:\n\n${reason}`,
+  }),
+  'approve-edit': (name) => ({
+    subject: `Profile updated: ${name}`,
+    text: `An editor approved your changes to "${name}" and they are now live in the directory.`,
+  }),
+  'reject-edit': (name, reason) => ({
+    subject: `Profile changes not published: ${name}`,
+    text: `An editor reviewed your changes to "${name}" and decided not to publish them:\n\n${reason}\n\nYou can propose new changes from your account page.`,
+  }),
+};
+
+const toUser = (user) =>
+  user ? { id: user.id, name: user.name || user.username, email: user.email } : null;
+
+const isText = (value) => typeof value === 'string';
+
+module.exports = ({ strapi }) => ({
+  moderation() {
+    return strapi.service('api::moderation.moderation');
+  },
+
+  async findCompany(id) {
+    const company = await strapi.entityService.findOne(COMPANY_UID, id, {
+      populate: {
+        logo: true,
+        submittedBy: { fields: USER_FIELDS },
+        claimedBy: { fields: USER_FIELDS },
+      },
+    });
+    if (!company || company.status !== 'published') throw new NotFoundError('Company not found');
+    return company;
+  },
+
+  // Whether users-permissions makes new users confirm their email address
+  // (Settings › Advanced settings). Without it every user is `confirmed`.
+  async confirmsEmails() {
+    const advanced = await strapi
+      .store({ type: 'plugin', name: 'users-permissions', key: 'advanced' })
+      .get();
+    return Boolean(advanced?.email_confirmation);
+  },
+
+  // Editors, the company's submitter and whoever claimed it
+  isAdmin(user, company) {
+    return (
+      this.moderation().isEditor(user) ||
+      (Boolean(user) && [company.submittedBy?.id, company.claimedBy?.id].includes(user.id))
+    );
+  },
+
+  async findAdministered(user, id) {
+    const company = await this.findCompany(id);
+    if (!this.isAdmin(user, company)) {
+      throw new ForbiddenError("Only the company's admins can edit its profile");
+    }
+    return company;
+  },
+
+  toClaim(claim) {
+    return {
+      id: claim.id,
+      companyId: claim.company?.id,
+      companyName: claim.company?.companyName,
+      method: claim.method,
+      status: claim.status,
+      reviewNote: claim.reviewNote,
+      emailMatches: claim.emailMatches,
+      documents: claim.documents || [],
+      claimant: toUser(claim.claimant),
+      createdAt: claim.createdAt,
+      updatedAt: claim.updatedAt,
+    };
+  },
+
+  // `company` is the live profile, without its private fields
+  toEdit(edit) {
+    const company = edit.company && {
+      id: edit.company.id,
+      companyName: edit.company.companyName,
+      ...Object.fromEntries(EDITABLE_FIELDS.map((field) => [field, edit.company[field]])),
+    };
+
+    return {
+      id: edit.id,
+      companyId: edit.company?.id,
+      companyName: edit.company?.companyName,
+      changes: edit.changes,
+      status: edit.status,
+      reviewNote: edit.reviewNote,
+      submitter: toUser(edit.submittedBy),
+      company,
+      createdAt: edit.createdAt,
+      updatedAt: edit.updatedAt,
+    };
+  },
+
+  findClaims(filters, sort) {
+    return strapi.entityService.findMany(CLAIM_UID, {
+      filters,
+      populate: {
+        company: { fields: ['id', 'companyName'] },
+        documents: true,
+        claimant: { fields: USER_FIELDS },
+      },
+      sort,
+      limit: 100,
+    });
+  },
+
+  findEdits(filters, sort) {
+    return strapi.entityService.findMany(EDIT_UID, {
+      filters,
+      populate: {
+        company: { populate: { logo: true, projects: true } },
+        submittedBy: { fields: USER_FIELDS },
+      },
+      sort,
+      limit: 100,
+    });
+  },
+
+  async findClaim(id) {
+    const [claim] = await this.findClaims({ id }, { id: 'asc' });
+    if (!claim) throw new NotFoundError('Claim not found');
+    return claim;
+  },
+
+  async findEdit(id) {
+    const [edit] = await this.findEdits({ id }, { id: 'asc' });
+    if (!edit) throw new NotFoundError('Edit not found');
+    return edit;
+  },
+
+  async getMyClaims(user) {
+    const claims = await this.findClaims({ claimant: { id: user.id } }, { createdAt: 'desc' });
+    return claims.map((claim) => this.toClaim(claim));
+  },
+
+  // Oldest claim first
+  async getClaimQueue({ status = 'pending' } = {}) {
+    const claims = await this.findClaims({ status }, { createdAt: 'asc' });
+    return claims.map((claim) => this.toClaim(claim));
+  },
+
+  /**
+   * Claim `company` (its ID) by `method`: `email` needs the user's
+   * confirmed address on the company's website domain and is approved at
+   * once where sign-ups confirm their address (confirmsEmails), otherwise
+   * it waits for an editor; `document` needs `documents` (upload plugin
+   * file IDs) and waits for an editor.
+   */
+  async claim(user, { company: companyId, method, documents = [] }) {
+    const company = await this.findCompany(Number(companyId));
+
+    if (this.isAdmin(user, company)) throw new ValidationError('You already manage this profile');
+    if (company.claimed) {
+      throw new ValidationError('This profile is already managed by its company');
+    }
+
+    const [pending] = await this.findClaims(
+      { company: { id: company.id }, claimant: { id: user.id }, status: 'pending' },
+      { id: 'asc' }
+    );
+    if (pending) {
+      throw new ValidationError('Your claim on this profile is already waiting for an editor');
+    }
+
+    const matches = emailMatches(user.email, company.website);
+    if (method === 'email') {
+      if (!matches) {
+        const domain = domainOf(company.website);
+        throw new ValidationError(
+          domain
+            ? `Your email address isn't on ${domain}`
+            : 'This company lists no website to match your email against'
+        );
+      }
+      if (!user.confirmed) {
+        throw new ValidationError('Confirm your email address before claiming with it');
+      }
+    } else if (method === 'document') {
+      if (!Array.isArray(documents) || documents.length === 0) {
+        throw new ValidationError('Attach a document that shows you work for the company');
+      }
+      if (documents.length > MAX_DOCUMENTS) {
+        throw new ValidationError(`Attach at most ${MAX_DOCUMENTS} files`);
+      }
+    } else {
+      throw new ValidationError(`Unknown claim method "${method}"`);
+    }
+
+    // Until sign-ups confirm their address, anyone could register one on
+    // the company's domain
+    const confirmed = method === 'email' && (await this.confirmsEmails());
+    const status = confirmed ? 'approved' : 'pending';
+    const claim = await strapi.entityService.create(CLAIM_UID, {
+      data: {
+        company: company.id,
+        method,
+        status,
+        emailMatches: matches,
+        documents: method === 'document' ? documents.map(Number) : [],
+        claimant: user.id,
+      },
+    });
+    if (status === 'approved') {
+      await strapi.entityService.update(COMPANY_UID, company.id, {
+        data: { claimed: true, claimedBy: user.id },
+      });
+    }
+    await this.moderation().record('company', company.id, {
+      action: 'claim',
+      toStatus: status,
+      actor: user,
+    });
+
+    return this.toClaim(await this.findClaim(claim.id));
+  },
+
+  /**
+   * Apply an editor's decision on a pending claim: `approve-claim` makes
+   * the claimant the company's admin, `reject-claim` needs a reason the
+   * claimant sees.
+   */
+  async decideClaim(editor, id, { action, reason }) {
+    const rule = DECISIONS[action];
+    if (!rule || !action.endsWith('-claim')) {
+      throw new ValidationError(`Unknown decision "${action}"`);
+    }
+
+    const claim = await this.findClaim(id);
+    if (claim.status !== 'pending') {
+      throw new ValidationError(`This claim is ${claim.status} already`);
+    }
+
+    const note = isText(reason) ? reason.trim() : '';
+    if (rule.needsReason && !note) throw new ValidationError('Give the claimant a reason');
+
+    const company = await this.findCompany(claim.company.id);
+    if (action === 'approve-claim') {
+      if (company.claimed) {
+        throw new ValidationError('Another claim on this profile was approved first');
+      }
+      await strapi.entityService.update(COMPANY_UID, company.id, {
+        data: { claimed: true, claimedBy: claim.claimant.id },
+      });
+    }
+
+    await strapi.entityService.update(CLAIM_UID, id, {
+      data: { status: rule.to, reviewNote: note || null },
+    });
+    await this.moderation().record('company', company.id, {
+      action,
+      fromStatus: 'pending',
+      toStatus: rule.to,
+      reason: note || null,
+      actor: editor,
+    });
+    await this.moderation().notify(claim.claimant, EMAILS[action](company.companyName, note));
+
+    return this.toClaim(await this.findClaim(id));
+  },
+
+  // A company's edits, newest first, for its admins
+  async getEdits(user, companyId) {
+    const company = await this.findAdministered(user, companyId);
+    const edits = await this.findEdits({ company: { id: company.id } }, { createdAt: 'desc' });
+    return edits.map((edit) => this.toEdit(edit));
+  },
+
+  // Oldest edit first
+  async getEditQueue({ status = 'pending' } = {}) {
+    const edits = await this.findEdits({ status }, { createdAt: 'asc' });
+    return edits.map((edit) => this.toEdit(edit));
+  },
+
+  // `data` narrowed to the editable fields, or a ValidationError
+  toChanges(data) {
+    const changes = Object.fromEntries(
+      Object.entries(data).filter(
+        ([field, value]) => EDITABLE_FIELDS.includes(field) && value !== undefined
+      )
+    );
+
+    if (Object.keys(changes).length === 0) throw new ValidationError('Nothing to change');
+    if (
+      'description' in changes &&
+      (!isText(changes.description) || changes.description.trim().length < 40)
+    ) {
+      throw new ValidationError('Describe the company in at least 40 characters');
+    }
+    if (
+      'servicesOffered' in changes &&
+      (!Array.isArray(changes.servicesOffered) ||
+        changes.servicesOffered.length > LIST_LIMIT ||
+        !changes.servicesOffered.every(isText))
+    ) {
+      throw new ValidationError(`List at most ${LIST_LIMIT} services`);
+    }
+    if ('projects' in changes) {
+      if (!Array.isArray(changes.projects) || changes.projects.length > LIST_LIMIT) {
+        throw new ValidationError(`List at most ${LIST_LIMIT} projects`);
+      }
+      changes.projects = changes.projects.map(({ title, description, status }) => {
+        if (!isText(title) || !title.trim() || !PROJECT_STATUSES.includes(status)) {
+          throw new ValidationError('Give each project a title and a status');
+        }
+        return {
+          title: title.trim(),
+          description: isText(description) ? description.trim() : '',
+          status,
+        };
+      });
+    }
+    if ('logo' in changes) changes.logo = changes.logo ? Number(changes.logo) : null;
+
+    return changes;
+  },
+
+  /**
+   * Store an admin's `data` (any of the editable fields, `logo` as an
+   * upload plugin file ID) as a pending edit. A company has one pending
+   * edit at a time.
+   */
+  async proposeEdit(user, companyId, data) {
+    const company = await this.findAdministered(user, companyId);
+
+    const [pending] = await this.findEdits(
+      { company: { id: company.id }, status: 'pending' },
+      { id: 'asc' }
+    );
+    if (pending) {
+      throw new ValidationError('An edit to this profile is already waiting for an editor');
+    }
+
+    const edit = await strapi.entityService.create(EDIT_UID, {
+      data: {
+        company: company.id,
+        changes: this.toChanges(data),
+        status: 'pending',
+        submittedBy: user.id,
+      },
+    });
+    await this.moderation().record('company', company.id, {
+      action: 'propose-edit',
+      toStatus: 'pending',
+      actor: user,
+    });
+
+    return this.toEdit(await this.findEdit(edit.id));
+  },
+
+  /**
+   * Apply an editor's decision on a pending edit: `approve-edit` writes
+   * its changes to the company, `reject-edit` needs a reason the
+   * submitter sees.
+   */
+  async decideEdit(editor, id, { action, reason }) {
+    const rule = DECISIONS[action];
+    if (!rule || !action.endsWith('-edit')) {
+      throw new ValidationError(`Unknown decision "${action}"`);
+    }
+
+    const edit = await this.findEdit(id);
+    if (edit.status !== 'pending') throw new ValidationError(`This edit is ${edit.status} already`);
+
+    const note = isText(reason) ? reason.trim() : '';
+    if (rule.needsReason && !note) throw new ValidationError('Give the submitter a reason');
+
+    const company = await this.findCompany(edit.company.id);
+    if (action === 'approve-edit') {
+      await strapi.entityService.update(COMPANY_UID, company.id, {
+        data: this.toChanges(edit.changes),
+      });
+    }
+
+    await strapi.entityService.update(EDIT_UID, id, {
+      data: { status: rule.to, reviewNote: note || null },
+    });
+    await this.moderation().record('company', company.id, {
+      action,
+      fromStatus: 'pending',
+      toStatus: rule.to,
+      reason: note || null,
+      actor: editor,
+    });
+    await this.moderation().notify(edit.submittedBy, EMAILS[action](company.companyName, note));
+
+    return this.toEdit(await this.findEdit(id));
+  },
+});
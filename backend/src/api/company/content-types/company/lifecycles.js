@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Keep `status` in step with publishing from the admin panel
+ * (see api::moderation), and `state` and `lga` in step with `location`
+ * (see utils/locations).
+ */
+
+const { withLocation } = require('../../../../utils/locations');
+
+const sync = (event) => {
+  withLocation(event.params.data);
+  return strapi.service('api::moderation.moderation').syncStatus(event.params.data);
+};
+
+module.exports = {
+  beforeCreate: sync,
+  beforeUpdate: sync,
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * company controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::company.company', ({ strapi }) => ({
+  // Posts by signed-in users wait for review (api::moderation); requests
+  // made with an API token are published as before
+  async create(ctx) {
+    if (!ctx.state.user) return super.create(ctx);
+
+    const data = await this.sanitizeInput(ctx.request.body?.data || {}, ctx);
+    const entry = await strapi
+      .service('api::moderation.moderation')
+      .createSubmission('company', data, ctx.state.user);
+
+    return this.transformResponse(await this.sanitizeOutput(entry, ctx));
+  },
+}));
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * company router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::company.company');
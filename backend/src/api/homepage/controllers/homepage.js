@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * homepage controller
+ */
+
+const MAX_RECENT_UPDATES = 50;
+
+module.exports = {
+  async stats(ctx) {
+    ctx.body = await strapi.service('api::homepage.homepage').getStats();
+  },
+
+  async recentUpdates(ctx) {
+    const limit = Math.min(
+      Math.max(parseInt(ctx.query.limit, 10) || 5, 1),
+      MAX_RECENT_UPDATES
+    );
+
+    ctx.body = await strapi
+      .service('api::homepage.homepage')
+      .getRecentUpdates({ limit });
+  },
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * homepage router
+ *
+ * Read-only aggregate endpoints for the site's home page. They are public
+ * because they expose nothing beyond counts and published titles.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/homepage-stats',
+      handler: 'homepage.stats',
+      config: {
+        auth: false,
+      },
+    },
+    {
+      method: 'GET',
+      path: '/recent-updates',
+      handler: 'homepage.recentUpdates',
+      config: {
+        auth: false,
+      },
+    },
+  ],
+};
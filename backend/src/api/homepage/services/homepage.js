@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * homepage service
+ */
+
+// Published entries only; drafts never reach the public site
+const published = (filters = {}) => ({
+  ...filters,
+  publishedAt: { $notNull: true },
+});
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+module.exports = ({ strapi }) => ({
+  count(uid, filters) {
+    return strapi.entityService.count(uid, { filters: published(filters) });
+  },
+
+  async getStats() {
+    const now = new Date();
+    const today = toDateString(now);
+    const monthStart = toDateString(
+      new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    );
+    const open = { closingDate: { $gte: today } };
+
+    const [
+      totalOpportunities,
+      totalCompanies,
+      totalUpdates,
+      totalArticles,
+      openOpportunities,
+      openJobs,
+      openTenders,
+      updatesThisMonth,
+    ] = await Promise.all([
+      this.count('api::opportunity.opportunity'),
+      this.count('api::company.company'),
+      this.count('api::regulatory-update.regulatory-update'),
+      this.count('api::article.article'),
+      this.count('api::opportunity.opportunity', open),
+      this.count('api::opportunity.opportunity', { ...open, opportunityType: 'Job' }),
+      this.count('api::opportunity.opportunity', { ...open, opportunityType: 'Tender' }),
+      this.count('api::regulatory-update.regulatory-update', {
+        publishedDate: { $gte: monthStart },
+      }),
+    ]);
+
+    return {
+      totalOpportunities,
+      totalCompanies,
+      totalUpdates,
+      totalArticles,
+      openOpportunities,
+      openJobs,
+      openTenders,
+      updatesThisMonth,
+    };
+  },
+
+  /**
+   * The newest `limit` entries across every content type, merged into a
+   * single feed sorted by date (newest first).
+   */
+  async getRecentUpdates({ limit = 5 } = {}) {
+    const sources = [
+      {
+        uid: 'api::opportunity.opportunity',
+        type: 'opportunity',
+        sort: { createdAt: 'desc' },
+        map: (entry) => ({
+          title: entry.title,
+          date: entry.createdAt,
+          summary: entry.description,
+        }),
+      },
+      {
+        uid: 'api::company.company',
+        type: 'company',
+        sort: { createdAt: 'desc' },
+        map: (entry) => ({
+          title: entry.companyName,
+          date: entry.createdAt,
+          summary: entry.description,
+        }),
+      },
+      {
+        uid: 'api::regulatory-update.regulatory-update',
+        type: 'regulatory',
+        sort: { publishedDate: 'desc' },
+        map: (entry) => ({
+          title: entry.title,
+          date: entry.publishedDate,
+          summary: entry.summary,
+        }),
+      },
+      {
+        uid: 'api::article.article',
+        type: 'article',
+        sort: { publishedDate: 'desc' },
+        map: (entry) => ({
+          title: entry.title,
+          date: entry.publishedDate,
+          summary: entry.summary,
+        }),
+      },
+    ];
+
+    // Each source contributes at most `limit` entries, enough to fill the feed
+    const batches = await Promise.all(
+      sources.map(async ({ uid, type, sort, map }) => {
+        const entries = await strapi.entityService.findMany(uid, {
+          filters: published(),
+          sort,
+          limit,
+        });
+
+        return entries.map((entry) => ({ id: entry.id, type, ...map(entry) }));
+      })
+    );
+
+    return batches
+      .flat()
+      .sort((a, b) => new Date(b.date) - new Date(a.date))
+      .slice(0, limit);
+  },
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * moderation controller
+ */
+
+const { sanitize } = require('@strapi/utils');
+
+const moderation = () => strapi.service('api::moderation.moderation');
+
+module.exports = {
+  async queue(ctx) {
+    const { status = 'pending' } = ctx.query;
+    ctx.body = { data: await moderation().getQueue({ status }) };
+  },
+
+  async history(ctx) {
+    const { type, id } = ctx.params;
+    ctx.body = { data: await moderation().getHistory(type, Number(id)) };
+  },
+
+  async decide(ctx) {
+    const { type, id } = ctx.params;
+    const { action, reason } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await moderation().decide(type, Number(id), { action, reason }, ctx.state.user),
+    };
+  },
+
+  async submissions(ctx) {
+    ctx.body = { data: await moderation().getSubmissions(ctx.state.user) };
+  },
+
+  async resubmit(ctx) {
+    const { type, id } = ctx.params;
+    const { uid } = moderation().contentType(type);
+    const data = await sanitize.contentAPI.input(
+      ctx.request.body?.data || {},
+      strapi.getModel(uid),
+      { auth: ctx.state.auth }
+    );
+
+    ctx.body = {
+      data: await moderation().resubmit(type, Number(id), data, ctx.state.user),
+    };
+  },
+};
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * moderation router
+ *
+ * The review queue, decisions and audit trail are for the Editor role
+ * (`global::is-editor`); signed-in users list and resubmit their own
+ * submissions. Each action also has to be enabled for the role under
+ * Settings → Users & Permissions → Roles.
+ */
+
+const editorsOnly = {
+  policies: ['global::is-editor'],
+};
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/moderation/queue',
+      handler: 'moderation.queue',
+      config: editorsOnly,
+    },
+    {
+      method: 'GET',
+      path: '/moderation/submissions',
+      handler: 'moderation.submissions',
+    },
+    {
+      method: 'GET',
+      path: '/moderation/:type/:id/history',
+      handler: 'moderation.history',
+      config: editorsOnly,
+    },
+    {
+      method: 'POST',
+      path: '/moderation/:type/:id/decisions',
+      handler: 'moderation.decide',
+      config: editorsOnly,
+    },
+    {
+      method: 'POST',
+      path: '/moderation/:type/:id/resubmit',
+      handler: 'moderation.resubmit',
+    },
+  ],
+};
@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * moderation service
+ *
+ * Opportunities and companies posted through the REST API by signed-in
+ * users are submissions: they are stored unpublished with status
+ * `pending` until an editor approves them, asks for changes (back to
+ * `draft`, which the submitter can resubmit) or rejects them. Every step
+ * is recorded as a moderation-event and submitters are emailed decisions.
+ */
+
+const { errors } = require('@strapi/utils');
+
+const { ForbiddenError, NotFoundError, ValidationError } = errors;
+
+// Type (Settings → Users & Permissions → Roles) of the role that reviews
+const EDITOR_ROLE = 'editor';
+
+const USER_FIELDS = ['id', 'username', 'name', 'email'];
+
+// `fields` are the ones a submission may set. The rest are set by
+// moderation, NCDMB verification (api::verification), company claims
+// (api::claim) or the content-type lifecycles, and relations such as a
+// company's `opportunities` would change other entries before review.
+const CONTENT_TYPES = {
+  opportunity: {
+    uid: 'api::opportunity.opportunity',
+    titleField: 'title',
+    populate: { company: true, documents: true },
+    fields: [
+      'title',
+      'description',
+      'opportunityType',
+      'closingDate',
+      'location',
+      'requirements',
+      'benefits',
+      'link',
+      'documents',
+      'company',
+    ],
+  },
+  company: {
+    uid: 'api::company.company',
+    titleField: 'companyName',
+    populate: { logo: true },
+    fields: [
+      'companyName',
+      'sector',
+      'description',
+      'ncdmbNumber',
+      'website',
+      'contactEmail',
+      'location',
+      'servicesOffered',
+      'projects',
+      'logo',
+    ],
+  },
+};
+
+// Statuses each action moves an entry from, and the one it moves it to
+const ACTIONS = {
+  submit: { from: ['draft'], to: 'pending' },
+  approve: { from: ['pending'], to: 'published' },
+  'request-changes': { from: ['pending'], to: 'draft', needsReason: true },
+  reject: { from: ['pending'], to: 'rejected', needsReason: true },
+};
+
+const EMAILS = {
+  approve: (title) => ({
+    subject: `Published: ${title}`,
+    text: `Your submission "${title}" has been approved and is now live on The Pipeline.`,
+  }),
+  'request-changes': (title, reason) => ({
+    subject: `Changes requested: ${title}`,
+    text: `An editor reviewed "${title}" and asked for changes before it can be published:\n\n${reason}\n\nEdit and resubmit it from your account page.`,
+  }),
+  reject: (title, reason) => ({
+    subject: `Not published: ${title}`,
+    text: `An editor reviewed "${title}" and decided not to publish it:\n\n${reason}`,
+  }),
+};
+
+const toUser = (user) =>
+  user ? { id: user.id, name: user.name || user.username, email: user.email } : null;
+
+const pick = (data, fields) =>
+  Object.fromEntries(Object.entries(data).filter(([field]) => fields.includes(field)));
+
+module.exports = ({ strapi }) => ({
+  isEditor(user) {
+    return user?.role?.type === EDITOR_ROLE;
+  },
+
+  contentType(type) {
+    const contentType = CONTENT_TYPES[type];
+    if (!contentType) throw new NotFoundError(`Unknown content type "${type}"`);
+    return contentType;
+  },
+
+  async findEntry(type, id) {
+    const { uid, populate } = this.contentType(type);
+    const entry = await strapi.entityService.findOne(uid, id, {
+      populate: { ...populate, submittedBy: { fields: USER_FIELDS } },
+    });
+    if (!entry) throw new NotFoundError('Submission not found');
+    return entry;
+  },
+
+  // Queue and account listings: the entry plus who submitted it
+  toSubmission(type, entry) {
+    const { submittedBy, ...fields } = entry;
+
+    return {
+      type,
+      id: entry.id,
+      title: entry[this.contentType(type).titleField],
+      status: entry.status,
+      reviewNote: entry.reviewNote,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      submitter: toUser(submittedBy),
+      entry: fields,
+    };
+  },
+
+  async listSubmissions(filters, sort) {
+    const batches = await Promise.all(
+      Object.entries(CONTENT_TYPES).map(async ([type, { uid, populate }]) => {
+        const entries = await strapi.entityService.findMany(uid, {
+          filters,
+          populate: { ...populate, submittedBy: { fields: USER_FIELDS } },
+          sort,
+          limit: 100,
+        });
+        return entries.map((entry) => this.toSubmission(type, entry));
+      })
+    );
+
+    return batches.flat();
+  },
+
+  // Oldest first, so submissions are reviewed in the order they arrived
+  async getQueue({ status = 'pending' } = {}) {
+    const submissions = await this.listSubmissions(
+      { status, submittedBy: { id: { $notNull: true } } },
+      { createdAt: 'asc' }
+    );
+    return submissions.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  },
+
+  async getSubmissions(user) {
+    const submissions = await this.listSubmissions(
+      { submittedBy: { id: user.id } },
+      { updatedAt: 'desc' }
+    );
+    return submissions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  },
+
+  async getHistory(type, id) {
+    this.contentType(type);
+    const events = await strapi.entityService.findMany('api::moderation.moderation-event', {
+      filters: { contentType: type, entryId: id },
+      populate: { actor: { fields: USER_FIELDS } },
+      sort: { createdAt: 'asc' },
+    });
+
+    return events.map(({ actor, ...event }) => ({ ...event, actor: toUser(actor) }));
+  },
+
+  record(type, entryId, { action, fromStatus = null, toStatus, reason = null, actor }) {
+    return strapi.entityService.create('api::moderation.moderation-event', {
+      data: {
+        contentType: type,
+        entryId,
+        action,
+        fromStatus,
+        toStatus,
+        reason,
+        actor: actor?.id ?? null,
+      },
+    });
+  },
+
+  // Create `data` (already sanitised) as a pending submission by `user`
+  async createSubmission(type, data, user) {
+    const { uid, populate, fields } = this.contentType(type);
+    const entry = await strapi.entityService.create(uid, {
+      data: {
+        ...pick(data, fields),
+        status: 'pending',
+        publishedAt: null,
+        submittedBy: user.id,
+      },
+      populate,
+    });
+
+    await this.record(type, entry.id, { action: 'submit', toStatus: 'pending', actor: user });
+    return entry;
+  },
+
+  // The submitter's edited draft (`data` already sanitised) goes back to
+  // the queue
+  async resubmit(type, id, data, user) {
+    const { uid, fields } = this.contentType(type);
+    const entry = await this.findEntry(type, id);
+
+    if (entry.submittedBy?.id !== user.id) {
+      throw new ForbiddenError('Only the submitter can resubmit this entry');
+    }
+    if (!ACTIONS.submit.from.includes(entry.status)) {
+      throw new ValidationError(`A ${entry.status} submission can't be resubmitted`);
+    }
+
+    await strapi.entityService.update(uid, id, {
+      data: { ...pick(data, fields), status: 'pending', reviewNote: null },
+    });
+    await this.record(type, entry.id, {
+      action: 'submit',
+      fromStatus: entry.status,
+      toStatus: 'pending',
+      actor: user,
+    });
+
+    return this.toSubmission(type, await this.findEntry(type, id));
+  },
+
+  /**
+   * Apply an editor's decision: `approve` publishes the entry,
+   * `request-changes` and `reject` need a reason, which the submitter
+   * sees. The submitter is emailed the outcome.
+   */
+  async decide(type, id, { action, reason }, editor) {
+    const { uid, titleField } = this.contentType(type);
+    const rule = ACTIONS[action];
+    if (!rule || action === 'submit') {
+      throw new ValidationError(`Unknown decision "${action}"`);
+    }
+
+    const entry = await this.findEntry(type, id);
+    if (!rule.from.includes(entry.status)) {
+      throw new ValidationError(`Can't ${action} a ${entry.status} submission`);
+    }
+
+    const note = typeof reason === 'string' ? reason.trim() : '';
+    if (rule.needsReason && !note) {
+      throw new ValidationError('Give the submitter a reason');
+    }
+
+    await strapi.entityService.update(uid, id, {
+      data: {
+        status: rule.to,
+        reviewNote: note || null,
+        publishedAt: rule.to === 'published' ? new Date() : null,
+      },
+    });
+    await this.record(type, entry.id, {
+      action,
+      fromStatus: entry.status,
+      toStatus: rule.to,
+      reason: note || null,
+      actor: editor,
+    });
+    await this.notify(entry.submittedBy, EMAILS[action](entry[titleField], note));
+
+    return this.toSubmission(type, await this.findEntry(type, id));
+  },
+
+  // Decisions stand even when the email can't be sent
+  async notify(user, { subject, text }) {
+    if (!user?.email) return;
+
+    const siteUrl = process.env.SITE_URL;
+    try {
+      await strapi.plugin('email').service('email').send({
+        to: user.email,
+        subject,
+        text: siteUrl ? `${text}\n\n${siteUrl.replace(/\/$/, '')}/#account` : text,
+      });
+    } catch (error) {
+      strapi.log.warn(`Could not email ${user.email} about "${subject}": ${error.message}`);
+    }
+  },
+
+  /**
+   * Lifecycle hook helper: publishing or unpublishing from the admin panel
+   * (which only sets `publishedAt`) updates `status` to match.
+   */
+  syncStatus(data) {
+    if (!data || !('publishedAt' in data) || 'status' in data) return;
+    data.status = data.publishedAt ? 'published' : 'draft';
+  },
+});
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * opportunity router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::opportunity.opportunity');
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * opportunity service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+const UID = 'api::opportunity.opportunity';
+
+module.exports = createCoreService(UID, ({ strapi }) => ({
+  /**
+   * Cron task: published opportunities past their closing date become
+   * `closed`, and closed ones whose date was moved back into the future
+   * reopen. Dates are UTC calendar days, like the site's filters; an
+   * opportunity is open through its closing date.
+   */
+  async syncClosed(now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const opportunities = strapi.db.query(UID);
+
+    const closed = await opportunities.updateMany({
+      where: { status: 'published', closingDate: { $lt: today } },
+      data: { status: 'closed' },
+    });
+    const reopened = await opportunities.updateMany({
+      where: { status: 'closed', closingDate: { $gte: today } },
+      data: { status: 'published' },
+    });
+
+    if (closed.count || reopened.count) {
+      strapi.log.info(`Opportunities closed: ${closed.count}, reopened: ${reopened.count}`);
+    }
+    return { closed: closed.count, reopened: reopened.count };
+  },
+}));
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * regulatory-update controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::regulatory-update.regulatory-update');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * regulatory-update router
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::regulatory-update.regulatory-update');
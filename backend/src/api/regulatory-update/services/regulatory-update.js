@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * regulatory-update service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::regulatory-update.regulatory-update');
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * verification controller
+ */
+
+const verification = () => strapi.service('api::verification.verification');
+
+module.exports = {
+  async queue(ctx) {
+    const { status = 'pending' } = ctx.query;
+    ctx.body = { data: await verification().getQueue({ status }) };
+  },
+
+  async findOne(ctx) {
+    ctx.body = {
+      data: await verification().getVerification(ctx.state.user, Number(ctx.params.id)),
+    };
+  },
+
+  async request(ctx) {
+    const { data = {} } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await verification().request(ctx.state.user, Number(ctx.params.id), data),
+    };
+  },
+
+  async decide(ctx) {
+    const { action, reason, expiresAt } = ctx.request.body || {};
+
+    ctx.body = {
+      data: await verification().decide(ctx.state.user, Number(ctx.params.id), {
+        action,
+        reason,
+        expiresAt,
+      }),
+    };
+  },
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * verification router
+ *
+ * A company's admins read and send its NCDMB verification request;
+ * the queue and decisions are for the Editor role (`global::is-editor`).
+ * Enable `findOne` and `request` for Authenticated and every action for
+ * Editor under Settings → Users & Permissions → Roles.
+ */
+
+const editorsOnly = {
+  policies: ['global::is-editor'],
+};
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/verifications',
+      handler: 'verification.queue',
+      config: editorsOnly,
+    },
+    {
+      method: 'GET',
+      path: '/verifications/:id',
+      handler: 'verification.findOne',
+    },
+    {
+      method: 'POST',
+      path: '/verifications/:id',
+      handler: 'verification.request',
+    },
+    {
+      method: 'POST',
+      path: '/verifications/:id/decisions',
+      handler: 'verification.decide',
+      config: editorsOnly,
+    },
+  ],
+};
@@ -0,0 +1,246 @@
+'use strict';
+
+/**
+ * verification service
+ *
+ * NCDMB verification of directory companies. The company's admin (its
+ * submitter or whoever claimed it, see api::claim) or an editor sends
+ * its registration number, certificate expiry date and supporting
+ * documents; the company is `pending`, without a badge, until an editor
+ * verifies the request or rejects it with a reason. Verified companies
+ * expire the day after their certificate does (a daily cron task).
+ * Every step is recorded as a moderation-event and the admin is emailed
+ * decisions.
+ */
+
+const { errors } = require('@strapi/utils');
+const { normalizeNumber, numberError, expiryError } = require('../../../utils/ncdmb');
+
+const { ForbiddenError, NotFoundError, ValidationError } = errors;
+
+const UID = 'api::company.company';
+
+// Documents sent with a request
+const MAX_DOCUMENTS = 5;
+
+// Statuses each action moves a company from, and the one it moves it to
+const ACTIONS = {
+  'request-verification': { from: ['unverified', 'verified', 'expired'], to: 'pending' },
+  verify: { from: ['pending'], to: 'verified' },
+  'reject-verification': { from: ['pending'], to: 'unverified', needsReason: true },
+  'expire-verification': { from: ['verified'], to: 'expired' },
+};
+
+const EMAILS = {
+  verify: (name, expiresAt) => ({
+    subject: `NCDMB verified: ${name}`,
+    text: `An editor checked the NCDMB registration of "${name}" and it now shows as verified in the directory until ${expiresAt}.`,
+  }),
+  'reject-verification': (name, reason) => ({
+    subject: `NCDMB verification not confirmed: ${name}`,
+    text: `An editor reviewed the NCDMB verification request for "${name}" and couldn't confirm it:\n\n${reason}\n\nYou can send a new request from your account page.`,
+  }),
+  'expire-verification': (name, expiresAt) => ({
+    subject: `NCDMB verification expired: ${name}`,
+    text: `The NCDMB certificate of "${name}" expired on ${expiresAt}, so the directory no longer shows it as verified. Send the renewed certificate from your account page.`,
+  }),
+};
+
+const today = (now) => now.toISOString().slice(0, 10);
+
+module.exports = ({ strapi }) => ({
+  moderation() {
+    return strapi.service('api::moderation.moderation');
+  },
+
+  async findCompany(id) {
+    const company = await strapi.entityService.findOne(UID, id, {
+      populate: {
+        ncdmbDocuments: true,
+        submittedBy: { fields: ['id', 'username', 'name', 'email'] },
+        claimedBy: { fields: ['id', 'username', 'name', 'email'] },
+      },
+    });
+    if (!company || company.status !== 'published') throw new NotFoundError('Company not found');
+    return company;
+  },
+
+  // Editors and the company's admins (api::claim)
+  canManage(user, company) {
+    return strapi.service('api::claim.claim').isAdmin(user, company);
+  },
+
+  async findManaged(user, id) {
+    const company = await this.findCompany(id);
+    if (!this.canManage(user, company)) {
+      throw new ForbiddenError("Only the company's admins can manage its verification");
+    }
+    return company;
+  },
+
+  // The upload IDs `documents`, if `user` uploaded each of them (see
+  // src/extensions/upload)
+  async ownUploads(user, documents) {
+    const ids = [...new Set(documents.map(Number))];
+    const owned = ids.every(Number.isInteger)
+      ? await strapi.db.query('plugin::upload.file').count({
+          where: { id: { $in: ids }, uploadedBy: user.id },
+        })
+      : 0;
+    if (owned !== ids.length) throw new ValidationError('Attach files you uploaded yourself');
+    return ids;
+  },
+
+  toVerification(company) {
+    return {
+      id: company.id,
+      companyName: company.companyName,
+      ncdmbNumber: company.ncdmbNumber,
+      status: company.ncdmbStatus || 'unverified',
+      expiresAt: company.ncdmbExpiresAt,
+      verifiedAt: company.ncdmbVerifiedAt,
+      requestedAt: company.ncdmbRequestedAt,
+      note: company.ncdmbNote,
+      documents: company.ncdmbDocuments || [],
+    };
+  },
+
+  async getVerification(user, id) {
+    return this.toVerification(await this.findManaged(user, id));
+  },
+
+  // Oldest request first
+  async getQueue({ status = 'pending' } = {}) {
+    const companies = await strapi.entityService.findMany(UID, {
+      filters: { ncdmbStatus: status, status: 'published' },
+      populate: { ncdmbDocuments: true },
+      sort: { ncdmbRequestedAt: 'asc' },
+      limit: 100,
+    });
+    return companies.map((company) => this.toVerification(company));
+  },
+
+  /**
+   * Send `ncdmbNumber`, the certificate's `expiresAt` and `documents`
+   * (upload plugin file IDs) for review. The company loses its badge
+   * until an editor verifies them.
+   */
+  async request(user, id, { ncdmbNumber, expiresAt, documents = [] }, now = new Date()) {
+    const company = await this.findManaged(user, id);
+    const fromStatus = company.ncdmbStatus || 'unverified';
+
+    if (!ACTIONS['request-verification'].from.includes(fromStatus)) {
+      throw new ValidationError("This company's verification is already waiting for an editor");
+    }
+
+    const problem = numberError(ncdmbNumber, now) || expiryError(expiresAt, now);
+    if (problem) throw new ValidationError(problem);
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new ValidationError('Attach the registration certificate');
+    }
+    if (documents.length > MAX_DOCUMENTS) {
+      throw new ValidationError(`Attach at most ${MAX_DOCUMENTS} files`);
+    }
+    const ncdmbDocuments = await this.ownUploads(user, documents);
+
+    await strapi.entityService.update(UID, id, {
+      data: {
+        ncdmbNumber: normalizeNumber(ncdmbNumber),
+        ncdmbStatus: 'pending',
+        ncdmbExpiresAt: expiresAt,
+        ncdmbVerifiedAt: null,
+        ncdmbRequestedAt: now,
+        ncdmbDocuments,
+        ncdmbNote: null,
+      },
+    });
+    await this.moderation().record('company', company.id, {
+      action: 'request-verification',
+      fromStatus,
+      toStatus: 'pending',
+      actor: user,
+    });
+
+    return this.toVerification(await this.findCompany(id));
+  },
+
+  /**
+   * Apply an editor's decision on a pending request: `verify`, optionally
+   * correcting the expiry date from the certificate, or
+   * `reject-verification` with a reason the admin sees.
+   */
+  async decide(editor, id, { action, reason, expiresAt }, now = new Date()) {
+    const rule = ACTIONS[action];
+    if (!rule || !['verify', 'reject-verification'].includes(action)) {
+      throw new ValidationError(`Unknown decision "${action}"`);
+    }
+
+    const company = await this.findCompany(id);
+    const fromStatus = company.ncdmbStatus || 'unverified';
+    if (!rule.from.includes(fromStatus)) {
+      throw new ValidationError(`Can't ${action} a company whose verification is ${fromStatus}`);
+    }
+
+    const note = typeof reason === 'string' ? reason.trim() : '';
+    if (rule.needsReason && !note) {
+      throw new ValidationError('Give the company a reason');
+    }
+
+    const expires = action === 'verify' ? expiresAt || company.ncdmbExpiresAt : company.ncdmbExpiresAt;
+    const problem = action === 'verify' && expiryError(expires, now);
+    if (problem) throw new ValidationError(problem);
+
+    await strapi.entityService.update(UID, id, {
+      data: {
+        ncdmbStatus: rule.to,
+        ncdmbExpiresAt: expires,
+        ncdmbVerifiedAt: action === 'verify' ? now : null,
+        ncdmbNote: note || null,
+      },
+    });
+    await this.moderation().record('company', company.id, {
+      action,
+      fromStatus,
+      toStatus: rule.to,
+      reason: note || null,
+      actor: editor,
+    });
+    await this.moderation().notify(
+      company.claimedBy || company.submittedBy,
+      EMAILS[action](company.companyName, action === 'verify' ? expires : note)
+    );
+
+    return this.toVerification(await this.findCompany(id));
+  },
+
+  /**
+   * Cron task: verified companies whose certificate expired before today
+   * (UTC) become `expired`, and their admins are told to renew.
+   */
+  async expireVerifications(now = new Date()) {
+    const companies = await strapi.entityService.findMany(UID, {
+      filters: { ncdmbStatus: 'verified', ncdmbExpiresAt: { $lt: today(now) } },
+      populate: {
+        submittedBy: { fields: ['id', 'username', 'name', 'email'] },
+        claimedBy: { fields: ['id', 'username', 'name', 'email'] },
+      },
+    });
+
+    for (const company of companies) {
+      await strapi.entityService.update(UID, company.id, { data: { ncdmbStatus: 'expired' } });
+      await this.moderation().record('company', company.id, {
+        action: 'expire-verification',
+        fromStatus: 'verified',
+        toStatus: 'expired',
+        actor: null,
+      });
+      await this.moderation().notify(
+        company.claimedBy || company.submittedBy,
+        EMAILS['expire-verification'](company.companyName, company.ncdmbExpiresAt)
+      );
+    }
+
+    if (companies.length) strapi.log.info(`NCDMB verifications expired: ${companies.length}`);
+    return { expired: companies.length };
+  },
+});
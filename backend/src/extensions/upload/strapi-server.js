@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * upload extension
+ *
+ * Records which site user uploaded each file in a private `uploadedBy`
+ * field (the plugin only tracks admin users), so requests that attach
+ * upload IDs can be limited to the sender's own files.
+ */
+
+module.exports = (plugin) => {
+  plugin.contentTypes.file.schema.attributes.uploadedBy = {
+    type: 'integer',
+    private: true,
+  };
+
+  const { upload } = plugin.controllers['content-api'];
+
+  plugin.controllers['content-api'].upload = async (ctx) => {
+    await upload(ctx);
+
+    // Replacing a file (`?id=`) keeps its uploader
+    const { user } = ctx.state;
+    const files = [].concat(ctx.body || []).filter((file) => file && file.id);
+    if (!user || ctx.query.id || files.length === 0) return;
+
+    await strapi.db.query('plugin::upload.file').updateMany({
+      where: { id: { $in: files.map((file) => file.id) } },
+      data: { uploadedBy: user.id },
+    });
+  };
+
+  return plugin;
+};
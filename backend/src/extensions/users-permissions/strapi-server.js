@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * users-permissions extension
+ *
+ * Adds a display `name` to users. The site asks for it at sign-up
+ * (config/plugins.js allows it on /auth/local/register) and shows it in
+ * the navbar user menu. `bookmarks` holds the user's saved items, read
+ * and written only through /api/bookmarks/sync.
+ */
+
+module.exports = (plugin) => {
+  plugin.contentTypes.user.schema.attributes.name = {
+    type: 'string',
+    maxLength: 100,
+  };
+  plugin.contentTypes.user.schema.attributes.bookmarks = {
+    type: 'json',
+    private: true,
+  };
+
+  return plugin;
+};
@@ -1,5 +1,8 @@
 'use strict';
 
+const seeder = require('./seed');
+const { fillLocations } = require('./utils/locations');
+
 module.exports = {
   /**
    * An asynchronous register function that runs before
@@ -10,6 +13,25 @@ module.exports = {
   /**
    * An asynchronous bootstrap function that runs before
    * your application gets started.
+   *
+   * Seeds demo content when SEED_DEMO_DATA is set: `true` adds whatever
+   * fixture entries are missing, `reset` wipes the content types first.
+   * Then closes opportunities whose closing date passed, and expires NCDMB
+   * verifications whose certificate did, while the server was down (the
+   * cron tasks only run at midnight). Last, fills in the state and LGA of
+   * opportunities and companies saved before they were stored.
    */
-  bootstrap(/*{ strapi }*/) {},
+  async bootstrap({ strapi }) {
+    const mode = (process.env.SEED_DEMO_DATA || '').toLowerCase();
+    if (mode === 'true' || mode === 'reset') {
+      const demo = seeder({ strapi });
+      await (mode === 'reset' ? demo.reset() : demo.seed());
+    }
+
+    await strapi.service('api::opportunity.opportunity').syncClosed();
+    await strapi.service('api::verification.verification').expireVerifications();
+
+    await fillLocations(strapi, 'api::opportunity.opportunity');
+    await fillLocations(strapi, 'api::company.company');
+  },
 };
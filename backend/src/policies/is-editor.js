@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * is-editor policy
+ *
+ * Lets the request through only for signed-in users with the Editor role
+ * (see api::moderation).
+ */
+
+module.exports = (policyContext, config, { strapi }) =>
+  strapi.service('api::moderation.moderation').isEditor(policyContext.state.user);
@@ -0,0 +1,239 @@
+'use strict';
+
+/**
+ * Demo content seeding from the versioned JSON fixtures in data/fixtures.
+ *
+ * Each fixture entry has a stable `key`. Relations name other entries by
+ * key; media fields hold `{ placeholder: "text" }` and get a generated SVG.
+ * Dates may be written relative to the seeding day (`today`, `today+30`,
+ * `today-7`) so demo opportunities don't all close in the past.
+ *
+ * The ids of seeded entries are recorded in the core store under their
+ * keys, with the fixture version. Seeding again only creates entries that
+ * are missing; after a version bump, existing ones are also updated.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'data', 'fixtures');
+
+// Content type, relation targets and media fields per fixture file
+const COLLECTIONS = {
+  companies: {
+    uid: 'api::company.company',
+    media: { logo: { width: 256, height: 256 } },
+  },
+  opportunities: {
+    uid: 'api::opportunity.opportunity',
+    relations: { company: 'companies' },
+  },
+  'regulatory-updates': {
+    uid: 'api::regulatory-update.regulatory-update',
+    relations: { relatedUpdates: 'regulatory-updates' },
+  },
+  articles: {
+    uid: 'api::article.article',
+    media: { coverImage: { width: 1600, height: 686 } },
+    relations: { relatedArticles: 'articles' },
+  },
+};
+
+// Uploaded placeholders are named with this prefix so a reset can remove them
+const PLACEHOLDER_PREFIX = 'demo-placeholder-';
+
+const PLACEHOLDER_COLORS = ['#0b3d5c', '#14532d', '#7c2d12', '#4c1d95', '#1e3a8a'];
+
+const readJSON = (file) =>
+  JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// "today+30" -> the date 30 days from now; other values pass through
+const resolveDate = (value, now = new Date()) => {
+  const match = typeof value === 'string' && value.match(/^today(?:([+-]\d+))?$/);
+  if (!match) return value;
+
+  const date = new Date(now);
+  date.setUTCDate(date.getUTCDate() + Number(match[1] || 0));
+  return toDateString(date);
+};
+
+const escapeXML = (text) =>
+  String(text).replace(/[&<>"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const placeholderSVG = (text, { width, height }, index) => {
+  const color = PLACEHOLDER_COLORS[index % PLACEHOLDER_COLORS.length];
+  const fontSize = Math.round(Math.min(width, height) / (text.length > 3 ? 6 : 2.5));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <rect width="100%" height="100%" fill="${color}"/>
+  <text x="50%" y="50%" fill="#ffffff" font-family="sans-serif" font-size="${fontSize}" font-weight="600" text-anchor="middle" dominant-baseline="central">${escapeXML(text)}</text>
+</svg>
+`;
+};
+
+module.exports = ({ strapi }) => {
+  const store = strapi.store({ type: 'core', name: 'demo-seed' });
+  const upload = () => strapi.plugin('upload').service('upload');
+
+  const log = (message) => strapi.log.info(`[seed] ${message}`);
+
+  async function readState() {
+    return (await store.get({ key: 'state' })) || { version: null, entries: {} };
+  }
+
+  async function uploadPlaceholder(name, text, size, index) {
+    const filePath = path.join(os.tmpdir(), `${PLACEHOLDER_PREFIX}${name}.svg`);
+    fs.writeFileSync(filePath, placeholderSVG(text, size, index));
+
+    try {
+      const stats = fs.statSync(filePath);
+
+      // Older and newer Strapi 4 releases read different file property names
+      const [file] = await upload().upload({
+        data: { fileInfo: { name: `${PLACEHOLDER_PREFIX}${name}.svg`, alternativeText: text } },
+        files: {
+          path: filePath,
+          filepath: filePath,
+          name: `${PLACEHOLDER_PREFIX}${name}.svg`,
+          originalFilename: `${PLACEHOLDER_PREFIX}${name}.svg`,
+          type: 'image/svg+xml',
+          mimetype: 'image/svg+xml',
+          size: stats.size,
+        },
+      });
+      return file.id;
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+
+  // Entry data without the key, relations or placeholders, dates resolved
+  function toData(entry, { relations = {}, media = {} }) {
+    const data = {};
+
+    Object.entries(entry).forEach(([field, value]) => {
+      if (field === 'key' || relations[field] || media[field]) return;
+      data[field] = resolveDate(value);
+    });
+
+    return data;
+  }
+
+  async function entryExists(uid, id) {
+    return Boolean(id && (await strapi.entityService.findOne(uid, id, { fields: ['id'] })));
+  }
+
+  /**
+   * Create fixture entries that aren't in the database yet, and update the
+   * seeded ones when the fixture version has changed. Relations are linked
+   * in a second pass, once every entry they can point to exists.
+   */
+  async function seed() {
+    const manifest = readJSON('manifest.json');
+    const state = await readState();
+
+    const upgrade = state.version !== null && state.version !== manifest.version;
+
+    const fixtures = {};
+    const created = [];
+    const updated = [];
+
+    for (const name of manifest.collections) {
+      const config = COLLECTIONS[name];
+      fixtures[name] = readJSON(`${name}.json`);
+
+      for (const [index, entry] of fixtures[name].entries()) {
+        const stateKey = `${name}/${entry.key}`;
+        const data = toData(entry, config);
+
+        if (await entryExists(config.uid, state.entries[stateKey])) {
+          if (upgrade) {
+            await strapi.entityService.update(config.uid, state.entries[stateKey], { data });
+            updated.push(stateKey);
+          }
+          continue;
+        }
+
+        for (const [field, size] of Object.entries(config.media || {})) {
+          if (entry[field]?.placeholder) {
+            data[field] = await uploadPlaceholder(
+              `${name}-${entry.key}-${field}`,
+              entry[field].placeholder,
+              size,
+              index
+            );
+          }
+        }
+
+        const { id } = await strapi.entityService.create(config.uid, {
+          data: { ...data, publishedAt: new Date() },
+        });
+        state.entries[stateKey] = id;
+        created.push(stateKey);
+      }
+    }
+
+    for (const stateKey of [...created, ...updated]) {
+      const [name, key] = stateKey.split('/');
+      const { uid, relations = {} } = COLLECTIONS[name];
+      const entry = fixtures[name].find((fixture) => fixture.key === key);
+      const data = {};
+
+      Object.entries(relations).forEach(([field, target]) => {
+        const value = entry[field];
+        if (value === undefined) return;
+
+        data[field] = Array.isArray(value)
+          ? value.map((ref) => state.entries[`${target}/${ref}`]).filter(Boolean)
+          : state.entries[`${target}/${value}`] || null;
+      });
+
+      if (Object.keys(data).length > 0) {
+        await strapi.entityService.update(uid, state.entries[stateKey], { data });
+      }
+    }
+
+    await store.set({ key: 'state', value: { version: manifest.version, entries: state.entries } });
+    log(
+      `demo data v${manifest.version}: ${created.length} created, ${updated.length} updated`
+    );
+  }
+
+  /**
+   * Delete every entry of the seeded content types and the uploaded
+   * placeholders, then seed from scratch. Content added by hand is lost.
+   */
+  async function reset() {
+    if (process.env.NODE_ENV === 'production') {
+      strapi.log.warn('[seed] refusing to reset demo data in production');
+      return;
+    }
+
+    for (const { uid } of Object.values(COLLECTIONS)) {
+      const entries = await strapi.entityService.findMany(uid, {
+        fields: ['id'],
+        publicationState: 'preview',
+      });
+      for (const { id } of entries) {
+        await strapi.entityService.delete(uid, id);
+      }
+    }
+
+    const placeholders = await strapi.db.query('plugin::upload.file').findMany({
+      where: { name: { $startsWith: PLACEHOLDER_PREFIX } },
+    });
+    for (const file of placeholders) {
+      await upload().remove(file);
+    }
+
+    await store.delete({ key: 'state' });
+    log('removed existing content');
+
+    await seed();
+  }
+
+  return { seed, reset, resolveDate };
+};
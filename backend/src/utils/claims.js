@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Work email domains for company claims, checked as on the site
+ * (frontend js/claims.js).
+ */
+
+// Webmail addresses say nothing about who someone works for
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'ymail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'icloud.com',
+  'aol.com',
+  'proton.me',
+  'protonmail.com',
+];
+
+// "example.com" for "https://www.example.com/about", or null
+const domainOf = (website) => {
+  try {
+    return new URL(website).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether `email` is on the domain of `website` or a subdomain of it
+const emailMatches = (email, website) => {
+  const domain = domainOf(website);
+  const emailDomain = String(email || '').split('@')[1]?.toLowerCase();
+
+  if (!domain || !emailDomain || PUBLIC_EMAIL_DOMAINS.includes(emailDomain)) return false;
+  return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+};
+
+module.exports = { domainOf, emailMatches };
@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * The state and, in the core Niger Delta states, the local government
+ * area (LGA) a free-text location names, parsed as on the site (frontend
+ * js/locations.js). Opportunities and companies store both alongside
+ * `location` so they can be filtered and mapped by state.
+ */
+
+const { NIGERIAN_STATES, stateTerms } = require('./nigerian-states');
+
+// LGAs of the core Niger Delta states, each with towns that place a location in it
+const NIGERIAN_LGAS = {
+  Rivers: {
+    'Abua/Odual': [],
+    'Ahoada East': ['Ahoada'],
+    'Ahoada West': [],
+    'Akuku-Toru': ['Abonnema'],
+    Andoni: [],
+    'Asari-Toru': ['Buguma'],
+    Bonny: ['Bonny Island'],
+    Degema: [],
+    Eleme: ['Onne', 'Alesa'],
+    Emuoha: [],
+    Etche: [],
+    Gokana: ['Bodo'],
+    Ikwerre: ['Isiokpo'],
+    Khana: ['Bori'],
+    'Obio/Akpor': ['Rumuokoro', 'Rumuola'],
+    'Ogba/Egbema/Ndoni': ['Omoku'],
+    'Ogu/Bolo': [],
+    Okrika: [],
+    Omuma: [],
+    'Opobo/Nkoro': ['Opobo'],
+    Oyigbo: [],
+    'Port Harcourt': ['Trans Amadi'],
+    Tai: [],
+  },
+  Delta: {
+    'Aniocha North': [],
+    'Aniocha South': [],
+    Bomadi: [],
+    Burutu: ['Forcados'],
+    'Ethiope East': [],
+    'Ethiope West': [],
+    'Ika North East': [],
+    'Ika South': ['Agbor'],
+    'Isoko North': [],
+    'Isoko South': ['Oleh'],
+    'Ndokwa East': ['Aboh'],
+    'Ndokwa West': ['Kwale'],
+    Okpe: ['Orerokpe'],
+    'Oshimili North': [],
+    'Oshimili South': ['Asaba'],
+    Patani: [],
+    Sapele: [],
+    Udu: [],
+    'Ughelli North': ['Ughelli'],
+    'Ughelli South': [],
+    Ukwuani: [],
+    Uvwie: ['Effurun', 'Ekpan'],
+    'Warri North': ['Koko'],
+    'Warri South': ['Warri'],
+    'Warri South West': ['Escravos', 'Ogidigben'],
+  },
+  Bayelsa: {
+    Brass: ['Twon-Brass'],
+    Ekeremor: [],
+    'Kolokuma/Opokuma': ['Kaiama'],
+    Nembe: [],
+    Ogbia: ['Oloibiri', 'Otuasega'],
+    Sagbama: [],
+    'Southern Ijaw': ['Oporoma'],
+    Yenagoa: [],
+  },
+  'Akwa Ibom': {
+    Abak: [],
+    'Eastern Obolo': [],
+    Eket: [],
+    'Esit Eket': [],
+    'Essien Udim': [],
+    'Etim Ekpo': [],
+    Etinan: [],
+    Ibeno: ['Qua Iboe', 'Upenekang'],
+    'Ibesikpo Asutan': [],
+    'Ibiono-Ibom': [],
+    Ika: [],
+    Ikono: [],
+    'Ikot Abasi': [],
+    'Ikot Ekpene': [],
+    Ini: [],
+    Itu: [],
+    Mbo: [],
+    'Mkpat-Enin': [],
+    'Nsit-Atai': [],
+    'Nsit-Ibom': [],
+    'Nsit-Ubium': [],
+    'Obot Akara': [],
+    Okobo: [],
+    Onna: [],
+    Oron: [],
+    'Oruk Anam': [],
+    'Udung-Uko': [],
+    Ukanafun: [],
+    Uruan: [],
+    'Urue-Offong/Oruko': [],
+    Uyo: [],
+  },
+};
+
+// Lowercase words separated by single spaces, padded so phrases match whole words
+const words = (text) => {
+  const found = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  return ` ${(found || []).join(' ')} `;
+};
+
+const lgasOf = (state) => Object.keys(NIGERIAN_LGAS[state] || {});
+
+const stateOfLga = (lga) =>
+  Object.keys(NIGERIAN_LGAS).find((state) => lgasOf(state).includes(lga)) || null;
+
+// Words a location may use for an LGA: its name and its towns
+const lgaTerms = (lga) => {
+  const state = stateOfLga(lga);
+  return state ? [lga, ...NIGERIAN_LGAS[state][lga]] : [lga];
+};
+
+/**
+ * `{ state, lga }` for a free-text location, either null when it doesn't
+ * say. A town or LGA places it in an LGA; otherwise a state's name or
+ * capital gives the state alone. "Niger Delta" is a region, not Delta State.
+ */
+const parseLocation = (text) => {
+  const location = words(text).replace(/ niger delta /g, ' ');
+
+  const state =
+    NIGERIAN_STATES.map((s) => s.name).find((name) =>
+      stateTerms(name).some((term) => location.includes(words(term)))
+    ) || null;
+
+  // The longest name that matches, so "Warri South West" beats "Warri"
+  const [match] = (state ? [state] : Object.keys(NIGERIAN_LGAS))
+    .flatMap((name) => lgasOf(name).flatMap((lga) => lgaTerms(lga).map((term) => ({ lga, term }))))
+    .filter(({ term }) => location.includes(words(term)))
+    .sort((a, b) => b.term.length - a.term.length);
+  const lga = match ? match.lga : null;
+
+  return { state: state || (lga && stateOfLga(lga)), lga };
+};
+
+// Entry data with `state` and `lga` derived from its `location`, if it sets one
+const withLocation = (data) =>
+  data && 'location' in data ? Object.assign(data, parseLocation(data.location)) : data;
+
+/**
+ * Fill in `state` and `lga` for entries of `uid` saved before they were
+ * stored. Entries whose location names no state are looked at each time;
+ * they're few and the lookup is cheap.
+ */
+const fillLocations = async (strapi, uid) => {
+  const entries = await strapi.db.query(uid).findMany({
+    where: { state: { $null: true }, location: { $notNull: true } },
+    select: ['id', 'location'],
+  });
+
+  let filled = 0;
+  for (const entry of entries) {
+    const parsed = parseLocation(entry.location);
+    if (!parsed.state) continue;
+
+    await strapi.db.query(uid).update({ where: { id: entry.id }, data: parsed });
+    filled++;
+  }
+
+  if (filled) strapi.log.info(`Locations filled in for ${filled} ${uid} entries`);
+  return filled;
+};
+
+module.exports = { NIGERIAN_LGAS, lgaTerms, parseLocation, withLocation, fillLocations };
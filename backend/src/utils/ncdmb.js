@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * NCDMB registration numbers and certificate expiry dates, checked as on
+ * the site (frontend js/ncdmb.js).
+ */
+
+// Serial and year, e.g. NCDMB-006-2018
+const NUMBER_PATTERN = /^NCDMB-(\d{3,6})-(\d{4})$/;
+
+// The Board was established in 2010
+const FIRST_YEAR = 2010;
+
+// Longest validity an editor can confirm for a certificate
+const MAX_VALIDITY_YEARS = 3;
+
+const normalizeNumber = (value) =>
+  String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '');
+
+// Why `value` isn't a registration number, or null
+const numberError = (value, now = new Date()) => {
+  const match = normalizeNumber(value).match(NUMBER_PATTERN);
+  if (!match) return 'Enter the number as on the certificate, e.g. NCDMB-006-2018.';
+
+  const year = Number(match[2]);
+  if (year < FIRST_YEAR || year > now.getUTCFullYear()) {
+    return `The year in the number must be between ${FIRST_YEAR} and ${now.getUTCFullYear()}.`;
+  }
+  return null;
+};
+
+// Why `date` (YYYY-MM-DD) can't be a certificate's expiry date, or null
+const expiryError = (date, now = new Date()) => {
+  const today = now.toISOString().slice(0, 10);
+  const latest = new Date(now);
+  latest.setUTCFullYear(latest.getUTCFullYear() + MAX_VALIDITY_YEARS);
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return 'Enter the expiry date on the certificate.';
+  if (date < today) return 'The certificate has already expired.';
+  if (date > latest.toISOString().slice(0, 10)) {
+    return `Certificates are valid for at most ${MAX_VALIDITY_YEARS} years.`;
+  }
+  return null;
+};
+
+module.exports = { normalizeNumber, numberError, expiryError };
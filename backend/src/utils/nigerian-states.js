@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * The 36 states and the FCT with their capitals, as on the site
+ * (frontend js/filters.js), for matching free-text locations.
+ */
+
+const NIGERIAN_STATES = [
+  { name: 'Abia', capital: 'Umuahia' },
+  { name: 'Adamawa', capital: 'Yola' },
+  { name: 'Akwa Ibom', capital: 'Uyo' },
+  { name: 'Anambra', capital: 'Awka' },
+  { name: 'Bauchi', capital: 'Bauchi' },
+  { name: 'Bayelsa', capital: 'Yenagoa' },
+  { name: 'Benue', capital: 'Makurdi' },
+  { name: 'Borno', capital: 'Maiduguri' },
+  { name: 'Cross River', capital: 'Calabar' },
+  { name: 'Delta', capital: 'Asaba' },
+  { name: 'Ebonyi', capital: 'Abakaliki' },
+  { name: 'Edo', capital: 'Benin City' },
+  { name: 'Ekiti', capital: 'Ado-Ekiti' },
+  { name: 'Enugu', capital: 'Enugu' },
+  { name: 'FCT', capital: 'Abuja' },
+  { name: 'Gombe', capital: 'Gombe' },
+  { name: 'Imo', capital: 'Owerri' },
+  { name: 'Jigawa', capital: 'Dutse' },
+  { name: 'Kaduna', capital: 'Kaduna' },
+  { name: 'Kano', capital: 'Kano' },
+  { name: 'Katsina', capital: 'Katsina' },
+  { name: 'Kebbi', capital: 'Birnin Kebbi' },
+  { name: 'Kogi', capital: 'Lokoja' },
+  { name: 'Kwara', capital: 'Ilorin' },
+  { name: 'Lagos', capital: 'Ikeja' },
+  { name: 'Nasarawa', capital: 'Lafia' },
+  // Plain "Niger" would also match every "…, Nigeria" location
+  { name: 'Niger', capital: 'Minna', terms: ['Niger State', 'Minna'] },
+  { name: 'Ogun', capital: 'Abeokuta' },
+  { name: 'Ondo', capital: 'Akure' },
+  { name: 'Osun', capital: 'Osogbo' },
+  { name: 'Oyo', capital: 'Ibadan' },
+  { name: 'Plateau', capital: 'Jos' },
+  { name: 'Rivers', capital: 'Port Harcourt' },
+  { name: 'Sokoto', capital: 'Sokoto' },
+  { name: 'Taraba', capital: 'Jalingo' },
+  { name: 'Yobe', capital: 'Damaturu' },
+  { name: 'Zamfara', capital: 'Gusau' },
+];
+
+// Words a location may use for a state: its name and capital
+const stateTerms = (stateName) => {
+  const state = NIGERIAN_STATES.find((s) => s.name === stateName);
+  if (!state) return [stateName];
+  return state.terms || [state.name, state.capital];
+};
+
+module.exports = { NIGERIAN_STATES, stateTerms };
@@ -0,0 +1,743 @@
+/**
+ * THE PIPELINE - MOCK DATA
+ * Deterministic demo dataset for the fixture provider: a few hundred
+ * Nigerian oil and gas opportunities, companies, regulatory updates and
+ * articles built from a seed
+ */
+
+// How many documents of each kind MockData.generate() builds by default
+const MOCK_COUNTS = {
+    companies: 60,
+    opportunities: 180,
+    regulatory: 60,
+    articles: 60
+};
+
+// Where mock documents are located, weighted toward the producing states
+const MOCK_LOCATIONS = [
+    { city: "Port Harcourt", state: "Rivers", weight: 8 },
+    { city: "Onne", state: "Rivers", weight: 3 },
+    { city: "Bonny", state: "Rivers", weight: 2 },
+    { city: "Warri", state: "Delta", weight: 5 },
+    { city: "Ughelli", state: "Delta", weight: 2 },
+    { city: "Asaba", state: "Delta", weight: 1 },
+    { city: "Yenagoa", state: "Bayelsa", weight: 3 },
+    { city: "Brass", state: "Bayelsa", weight: 1 },
+    { city: "Eket", state: "Akwa Ibom", weight: 3 },
+    { city: "Uyo", state: "Akwa Ibom", weight: 1 },
+    { city: "Victoria Island", state: "Lagos", weight: 7 },
+    { city: "Lekki", state: "Lagos", weight: 3 },
+    { city: "Ikeja", state: "Lagos", weight: 1 },
+    { city: "Abuja", state: "FCT", weight: 3 },
+    { city: "Benin City", state: "Edo", weight: 2 },
+    { city: "Owerri", state: "Imo", weight: 2 },
+    { city: "Calabar", state: "Cross River", weight: 1 },
+    { city: "Akure", state: "Ondo", weight: 1 },
+    { city: "Kolmani", state: "Bauchi", weight: 1 }
+];
+
+const MOCK_COMPANY_NAMES = {
+    prefixes: [
+        "Niger Delta", "Bonny", "Escravos", "Forcados", "Qua Iboe", "Okrika",
+        "Atlantic", "Gulf of Guinea", "Benin River", "Eko", "Lekki", "Ughelli",
+        "Brass", "Calabar", "Opobo", "Ibeno", "Oloibiri", "Sapele",
+        "Kolo Creek", "Imo River", "Afam", "Obigbo", "Ebocha", "Ogbia",
+        "Delta Crest", "Rumuokoro", "Trans-Amadi", "Agip Road", "Idu", "Utapate"
+    ],
+    bySector: {
+        Upstream: [
+            "Exploration & Production",
+            "Petroleum",
+            "Oil & Gas",
+            "Energy"
+        ],
+        Midstream: [
+            "Gas Transmission",
+            "Pipelines",
+            "Gas Processing",
+            "Terminals"
+        ],
+        Downstream: [
+            "Refining",
+            "Petroleum Products",
+            "Energy Marketing",
+            "Lubricants"
+        ],
+        Services: [
+            "Oilfield Services",
+            "Marine Services",
+            "Drilling Services",
+            "Engineering",
+            "Inspection Services"
+        ]
+    },
+    suffixes: ["Limited", "Ltd", "Nigeria Limited", "Ltd", "Plc"]
+};
+
+const MOCK_SERVICES = {
+    Upstream: [
+        "Marginal field development", "Well intervention", "Reservoir management",
+        "Production operations", "Seismic interpretation", "Gas monetisation"
+    ],
+    Midstream: [
+        "Pipeline construction", "Gas compression", "Metering and custody transfer",
+        "Crude storage", "Pipeline surveillance", "LPG extraction"
+    ],
+    Downstream: [
+        "Modular refining", "Petroleum product distribution", "Retail outlets",
+        "Lubricant blending", "LPG bottling", "Aviation fuel supply"
+    ],
+    Services: [
+        "Offshore supply vessels", "Non-destructive testing", "Fabrication",
+        "Drilling fluids", "Cathodic protection", "HSE training",
+        "Rope access inspection", "Subsea IRM"
+    ]
+};
+
+const MOCK_PROJECTS = [
+    "Flowline replacement", "Gas plant upgrade", "Jetty rehabilitation",
+    "Tank farm expansion", "Well re-entry campaign", "Pipeline pigging programme",
+    "Flare gas recovery", "Host community water project"
+];
+
+const MOCK_OPPORTUNITIES = {
+    Job: {
+        weight: 45,
+        roles: {
+            Upstream: [
+                "Reservoir Engineer",
+                "Production Engineer",
+                "Petroleum Geologist",
+                "Completions Engineer"
+            ],
+            Midstream: [
+                "Pipeline Integrity Engineer",
+                "Gas Plant Operator",
+                "Instrumentation Technician",
+                "Metering Engineer"
+            ],
+            Downstream: [
+                "Refinery Process Engineer",
+                "Depot Manager",
+                "Quality Control Chemist",
+                "Terminal Supervisor"
+            ],
+            Services: [
+                "Drilling Supervisor",
+                "NDT Technician",
+                "HSE Officer",
+                "Marine Superintendent"
+            ]
+        },
+        levels: ["Graduate", "", "", "Senior", "Lead"]
+    },
+    Tender: {
+        weight: 25,
+        scopes: [
+            "Pipeline Integrity Inspection Services",
+            "Provision of Offshore Supply Vessels",
+            "Wellhead Maintenance Services",
+            "EPC for Gas Compression Station",
+            "Tank Farm Rehabilitation Works",
+            "Subsea Inspection, Repair and Maintenance",
+            "Camp and Catering Services for Field Operations",
+            "Right-of-Way Clearing and Surveillance"
+        ]
+    },
+    Procurement: {
+        weight: 20,
+        items: [
+            "Line Pipes and Fittings", "Drilling Fluid Chemicals",
+            "Gas Detection Equipment", "Valves and Actuators",
+            "Personal Protective Equipment", "Casing and Tubing",
+            "Gas Turbine Spare Parts", "Corrosion Inhibitors"
+        ]
+    },
+    Partnership: {
+        weight: 10,
+        topics: [
+            "Marginal Field Development Partner",
+            "Gas Flare Commercialisation Partner",
+            "Local Content Joint Venture",
+            "Modular Refinery Technical Partner",
+            "CNG Distribution Partner",
+            "Host Community Development Partner"
+        ]
+    }
+};
+
+const MOCK_REGULATORY = {
+    NUPRC: {
+        weight: 4,
+        topics: [
+            "Guidelines on Decommissioning and Abandonment",
+            "Upstream Petroleum Measurement Regulations",
+            "Gas Flare Commercialisation Programme Bid Round",
+            "Royalty Rates Under the Petroleum Industry Act",
+            "Domestic Crude Supply Obligation Notice",
+            "Licensing Round for Deep Offshore Blocks",
+            "Frontier Exploration Fund Guidelines",
+            "Host Community Development Trust Compliance"
+        ]
+    },
+    NCDMB: {
+        weight: 3,
+        topics: [
+            "Nigerian Content Plan Approval Guidelines",
+            "NOGICJQS Registration Renewal Deadline",
+            "Research and Development Fund Disbursement",
+            "In-Country Fabrication Targets",
+            "Nigerian Content Intervention Fund Window",
+            "Minimum Local Content in Marine Vessels"
+        ]
+    },
+    NNPC: {
+        weight: 2,
+        topics: [
+            "Crude Oil Term Contract Allocation",
+            "Gas Supply Agreement Framework",
+            "Joint Venture Cash Call Update",
+            "Pipeline Security Contract Review",
+            "Petroleum Product Supply Schedule"
+        ]
+    },
+    // The DPR was replaced by the NUPRC and NMDPRA in 2021
+    DPR: {
+        weight: 1,
+        until: "2021-08-31",
+        topics: [
+            "Retail Outlet Licensing Guidelines",
+            "Annual Oil and Gas Industry Report",
+            "LPG Plant Licensing Requirements",
+            "Marginal Field Operating Procedures"
+        ]
+    }
+};
+
+const MOCK_ARTICLES = {
+    Production: [
+        "Crude Output Rises as {terminal} Resumes Exports",
+        "{field} Field Ramps Up Production",
+        "Condensate Output Trends in {state}",
+        "Repairs Restore Flows to {terminal}"
+    ],
+    "Market Analysis": [
+        "Bonny Light Differentials in {quarter} {year}",
+        "Diesel Prices After the Refinery Start-up",
+        "What Marginal Field Awards Mean for Indigenous Operators",
+        "LNG Demand Outlook for {year}"
+    ],
+    Policy: [
+        "How the Petroleum Industry Act Changes Host Community Funds",
+        "Inside the New Gas Flare Penalties",
+        "Local Content Targets: What Service Firms Need to Know",
+        "Domestic Crude Supply Obligation Explained"
+    ],
+    Technology: [
+        "Digital Twins on Offshore Platforms in {state}",
+        "Drones for Pipeline Surveillance in the Niger Delta",
+        "Modular Refineries: Choosing the Technology",
+        "CNG Conversion Kits and the Autogas Rollout"
+    ]
+};
+
+const MOCK_ARTICLE_SUMMARIES = {
+    Production: "Output figures, export schedules and field performance from across the Niger Delta.",
+    "Market Analysis": "Prices, differentials and demand trends shaping the Nigerian market.",
+    Policy: "What the latest rules mean for operators, investors and host communities.",
+    Technology: "How new tools are being put to work in Nigerian oil and gas operations."
+};
+
+const MOCK_TERMS = {
+    terminal: [
+        "Forcados",
+        "Bonny",
+        "Qua Iboe",
+        "Brass",
+        "Escravos",
+        "the Trans Niger Pipeline"
+    ],
+    field: ["Agbami", "Bonga", "Egina", "Akpo", "Erha", "Usan"],
+    quarter: ["Q1", "Q2", "Q3", "Q4"],
+    tags: [
+        "NNPC",
+        "Gas",
+        "Crude Oil",
+        "PIA",
+        "Local Content",
+        "Offshore",
+        "Refining",
+        "LNG",
+        "Niger Delta",
+        "Upstream"
+    ],
+    authors: [
+        "Energy Analytics Team", "Chioma Okafor", "Tunde Bakare", "Aisha Bello",
+        "Emeka Nwosu", "Ifeoma Eze", "Babajide Adeyemi", "Ngozi Ibe"
+    ]
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Seeded pseudo-random numbers (mulberry32), so every run builds the same data
+class MockRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Item chosen in proportion to `weight(item)`
+    weighted(items, weight = item => item.weight) {
+        const total = items.reduce((sum, item) => sum + weight(item), 0);
+        let roll = this.next() * total;
+
+        for (const item of items) {
+            roll -= weight(item);
+            if (roll < 0) return item;
+        }
+        return items[items.length - 1];
+    }
+
+    // `count` distinct items
+    sample(items, count) {
+        const pool = [...items];
+        const picked = [];
+
+        while (picked.length < count && pool.length > 0) {
+            picked.push(pool.splice(Math.floor(this.next() * pool.length), 1)[0]);
+        }
+        return picked;
+    }
+}
+
+class MockData {
+    /**
+     * Build the dataset. The same `seed` always gives the same documents;
+     * dates are offsets from `referenceDate` (today by default) so closing
+     * dates, "this month" stats and date filters stay meaningful.
+     */
+    static generate({
+        seed = 2024,
+        counts = MOCK_COUNTS,
+        referenceDate = new Date()
+    } = {}) {
+        const random = new MockRandom(seed);
+        const today = Date.UTC(
+            referenceDate.getUTCFullYear(),
+            referenceDate.getUTCMonth(),
+            referenceDate.getUTCDate()
+        );
+        const context = { random, today };
+
+        const companies = MockData.companies(context, counts.companies);
+
+        return {
+            opportunities: MockData.opportunities(
+                context,
+                counts.opportunities,
+                companies
+            ),
+            companies,
+            regulatory: MockData.regulatory(
+                context,
+                counts.regulatory,
+                companies
+            ),
+            articles: MockData.articles(context, counts.articles, companies)
+        };
+    }
+
+    // YYYY-MM-DD `days` from `today` (negative for the past)
+    static date(today, days) {
+        return new Date(today + days * DAY).toISOString().slice(0, 10);
+    }
+
+    static timestamp(today, days, random) {
+        return new Date(
+            today + days * DAY + random.int(7, 18) * 60 * 60 * 1000
+        ).toISOString();
+    }
+
+    static location({ random }) {
+        const { city, state } = random.weighted(MOCK_LOCATIONS);
+        return city === state || state === "FCT"
+            ? `${city}, Nigeria`
+            : `${city}, ${state} State`;
+    }
+
+    static slug(text) {
+        return text
+            .toLowerCase()
+            .replace(/&/g, "and")
+            .replace(/[^a-z0-9]+/g, "")
+            .slice(0, 24);
+    }
+
+    // `title`, or `title` with the first unused of `qualifiers`
+    static unique(title, used, qualifiers) {
+        const candidates = [title, ...qualifiers.map(q => `${title} (${q})`)];
+        let result = candidates.find(candidate => !used.has(candidate));
+
+        for (let n = 2; !result; n++) {
+            result = used.has(`${title} (${n})`) ? null : `${title} (${n})`;
+        }
+        used.add(result);
+        return result;
+    }
+
+    // "Well intervention" -> "well intervention", leaving "LPG ..." alone
+    static lowerFirst(text) {
+        return /^[A-Z]{2}/.test(text)
+            ? text
+            : text.charAt(0).toLowerCase() + text.slice(1);
+    }
+
+    static withArticle(noun) {
+        return `${/^([AEIOU]|HSE|NDT|LNG)/.test(noun) ? "an" : "a"} ${noun}`;
+    }
+
+    static fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (_, key) => values[key]);
+    }
+
+    static companies(context, count) {
+        const { random, today } = context;
+        const used = new Set();
+        const companies = [];
+
+        for (let i = 0; companies.length < count; i++) {
+            const sector = random.pick(SECTORS);
+            const companyName = [
+                random.pick(MOCK_COMPANY_NAMES.prefixes),
+                random.pick(MOCK_COMPANY_NAMES.bySector[sector]),
+                random.pick(MOCK_COMPANY_NAMES.suffixes)
+            ].join(" ");
+
+            if (used.has(companyName)) continue;
+            used.add(companyName);
+
+            const index = companies.length + 1;
+            const location = MockData.location(context);
+            const domain = `${MockData.slug(
+                companyName.replace(/ (Nigeria )?(Limited|Ltd|Plc)$/, "")
+            )}.com.ng`;
+            const servicesOffered = random.sample(
+                MOCK_SERVICES[sector],
+                random.int(2, 4)
+            );
+            const projects = random
+                .sample(MOCK_PROJECTS, random.int(0, 2))
+                .map(project => ({
+                    title: `${project}, ${random.weighted(MOCK_LOCATIONS).city}`,
+                    description: `${project} delivered for a joint venture operator.`,
+                    status: random.pick(["Completed", "Ongoing", "Planned"])
+                }));
+            const ncdmbNumber = random.chance(0.75)
+                ? `NCDMB-${String(index).padStart(3, "0")}-${random.int(2015, 2024)}`
+                : null;
+
+            companies.push({
+                $id: `mock-comp-${index}`,
+                companyName,
+                sector,
+                description: `${companyName} is an indigenous ${sector.toLowerCase()} company based in ${location}, specialising in ${servicesOffered
+                    .slice(0, 2)
+                    .map(MockData.lowerFirst)
+                    .join(" and ")}.`,
+                servicesOffered,
+                projects,
+                ncdmbNumber,
+                ...MockData.verification(ncdmbNumber, index, today),
+                website: `https://www.${domain}`,
+                contactEmail: `info@${domain}`,
+                location,
+                featured: index <= 6,
+                $createdAt: MockData.timestamp(today, -random.int(60, 900), random)
+            });
+        }
+
+        return companies.sort((a, b) =>
+            a.companyName.localeCompare(b.companyName)
+        );
+    }
+
+    // NCDMB verification (js/ncdmb.js) picked from the company's index so
+    // the rest of the dataset stays the same: most registered companies
+    // verified, some expired, a few waiting for an editor
+    static verification(ncdmbNumber, index, today) {
+        if (!ncdmbNumber) return { ncdmbStatus: "unverified" };
+        if (index % 11 === 0) {
+            return {
+                ncdmbStatus: "pending",
+                ncdmbExpiresAt: MockData.date(today, 365)
+            };
+        }
+        if (index % 5 === 0) {
+            return {
+                ncdmbStatus: "expired",
+                ncdmbExpiresAt: MockData.date(today, -(index % 90) - 1)
+            };
+        }
+        return {
+            ncdmbStatus: "verified",
+            ncdmbExpiresAt: MockData.date(today, 30 + ((index * 37) % 700)),
+            ncdmbVerifiedAt: MockData.date(today, -((index * 13) % 300))
+        };
+    }
+
+    static opportunities(context, count, companies) {
+        const { random, today } = context;
+        const types = Object.entries(MOCK_OPPORTUNITIES).map(
+            ([type, definition]) => ({ type, ...definition })
+        );
+        const opportunities = [];
+
+        for (let i = 1; i <= count; i++) {
+            const company = random.pick(companies);
+            const definition = random.weighted(types);
+            const location = random.chance(0.7)
+                ? company.location
+                : MockData.location(context);
+            const city = location.split(",")[0];
+            const createdDaysAgo = random.int(0, 150);
+            const opportunity = {
+                $id: `mock-opp-${i}`,
+                opportunityType: definition.type,
+                location,
+                sector: company.sector,
+                companyId: company.$id,
+                company: {
+                    $id: company.$id,
+                    companyName: company.companyName,
+                    sector: company.sector
+                },
+                closingDate: MockData.date(
+                    today,
+                    -createdDaysAgo + random.int(14, 120)
+                ),
+                featured: random.chance(0.05),
+                $createdAt: MockData.timestamp(today, -createdDaysAgo, random)
+            };
+
+            if (definition.type === "Job") {
+                const role = random.pick(definition.roles[company.sector]);
+                const level = random.pick(definition.levels);
+                const years = level === "Graduate" ? 0 : random.int(3, 12);
+
+                Object.assign(opportunity, {
+                    title: `${[level, role].filter(Boolean).join(" ")} - ${city}`,
+                    description: `${company.companyName} is hiring ${MockData.withArticle(role)} to join its ${city} team.`,
+                    requirements: years
+                        ? `B.Sc. in Engineering or a related field and at least ${years} years' relevant experience. COREN registration is an advantage.`
+                        : "B.Sc. (minimum second class lower) in Engineering or Geosciences, completed NYSC.",
+                    benefits: "Competitive salary, health insurance, pension and field allowances.",
+                    link: `${company.website}/careers`
+                });
+            } else if (definition.type === "Tender") {
+                const scope = random.pick(definition.scopes);
+
+                Object.assign(opportunity, {
+                    title: scope,
+                    description: `${company.companyName} invites qualified contractors to bid for ${scope} at its ${city} operations.`,
+                    requirements: "Valid NOGICJQS registration, NUPRC permit, and tax clearance certificates for the last three years.",
+                    link: `${company.website}/tenders`
+                });
+            } else if (definition.type === "Procurement") {
+                const item = random.pick(definition.items);
+
+                Object.assign(opportunity, {
+                    title: `Supply of ${item}`,
+                    description: `Request for quotations for the supply and delivery of ${item} to ${city}.`,
+                    requirements: "Evidence of OEM authorisation and NOGICJQS registration in the relevant product category.",
+                    link: `${company.website}/procurement`
+                });
+            } else {
+                const topic = random.pick(definition.topics);
+
+                Object.assign(opportunity, {
+                    title: topic,
+                    description: `${company.companyName} invites expressions of interest from firms to act as its ${topic} for projects in ${city}.`,
+                    link: company.website
+                });
+            }
+
+            opportunities.push(opportunity);
+        }
+
+        return opportunities.sort((a, b) =>
+            b.$createdAt.localeCompare(a.$createdAt)
+        );
+    }
+
+    static regulatory(context, count, companies) {
+        const { random, today } = context;
+        const sources = Object.entries(MOCK_REGULATORY).map(
+            ([source, definition]) => ({ source, ...definition })
+        );
+        const used = new Set();
+        const updates = [];
+
+        for (let i = 1; i <= count; i++) {
+            const { source, topics, until } = random.weighted(sources);
+            const topic = random.pick(topics);
+
+            // Spread over the last five years; retired regulators stop at `until`
+            const latest = until
+                ? Math.min(0, Math.round((Date.parse(until) - today) / DAY))
+                : 0;
+            const publishedDate = MockData.date(
+                today,
+                latest - random.int(0, until ? 400 : 1800)
+            );
+            const year = publishedDate.slice(0, 4);
+
+            // Every fifth notice names a company, for company pages
+            const named =
+                i % 5 === 0 ? companies[(i * 7) % companies.length] : null;
+
+            updates.push({
+                $id: `mock-reg-${i}`,
+                title: MockData.unique(topic, used, [
+                    `${year} Update`,
+                    `${year} Amendment`,
+                    `${year} Revision`
+                ]),
+                source,
+                summary: `New ${source} notice on ${topic}, affecting operators and service companies.${
+                    named
+                        ? ` ${named.companyName} is among the companies named.`
+                        : ""
+                }`,
+                fullText: [
+                    `<p>The ${source} has published a notice on ${topic}. It applies to all licensees and contractors operating in Nigeria.</p>`,
+                    `<p>Affected companies should review their current procedures and submit any required documentation through the ${source} portal.</p>`
+                ].join(""),
+                impact: random.pick([
+                    "High: operators must update compliance plans before the effective date.",
+                    "Medium: affects reporting obligations for licensees.",
+                    "Low: clarifies existing requirements."
+                ]),
+                effectiveDate: MockData.date(
+                    Date.parse(publishedDate),
+                    random.int(14, 90)
+                ),
+                tags: [source, ...random.sample(MOCK_TERMS.tags, 2)],
+                publishedDate,
+                $createdAt: `${publishedDate}T09:00:00.000Z`
+            });
+        }
+
+        updates.sort((a, b) => b.publishedDate.localeCompare(a.publishedDate));
+
+        // Link each update to the next two from the same regulator
+        updates.forEach(update => {
+            update.relatedUpdates = updates
+                .filter(
+                    other =>
+                        other.source === update.source && other.$id !== update.$id
+                )
+                .slice(0, 2)
+                .map(({ $id, title, source, publishedDate }) => ({
+                    $id,
+                    title,
+                    source,
+                    publishedDate
+                }));
+        });
+
+        return updates;
+    }
+
+    static articles(context, count, companies) {
+        const { random, today } = context;
+        const categories = Object.keys(MOCK_ARTICLES);
+        const used = new Set();
+        const articles = [];
+
+        for (let i = 1; i <= count; i++) {
+            const category = random.pick(categories);
+            const publishedDate = MockData.date(today, -random.int(0, 720));
+            const year = publishedDate.slice(0, 4);
+            const title = MockData.fillTemplate(
+                random.pick(MOCK_ARTICLES[category]),
+                {
+                    terminal: random.pick(MOCK_TERMS.terminal),
+                    field: random.pick(MOCK_TERMS.field),
+                    quarter: random.pick(MOCK_TERMS.quarter),
+                    state: random.weighted(MOCK_LOCATIONS).state,
+                    year
+                }
+            );
+            // Every fourth article quotes a company, for company pages
+            const named =
+                i % 4 === 0 ? companies[(i * 11) % companies.length] : null;
+            const summary = `${MOCK_ARTICLE_SUMMARIES[category]}${
+                named ? ` Includes comment from ${named.companyName}.` : ""
+            }`;
+
+            articles.push({
+                $id: `mock-art-${i}`,
+                title: MockData.unique(title, used, [
+                    new Date(publishedDate).toLocaleDateString("en-NG", {
+                        month: "long",
+                        year: "numeric"
+                    })
+                ]),
+                summary,
+                body: [
+                    `<p>${summary}</p>`,
+                    "<p>Operators, regulators and service companies are adjusting plans in response, with the largest effects expected in the Niger Delta.</p>",
+                    "<p>The Pipeline will keep tracking the numbers as new data is published.</p>"
+                ].join(""),
+                author: random.pick(MOCK_TERMS.authors),
+                tags: [category, ...random.sample(MOCK_TERMS.tags, random.int(1, 3))],
+                publishedDate,
+                $createdAt: `${publishedDate}T08:00:00.000Z`
+            });
+        }
+
+        articles.sort((a, b) => b.publishedDate.localeCompare(a.publishedDate));
+
+        // Two more articles from the same category
+        articles.forEach(article => {
+            article.relatedArticles = articles
+                .filter(
+                    other =>
+                        other.tags[0] === article.tags[0] && other.$id !== article.$id
+                )
+                .slice(0, 2)
+                .map(({ $id, title, summary, publishedDate }) => ({
+                    $id,
+                    title,
+                    summary,
+                    publishedDate
+                }));
+        });
+
+        return articles;
+    }
+}
+
+window.MOCK_COUNTS = MOCK_COUNTS;
+window.MockRandom = MockRandom;
+window.MockData = MockData;
@@ -1,137 +1,190 @@
 /**
- * THE PIPELINE - APPWRITE API SERVICE
- * Complete integration with Appwrite for dynamic content
+ * THE PIPELINE - CONTENT API SERVICE
+ * Single entry point for content, backed by a pluggable provider
+ * (Appwrite, Strapi or local fixtures) chosen in js/config.js
  */
 
-class AppwriteAPIService {
-    constructor() {
-        // Appwrite configuration
-        this.endpoint = 'https://cloud.appwrite.io/v1';
-        this.projectId = '68bf9ed10019de00e1d5'; 
-        this.databaseId = '68bfa1020007a42a4845';
-        
-        // Initialize Appwrite client
-        this.client = new Appwrite.Client();
-        this.databases = new Appwrite.Databases(this.client);
-        this.storage = new Appwrite.Storage(this.client);
-        this.account = new Appwrite.Account(this.client);
-
-        this.client
-            .setEndpoint(this.endpoint)
-            .setProject(this.projectId);
-
-        // Collection IDs (will be created in Appwrite console)
-        this.collections = {
-            opportunities: 'opportunities',
-            companies: 'companies', 
-            regulatory: 'regulatory',
-            articles: 'articles'
-        };
+class ContentAPIService {
+    constructor(config = window.PIPELINE_CONFIG || {}) {
+        // Timeouts, retries, coalescing and route cancellation for backend calls
+        this.requests = new RequestManager(config.requests);
+        this.provider = ContentAPIService.createProvider(config, {
+            requests: this.requests
+        });
+
+        // Served when the configured backend fails
+        this.fallback = this.provider instanceof FixtureProvider
+            ? this.provider
+            : new FixtureProvider();
+
+        // Ranks the candidates providers return from search()
+        this.searchEngine = new SearchEngine();
+
+        // Responses persist across reloads (IndexedDB) with per-collection
+        // TTLs; stale entries are served immediately and refreshed behind
+        this.cache = new PersistentCache();
+        this.cacheConfig = config.cache || { ttl: {} };
+        this.refreshing = new Map();
+
+        if (this.cacheConfig.maxStale) {
+            this.cache.prune(Date.now() - this.cacheConfig.maxStale);
+        }
 
-        // Cache for better performance
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        // Notification check in flight, shared by its callers
+        this.notificationCheck = null;
+
+        // Signed-in user; `session` settles once the stored one is checked
+        this.user = null;
+        this.session = this.restoreSession();
     }
 
-    // Generic cache helper
-    getCacheKey(collection, query = {}) {
-        return `${collection}_${JSON.stringify(query)}`;
+    static createProvider(config, options = {}) {
+        const providers = {
+            appwrite: () => new AppwriteProvider(config.appwrite, options),
+            strapi: () => new StrapiProvider(config.strapi, options),
+            fixtures: () => new FixtureProvider(config.fixtures, options)
+        };
+
+        const factory = providers[config.provider];
+        if (!factory) {
+            console.warn(`Unknown content provider "${config.provider}", using fixtures`);
+            return new FixtureProvider();
+        }
+
+        try {
+            return factory();
+        } catch (error) {
+            console.error(`Failed to initialise ${config.provider} provider:`, error);
+            return new FixtureProvider();
+        }
     }
 
-    isValidCache(cacheEntry) {
-        return cacheEntry && (Date.now() - cacheEntry.timestamp < this.cacheTimeout);
+    // Cache keys are scoped to the provider so switching backends never
+    // serves the other backend's documents
+    getCacheKey(name, query = {}) {
+        return `${this.provider.name}:${name}_${JSON.stringify(query)}`;
     }
 
-    setCache(key, data) {
-        this.cache.set(key, {
-            data,
-            timestamp: Date.now()
-        });
+    // Shortest TTL among the collections an entry was built from
+    getCacheTTL(collections) {
+        const { ttl = {} } = this.cacheConfig;
+        const fallbackTTL = ttl.default ?? 5 * 60 * 1000;
+
+        return Math.min(
+            ...collections.map(collection => ttl[collection] ?? fallbackTTL)
+        );
     }
 
-    // OPPORTUNITIES API
-    async getOpportunities(filters = {}) {
-        const { type, sector, limit = 20, offset = 0 } = filters;
-        const cacheKey = this.getCacheKey('opportunities', filters);
-        const cached = this.cache.get(cacheKey);
+    /**
+     * Serve `key` from cache or load it from the provider. `collections`
+     * tags the entry for clearCacheByCollection() and picks its TTL. An
+     * expired entry is returned straight away and reloaded in the
+     * background; if the reload differs, a `dataUpdated` event is
+     * dispatched on document with { key, collections }. When the provider
+     * throws and nothing is cached, `fallback` (if given) supplies the
+     * result instead; cancelled loads reject with an AbortError.
+     */
+    async cached(collections, key, load, fallback = null) {
+        collections = [].concat(collections);
+        const scope = this.requests.scope.signal;
+        const entry = await this.cache.get(key);
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+        if (age < this.getCacheTTL(collections)) {
+            return entry.data;
+        }
 
-        if (this.isValidCache(cached)) {
-            return cached.data;
+        if (entry && age < (this.cacheConfig.maxStale ?? Infinity)) {
+            this.revalidate(collections, key, load, entry.data);
+            return entry.data;
         }
 
         try {
-            let queries = [
-                Appwrite.Query.orderDesc('$createdAt'),
-                Appwrite.Query.limit(limit),
-                Appwrite.Query.offset(offset)
-            ];
-
-            if (type) {
-                queries.push(Appwrite.Query.equal('opportunityType', type));
+            return await this.refresh(collections, key, load);
+        } catch (error) {
+            if (RequestManager.isAbort(error)) {
+                // A load shared with the page we just left was cancelled;
+                // start our own unless the caller's page is gone too
+                if (!scope.aborted) {
+                    return this.cached(collections, key, load, fallback);
+                }
+                throw error;
             }
 
-            const response = await this.databases.listDocuments(
-                this.databaseId,
-                this.collections.opportunities,
-                queries
-            );
-
-            this.setCache(cacheKey, response.documents);
-            return response.documents;
-        } catch (error) {
-            console.error('Error fetching opportunities:', error);
-            return this.getMockOpportunities();
+            console.error(`Error loading ${key}:`, error);
+            if (fallback) {
+                return fallback(this.fallback);
+            }
+            return null;
         }
     }
 
-    async getOpportunityById(id) {
-        const cacheKey = this.getCacheKey('opportunity', { id });
-        const cached = this.cache.get(cacheKey);
-
-        if (this.isValidCache(cached)) {
-            return cached.data;
+    // Load `key` from the provider and store it; concurrent calls share one load
+    refresh(collections, key, load) {
+        if (!this.refreshing.has(key)) {
+            const pending = (async () => {
+                const data = await load(this.provider);
+                await this.cache.set({
+                    key,
+                    collections,
+                    data,
+                    timestamp: Date.now()
+                });
+                return data;
+            })().finally(() => this.refreshing.delete(key));
+
+            this.refreshing.set(key, pending);
         }
 
+        return this.refreshing.get(key);
+    }
+
+    async revalidate(collections, key, load, previous) {
         try {
-            const opportunity = await this.databases.getDocument(
-                this.databaseId,
-                this.collections.opportunities,
-                id
-            );
+            const data = await this.refresh(collections, key, load);
 
-            // Get related company if exists
-            if (opportunity.companyId) {
-                opportunity.company = await this.databases.getDocument(
-                    this.databaseId,
-                    this.collections.companies,
-                    opportunity.companyId
-                );
+            if (JSON.stringify(data) !== JSON.stringify(previous)) {
+                document.dispatchEvent(new CustomEvent('dataUpdated', {
+                    detail: { key, collections }
+                }));
             }
-
-            this.setCache(cacheKey, opportunity);
-            return opportunity;
         } catch (error) {
-            console.error('Error fetching opportunity:', error);
-            return null;
+            // Keep serving the stale copy; the next read retries
+            if (!RequestManager.isAbort(error)) {
+                console.warn(`Background refresh of ${key} failed:`, error);
+            }
         }
     }
 
+    // Cancel requests started for the current page (called on route change)
+    cancelPageRequests() {
+        this.requests.cancelScope();
+    }
+
+    // OPPORTUNITIES API
+    getOpportunities(filters = {}) {
+        return this.cached(
+            ['opportunities', 'companies'],
+            this.getCacheKey('opportunities', filters),
+            provider => provider.getOpportunities(filters),
+            fallback => fallback.getOpportunities(filters)
+        );
+    }
+
+    getOpportunityById(id) {
+        return this.cached(
+            ['opportunities', 'companies'],
+            this.getCacheKey('opportunity', { id }),
+            provider => provider.getOpportunityById(id)
+        );
+    }
+
     async createOpportunity(data) {
         try {
-            const docId = Appwrite.ID.unique();
-            const opportunity = await this.databases.createDocument(
-                this.databaseId,
-                this.collections.opportunities,
-                docId,
-                {
-                    ...data,
-                    publishedAt: new Date().toISOString(),
-                    featured: data.featured || false
-                }
-            );
+            const opportunity = await this.provider.createOpportunity(data);
 
             // Clear cache
-            this.clearCacheByCollection('opportunities');
+            await this.clearCacheByCollection('opportunities');
             return opportunity;
         } catch (error) {
             console.error('Error creating opportunity:', error);
@@ -140,77 +193,49 @@ class AppwriteAPIService {
     }
 
     // COMPANIES API
-    async getCompanies(filters = {}) {
-        const { sector, limit = 20, offset = 0 } = filters;
-        const cacheKey = this.getCacheKey('companies', filters);
-        const cached = this.cache.get(cacheKey);
-
-        if (this.isValidCache(cached)) {
-            return cached.data;
-        }
-
-        try {
-            let queries = [
-                Appwrite.Query.orderAsc('companyName'),
-                Appwrite.Query.limit(limit),
-                Appwrite.Query.offset(offset)
-            ];
-
-            if (sector) {
-                queries.push(Appwrite.Query.equal('sector', sector));
-            }
-
-            const response = await this.databases.listDocuments(
-                this.databaseId,
-                this.collections.companies,
-                queries
-            );
-
-            this.setCache(cacheKey, response.documents);
-            return response.documents;
-        } catch (error) {
-            console.error('Error fetching companies:', error);
-            return this.getMockCompanies();
-        }
+    getCompanies(filters = {}) {
+        return this.cached(
+            'companies',
+            this.getCacheKey('companies', filters),
+            provider => provider.getCompanies(filters),
+            fallback => fallback.getCompanies(filters)
+        );
     }
 
-    async getCompanyById(id) {
-        const cacheKey = this.getCacheKey('company', { id });
-        const cached = this.cache.get(cacheKey);
+    getCompanyById(id) {
+        return this.cached(
+            'companies',
+            this.getCacheKey('company', { id }),
+            provider => provider.getCompanyById(id)
+        );
+    }
 
-        if (this.isValidCache(cached)) {
-            return cached.data;
-        }
+    /**
+     * A company, or null only when the backend says it doesn't exist (or
+     * isn't published). Unlike getCompanyById, other failures aren't
+     * treated as missing: they fall back to a saved copy, or throw.
+     */
+    async findCompany(id) {
+        const key = this.getCacheKey('company', { id });
 
         try {
-            const company = await this.databases.getDocument(
-                this.databaseId,
-                this.collections.companies,
-                id
+            return await this.refresh('companies', key, provider =>
+                provider.getCompanyById(id)
             );
-
-            this.setCache(cacheKey, company);
-            return company;
         } catch (error) {
-            console.error('Error fetching company:', error);
-            return null;
+            if (error.code === 404 || error.status === 404) return null;
+
+            const entry = await this.cache.get(key);
+            if (entry && !RequestManager.isAbort(error)) return entry.data;
+            throw error;
         }
     }
 
     async createCompany(data) {
         try {
-            const docId = Appwrite.ID.unique();
-            const company = await this.databases.createDocument(
-                this.databaseId,
-                this.collections.companies,
-                docId,
-                {
-                    ...data,
-                    featured: data.featured || false
-                }
-            );
+            const company = await this.provider.createCompany(data);
 
-            this.clearCacheByCollection('companies');
+            await this.clearCacheByCollection('companies');
             return company;
         } catch (error) {
             console.error('Error creating company:', error);
@@ -218,66 +243,87 @@ class AppwriteAPIService {
         }
     }
 
-    // REGULATORY UPDATES API
-    async getRegulatoryUpdates(filters = {}) {
-        const { source, limit = 20, offset = 0 } = filters;
-        const cacheKey = this.getCacheKey('regulatory', filters);
-        const cached = this.cache.get(cacheKey);
+    /**
+     * Everything else on the site about `company`, for its page: its open
+     * and past opportunities (the newest `limit` of each, with totals) and
+     * the regulatory updates and articles that mention it by name, newest
+     * first. Loaded as one batch of parallel queries and cached as one
+     * entry: { open, past, regulatory, articles }.
+     */
+    getCompanyActivity(company, { limit = 5 } = {}) {
+        return this.cached(
+            ['companies', 'opportunities', 'regulatory', 'articles'],
+            this.getCacheKey('companyActivity', { id: company.$id, limit }),
+            provider => this.loadCompanyActivity(provider, company, limit)
+        );
+    }
 
-        if (this.isValidCache(cached)) {
-            return cached.data;
-        }
+    async loadCompanyActivity(provider, company, limit) {
+        const names = this.getCompanyNames(company);
+        const mentionTypes = ['regulatory', 'article'].map(type => ContentTypes.get(type));
+
+        const [open, past, candidates] = await Promise.all([
+            provider.getOpportunities({ companyId: company.$id, limit }),
+            provider.getOpportunities({ companyId: company.$id, closed: 'only', limit }),
+            provider.search(
+                names[names.length - 1],
+                mentionTypes.map(definition => definition.collection)
+            )
+        ]);
+
+        // Search returns any document sharing a word with the name; keep
+        // those naming the company in full, in any searched field
+        const [regulatory, articles] = mentionTypes.map(definition =>
+            candidates
+                .filter(doc =>
+                    doc._collection === definition.collection &&
+                    SearchEngine.mentions(
+                        doc,
+                        names,
+                        definition.searchFields.map(field => field.path)
+                    )
+                )
+                .sort((a, b) =>
+                    String(b[definition.dateField]).localeCompare(a[definition.dateField])
+                )
+                .slice(0, limit)
+        );
+
+        return { open, past, regulatory, articles };
+    }
 
-        try {
-            let queries = [
-                Appwrite.Query.orderDesc('publishedDate'),
-                Appwrite.Query.limit(limit),
-                Appwrite.Query.offset(offset)
-            ];
-
-            if (source) {
-                queries.push(Appwrite.Query.equal('source', source));
-            }
+    // The company's name, and without its legal suffix as news usually has it
+    getCompanyNames({ companyName }) {
+        const short = companyName
+            .replace(/(\s+of)?(\s+Nigeria)?,?\s+(Limited|Ltd\.?|Plc|Inc\.?)$/i, '')
+            .trim();
 
-            const response = await this.databases.listDocuments(
-                this.databaseId,
-                this.collections.regulatory,
-                queries
-            );
+        return [...new Set([companyName, short].filter(Boolean))];
+    }
 
-            this.setCache(cacheKey, response.documents);
-            return response.documents;
-        } catch (error) {
-            console.error('Error fetching regulatory updates:', error);
-            return this.getMockRegulatory();
-        }
+    // REGULATORY UPDATES API
+    getRegulatoryUpdates(filters = {}) {
+        return this.cached(
+            'regulatory',
+            this.getCacheKey('regulatory', filters),
+            provider => provider.getRegulatoryUpdates(filters),
+            fallback => fallback.getRegulatoryUpdates(filters)
+        );
     }
 
-    async getRegulatoryUpdateById(id) {
-        try {
-            const update = await this.databases.getDocument(
-                this.databaseId,
-                this.collections.regulatory,
-                id
-            );
-            return update;
-        } catch (error) {
-            console.error('Error fetching regulatory update:', error);
-            return null;
-        }
+    getRegulatoryUpdateById(id) {
+        return this.cached(
+            'regulatory',
+            this.getCacheKey('regulatoryUpdate', { id }),
+            provider => provider.getRegulatoryUpdateById(id)
+        );
     }
 
     async createRegulatoryUpdate(data) {
         try {
-            const docId = Appwrite.ID.unique();
-            const update = await this.databases.createDocument(
-                this.databaseId,
-                this.collections.regulatory,
-                docId,
-                data
-            );
+            const update = await this.provider.createRegulatoryUpdate(data);
 
-            this.clearCacheByCollection('regulatory');
+            await this.clearCacheByCollection('regulatory');
             return update;
         } catch (error) {
             console.error('Error creating regulatory update:', error);
@@ -286,68 +332,28 @@ class AppwriteAPIService {
     }
 
     // ARTICLES API
-    async getArticles(filters = {}) {
-        const { category, limit = 20, offset = 0 } = filters;
-        const cacheKey = this.getCacheKey('articles', filters);
-        const cached = this.cache.get(cacheKey);
-
-        if (this.isValidCache(cached)) {
-            return cached.data;
-        }
-
-        try {
-            let queries = [
-                Appwrite.Query.orderDesc('publishedDate'),
-                Appwrite.Query.limit(limit),
-                Appwrite.Query.offset(offset)
-            ];
-
-            if (category) {
-                queries.push(Appwrite.Query.search('tags', category));
-            }
-
-            const response = await this.databases.listDocuments(
-                this.databaseId,
-                this.collections.articles,
-                queries
-            );
-
-            this.setCache(cacheKey, response.documents);
-            return response.documents;
-        } catch (error) {
-            console.error('Error fetching articles:', error);
-            return this.getMockArticles();
-        }
+    getArticles(filters = {}) {
+        return this.cached(
+            'articles',
+            this.getCacheKey('articles', filters),
+            provider => provider.getArticles(filters),
+            fallback => fallback.getArticles(filters)
+        );
     }
 
-    async getArticleById(id) {
-        try {
-            const article = await this.databases.getDocument(
-                this.databaseId,
-                this.collections.articles,
-                id
-            );
-            return article;
-        } catch (error) {
-            console.error('Error fetching article:', error);
-            return null;
-        }
+    getArticleById(id) {
+        return this.cached(
+            'articles',
+            this.getCacheKey('article', { id }),
+            provider => provider.getArticleById(id)
+        );
     }
 
     async createArticle(data) {
         try {
-            const docId = Appwrite.ID.unique();
-            const article = await this.databases.createDocument(
-                this.databaseId,
-                this.collections.articles,
-                docId,
-                {
-                    ...data,
-                    tags: Array.isArray(data.tags) ? data.tags : data.tags.split(',').map(t => t.trim())
-                }
-            );
+            const article = await this.provider.createArticle(data);
 
-            this.clearCacheByCollection('articles');
+            await this.clearCacheByCollection('articles');
             return article;
         } catch (error) {
             console.error('Error creating article:', error);
@@ -355,117 +361,392 @@ class AppwriteAPIService {
         }
     }
 
+    // Detail getter for a content type key (see js/content-types.js)
+    getById(type, id) {
+        const getters = {
+            opportunity: () => this.getOpportunityById(id),
+            company: () => this.getCompanyById(id),
+            regulatory: () => this.getRegulatoryUpdateById(id),
+            article: () => this.getArticleById(id)
+        };
+        return getters[type]();
+    }
+
+    // FACETED FILTERS
+    /**
+     * Options for each of a list section's facets (see js/filters.js) with
+     * the number of results each would return alongside the other active
+     * filters: { [facetKey]: [{ value, label, count }] }.
+     */
+    getFacetCounts(section, params = {}) {
+        const { collection } = ListFilters.get(section);
+        const active = ListFilters.pick(section, params);
+
+        return this.cached(
+            collection,
+            this.getCacheKey(`${collection}Facets`, { section, ...active }),
+            provider => this.countFacets(provider, section, active),
+            fallback => this.countFacets(fallback, section, active)
+        );
+    }
+
+    async countFacets(provider, section, active) {
+        const { collection, facets } = ListFilters.get(section);
+        const counts = {};
+
+        await Promise.all(facets.map(async facet => {
+            // A facet's own selection is left out so its options stay visible
+            const others = { ...active };
+            [facet.key, ...(facet.excludes || [])].forEach(key => delete others[key]);
+
+            counts[facet.key] = facet.terms
+                ? await this.countTerms(provider, section, collection, facet, others)
+                : await Promise.all(facet.options.map(async declared => {
+                    const option = ListFilters.option(declared);
+                    const filters = ListFilters.toProviderFilters(section, {
+                        ...others,
+                        [facet.key]: option.value
+                    });
+
+                    return {
+                        ...option,
+                        count: await provider.countDocuments(collection, filters)
+                    };
+                }));
+        }));
+
+        return counts;
+    }
+
+    // Options discovered from the matching documents, most common first
+    async countTerms(provider, section, collection, facet, others) {
+        const { value, label, lookup, labelField, max = 20 } = facet.terms;
+        const documents = await provider.getAllDocuments(
+            collection,
+            ListFilters.toProviderFilters(section, others)
+        );
+
+        const terms = new Map();
+        documents.forEach(doc => {
+            const key = value(doc);
+            if (!key) return;
+
+            const term = terms.get(key) || { value: key, label: label(doc), count: 0 };
+            term.count++;
+            terms.set(key, term);
+        });
+
+        const options = [...terms.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, max);
+
+        // Fill in labels the list documents don't carry (e.g. Appwrite companyId)
+        await Promise.all(options
+            .filter(option => !option.label && lookup)
+            .map(async option => {
+                const doc = await provider[lookup](option.value).catch(() => null);
+                option.label = doc?.[labelField] || option.value;
+            }));
+
+        return options.sort((a, b) => a.label.localeCompare(b.label));
+    }
+
     // SEARCH FUNCTIONALITY
-    async search(searchTerm, types = []) {
+    /**
+     * Relevance-ranked results across collections, interleaved by score.
+     * Each result carries `_score`, `_title`, `_titleHTML` and `_snippet`
+     * (see SearchEngine.rank) and `_type`, its js/content-types.js key;
+     * `searchEngine.group()` splits them by collection. `types` are
+     * content-type keys to restrict the search to (all when empty).
+     */
+    async search(searchTerm, types = [], { limit = 20 } = {}) {
         if (!searchTerm.trim()) return [];
 
         try {
-            const results = [];
-            const collectionsToSearch = types.length > 0 ? 
-                types.filter(t => this.collections[t]) : 
-                Object.keys(this.collections);
-
-            for (const collectionKey of collectionsToSearch) {
-                try {
-                    const response = await this.databases.listDocuments(
-                        this.databaseId,
-                        this.collections[collectionKey],
-                        [
-                            Appwrite.Query.search('title', searchTerm),
-                            Appwrite.Query.limit(5)
-                        ]
-                    );
-
-                    const searchResults = response.documents.map(doc => ({
-                        ...doc,
-                        _type: collectionKey.slice(0, -1), // Remove 's' from collection name
-                        subtitle: doc.companyName || doc.source || doc.author || doc.description?.substring(0, 100)
-                    }));
-
-                    results.push(...searchResults);
-                } catch (error) {
-                    console.warn(`Search failed for ${collectionKey}:`, error);
-                }
-            }
-
-            return results.slice(0, 10); // Limit total results
+            const collections = types
+                .map(type => ContentTypes.get(type)?.collection)
+                .filter(Boolean);
+            const candidates = await this.provider.search(searchTerm, collections);
+
+            return this.searchEngine
+                .rank(candidates, searchTerm)
+                .map(doc => ({
+                    ...doc,
+                    _type: ContentTypes.byCollection(doc._collection).type,
+                    subtitle: doc.company?.companyName || doc.sector || doc.source || doc.author
+                }))
+                .slice(0, limit);
         } catch (error) {
-            console.error('Search error:', error);
+            if (!RequestManager.isAbort(error)) {
+                console.error('Search error:', error);
+            }
             return [];
         }
     }
 
     // DASHBOARD STATS
-    async getDashboardStats() {
+    getDashboardStats() {
+        return this.cached(
+            this.allCollections(),
+            this.getCacheKey('stats'),
+            provider => provider.getDashboardStats(),
+            fallback => fallback.getDashboardStats()
+        );
+    }
+
+    // RECENT UPDATES (merged feed across collections)
+    getRecentUpdates(limit = 5) {
+        return this.cached(
+            this.allCollections(),
+            this.getCacheKey('recent', { limit }),
+            provider => provider.getRecentUpdates(limit),
+            fallback => fallback.getRecentUpdates(limit)
+        );
+    }
+
+    // FEATURED CONTENT
+    getFeaturedContent() {
+        return this.cached(
+            this.allCollections(),
+            this.getCacheKey('featured'),
+            provider => provider.getFeaturedContent(),
+            fallback => fallback.getFeaturedContent()
+        );
+    }
+
+    // ACCOUNTS
+    /**
+     * Check the session the provider kept from an earlier visit. Never
+     * rejects: when the backend can't be reached the visitor is treated
+     * as signed out.
+     */
+    async restoreSession() {
         try {
-            const [opportunities, companies, regulatory, articles] = await Promise.all([
-                this.databases.listDocuments(this.databaseId, this.collections.opportunities, [Appwrite.Query.limit(1)]),
-                this.databases.listDocuments(this.databaseId, this.collections.companies, [Appwrite.Query.limit(1)]),
-                this.databases.listDocuments(this.databaseId, this.collections.regulatory, [Appwrite.Query.limit(1)]),
-                this.databases.listDocuments(this.databaseId, this.collections.articles, [Appwrite.Query.limit(1)])
-            ]);
-
-            return {
-                totalOpportunities: opportunities.total,
-                totalCompanies: companies.total,
-                totalUpdates: regulatory.total,
-                totalArticles: articles.total
-            };
+            this.setUser(await this.provider.getCurrentUser());
         } catch (error) {
-            console.error('Error fetching dashboard stats:', error);
-            return {
-                totalOpportunities: 156,
-                totalCompanies: 89,
-                totalUpdates: 24,
-                totalArticles: 12
-            };
+            console.warn('Could not restore session:', error);
         }
+        return this.user;
     }
 
-    // FEATURED CONTENT
-    async getFeaturedContent() {
+    // The signed-in user or null, once the stored session has been checked
+    async getCurrentUser() {
+        await this.session;
+        return this.user;
+    }
+
+    // Dispatches `authChanged` on document with { user } when it changes
+    setUser(user) {
+        const changed = user?.$id !== this.user?.$id;
+        this.user = user;
+
+        if (changed) {
+            document.dispatchEvent(new CustomEvent('authChanged', {
+                detail: { user }
+            }));
+        }
+    }
+
+    async signUp({ name, email, password }) {
+        await this.session;
+        const user = await this.provider.signUp({
+            name: name.trim(),
+            email: email.trim(),
+            password
+        });
+        this.setUser(user);
+        return user;
+    }
+
+    async logIn({ email, password }) {
+        await this.session;
+        const user = await this.provider.logIn({ email: email.trim(), password });
+        this.setUser(user);
+        return user;
+    }
+
+    // Signed out locally even if the backend can't be told
+    async logOut() {
         try {
-            const [featuredOpportunities, featuredCompanies, latestUpdates, recentArticles] = await Promise.all([
-                this.databases.listDocuments(this.databaseId, this.collections.opportunities, [
-                    Appwrite.Query.equal('featured', true),
-                    Appwrite.Query.limit(3)
-                ]),
-                this.databases.listDocuments(this.databaseId, this.collections.companies, [
-                    Appwrite.Query.equal('featured', true),
-                    Appwrite.Query.limit(6)
-                ]),
-                this.databases.listDocuments(this.databaseId, this.collections.regulatory, [
-                    Appwrite.Query.orderDesc('publishedDate'),
-                    Appwrite.Query.limit(3)
-                ]),
-                this.databases.listDocuments(this.databaseId, this.collections.articles, [
-                    Appwrite.Query.orderDesc('publishedDate'),
-                    Appwrite.Query.limit(3)
-                ])
-            ]);
-
-            return {
-                featuredOpportunities: featuredOpportunities.documents,
-                featuredCompanies: featuredCompanies.documents,
-                latestUpdates: latestUpdates.documents,
-                recentArticles: recentArticles.documents
-            };
+            await this.provider.logOut();
         } catch (error) {
-            console.error('Error fetching featured content:', error);
-            return this.getMockFeaturedContent();
+            console.warn('Logout request failed:', error);
         }
+        this.setUser(null);
+
+        // Cached responses (IndexedDB and memory) and the content the
+        // service worker saved for offline use go too (sw.js)
+        await this.clearCache();
+        navigator.serviceWorker?.controller?.postMessage({ type: 'logout' });
+    }
+
+    // The emailed link leads back to this page's #reset-password route
+    requestPasswordReset(email) {
+        const resetUrl = `${location.origin}${location.pathname}#reset-password`;
+        return this.provider.requestPasswordReset(email.trim(), resetUrl);
+    }
+
+    resetPassword(params, password) {
+        return this.provider.resetPassword(params, password);
+    }
+
+    // MODERATION (js/moderation.js). Submissions are never cached.
+    getModerationQueue(status = 'pending') {
+        return this.provider.getModerationQueue(status);
+    }
+
+    // Approving publishes the item, so its collection's lists are reloaded
+    async reviewSubmission(type, id, { action, reason = '' }) {
+        const submission = await this.provider.reviewSubmission(type, id, {
+            action,
+            reason
+        });
+        await this.clearCacheByCollection(ContentTypes.get(type).collection);
+        return submission;
+    }
+
+    getModerationHistory(type, id) {
+        return this.provider.getModerationHistory(type, id);
+    }
+
+    getMySubmissions() {
+        return this.provider.getMySubmissions();
+    }
+
+    resubmit(type, id, data) {
+        return this.provider.resubmit(type, id, data);
+    }
+
+    // NCDMB VERIFICATION (js/ncdmb.js). Verifications are never cached;
+    // requests and decisions change companies' badges, so their lists are
+    // reloaded.
+    getVerification(companyId) {
+        return this.provider.getVerification(companyId);
+    }
+
+    async requestVerification(companyId, request) {
+        const verification = await this.provider.requestVerification(
+            companyId,
+            request
+        );
+        await this.clearCacheByCollection('companies');
+        return verification;
+    }
+
+    getVerificationQueue(status = 'pending') {
+        return this.provider.getVerificationQueue(status);
+    }
+
+    async reviewVerification(companyId, { action, reason = '', expiresAt }) {
+        const verification = await this.provider.reviewVerification(
+            companyId,
+            { action, reason, expiresAt }
+        );
+        await this.clearCacheByCollection('companies');
+        return verification;
+    }
+
+    // COMPANY CLAIMS (js/claims.js). Never cached; approved claims and
+    // edits change the company, so its lists are reloaded.
+    async claimCompany(companyId, claim) {
+        const result = await this.provider.claimCompany(companyId, claim);
+        await this.clearCacheByCollection('companies');
+        return result;
+    }
+
+    getMyClaims() {
+        return this.provider.getMyClaims();
+    }
+
+    getClaimQueue(status = 'pending') {
+        return this.provider.getClaimQueue(status);
+    }
+
+    async reviewClaim(claimId, { action, reason = '' }) {
+        const claim = await this.provider.reviewClaim(claimId, { action, reason });
+        await this.clearCacheByCollection('companies');
+        return claim;
+    }
+
+    getCompanyEdits(companyId) {
+        return this.provider.getCompanyEdits(companyId);
+    }
+
+    proposeCompanyEdit(companyId, changes) {
+        return this.provider.proposeCompanyEdit(companyId, changes);
+    }
+
+    getCompanyEditQueue(status = 'pending') {
+        return this.provider.getCompanyEditQueue(status);
+    }
+
+    async reviewCompanyEdit(editId, { action, reason = '' }) {
+        const edit = await this.provider.reviewCompanyEdit(editId, {
+            action,
+            reason
+        });
+        await this.clearCacheByCollection('companies');
+        return edit;
+    }
+
+    // SAVED SEARCHES AND ALERTS (js/saved-searches.js). Never cached.
+    getSavedSearches() {
+        return this.provider.getSavedSearches();
+    }
+
+    saveSearch(search) {
+        return this.provider.saveSearch(search);
+    }
+
+    updateSavedSearch(id, changes) {
+        return this.provider.updateSavedSearch(id, changes);
+    }
+
+    async deleteSavedSearch(id) {
+        await this.provider.deleteSavedSearch(id);
+        return this.getNotifications();
+    }
+
+    /**
+     * The signed-in user's notifications, newest first. Calls made while
+     * one is running share it. Dispatches `notificationsChanged` on
+     * document with `{ notifications, unread }`.
+     */
+    getNotifications() {
+        if (!this.notificationCheck) {
+            this.notificationCheck = this.provider
+                .getNotifications()
+                .then(notifications => {
+                    document.dispatchEvent(new CustomEvent('notificationsChanged', {
+                        detail: {
+                            notifications,
+                            unread: notifications.filter(n => !n.read).length
+                        }
+                    }));
+                    return notifications;
+                })
+                .finally(() => {
+                    this.notificationCheck = null;
+                });
+        }
+        return this.notificationCheck;
+    }
+
+    // Mark `ids` (all when null) as read; resolves to the updated list
+    async markNotificationsRead(ids = null) {
+        await this.provider.markNotificationsRead(ids);
+        return this.getNotifications();
+    }
+
+    // BOOKMARKS (js/bookmarks.js). Account data, never cached.
+    syncBookmarks(bookmarks) {
+        return this.provider.syncBookmarks(bookmarks);
     }
 
     // FILE UPLOAD (for images, documents)
     async uploadFile(file) {
         try {
-            const fileId = Appwrite.ID.unique();
-            const response = await this.storage.createFile(
-                'media', // bucket ID
-                fileId,
-                file
-            );
-            return response;
+            return await this.provider.uploadFile(file);
         } catch (error) {
             console.error('File upload error:', error);
             throw error;
@@ -473,7 +754,16 @@ class AppwriteAPIService {
     }
 
     getFileUrl(fileId) {
-        return `${this.endpoint}/storage/buckets/media/files/${fileId}/view?project=${this.projectId}`;
+        return this.provider.getFileUrl(fileId);
+    }
+
+    // Resized image URL; see js/images.js for srcset and <img> markup
+    getImageUrl(fileId, transform = {}) {
+        return this.provider.getImageUrl(fileId, transform);
+    }
+
+    supportsImageTransforms() {
+        return this.provider.supportsImageTransforms;
     }
 
     // UTILITY METHODS
@@ -491,7 +781,7 @@ class AppwriteAPIService {
         const now = new Date();
         const diffTime = now - date;
         const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-        
+
         if (diffDays === 0) return 'Today';
         if (diffDays === 1) return 'Yesterday';
         if (diffDays < 7) return `${diffDays} days ago`;
@@ -500,103 +790,24 @@ class AppwriteAPIService {
         return `${Math.floor(diffDays / 365)} years ago`;
     }
 
-    clearCache() {
-        this.cache.clear();
-        console.log('API cache cleared');
+    // Entries spanning every collection (stats, feeds)
+    allCollections() {
+        return ContentTypes.all().map(definition => definition.collection);
     }
 
-    clearCacheByCollection(collection) {
-        const keysToDelete = [];
-        for (const [key] of this.cache.entries()) {
-            if (key.includes(collection)) {
-                keysToDelete.push(key);
-            }
-        }
-        keysToDelete.forEach(key => this.cache.delete(key));
-    }
-
-    // MOCK DATA FALLBACKS
-    getMockOpportunities() {
-        return [
-            {
-                $id: 'mock-opp-1',
-                title: 'Senior Reservoir Engineer - Lagos',
-                description: 'Lead reservoir modeling and simulation projects for offshore oil fields. Minimum 8 years experience required.',
-                opportunityType: 'Job',
-                closingDate: '2024-09-15',
-                location: 'Lagos, Nigeria',
-                company: { companyName: 'Shell Nigeria', sector: 'Upstream' },
-                $createdAt: '2024-08-22T10:00:00.000Z'
-            },
-            {
-                $id: 'mock-opp-2',
-                title: 'Equipment Supply Contract - $50M',
-                description: 'Supply and maintenance of drilling equipment for deep water operations.',
-                opportunityType: 'Tender',
-                closingDate: '2024-09-30',
-                location: 'Port Harcourt, Nigeria',
-                company: { companyName: 'TotalEnergies', sector: 'Upstream' },
-                $createdAt: '2024-08-21T10:00:00.000Z'
-            }
-        ];
-    }
-
-    getMockCompanies() {
-        return [
-            {
-                $id: 'mock-comp-1',
-                companyName: 'Shell Petroleum Development Company',
-                sector: 'Upstream',
-                description: 'Leading international oil and gas company operating in Nigeria since 1936.',
-                ncdmbNumber: 'NCDMB-001-2024',
-                website: 'https://shell.com.ng'
-            },
-            {
-                $id: 'mock-comp-2',
-                companyName: 'TotalEnergies Nigeria',
-                sector: 'Upstream',
-                description: 'French multinational integrated energy company.',
-                ncdmbNumber: 'NCDMB-002-2024',
-                website: 'https://totalenergies.com.ng'
-            }
-        ];
+    async clearCache() {
+        await this.cache.clear();
     }
 
-    getMockRegulatory() {
-        return [
-            {
-                $id: 'mock-reg-1',
-                title: 'New Environmental Impact Assessment Guidelines',
-                source: 'NUPRC',
-                summary: 'Updated EIA requirements for oil and gas operations.',
-                publishedDate: '2024-08-22'
-            }
-        ];
-    }
-
-    getMockArticles() {
-        return [
-            {
-                $id: 'mock-art-1',
-                title: 'Nigeria\'s Oil Production Reaches New Heights',
-                summary: 'NNPC reports significant increase in daily production capacity.',
-                author: 'Energy Analytics Team',
-                publishedDate: '2024-08-22',
-                tags: ['Production', 'NNPC', 'Oil']
-            }
-        ];
-    }
-
-    getMockFeaturedContent() {
-        return {
-            featuredOpportunities: this.getMockOpportunities().slice(0, 2),
-            featuredCompanies: this.getMockCompanies(),
-            latestUpdates: this.getMockRegulatory(),
-            recentArticles: this.getMockArticles()
-        };
+    clearCacheByCollection(collection) {
+        return this.cache.deleteCollection(collection);
     }
 }
 
 // Initialize and export
-const appwriteAPI = new AppwriteAPIService();
-window.appwriteAPI = appwriteAPI;
\ No newline at end of file
+const contentAPI = new ContentAPIService();
+window.ContentAPIService = ContentAPIService;
+window.contentAPI = contentAPI;
+
+// Deprecated alias kept for scripts written against the Appwrite-only service
+window.appwriteAPI = contentAPI;
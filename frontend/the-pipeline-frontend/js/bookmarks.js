@@ -0,0 +1,197 @@
+/**
+ * THE PIPELINE - BOOKMARKS
+ * Saved opportunities, companies, regulatory updates and articles. Kept
+ * in localStorage so visitors can save without an account, and synced to
+ * the signed-in user's account so saves follow them between devices.
+ */
+
+// localStorage key for this browser's bookmarks
+const BOOKMARKS_KEY = "pipeline:bookmarks";
+
+// Removals are remembered this long so a sync doesn't bring them back
+const BOOKMARK_TOMBSTONE_DAYS = 90;
+
+// Most bookmarks kept per list; the oldest go first
+const BOOKMARK_LIMIT = 500;
+
+/**
+ * A bookmark is `{ type, id, title, savedAt }`: the content type key (see
+ * js/content-types.js), the document ID, its title when saved (shown if
+ * the document disappears) and an ISO date. A removed bookmark keeps its
+ * entry with `removedAt` set, so lists can be merged without losing
+ * removals: per item, whichever change is newest wins.
+ */
+class Bookmarks {
+    static key(type, id) {
+        return `${type}:${id}`;
+    }
+
+    static changedAt(bookmark) {
+        return bookmark.removedAt || bookmark.savedAt;
+    }
+
+    static isSaved(bookmark) {
+        return !bookmark.removedAt;
+    }
+
+    /**
+     * Merge bookmark lists (e.g. this browser's and the account's): the
+     * newest change to each item wins, old removals are dropped and at
+     * most BOOKMARK_LIMIT saved items are kept. Newest first.
+     */
+    static merge(...lists) {
+        const merged = new Map();
+
+        lists.flat().forEach(bookmark => {
+            if (!bookmark || !CONTENT_TYPES[bookmark.type] || !bookmark.id) {
+                return;
+            }
+
+            const key = Bookmarks.key(bookmark.type, bookmark.id);
+            const current = merged.get(key);
+            if (
+                !current ||
+                Bookmarks.changedAt(bookmark) > Bookmarks.changedAt(current)
+            ) {
+                merged.set(key, bookmark);
+            }
+        });
+
+        const cutoff = new Date(
+            Date.now() - BOOKMARK_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000
+        ).toISOString();
+        const sorted = [...merged.values()]
+            .filter(
+                bookmark =>
+                    Bookmarks.isSaved(bookmark) || bookmark.removedAt > cutoff
+            )
+            .sort((a, b) =>
+                Bookmarks.changedAt(b).localeCompare(Bookmarks.changedAt(a))
+            );
+
+        const saved = sorted.filter(Bookmarks.isSaved).slice(0, BOOKMARK_LIMIT);
+        return sorted.filter(
+            bookmark => !Bookmarks.isSaved(bookmark) || saved.includes(bookmark)
+        );
+    }
+}
+
+/**
+ * This browser's bookmarks. While a user is signed in every change is
+ * merged into their account; signing in merges what was saved before,
+ * and signing out clears the account's bookmarks from the browser.
+ * Dispatches `bookmarksChanged` on document when the list changes.
+ */
+class BookmarkStore {
+    constructor(api = window.contentAPI) {
+        this.api = api;
+        this.entries = this.read();
+
+        // Account the bookmarks are synced to, once its session is known
+        this.userId = null;
+
+        this.api.getCurrentUser().then(user => this.handleAuthChanged(user));
+        document.addEventListener("authChanged", e =>
+            this.handleAuthChanged(e.detail.user)
+        );
+    }
+
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(BOOKMARKS_KEY));
+            return Bookmarks.merge(Array.isArray(stored) ? stored : []);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    write() {
+        try {
+            localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            // localStorage unavailable; bookmarks last until reload
+        }
+    }
+
+    // Saved bookmarks, newest first, optionally of one content type
+    all(type = null) {
+        return this.entries.filter(
+            bookmark =>
+                Bookmarks.isSaved(bookmark) && (!type || bookmark.type === type)
+        );
+    }
+
+    has(type, id) {
+        return this.all().some(
+            bookmark => bookmark.type === type && bookmark.id === String(id)
+        );
+    }
+
+    // Save or unsave a document; resolves to whether it is now saved
+    toggle(type, id, title = "") {
+        const saved = !this.has(type, id);
+        const now = new Date().toISOString();
+
+        this.update(
+            saved
+                ? { type, id: String(id), title, savedAt: now }
+                : { type, id: String(id), title, savedAt: now, removedAt: now }
+        );
+        return saved;
+    }
+
+    remove(type, id) {
+        if (this.has(type, id)) this.toggle(type, id);
+    }
+
+    update(bookmark) {
+        this.setEntries(Bookmarks.merge([bookmark], this.entries));
+        if (this.userId) this.sync();
+    }
+
+    setEntries(entries) {
+        const changed = JSON.stringify(entries) !== JSON.stringify(this.entries);
+        this.entries = entries;
+        this.write();
+
+        if (changed) {
+            document.dispatchEvent(
+                new CustomEvent("bookmarksChanged", {
+                    detail: { bookmarks: this.all() }
+                })
+            );
+        }
+    }
+
+    /**
+     * Merge this browser's bookmarks with the account's. Failures are only
+     * logged: the changes stay here and go up with the next sync.
+     */
+    async sync() {
+        const userId = this.userId;
+
+        try {
+            const stored = await this.api.syncBookmarks(this.entries);
+            if (userId !== this.userId) return;
+            this.setEntries(Bookmarks.merge(this.entries, stored));
+        } catch (error) {
+            console.warn("Could not sync bookmarks:", error);
+        }
+    }
+
+    handleAuthChanged(user) {
+        if (user && user.$id !== this.userId) {
+            this.userId = user.$id;
+            this.sync();
+        } else if (!user && this.userId) {
+            this.userId = null;
+            this.setEntries([]);
+        }
+    }
+}
+
+const bookmarks = new BookmarkStore();
+
+window.Bookmarks = Bookmarks;
+window.BookmarkStore = BookmarkStore;
+window.bookmarks = bookmarks;
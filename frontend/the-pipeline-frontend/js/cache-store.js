@@ -0,0 +1,151 @@
+/**
+ * THE PIPELINE - PERSISTENT CACHE
+ * IndexedDB-backed response cache that survives reloads, with an
+ * in-memory layer in front. Entries are tagged with the collections they
+ * were built from so a write can invalidate exactly those entries.
+ */
+
+class PersistentCache {
+    constructor({ dbName = "pipeline-cache", storeName = "responses" } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+
+        // Entries read or written this session
+        this.memory = new Map();
+
+        // Resolves to the database, or null when IndexedDB is unavailable
+        // (private browsing, old browsers); the cache then lives in memory
+        this.ready = this.open();
+    }
+
+    open() {
+        if (!window.indexedDB) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, {
+                    keyPath: "key"
+                });
+                store.createIndex("collections", "collections", {
+                    multiEntry: true
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn("IndexedDB unavailable, caching in memory:", request.error);
+                resolve(null);
+            };
+            request.onblocked = () => resolve(null);
+        });
+    }
+
+    // Run `operation(store)` in a transaction; resolves with the request result
+    async transaction(mode, operation) {
+        const db = await this.ready;
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Entry for `key` ({ key, collections, data, timestamp }) or null.
+     * Storage errors are logged and treated as a miss.
+     */
+    async get(key) {
+        if (this.memory.has(key)) return this.memory.get(key);
+
+        try {
+            const entry = await this.transaction("readonly", store =>
+                store.get(key)
+            );
+            if (entry) this.memory.set(key, entry);
+            return entry || null;
+        } catch (error) {
+            console.warn(`Cache read failed for ${key}:`, error);
+            return null;
+        }
+    }
+
+    async set(entry) {
+        this.memory.set(entry.key, entry);
+
+        try {
+            await this.transaction("readwrite", store => store.put(entry));
+        } catch (error) {
+            // Quota exceeded or data not cloneable; the memory copy still serves
+            console.warn(`Cache write failed for ${entry.key}:`, error);
+        }
+    }
+
+    // Drop every entry tagged with `collection`
+    async deleteCollection(collection) {
+        for (const [key, entry] of this.memory.entries()) {
+            if (entry.collections.includes(collection)) {
+                this.memory.delete(key);
+            }
+        }
+
+        try {
+            await this.transaction("readwrite", store => {
+                const request = store
+                    .index("collections")
+                    .openKeyCursor(IDBKeyRange.only(collection));
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        store.delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+                return null;
+            });
+        } catch (error) {
+            console.warn(`Cache invalidation failed for ${collection}:`, error);
+        }
+    }
+
+    // Drop entries written before `cutoff` (ms timestamp)
+    async prune(cutoff) {
+        for (const [key, entry] of this.memory.entries()) {
+            if (entry.timestamp < cutoff) this.memory.delete(key);
+        }
+
+        try {
+            await this.transaction("readwrite", store => {
+                const request = store.openCursor();
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (cursor.value.timestamp < cutoff) cursor.delete();
+                    cursor.continue();
+                };
+                return null;
+            });
+        } catch (error) {
+            console.warn("Cache pruning failed:", error);
+        }
+    }
+
+    async clear() {
+        this.memory.clear();
+
+        try {
+            await this.transaction("readwrite", store => store.clear());
+        } catch (error) {
+            console.warn("Cache clear failed:", error);
+        }
+    }
+}
+
+window.PersistentCache = PersistentCache;
@@ -0,0 +1,299 @@
+/**
+ * THE PIPELINE - COMPANY CLAIMS
+ * Claiming a company profile and editing it. A signed-in user claims a
+ * profile from its page (#account/companies/:id/claim) with a work email
+ * on the company's website domain or with documents an editor checks.
+ * Once the claim is approved they are the company's admin: their edits
+ * (#account/companies/:id/edit) wait for an editor before going live.
+ */
+
+// Claims and proposed edits wait for an editor like submissions do
+const CLAIM_STATUSES = {
+    pending: { label: "Pending review", badge: "badge-secondary" },
+    approved: { label: "Approved", badge: "badge-success" },
+    rejected: { label: "Rejected", badge: "badge-closed" }
+};
+
+const CLAIM_METHODS = {
+    email: {
+        label: "Work email",
+        hint: "Your account's email address is on the company's website domain."
+    },
+    document: {
+        label: "Documents",
+        hint: "An employment letter, company ID or letter of authority an editor can check."
+    }
+};
+
+// Claims, edits and decisions on them, as recorded in the company's history
+const CLAIM_ACTIONS = {
+    claim: { label: "Profile claimed" },
+    "approve-claim": { label: "Claim approved" },
+    "reject-claim": { label: "Claim rejected", needsReason: true },
+    "propose-edit": { label: "Edit proposed" },
+    "approve-edit": { label: "Edit approved" },
+    "reject-edit": { label: "Edit rejected", needsReason: true }
+};
+
+// Webmail addresses say nothing about who someone works for
+const PUBLIC_EMAIL_DOMAINS = [
+    "gmail.com",
+    "googlemail.com",
+    "yahoo.com",
+    "ymail.com",
+    "outlook.com",
+    "hotmail.com",
+    "live.com",
+    "icloud.com",
+    "aol.com",
+    "proton.me",
+    "protonmail.com"
+];
+
+// Profile fields a company admin may change, with their labels
+const COMPANY_EDIT_FIELDS = {
+    description: "About",
+    servicesOffered: "Services offered",
+    projects: "Recent projects",
+    logo: "Logo",
+    website: "Website",
+    contactEmail: "Contact email",
+    location: "Location"
+};
+
+const PROJECT_STATUSES = ["Completed", "Ongoing", "Planned"];
+
+const COMPANY_LOGO_FILE = {
+    maxSize: 2 * 1024 * 1024,
+    extensions: [".png", ".jpg", ".jpeg", ".webp", ".svg"]
+};
+
+// Services and projects a profile lists at most
+const COMPANY_LIST_LIMIT = 12;
+
+/**
+ * Companies carry `claimed` (whether anyone manages the profile) and,
+ * where the backend exposes it, `claimedBy` (the admin's user ID).
+ * Claims come back from providers as `{ $id, companyId, companyName,
+ * method, status, reviewNote, emailMatches, documents, claimant,
+ * $createdAt, $updatedAt }`, proposed edits as `{ $id, companyId,
+ * companyName, changes, status, reviewNote, submitter, company,
+ * $createdAt, $updatedAt }` with `company` the live profile.
+ */
+class Claims {
+    static get statuses() {
+        return CLAIM_STATUSES;
+    }
+
+    static get methods() {
+        return CLAIM_METHODS;
+    }
+
+    static get actions() {
+        return CLAIM_ACTIONS;
+    }
+
+    static get editFields() {
+        return COMPANY_EDIT_FIELDS;
+    }
+
+    static get projectStatuses() {
+        return PROJECT_STATUSES;
+    }
+
+    static get logoFile() {
+        return COMPANY_LOGO_FILE;
+    }
+
+    static statusLabel(status) {
+        return CLAIM_STATUSES[status]?.label || status;
+    }
+
+    // "example.com" for "https://www.example.com/about", or null
+    static domainOf(website) {
+        try {
+            return new URL(website).hostname.toLowerCase().replace(/^www\./, "");
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether `email` is on the domain of `website` (or a subdomain of
+     * it). Webmail addresses never match, even for a webmail company.
+     */
+    static emailMatches(email, website) {
+        const domain = Claims.domainOf(website);
+        const emailDomain = String(email || "")
+            .split("@")[1]
+            ?.toLowerCase();
+
+        if (!domain || !emailDomain) return false;
+        if (PUBLIC_EMAIL_DOMAINS.includes(emailDomain)) return false;
+        return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+    }
+
+    // Editors, the company's submitter and whoever claimed it manage its profile
+    static isAdmin(user, company) {
+        return Boolean(
+            user &&
+                company &&
+                (Moderation.isEditor(user) ||
+                    company.submittedBy === user.$id ||
+                    company.claimedBy === user.$id)
+        );
+    }
+
+    /**
+     * Problems with a claim `{ method, documents }` by `user` (documents
+     * being Files) as { field: message }. Empty when it can be sent.
+     */
+    static validateClaim({ method, documents = [] }, user, company) {
+        if (method === "email") {
+            const domain = Claims.domainOf(company.website);
+            if (!Claims.emailMatches(user.email, company.website)) {
+                return {
+                    method: domain
+                        ? `Your account's email isn't on ${domain}. Send documents instead.`
+                        : "This company lists no website. Send documents instead."
+                };
+            }
+            return {};
+        }
+
+        if (method === "document") {
+            const error =
+                documents.length === 0
+                    ? "Attach a document that shows you work for the company."
+                    : Ncdmb.documentsError(documents);
+            return error ? { documents: error } : {};
+        }
+
+        return { method: "Choose how to prove you work for the company." };
+    }
+
+    /**
+     * The profile edit form's values as company fields: services one per
+     * line, projects without untitled rows, `logo` the selected File or
+     * null.
+     */
+    static toProfile(data) {
+        const text = value => String(value || "").trim();
+
+        return {
+            description: text(data.description),
+            servicesOffered: text(data.servicesOffered)
+                .split("\n")
+                .map(service => service.trim())
+                .filter(Boolean),
+            projects: (data.projects || [])
+                .map(project => ({
+                    title: text(project.title),
+                    description: text(project.description),
+                    status: project.status
+                }))
+                .filter(project => project.title),
+            website: text(data.website),
+            contactEmail: text(data.contactEmail),
+            location: text(data.location),
+            logo: data.logo || null
+        };
+    }
+
+    // Problems with a profile from toProfile() as { field: message }
+    static validateProfile(profile) {
+        const errors = {};
+        const { maxSize, extensions } = COMPANY_LOGO_FILE;
+
+        if (profile.description.length < 40) {
+            errors.description = "Describe the company in at least 40 characters.";
+        }
+        if (profile.servicesOffered.length > COMPANY_LIST_LIMIT) {
+            errors.servicesOffered = `List at most ${COMPANY_LIST_LIMIT} services.`;
+        }
+        if (profile.projects.length > COMPANY_LIST_LIMIT) {
+            errors.projects = `List at most ${COMPANY_LIST_LIMIT} projects.`;
+        } else if (
+            profile.projects.some(
+                project => !PROJECT_STATUSES.includes(project.status)
+            )
+        ) {
+            errors.projects = "Choose a status for each project.";
+        }
+        if (profile.website && !OpportunityForm.isWebUrl(profile.website)) {
+            errors.website = "Enter a full link starting with https://";
+        }
+        if (profile.contactEmail && !EMAIL_PATTERN.test(profile.contactEmail)) {
+            errors.contactEmail = "Enter a valid email address.";
+        }
+        if (profile.logo) {
+            const { name, size } = profile.logo;
+            const extension = name.slice(name.lastIndexOf(".")).toLowerCase();
+            if (!extensions.includes(extension)) {
+                errors.logo = `${name} isn't a PNG, JPEG, WebP or SVG image.`;
+            } else if (size > maxSize) {
+                errors.logo = `${name} is larger than ${maxSize / 1024 / 1024} MB.`;
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * The fields of `profile` that differ from `company`, as a proposed
+     * edit sends them. The logo is left out: it's uploaded first and
+     * added as a file reference.
+     */
+    static changesOf(company, profile) {
+        const normalize = value =>
+            JSON.stringify(
+                Array.isArray(value)
+                    ? value.map(item =>
+                          typeof item === "object"
+                              ? {
+                                    title: item.title || "",
+                                    description: item.description || "",
+                                    status: item.status || ""
+                                }
+                              : item
+                      )
+                    : value || ""
+            );
+
+        return Object.fromEntries(
+            Object.keys(COMPANY_EDIT_FIELDS)
+                .filter(field => field !== "logo")
+                .filter(
+                    field =>
+                        normalize(profile[field]) !== normalize(company[field])
+                )
+                .map(field => [field, profile[field]])
+        );
+    }
+
+    /**
+     * The status a pending claim or edit moves to with `action`. Throws,
+     * with a message for the user, when the action doesn't apply or a
+     * required reason is missing.
+     */
+    static transition(status, action, reason = "") {
+        const rule = CLAIM_ACTIONS[action];
+        const to = { approve: "approved", reject: "rejected" }[
+            action.split("-")[0]
+        ];
+
+        if (!rule || !to) throw new Error(`Unknown decision "${action}".`);
+        if (status !== "pending") {
+            throw new Error(
+                `This is ${Claims.statusLabel(status).toLowerCase()} already.`
+            );
+        }
+        if (rule.needsReason && !reason.trim()) {
+            throw new Error("Tell the user why.");
+        }
+        return to;
+    }
+}
+
+window.CLAIM_STATUSES = CLAIM_STATUSES;
+window.Claims = Claims;
@@ -0,0 +1,73 @@
+/**
+ * THE PIPELINE - CLOSING DATES
+ * When opportunities close: whether one has, how soon it will and the
+ * urgency badge its card and detail page show
+ */
+
+// Opportunities closing within this many days get a "Closing in N days" badge
+const CLOSING_SOON_DAYS = 14;
+
+// ...which turns urgent within this many
+const CLOSING_URGENT_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dates are compared as calendar days (YYYY-MM-DD, UTC) like the list
+ * filters: an opportunity is open through its closing date and closed
+ * from the day after. Opportunities without a closing date stay open.
+ */
+class ClosingDates {
+    static today(now = new Date()) {
+        return now.toISOString().slice(0, 10);
+    }
+
+    // Days until the closing date: 0 on the day, negative once closed,
+    // null without one
+    static daysLeft(closingDate, now = new Date()) {
+        if (!closingDate) return null;
+
+        const closes = Date.parse(String(closingDate).slice(0, 10));
+        if (Number.isNaN(closes)) return null;
+        const today = Date.parse(ClosingDates.today(now));
+        return Math.round((closes - today) / DAY_MS);
+    }
+
+    // Backends that archive closed opportunities set `status: "closed"`
+    static isClosed(opportunity, now = new Date()) {
+        const daysLeft = ClosingDates.daysLeft(opportunity.closingDate, now);
+        return (
+            opportunity.status === "closed" ||
+            (daysLeft !== null && daysLeft < 0)
+        );
+    }
+
+    /**
+     * `{ label, badge }` for a closed opportunity or one closing within
+     * CLOSING_SOON_DAYS, null otherwise
+     */
+    static urgency(opportunity, now = new Date()) {
+        if (ClosingDates.isClosed(opportunity, now)) {
+            return { label: "Closed", badge: "badge-closed" };
+        }
+
+        const daysLeft = ClosingDates.daysLeft(opportunity.closingDate, now);
+        if (daysLeft === null || daysLeft > CLOSING_SOON_DAYS) return null;
+
+        const label =
+            daysLeft === 0
+                ? "Closes today"
+                : daysLeft === 1
+                ? "Closes tomorrow"
+                : `Closing in ${daysLeft} days`;
+        return {
+            label,
+            badge:
+                daysLeft <= CLOSING_URGENT_DAYS
+                    ? "badge-warning"
+                    : "badge-secondary"
+        };
+    }
+}
+
+window.ClosingDates = ClosingDates;
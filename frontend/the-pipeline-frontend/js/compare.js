@@ -0,0 +1,195 @@
+/**
+ * THE PIPELINE - COMPANY COMPARISON
+ * A shortlist of directory companies compared side by side at
+ * #directory/compare?ids=a,b,c. The shortlist is kept in localStorage so
+ * it survives moving between the directory and company pages.
+ */
+
+// localStorage key for this browser's shortlist
+const COMPARE_KEY = "pipeline:compare";
+
+// Most companies compared at once; more don't fit a printed page
+const COMPARE_LIMIT = 4;
+
+// Contact details a complete profile has
+const COMPARE_CONTACT_FIELDS = {
+    website: "website",
+    contactEmail: "email",
+    location: "location"
+};
+
+/**
+ * The shortlist and the comparison built from it. Changes dispatch
+ * `compareChanged` on document with the shortlisted IDs.
+ */
+class Compare {
+    static get limit() {
+        return COMPARE_LIMIT;
+    }
+
+    // Route comparing `ids`
+    static route(ids = Compare.ids()) {
+        return `directory/compare?ids=${ids.map(encodeURIComponent).join(",")}`;
+    }
+
+    // IDs from a route's `ids` param: unique, at most COMPARE_LIMIT
+    static parseIds(value = "") {
+        return [
+            ...new Set(
+                String(value)
+                    .split(",")
+                    .map(id => id.trim())
+                    .filter(Boolean)
+            )
+        ].slice(0, COMPARE_LIMIT);
+    }
+
+    // Shortlisted company IDs, in the order they were added
+    static ids() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(COMPARE_KEY));
+            return Array.isArray(stored)
+                ? Compare.parseIds(stored.filter(id => typeof id === "string").join(","))
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static has(id) {
+        return Compare.ids().includes(String(id));
+    }
+
+    static set(ids) {
+        const next = Compare.parseIds(ids.join(","));
+        const changed = JSON.stringify(next) !== JSON.stringify(Compare.ids());
+
+        try {
+            localStorage.setItem(COMPARE_KEY, JSON.stringify(next));
+        } catch (error) {
+            // localStorage unavailable; the shortlist lasts until reload
+        }
+
+        if (changed) {
+            document.dispatchEvent(
+                new CustomEvent("compareChanged", { detail: { ids: next } })
+            );
+        }
+    }
+
+    /**
+     * Add or remove a company; returns whether it's now shortlisted.
+     * Throws, with a message for the user, when the shortlist is full.
+     */
+    static toggle(id) {
+        const ids = Compare.ids();
+        const key = String(id);
+
+        if (ids.includes(key)) {
+            Compare.set(ids.filter(other => other !== key));
+            return false;
+        }
+        if (ids.length >= COMPARE_LIMIT) {
+            throw new Error(
+                `You can compare up to ${COMPARE_LIMIT} companies. Remove one first.`
+            );
+        }
+
+        Compare.set([...ids, key]);
+        return true;
+    }
+
+    static clear() {
+        Compare.set([]);
+    }
+
+    // Contact details `company` lists, out of COMPARE_CONTACT_FIELDS
+    static contactCompleteness(company) {
+        const fields = Object.keys(COMPARE_CONTACT_FIELDS);
+        const missing = fields.filter(field => !String(company[field] || "").trim());
+        const count = fields.length - missing.length;
+
+        return missing.length === 0
+            ? `Complete (${count} of ${fields.length})`
+            : `${count} of ${fields.length} · no ${missing
+                  .map(field => COMPARE_CONTACT_FIELDS[field])
+                  .join(", ")}`;
+    }
+
+    // Services offered by any of `companies`, once each, alphabetically
+    static services(companies) {
+        const services = new Map();
+
+        companies.forEach(company =>
+            (company.servicesOffered || []).forEach(service => {
+                const key = service.trim().toLowerCase();
+                if (key && !services.has(key)) services.set(key, service.trim());
+            })
+        );
+
+        return [...services.values()].sort((a, b) => a.localeCompare(b));
+    }
+
+    static offers(company, service) {
+        const key = service.toLowerCase();
+        return (company.servicesOffered || []).some(
+            offered => offered.trim().toLowerCase() === key
+        );
+    }
+
+    static projectCount(company, status = null) {
+        return (company.projects || []).filter(
+            project => !status || project.status === status
+        ).length;
+    }
+
+    /**
+     * The comparison of `companies`, given each one's open opportunity
+     * count by ID: sections of `{ label, values, differs }` rows, with one
+     * value per company. Values are strings, numbers or, for services,
+     * booleans.
+     */
+    static sections(companies, openCounts = {}) {
+        const row = (label, value) => {
+            const values = companies.map(value);
+            return {
+                label,
+                values,
+                differs: new Set(values.map(v => JSON.stringify(v))).size > 1
+            };
+        };
+
+        return [
+            {
+                title: "Overview",
+                rows: [
+                    row("Sector", company => company.sector || "—"),
+                    row("NCDMB status", company =>
+                        Ncdmb.statusLabel(Ncdmb.status(company))
+                    ),
+                    row("Open opportunities", company => openCounts[company.$id] || 0),
+                    row("Contact details", company =>
+                        Compare.contactCompleteness(company)
+                    )
+                ]
+            },
+            {
+                title: "Projects",
+                rows: [
+                    row("Recent projects", company => Compare.projectCount(company)),
+                    ...Claims.projectStatuses.map(status =>
+                        row(status, company => Compare.projectCount(company, status))
+                    )
+                ]
+            },
+            {
+                title: "Services offered",
+                rows: Compare.services(companies).map(service =>
+                    row(service, company => Compare.offers(company, service))
+                )
+            }
+        ].filter(section => section.rows.length > 0);
+    }
+}
+
+window.Compare = Compare;
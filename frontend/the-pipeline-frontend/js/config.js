@@ -0,0 +1,76 @@
+/**
+ * THE PIPELINE - RUNTIME CONFIGURATION
+ * Backend connection settings and content provider selection
+ */
+
+(function () {
+    const MINUTE = 60 * 1000;
+
+    const defaults = {
+        // Which content provider backs the site: "appwrite", "strapi" or "fixtures"
+        provider: "appwrite",
+
+        appwrite: {
+            endpoint: "https://cloud.appwrite.io/v1",
+            projectId: "68bf9ed10019de00e1d5",
+            databaseId: "68bfa1020007a42a4845",
+            bucketId: "media"
+        },
+
+        strapi: {
+            apiUrl: "https://giving-ants-2f29c3b4e4.strapiapp.com/api",
+            apiToken: null
+        },
+
+        // Backend calls (js/request-manager.js): per-attempt timeout, retries
+        // of transient failures, and the backoff base and cap between them
+        requests: {
+            timeout: 10000,
+            retries: 2,
+            retryDelay: 500,
+            maxRetryDelay: 5000
+        },
+
+        // Response cache (js/cache-store.js). Entries younger than their
+        // collection's TTL are served as-is; older ones are served at once
+        // and refreshed in the background, up to `maxStale`.
+        cache: {
+            ttl: {
+                opportunities: 5 * MINUTE,
+                companies: 60 * MINUTE,
+                regulatory: 6 * 60 * MINUTE,
+                articles: 60 * MINUTE,
+                default: 5 * MINUTE
+            },
+            maxStale: 7 * 24 * 60 * MINUTE
+        }
+    };
+
+    // Settings defined inline before this script win over the defaults
+    const overrides = window.PIPELINE_CONFIG || {};
+    const config = {
+        ...defaults,
+        ...overrides,
+        appwrite: { ...defaults.appwrite, ...overrides.appwrite },
+        strapi: { ...defaults.strapi, ...overrides.strapi },
+        requests: { ...defaults.requests, ...overrides.requests },
+        cache: {
+            ...defaults.cache,
+            ...overrides.cache,
+            ttl: { ...defaults.cache.ttl, ...overrides.cache?.ttl }
+        }
+    };
+
+    // Developers can switch backends without editing files:
+    // localStorage.setItem("pipeline:provider", "fixtures")
+    try {
+        const storedProvider = window.localStorage.getItem("pipeline:provider");
+        if (storedProvider) {
+            config.provider = storedProvider;
+        }
+    } catch (error) {
+        // localStorage unavailable (private mode, sandboxed iframe)
+    }
+
+    window.PIPELINE_CONFIG = config;
+})();
@@ -0,0 +1,168 @@
+/**
+ * THE PIPELINE - CONTENT TYPE REGISTRY
+ * One entry per content type: where it's stored, how it's addressed in
+ * URLs, what it's called and how it's rendered. The router, search, quick
+ * search and breadcrumbs all read from here.
+ */
+
+/**
+ * Per type:
+ *   collection    provider collection key (see js/providers)
+ *   idField       document ID field
+ *   routePrefix   hash route; list at `#prefix`, detail at `#prefix/:id`
+ *   label         singular / plural display names
+ *   sectionLabel  name of the list page, used in breadcrumbs
+ *   titleField    field shown as the document's title
+ *   dateField     field used for dates and the search recency boost
+ *   renderCard    PipelineRouter method rendering a list card
+ *   listClass     class of the element holding the cards on list pages
+ *   renderList    PipelineRouter method rendering the list page
+ *   renderDetail  PipelineRouter method rendering the detail page
+ *   moderated     user submissions wait for an editor (js/moderation.js)
+ *   searchFields  fields searched, with their weight in the score. Paths
+ *                 may reach into related documents ("company.companyName");
+ *                 `indexed: false` fields (JSON and long rich text) are
+ *                 only used for ranking, not for fetching candidates,
+ *                 though Appwrite matches `items: true` list fields
+ *                 (tags) by whole item.
+ */
+const CONTENT_TYPES = {
+    opportunity: {
+        collection: "opportunities",
+        idField: "$id",
+        routePrefix: "opportunities",
+        label: "Opportunity",
+        pluralLabel: "Opportunities",
+        sectionLabel: "Opportunities",
+        titleField: "title",
+        dateField: "$createdAt",
+        renderCard: "getOpportunityCardHTML",
+        listClass: "opportunities-grid",
+        renderList: "renderOpportunities",
+        renderDetail: "renderOpportunityDetail",
+        moderated: true,
+        searchFields: [
+            { path: "title", weight: 5 },
+            { path: "company.companyName", weight: 3 },
+            { path: "opportunityType", weight: 2 },
+            { path: "location", weight: 1.5 },
+            { path: "description", weight: 1 }
+        ]
+    },
+    company: {
+        collection: "companies",
+        idField: "$id",
+        routePrefix: "directory",
+        label: "Company",
+        pluralLabel: "Companies",
+        sectionLabel: "Directory",
+        titleField: "companyName",
+        dateField: "$createdAt",
+        renderCard: "getCompanyCardHTML",
+        listClass: "companies-grid",
+        renderList: "renderDirectory",
+        renderDetail: "renderCompanyDetail",
+        moderated: true,
+        searchFields: [
+            { path: "companyName", weight: 5 },
+            { path: "servicesOffered", weight: 2, indexed: false },
+            { path: "sector", weight: 2 },
+            { path: "location", weight: 1.5 },
+            { path: "description", weight: 1 }
+        ]
+    },
+    regulatory: {
+        collection: "regulatory",
+        idField: "$id",
+        routePrefix: "regulatory",
+        label: "Regulatory Update",
+        pluralLabel: "Regulatory Updates",
+        sectionLabel: "Regulatory Updates",
+        titleField: "title",
+        dateField: "publishedDate",
+        renderCard: "getRegulatoryCardHTML",
+        listClass: "updates-list",
+        renderList: "renderRegulatory",
+        renderDetail: "renderRegulatoryDetail",
+        searchFields: [
+            { path: "title", weight: 5 },
+            { path: "tags", weight: 3, indexed: false, items: true },
+            { path: "source", weight: 2 },
+            { path: "summary", weight: 1.5 },
+            { path: "fullText", weight: 0.5, indexed: false }
+        ]
+    },
+    article: {
+        collection: "articles",
+        idField: "$id",
+        routePrefix: "insights",
+        label: "Article",
+        pluralLabel: "Insights",
+        sectionLabel: "Market Intelligence",
+        titleField: "title",
+        dateField: "publishedDate",
+        renderCard: "getInsightCardHTML",
+        listClass: "insights-grid",
+        renderList: "renderInsights",
+        renderDetail: "renderInsightDetail",
+        searchFields: [
+            { path: "title", weight: 5 },
+            { path: "tags", weight: 3, indexed: false, items: true },
+            { path: "summary", weight: 1.5 },
+            { path: "author", weight: 1 },
+            { path: "body", weight: 0.5, indexed: false }
+        ]
+    }
+};
+
+class ContentTypes {
+    // Every type's definition, with its registry key as `type`
+    static all() {
+        return Object.entries(CONTENT_TYPES).map(([type, definition]) => ({
+            type,
+            ...definition
+        }));
+    }
+
+    static get(type) {
+        return CONTENT_TYPES[type] ? { type, ...CONTENT_TYPES[type] } : null;
+    }
+
+    static byCollection(collection) {
+        return (
+            ContentTypes.all().find(
+                definition => definition.collection === collection
+            ) || null
+        );
+    }
+
+    static byRoutePrefix(routePrefix) {
+        return (
+            ContentTypes.all().find(
+                definition => definition.routePrefix === routePrefix
+            ) || null
+        );
+    }
+
+    static idOf(doc, type) {
+        return doc?.[CONTENT_TYPES[type].idField];
+    }
+
+    static titleOf(doc, type) {
+        return doc?.[CONTENT_TYPES[type].titleField] || "";
+    }
+
+    // Hash route (without the leading #) of a document's detail page
+    static pathTo(doc, type) {
+        const id = encodeURIComponent(ContentTypes.idOf(doc, type));
+        return `${CONTENT_TYPES[type].routePrefix}/${id}`;
+    }
+
+    // Card HTML for a document, using the type's renderer on `router`
+    static renderCard(doc, type, router = window.router) {
+        return router[CONTENT_TYPES[type].renderCard](doc);
+    }
+}
+
+window.CONTENT_TYPES = CONTENT_TYPES;
+window.ContentTypes = ContentTypes;
@@ -0,0 +1,300 @@
+/**
+ * THE PIPELINE - LIST FILTERS
+ * Filter definitions for the list pages and the translation from URL
+ * query params to provider filters
+ */
+
+const SECTORS = ["Upstream", "Midstream", "Downstream", "Services"];
+
+const OPPORTUNITY_TYPES = ["Job", "Tender", "Procurement", "Partnership"];
+
+// The 36 states and the FCT, with the capital used to match free-text locations
+const NIGERIAN_STATES = [
+    { name: "Abia", capital: "Umuahia" },
+    { name: "Adamawa", capital: "Yola" },
+    { name: "Akwa Ibom", capital: "Uyo" },
+    { name: "Anambra", capital: "Awka" },
+    { name: "Bauchi", capital: "Bauchi" },
+    { name: "Bayelsa", capital: "Yenagoa" },
+    { name: "Benue", capital: "Makurdi" },
+    { name: "Borno", capital: "Maiduguri" },
+    { name: "Cross River", capital: "Calabar" },
+    { name: "Delta", capital: "Asaba" },
+    { name: "Ebonyi", capital: "Abakaliki" },
+    { name: "Edo", capital: "Benin City" },
+    { name: "Ekiti", capital: "Ado-Ekiti" },
+    { name: "Enugu", capital: "Enugu" },
+    { name: "FCT", capital: "Abuja" },
+    { name: "Gombe", capital: "Gombe" },
+    { name: "Imo", capital: "Owerri" },
+    { name: "Jigawa", capital: "Dutse" },
+    { name: "Kaduna", capital: "Kaduna" },
+    { name: "Kano", capital: "Kano" },
+    { name: "Katsina", capital: "Katsina" },
+    { name: "Kebbi", capital: "Birnin Kebbi" },
+    { name: "Kogi", capital: "Lokoja" },
+    { name: "Kwara", capital: "Ilorin" },
+    { name: "Lagos", capital: "Ikeja" },
+    { name: "Nasarawa", capital: "Lafia" },
+    // Plain "Niger" would also match every "…, Nigeria" location
+    { name: "Niger", capital: "Minna", terms: ["Niger State", "Minna"] },
+    { name: "Ogun", capital: "Abeokuta" },
+    { name: "Ondo", capital: "Akure" },
+    { name: "Osun", capital: "Osogbo" },
+    { name: "Oyo", capital: "Ibadan" },
+    { name: "Plateau", capital: "Jos" },
+    { name: "Rivers", capital: "Port Harcourt" },
+    { name: "Sokoto", capital: "Sokoto" },
+    { name: "Taraba", capital: "Jalingo" },
+    { name: "Yobe", capital: "Damaturu" },
+    { name: "Zamfara", capital: "Gusau" }
+];
+
+// LGAs of the listed documents (see js/locations.js). Counted alongside
+// the other filters, so a selected state offers only its own LGAs.
+const LGA_FACET = {
+    key: "lga",
+    label: "LGA",
+    allLabel: "All LGAs",
+    terms: {
+        value: doc => Locations.of(doc).lga,
+        label: doc => Locations.of(doc).lga,
+        max: 40
+    }
+};
+
+/**
+ * Filters per list page. Each facet is a URL query key; `options` are the
+ * selectable values (strings or { value, label }). `terms` facets discover
+ * their options from the matching documents instead, keeping the `max`
+ * most common (see ContentAPIService.getFacetCounts). `ranges` are pairs
+ * of date inputs. Changing a facet also clears the keys in its `clears`.
+ * `sort` offers orders other than the list's default as the `sort` query
+ * key; it isn't a filter, so saved searches drop it.
+ */
+const LIST_FILTERS = {
+    opportunities: {
+        collection: "opportunities",
+        facets: [
+            {
+                key: "type",
+                label: "Type",
+                options: OPPORTUNITY_TYPES
+            },
+            { key: "sector", label: "Sector", options: SECTORS },
+            {
+                key: "state",
+                label: "State",
+                options: NIGERIAN_STATES.map(state => state.name),
+                clears: ["lga"]
+            },
+            LGA_FACET,
+            {
+                key: "closing",
+                label: "Closing",
+                allLabel: "Any Closing Date",
+                // Counted without the explicit range, which would override it
+                excludes: ["closingFrom", "closingTo"],
+                options: [
+                    { value: "week", label: "Closing this week" },
+                    { value: "month", label: "Closing this month" },
+                    { value: "quarter", label: "Closing in 3 months" }
+                ]
+            },
+            {
+                // Closed opportunities are hidden unless asked for
+                key: "closed",
+                label: "Status",
+                allLabel: "Open Only",
+                options: [
+                    { value: "include", label: "Include closed" },
+                    { value: "only", label: "Closed only" }
+                ]
+            },
+            {
+                key: "company",
+                label: "Company",
+                allLabel: "All Companies",
+                terms: {
+                    value: opp => opp.companyId || opp.company?.$id,
+                    label: opp => opp.company?.companyName,
+                    // Where to look up labels the documents don't inline
+                    lookup: "getCompanyById",
+                    labelField: "companyName",
+                    max: 20
+                }
+            }
+        ],
+        ranges: [{ from: "closingFrom", to: "closingTo", label: "Closing" }],
+        sort: {
+            allLabel: "Newest First",
+            options: [{ value: "closing", label: "Closing soonest" }]
+        }
+    },
+    directory: {
+        collection: "companies",
+        facets: [
+            { key: "sector", label: "Sector", options: SECTORS },
+            {
+                key: "ncdmb",
+                label: "NCDMB",
+                allLabel: "Any NCDMB Status",
+                // As Ncdmb.status() shows them; pending counts as unverified
+                options: [
+                    { value: "verified", label: "NCDMB verified" },
+                    { value: "expired", label: "Verification expired" },
+                    { value: "unverified", label: "Not verified" }
+                ]
+            },
+            {
+                key: "state",
+                label: "State",
+                options: NIGERIAN_STATES.map(state => state.name),
+                clears: ["lga"]
+            },
+            LGA_FACET
+        ]
+    },
+    regulatory: {
+        collection: "regulatory",
+        facets: [
+            {
+                key: "source",
+                label: "Source",
+                options: ["NUPRC", "NCDMB", "NNPC", "DPR"]
+            },
+            {
+                key: "year",
+                label: "Year",
+                options: Array.from({ length: 6 }, (_, i) =>
+                    String(new Date().getFullYear() - i)
+                )
+            }
+        ]
+    },
+    insights: {
+        collection: "articles",
+        facets: [
+            {
+                key: "category",
+                label: "Category",
+                allLabel: "All Categories",
+                options: ["Production", "Market Analysis", "Policy", "Technology"]
+            }
+        ]
+    }
+};
+
+class ListFilters {
+    static get(section) {
+        return LIST_FILTERS[section] || { facets: [] };
+    }
+
+    // Option as { value, label } whether declared as a string or an object
+    static option(option) {
+        return typeof option === "string"
+            ? { value: option, label: option }
+            : option;
+    }
+
+    // Query keys a section understands: facet keys plus range bounds
+    static keys(section) {
+        const { facets, ranges = [] } = ListFilters.get(section);
+        return [
+            ...facets.map(facet => facet.key),
+            ...ranges.flatMap(range => [range.from, range.to])
+        ];
+    }
+
+    // The section's filters present in `params`, empty values dropped
+    static pick(section, params = {}) {
+        return ListFilters.keys(section).reduce((picked, key) => {
+            if (params[key]) picked[key] = params[key];
+            return picked;
+        }, {});
+    }
+
+    // The section's `sort` in `params` if it offers it, otherwise ""
+    static sortOf(section, params = {}) {
+        const { sort } = ListFilters.get(section);
+        return sort?.options.some(option => option.value === params.sort)
+            ? params.sort
+            : "";
+    }
+
+    /**
+     * Translate URL filters into the filter object providers understand:
+     * closing presets become closingFrom/closingTo, company → companyId,
+     * year → publishedFrom/publishedTo. A `sort` the section offers is
+     * passed on.
+     */
+    static toProviderFilters(section, params = {}) {
+        const { closing, company, year, ...filters } = ListFilters.pick(
+            section,
+            params
+        );
+        const sort = ListFilters.sortOf(section, params);
+
+        if (closing) {
+            const range = ListFilters.closingRange(closing);
+            filters.closingFrom = filters.closingFrom || range.from;
+            filters.closingTo = filters.closingTo || range.to;
+        }
+
+        if (company) {
+            filters.companyId = company;
+        }
+
+        if (year) {
+            filters.publishedFrom = `${year}-01-01`;
+            filters.publishedTo = `${year}-12-31`;
+        }
+
+        if (sort) {
+            filters.sort = sort;
+        }
+
+        return filters;
+    }
+
+    // Date range (YYYY-MM-DD) for a closing preset, starting today. Days
+    // are UTC calendar days, as in ClosingDates.
+    static closingRange(preset, now = new Date()) {
+        const days = { week: 7, month: 31, quarter: 92 }[preset];
+        if (!days) return {};
+
+        const to = new Date(now);
+        if (preset === "month") {
+            // Calendar month: today until the last day of this month
+            to.setUTCMonth(to.getUTCMonth() + 1, 0);
+        } else {
+            to.setUTCDate(to.getUTCDate() + days);
+        }
+
+        return {
+            from: ClosingDates.today(now),
+            to: ClosingDates.today(to)
+        };
+    }
+
+    // Words a free-text location may use for a state: its name and capital
+    static stateTerms(stateName) {
+        const state = NIGERIAN_STATES.find(s => s.name === stateName);
+        if (!state) return [stateName];
+        return state.terms || [state.name, state.capital];
+    }
+
+    static locationMatchesState(location, stateName) {
+        if (!location) return false;
+        const text = location.toLowerCase();
+        return ListFilters.stateTerms(stateName).some(term =>
+            new RegExp(`\\b${term.toLowerCase()}\\b`).test(text)
+        );
+    }
+}
+
+window.SECTORS = SECTORS;
+window.OPPORTUNITY_TYPES = OPPORTUNITY_TYPES;
+window.NIGERIAN_STATES = NIGERIAN_STATES;
+window.LIST_FILTERS = LIST_FILTERS;
+window.ListFilters = ListFilters;
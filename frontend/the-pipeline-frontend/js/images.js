@@ -0,0 +1,109 @@
+/**
+ * THE PIPELINE - RESPONSIVE IMAGES
+ * Builds resized image URLs, srcset/sizes and lazy-loading <img> markup
+ * for company logos and article covers
+ */
+
+/**
+ * Presets per image slot. `widths` become the srcset candidates, `sizes`
+ * tells the browser how wide the slot renders, `aspectRatio` (width /
+ * height) sets the crop. Covers on list cards lazy-load; the article
+ * header is above the fold so it loads eagerly.
+ */
+const IMAGE_PRESETS = {
+    companyLogo: {
+        widths: [48, 96, 144],
+        sizes: "48px",
+        aspectRatio: 1,
+        quality: 80
+    },
+    cardCover: {
+        widths: [320, 480, 640, 800],
+        sizes: "(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 400px",
+        aspectRatio: 16 / 9,
+        quality: 70
+    },
+    articleCover: {
+        widths: [480, 768, 1024, 1440, 1920],
+        sizes: "100vw",
+        aspectRatio: 21 / 9,
+        quality: 75,
+        loading: "eager"
+    }
+};
+
+class ResponsiveImages {
+    static preset(name) {
+        const preset = IMAGE_PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown image preset "${name}"`);
+        }
+        return preset;
+    }
+
+    static escapeAttribute(value) {
+        return String(value ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/"/g, "&quot;")
+            .replace(/</g, "&lt;");
+    }
+
+    // URL for `ref` (file ID or URL) at one width of a preset, as WebP
+    static url(ref, presetName, width, api = window.contentAPI) {
+        const { aspectRatio, quality } = ResponsiveImages.preset(presetName);
+
+        return api.getImageUrl(ref, {
+            width,
+            height: aspectRatio ? Math.round(width / aspectRatio) : undefined,
+            quality,
+            output: "webp"
+        });
+    }
+
+    static srcset(ref, presetName, api = window.contentAPI) {
+        return ResponsiveImages.preset(presetName)
+            .widths.map(
+                width =>
+                    `${ResponsiveImages.url(ref, presetName, width, api)} ${width}w`
+            )
+            .join(", ");
+    }
+
+    /**
+     * <img> markup for `ref` in a preset's slot. Backends that can't resize
+     * (Strapi media URLs, fixtures) get a plain lazy-loaded image.
+     */
+    static html(ref, presetName, { alt = "", className = "" } = {}) {
+        const api = window.contentAPI;
+        const preset = ResponsiveImages.preset(presetName);
+        const { widths, sizes, aspectRatio, loading = "lazy" } = preset;
+        const escape = ResponsiveImages.escapeAttribute;
+
+        const attributes = [
+            `alt="${escape(alt)}"`,
+            className ? `class="${escape(className)}"` : "",
+            `loading="${loading}"`,
+            `decoding="async"`
+        ];
+
+        if (!api.supportsImageTransforms()) {
+            return `<img src="${escape(api.getFileUrl(ref))}" ${attributes
+                .filter(Boolean)
+                .join(" ")}>`;
+        }
+
+        // Middle candidate as the fallback src; intrinsic size avoids layout shift
+        const fallbackWidth = widths[Math.floor(widths.length / 2)];
+
+        return `<img src="${escape(
+            ResponsiveImages.url(ref, presetName, fallbackWidth, api)
+        )}" srcset="${escape(
+            ResponsiveImages.srcset(ref, presetName, api)
+        )}" sizes="${escape(sizes)}" width="${fallbackWidth}" height="${Math.round(
+            fallbackWidth / aspectRatio
+        )}" ${attributes.filter(Boolean).join(" ")}>`;
+    }
+}
+
+window.IMAGE_PRESETS = IMAGE_PRESETS;
+window.ResponsiveImages = ResponsiveImages;
@@ -0,0 +1,243 @@
+/**
+ * THE PIPELINE - LOCATIONS
+ * Where opportunities and companies are: a state and, in the Niger Delta
+ * states field staff work in, a local government area (LGA), parsed from
+ * free-text locations such as "Port Harcourt, Nigeria". Also the grid map
+ * of the states on the Opportunities and Directory pages.
+ */
+
+// LGAs of the core Niger Delta states, each with towns that place a location in it
+const NIGERIAN_LGAS = {
+    Rivers: {
+        "Abua/Odual": [],
+        "Ahoada East": ["Ahoada"],
+        "Ahoada West": [],
+        "Akuku-Toru": ["Abonnema"],
+        Andoni: [],
+        "Asari-Toru": ["Buguma"],
+        Bonny: ["Bonny Island"],
+        Degema: [],
+        Eleme: ["Onne", "Alesa"],
+        Emuoha: [],
+        Etche: [],
+        Gokana: ["Bodo"],
+        Ikwerre: ["Isiokpo"],
+        Khana: ["Bori"],
+        "Obio/Akpor": ["Rumuokoro", "Rumuola"],
+        "Ogba/Egbema/Ndoni": ["Omoku"],
+        "Ogu/Bolo": [],
+        Okrika: [],
+        Omuma: [],
+        "Opobo/Nkoro": ["Opobo"],
+        Oyigbo: [],
+        "Port Harcourt": ["Trans Amadi"],
+        Tai: []
+    },
+    Delta: {
+        "Aniocha North": [],
+        "Aniocha South": [],
+        Bomadi: [],
+        Burutu: ["Forcados"],
+        "Ethiope East": [],
+        "Ethiope West": [],
+        "Ika North East": [],
+        "Ika South": ["Agbor"],
+        "Isoko North": [],
+        "Isoko South": ["Oleh"],
+        "Ndokwa East": ["Aboh"],
+        "Ndokwa West": ["Kwale"],
+        Okpe: ["Orerokpe"],
+        "Oshimili North": [],
+        "Oshimili South": ["Asaba"],
+        Patani: [],
+        Sapele: [],
+        Udu: [],
+        "Ughelli North": ["Ughelli"],
+        "Ughelli South": [],
+        Ukwuani: [],
+        Uvwie: ["Effurun", "Ekpan"],
+        "Warri North": ["Koko"],
+        "Warri South": ["Warri"],
+        "Warri South West": ["Escravos", "Ogidigben"]
+    },
+    Bayelsa: {
+        Brass: ["Twon-Brass"],
+        Ekeremor: [],
+        "Kolokuma/Opokuma": ["Kaiama"],
+        Nembe: [],
+        Ogbia: ["Oloibiri", "Otuasega"],
+        Sagbama: [],
+        "Southern Ijaw": ["Oporoma"],
+        Yenagoa: []
+    },
+    "Akwa Ibom": {
+        Abak: [],
+        "Eastern Obolo": [],
+        Eket: [],
+        "Esit Eket": [],
+        "Essien Udim": [],
+        "Etim Ekpo": [],
+        Etinan: [],
+        Ibeno: ["Qua Iboe", "Upenekang"],
+        "Ibesikpo Asutan": [],
+        "Ibiono-Ibom": [],
+        Ika: [],
+        Ikono: [],
+        "Ikot Abasi": [],
+        "Ikot Ekpene": [],
+        Ini: [],
+        Itu: [],
+        Mbo: [],
+        "Mkpat-Enin": [],
+        "Nsit-Atai": [],
+        "Nsit-Ibom": [],
+        "Nsit-Ubium": [],
+        "Obot Akara": [],
+        Okobo: [],
+        Onna: [],
+        Oron: [],
+        "Oruk Anam": [],
+        "Udung-Uko": [],
+        Ukanafun: [],
+        Uruan: [],
+        "Urue-Offong/Oruko": [],
+        Uyo: []
+    }
+};
+
+/**
+ * Grid map of Nigeria: each state as one square at [column, row], placed
+ * roughly where it lies, with its two-letter code. Same-size squares keep
+ * small, busy states like Bayelsa as visible as Borno. A stand-in until
+ * state outlines are bundled (see README).
+ */
+const NIGERIA_MAP_GRID = {
+    Sokoto: { code: "SO", at: [1, 0] },
+    Zamfara: { code: "ZA", at: [2, 0] },
+    Katsina: { code: "KT", at: [3, 0] },
+    Kano: { code: "KN", at: [4, 0] },
+    Jigawa: { code: "JI", at: [5, 0] },
+    Yobe: { code: "YO", at: [6, 0] },
+    Borno: { code: "BO", at: [7, 0] },
+    Kebbi: { code: "KE", at: [1, 1] },
+    Niger: { code: "NI", at: [2, 1] },
+    Kaduna: { code: "KD", at: [3, 1] },
+    Bauchi: { code: "BA", at: [4, 1] },
+    Gombe: { code: "GO", at: [5, 1] },
+    Adamawa: { code: "AD", at: [6, 1] },
+    Oyo: { code: "OY", at: [0, 2] },
+    Kwara: { code: "KW", at: [1, 2] },
+    FCT: { code: "FC", at: [2, 2] },
+    Nasarawa: { code: "NA", at: [3, 2] },
+    Plateau: { code: "PL", at: [4, 2] },
+    Taraba: { code: "TA", at: [5, 2] },
+    Ogun: { code: "OG", at: [0, 3] },
+    Osun: { code: "OS", at: [1, 3] },
+    Ekiti: { code: "EK", at: [2, 3] },
+    Kogi: { code: "KO", at: [3, 3] },
+    Benue: { code: "BE", at: [4, 3] },
+    Lagos: { code: "LA", at: [0, 4] },
+    Ondo: { code: "ON", at: [1, 4] },
+    Edo: { code: "ED", at: [2, 4] },
+    Anambra: { code: "AN", at: [3, 4] },
+    Enugu: { code: "EN", at: [4, 4] },
+    Ebonyi: { code: "EB", at: [5, 4] },
+    Delta: { code: "DE", at: [2, 5] },
+    Imo: { code: "IM", at: [3, 5] },
+    Abia: { code: "AB", at: [4, 5] },
+    "Cross River": { code: "CR", at: [5, 5] },
+    Bayelsa: { code: "BY", at: [2, 6] },
+    Rivers: { code: "RI", at: [3, 6] },
+    "Akwa Ibom": { code: "AK", at: [4, 6] }
+};
+
+// Lowercase words separated by single spaces, padded so phrases match whole words
+const locationWords = text => {
+    const words = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    return ` ${(words || []).join(" ")} `;
+};
+
+/**
+ * A location is `{ state, lga }`: a name from NIGERIAN_STATES (js/filters.js)
+ * and, in the states of NIGERIAN_LGAS, an LGA name. Either is null when
+ * the text doesn't say.
+ */
+class Locations {
+    // States whose LGAs are known, in the order the map lists them
+    static get focusStates() {
+        return Object.keys(NIGERIAN_LGAS);
+    }
+
+    static get grid() {
+        return NIGERIA_MAP_GRID;
+    }
+
+    // LGAs of `state`, or [] where they aren't tracked
+    static lgas(state) {
+        return Object.keys(NIGERIAN_LGAS[state] || {});
+    }
+
+    static stateOfLga(lga) {
+        return (
+            Locations.focusStates.find(state => Locations.lgas(state).includes(lga)) ||
+            null
+        );
+    }
+
+    // Words a free-text location may use for an LGA: its name and its towns
+    static lgaTerms(lga) {
+        const state = Locations.stateOfLga(lga);
+        return state ? [lga, ...NIGERIAN_LGAS[state][lga]] : [lga];
+    }
+
+    /**
+     * The state and LGA a free-text location names. A town or LGA places
+     * it in an LGA; otherwise a state's name or capital (see
+     * ListFilters.stateTerms) gives the state alone. "Niger Delta" is a
+     * region, not Delta State.
+     */
+    static parse(text) {
+        const words = locationWords(text).replace(/ niger delta /g, " ");
+
+        const state =
+            NIGERIAN_STATES.map(s => s.name).find(name =>
+                ListFilters.stateTerms(name).some(term =>
+                    words.includes(locationWords(term))
+                )
+            ) || null;
+
+        // The longest name that matches, so "Warri South West" beats "Warri"
+        const lga =
+            (state ? [state] : Locations.focusStates)
+                .flatMap(name =>
+                    Locations.lgas(name).flatMap(lga =>
+                        Locations.lgaTerms(lga).map(term => ({ lga, term }))
+                    )
+                )
+                .filter(({ term }) => words.includes(locationWords(term)))
+                .sort((a, b) => b.term.length - a.term.length)[0]?.lga || null;
+
+        return { state: state || (lga && Locations.stateOfLga(lga)), lga };
+    }
+
+    // A document's location: its stored fields, or parsed from `location`
+    static of(doc) {
+        return doc?.state
+            ? { state: doc.state, lga: doc.lga || null }
+            : Locations.parse(doc?.location);
+    }
+
+    /**
+     * `state` and `lga` to store alongside `data.location` when a document
+     * is written; nothing when the location isn't being changed.
+     */
+    static fields(data) {
+        if (!("location" in data)) return {};
+        const { state, lga } = Locations.parse(data.location);
+        return { state, lga };
+    }
+}
+
+window.NIGERIAN_LGAS = NIGERIAN_LGAS;
+window.NIGERIA_MAP_GRID = NIGERIA_MAP_GRID;
+window.Locations = Locations;
@@ -9,6 +9,8 @@ class PipelineApp {
         this.scrollController = null;
         this.animationController = null;
         this.dataService = null;
+        this.stats = null;
+        this.offlineToast = null;
 
         this.init();
     }
@@ -315,6 +317,28 @@ class PipelineApp {
             });
         });
 
+        // The router re-renders the home page on navigation; re-arm its
+        // counters with the live numbers
+        document.addEventListener("contentLoaded", () => {
+            this.initializeCounters();
+            this.updateStats(this.stats);
+        });
+
+        // Stats served from a stale cache entry were refreshed
+        document.addEventListener("dataUpdated", e => {
+            if (e.detail.key === this.dataService.api.getCacheKey("stats")) {
+                this.loadInitialData();
+            }
+        });
+
+        // Connectivity: banner while offline or served from the offline cache
+        window.addEventListener("offline", () => this.showOfflineBanner());
+        window.addEventListener("online", () => this.hideOfflineBanner());
+        if (!navigator.onLine) {
+            this.showOfflineBanner();
+        }
+        this.registerServiceWorker();
+
         // Performance monitoring
         window.addEventListener("load", () => {
             this.measurePerformance();
@@ -348,12 +372,21 @@ class PipelineApp {
 
     updateStats(stats) {
         if (!stats) return;
+        this.stats = stats;
 
         Object.entries(stats).forEach(([key, value]) => {
-            const element = document.querySelector(`[data-count="${key}"]`);
-            if (element) {
-                element.setAttribute("data-count", value);
-            }
+            if (value === undefined || value === null) return;
+
+            document
+                .querySelectorAll(`[data-stat="${key}"]`)
+                .forEach(element => {
+                    element.setAttribute("data-count", value);
+
+                    // Counters that already animated show the stale number
+                    if (element.classList.contains("counted")) {
+                        element.textContent = value;
+                    }
+                });
         });
     }
 
@@ -455,14 +488,53 @@ class PipelineApp {
         // Show toast
         setTimeout(() => toast.classList.add("show"), 100);
 
-        // Auto hide
-        const hideTimeout = setTimeout(() => this.hideToast(toast), duration);
+        // Auto hide; a duration of 0 keeps the toast until it's closed
+        const hideTimeout =
+            duration > 0 && setTimeout(() => this.hideToast(toast), duration);
 
         // Manual close
         toast.querySelector(".toast-close").addEventListener("click", () => {
             clearTimeout(hideTimeout);
             this.hideToast(toast);
         });
+
+        return toast;
+    }
+
+    // Service worker (sw.js) pre-caches the shell and recent content
+    registerServiceWorker() {
+        if (!("serviceWorker" in navigator) || location.protocol === "file:") {
+            return;
+        }
+
+        navigator.serviceWorker.register("sw.js").catch(error => {
+            console.warn("Service worker registration failed:", error);
+        });
+
+        // The worker answered from its cache because the network failed
+        navigator.serviceWorker.addEventListener("message", e => {
+            if (e.data?.type === "offline") {
+                this.showOfflineBanner();
+            }
+        });
+    }
+
+    showOfflineBanner() {
+        if (this.offlineToast) return;
+
+        this.offlineToast = this.showToast(
+            "You're offline. Showing content saved on this device.",
+            "warning",
+            0
+        );
+    }
+
+    hideOfflineBanner() {
+        if (!this.offlineToast) return;
+
+        this.hideToast(this.offlineToast);
+        this.offlineToast = null;
+        this.showToast("Back online.", "success", 3000);
     }
 
     hideToast(toast) {
@@ -760,130 +832,47 @@ class AnimationController {
 
 /**
  * DATA SERVICE
- * Handles API communication and data management
+ * Homepage data (stats, recent updates, quick access) read through the
+ * content API, so it follows whichever provider is configured
  */
 class DataService {
-    constructor() {
-        this.apiUrl =
-            window.PIPELINE_CONFIG?.apiUrl ||
-            "https://giving-ants-2f29c3b4e4.strapiapp.com/api";
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
-    }
-
-    async fetchWithCache(url, options = {}) {
-        const cacheKey = `${url}_${JSON.stringify(options)}`;
-        const cached = this.cache.get(cacheKey);
-
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
-        }
-
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    "Content-Type": "application/json",
-                    ...options.headers
-                },
-                ...options
-            });
-
-            if (!response.ok) {
-                throw new Error(
-                    `HTTP ${response.status}: ${response.statusText}`
-                );
-            }
-
-            const data = await response.json();
-
-            // Cache the result
-            this.cache.set(cacheKey, {
-                data,
-                timestamp: Date.now()
-            });
-
-            return data;
-        } catch (error) {
-            console.error("Fetch error:", error);
-
-            // Return cached data if available, even if expired
-            if (cached) {
-                console.warn("Using expired cache data due to fetch error");
-                return cached.data;
-            }
-
-            throw error;
-        }
+    constructor(api = window.contentAPI) {
+        this.api = api;
     }
 
     async getHomePageStats() {
         try {
-            // In development, return mock data
-            if (
-                window.location.hostname === "localhost" ||
-                window.location.hostname === "127.0.0.1"
-            ) {
-                return this.getMockStats();
+            const stats = await this.api.getDashboardStats();
+
+            // Keyed by the data-stat attribute of the counters they feed
+            return {
+                companies: stats.totalCompanies,
+                opportunities: stats.totalOpportunities,
+                updates: stats.updatesThisMonth,
+                jobs: stats.openJobs,
+                tenders: stats.openTenders
+            };
+        } catch (error) {
+            // Stats outlive pages; reload them if navigation cancelled the load
+            if (RequestManager.isAbort(error)) {
+                return this.getHomePageStats();
             }
 
-            // Production API call
-            const data = await this.fetchWithCache(
-                `${this.apiUrl}/homepage-stats`
-            );
-            return data;
-        } catch (error) {
+            // The API already falls back to fixtures; leave the counters as-is
             console.error("Failed to fetch homepage stats:", error);
-            return this.getMockStats();
+            return null;
         }
     }
 
-    getMockStats() {
-        return {
-            companies: 500 + Math.floor(Math.random() * 50),
-            opportunities: 1250 + Math.floor(Math.random() * 100),
-            updates: 48 + Math.floor(Math.random() * 10)
-        };
-    }
-
     async getRecentUpdates() {
         try {
-            if (
-                window.location.hostname === "localhost" ||
-                window.location.hostname === "127.0.0.1"
-            ) {
-                return this.getMockUpdates();
-            }
-
-            const data = await this.fetchWithCache(
-                `${this.apiUrl}/recent-updates`
-            );
-            return data;
+            return await this.api.getRecentUpdates();
         } catch (error) {
             console.error("Failed to fetch recent updates:", error);
-            return this.getMockUpdates();
+            return [];
         }
     }
 
-    getMockUpdates() {
-        return [
-            {
-                id: 1,
-                title: "NUPRC Issues New Drilling Guidelines",
-                type: "regulatory",
-                date: "2024-08-22",
-                summary:
-                    "Updated safety protocols for offshore drilling operations."
-            },
-            {
-                id: 2,
-                title: "Shell Nigeria Announces Major Investment",
-                type: "news",
-                date: "2024-08-21",
-                summary: "$2B investment in gas development projects approved."
-            }
-        ];
-    }
-
     async getQuickAccessItems() {
         // Return mock data for now - will be replaced with real API
         return [
@@ -926,28 +915,8 @@ class DataService {
         ];
     }
 
-    // Sanity.io integration methods (for when content is ready)
-    async fetchFromSanity(query) {
-        try {
-            const projectId = "your-project-id"; // Will be configured
-            const dataset = "production";
-            const apiVersion = "2024-08-22";
-
-            const url = `https://${projectId}.api.sanity.io/v${apiVersion}/data/query/${dataset}?query=${encodeURIComponent(
-                query
-            )}`;
-
-            const response = await this.fetchWithCache(url);
-            return response.result;
-        } catch (error) {
-            console.error("Sanity fetch error:", error);
-            throw error;
-        }
-    }
-
     clearCache() {
-        this.cache.clear();
-        console.log("Data cache cleared");
+        return this.api.clearCache();
     }
 }
 
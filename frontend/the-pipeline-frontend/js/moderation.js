@@ -0,0 +1,96 @@
+/**
+ * THE PIPELINE - MODERATION
+ * Statuses of user-submitted content and the review decisions that move
+ * between them. Providers enforce them; the router renders the review
+ * queue (#review) and the submitter's list on #account.
+ */
+
+// Only `published` documents are listed publicly, and `closed` ones:
+// opportunities past their closing date (see js/closing-dates.js), which
+// backends may archive. Documents without a status predate moderation
+// and count as published.
+const MODERATION_STATUSES = {
+    draft: { label: "Changes requested", badge: "badge-primary" },
+    pending: { label: "Pending review", badge: "badge-secondary" },
+    published: { label: "Published", badge: "badge-success" },
+    rejected: { label: "Rejected", badge: "badge-warning" },
+    closed: { label: "Closed", badge: "badge-closed" }
+};
+
+// What each action does to a submission; editors take all but `submit`
+const MODERATION_ACTIONS = {
+    submit: { from: ["draft"], to: "pending", label: "Submitted" },
+    approve: { from: ["pending"], to: "published", label: "Approved" },
+    "request-changes": {
+        from: ["pending"],
+        to: "draft",
+        label: "Changes requested",
+        needsReason: true
+    },
+    reject: {
+        from: ["pending"],
+        to: "rejected",
+        label: "Rejected",
+        needsReason: true
+    }
+};
+
+// Role (in `user.roles`) of the people who review submissions
+const EDITOR_ROLE = "editor";
+
+class Moderation {
+    static get statuses() {
+        return MODERATION_STATUSES;
+    }
+
+    static get actions() {
+        return MODERATION_ACTIONS;
+    }
+
+    static isPublic(doc) {
+        return (
+            !doc.status || doc.status === "published" || doc.status === "closed"
+        );
+    }
+
+    static isEditor(user) {
+        return Boolean(user?.roles?.includes(EDITOR_ROLE));
+    }
+
+    // Content types whose user submissions are moderated
+    static types() {
+        return ContentTypes.all().filter(definition => definition.moderated);
+    }
+
+    /**
+     * The status `action` moves a `status` submission to. Throws, with a
+     * message for the user, when the action doesn't apply or a required
+     * reason is missing.
+     */
+    static transition(status, action, reason = "") {
+        const rule = MODERATION_ACTIONS[action];
+
+        if (!rule) {
+            throw new Error(`Unknown moderation action "${action}".`);
+        }
+        if (!rule.from.includes(status)) {
+            throw new Error(
+                `This submission is ${Moderation.statusLabel(
+                    status
+                ).toLowerCase()} and can't be changed that way.`
+            );
+        }
+        if (rule.needsReason && !reason.trim()) {
+            throw new Error("Give the submitter a reason.");
+        }
+
+        return rule.to;
+    }
+
+    static statusLabel(status) {
+        return MODERATION_STATUSES[status]?.label || status;
+    }
+}
+
+window.MODERATION_STATUSES = MODERATION_STATUSES;
+window.Moderation = Moderation;
@@ -308,6 +308,10 @@ class BreadcrumbController {
     }
 
     formatSegmentName(segment) {
+        // Content-type sections use their registered name
+        const definition = ContentTypes.byRoutePrefix(segment);
+        if (definition) return definition.sectionLabel;
+
         // Convert URL segment to readable name
         return segment
             .replace(/-/g, ' ')
@@ -324,7 +328,6 @@ class QuickSearchController {
         this.searchResults = document.querySelector('.search-results');
         this.searchIcon = document.querySelector('.search-icon');
         
-        this.searchData = []; // Will be populated from API
         this.searchTimeout = null;
         
         this.init();
@@ -333,7 +336,6 @@ class QuickSearchController {
     init() {
         if (this.searchInput) {
             this.setupEventListeners();
-            this.loadSearchData();
         }
     }
 
@@ -365,45 +367,30 @@ class QuickSearchController {
         });
     }
 
-    async loadSearchData() {
-        try {
-            // This will be replaced with actual API calls
-            this.searchData = [
-                { type: 'opportunity', title: 'Senior Reservoir Engineer', company: 'Shell Nigeria' },
-                { type: 'company', title: 'TotalEnergies Nigeria', sector: 'Upstream' },
-                { type: 'regulatory', title: 'New EIA Guidelines', source: 'NUPRC' },
-                { type: 'insight', title: 'Q3 Production Report', category: 'Market Intelligence' }
-            ];
-        } catch (error) {
-            console.error('Failed to load search data:', error);
-        }
-    }
-
-    performSearch(query) {
+    async performSearch(query) {
         if (!query.trim()) {
             this.hideResults();
             return;
         }
 
-        const results = this.searchData.filter(item =>
-            item.title.toLowerCase().includes(query.toLowerCase()) ||
-            (item.company && item.company.toLowerCase().includes(query.toLowerCase())) ||
-            (item.sector && item.sector.toLowerCase().includes(query.toLowerCase()))
-        ).slice(0, 5); // Limit to 5 results
+        const results = await window.contentAPI.search(query, [], { limit: 5 });
 
-        this.displayResults(results, query);
+        // Ignore responses for a query the user has already typed past
+        if (query !== this.searchInput.value) return;
+
+        this.displayResults(results);
     }
 
-    displayResults(results, query) {
+    displayResults(results) {
         if (!this.searchResults) return;
 
         if (results.length === 0) {
             this.searchResults.innerHTML = '<div class="search-result-item">No results found</div>';
         } else {
             this.searchResults.innerHTML = results.map(result => `
-                <div class="search-result-item" onclick="navigationController.handleSearchResult('${result.type}', '${result.title}')">
-                    <div class="search-result-title">${this.highlightQuery(result.title, query)}</div>
-                    <div class="search-result-meta">${result.company || result.sector || result.source || result.category}</div>
+                <div class="search-result-item" onclick="quickSearchController.handleSearchResult('${ContentTypes.pathTo(result, result._type)}')">
+                    <div class="search-result-title">${result._titleHTML}</div>
+                    <div class="search-result-meta">${result.subtitle || ''}</div>
                 </div>
             `).join('');
         }
@@ -411,11 +398,6 @@ class QuickSearchController {
         this.showResults();
     }
 
-    highlightQuery(text, query) {
-        const regex = new RegExp(`(${query})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
-    }
-
     showResults() {
         if (this.searchResults) {
             this.searchResults.classList.add('show');
@@ -428,41 +410,182 @@ class QuickSearchController {
         }
     }
 
-    handleSearchResult(type, title) {
-        // Handle search result click
-        console.log(`Search result clicked: ${type} - ${title}`);
+    handleSearchResult(route) {
         this.hideResults();
         this.searchInput.value = '';
-        
-        // Navigate to appropriate page based on type
-        switch (type) {
-            case 'opportunity':
-                window.location.href = 'pages/opportunities.html';
-                break;
-            case 'company':
-                window.location.href = 'pages/directory.html';
-                break;
-            case 'regulatory':
-                window.location.href = 'pages/regulatory.html';
-                break;
-            case 'insight':
-                window.location.href = 'pages/insights.html';
-                break;
+        window.router.navigate(route);
+    }
+}
+
+/**
+ * USER MENU
+ * Log in / sign up links for visitors, an account dropdown and the alerts
+ * bell once signed in
+ */
+
+// How often a signed-in user's alerts are checked while the page is open
+const ALERT_POLL_INTERVAL = 5 * 60 * 1000;
+
+class UserMenuController {
+    constructor() {
+        this.container = document.getElementById('userMenu');
+        this.isOpen = false;
+        this.alertTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        // Nothing is shown until the stored session has been checked
+        window.contentAPI.getCurrentUser().then(user => this.render(user));
+        document.addEventListener('authChanged', (e) => this.render(e.detail.user));
+        document.addEventListener('notificationsChanged', (e) =>
+            this.renderUnread(e.detail.unread)
+        );
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('.user-menu-toggle')) {
+                this.toggle();
+            } else if (e.target.closest('.user-menu-logout')) {
+                this.close();
+                window.router.logOut();
+            } else if (e.target.closest('a')) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            if (this.isOpen && !this.container.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                this.close();
+                this.container.querySelector('.user-menu-toggle')?.focus();
+            }
+        });
+    }
+
+    render(user) {
+        this.isOpen = false;
+        this.watchAlerts(user);
+
+        if (!user) {
+            this.container.innerHTML = `
+                <a href="#saved" class="user-menu-saved" aria-label="Saved items" title="Saved items">☆</a>
+                <a href="#login" class="user-menu-login">Log in</a>
+                <a href="#signup" class="btn btn-primary user-menu-signup">Sign up</a>
+            `;
+            return;
+        }
+
+        const escape = window.router.escapeHTML;
+        const displayName = user.name || user.email;
+
+        this.container.innerHTML = `
+            <a href="#alerts" class="user-menu-alerts" aria-label="Alerts" title="Alerts">
+                <span aria-hidden="true">🔔</span>
+                <span class="alert-count" hidden></span>
+            </a>
+            <button class="user-menu-toggle" aria-haspopup="true" aria-expanded="false">
+                <span class="user-avatar" aria-hidden="true">${escape(this.initials(displayName))}</span>
+                <span class="user-menu-name">${escape(displayName)}</span>
+            </button>
+            <div class="user-menu-dropdown" role="menu" hidden>
+                <div class="user-menu-header">
+                    <strong>${escape(displayName)}</strong>
+                    <span>${escape(user.email)}</span>
+                </div>
+                <a href="#account" role="menuitem">Account</a>
+                <a href="#saved" role="menuitem">Saved items</a>
+                <a href="#alerts" role="menuitem">Alerts and saved searches</a>
+                <a href="#opportunities/new" role="menuitem">Post an opportunity</a>
+                ${Moderation.isEditor(user) ? '<a href="#review" role="menuitem">Review queue</a>' : ''}
+                <button class="user-menu-logout" role="menuitem">Log out</button>
+            </div>
+        `;
+    }
+
+    // Check the signed-in user's alerts now and every ALERT_POLL_INTERVAL
+    watchAlerts(user) {
+        clearInterval(this.alertTimer);
+        this.alertTimer = null;
+        if (!user) return;
+
+        const check = () =>
+            window.contentAPI.getNotifications().catch((error) => {
+                console.warn('Could not check alerts:', error);
+            });
+        check();
+        this.alertTimer = setInterval(check, ALERT_POLL_INTERVAL);
+    }
+
+    renderUnread(unread) {
+        const count = this.container.querySelector('.alert-count');
+        if (!count) return;
+
+        count.textContent = unread > 9 ? '9+' : String(unread);
+        count.hidden = unread === 0;
+        count.parentElement.setAttribute(
+            'aria-label',
+            unread ? `Alerts (${unread} unread)` : 'Alerts'
+        );
+    }
+
+    initials(name) {
+        return name
+            .split(/[\s@.]+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(part => part[0].toUpperCase())
+            .join('');
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
         }
     }
+
+    open() {
+        this.setOpen(true);
+    }
+
+    close() {
+        this.setOpen(false);
+    }
+
+    setOpen(isOpen) {
+        const toggle = this.container.querySelector('.user-menu-toggle');
+        const dropdown = this.container.querySelector('.user-menu-dropdown');
+        if (!toggle || !dropdown) return;
+
+        this.isOpen = isOpen;
+        toggle.setAttribute('aria-expanded', String(isOpen));
+        dropdown.hidden = !isOpen;
+    }
 }
 
 // Initialize navigation controllers when DOM is loaded
 let navigationController;
 let breadcrumbController;
 let quickSearchController;
+let userMenuController;
 
 document.addEventListener('DOMContentLoaded', () => {
     navigationController = new NavigationController();
     breadcrumbController = new BreadcrumbController();
     quickSearchController = new QuickSearchController();
+    userMenuController = new UserMenuController();
 });
 
 // Export for global access
 window.NavigationController = NavigationController;
+window.UserMenuController = UserMenuController;
 window.navigationController = navigationController;
\ No newline at end of file
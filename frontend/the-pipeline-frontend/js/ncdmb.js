@@ -0,0 +1,207 @@
+/**
+ * THE PIPELINE - NCDMB VERIFICATION
+ * Registration number format, verification statuses and the decisions
+ * that move between them. Companies request verification from
+ * #account/companies/:id; editors confirm or reject requests on
+ * #review/verifications.
+ */
+
+// How the directory writes registration numbers: serial and year, e.g. NCDMB-006-2018
+const NCDMB_NUMBER_PATTERN = /^NCDMB-(\d{3,6})-(\d{4})$/;
+
+// The Board was established in 2010; no registration is older
+const NCDMB_FIRST_YEAR = 2010;
+
+// Longest validity an editor can confirm for a certificate
+const NCDMB_MAX_VALIDITY_YEARS = 3;
+
+// Only `verified` companies get the badge, and only until their expiry date
+const NCDMB_STATUSES = {
+    unverified: { label: "Not verified", badge: "badge-closed" },
+    pending: { label: "Verification pending", badge: "badge-secondary" },
+    verified: { label: "NCDMB verified", badge: "badge-success" },
+    expired: { label: "Verification expired", badge: "badge-warning" }
+};
+
+// Requests and editors' decisions, as recorded in the moderation history
+const NCDMB_ACTIONS = {
+    "request-verification": {
+        from: ["unverified", "verified", "expired"],
+        to: "pending",
+        label: "Verification requested"
+    },
+    verify: { from: ["pending"], to: "verified", label: "Verified" },
+    "reject-verification": {
+        from: ["pending"],
+        to: "unverified",
+        label: "Verification rejected",
+        needsReason: true
+    },
+    "expire-verification": {
+        from: ["verified"],
+        to: "expired",
+        label: "Verification expired"
+    }
+};
+
+// Registration certificates and letters sent with a request
+const NCDMB_FILES = {
+    max: 5,
+    maxSize: 10 * 1024 * 1024,
+    extensions: [".pdf", ".jpg", ".jpeg", ".png"]
+};
+
+/**
+ * Companies carry `ncdmbNumber`, `ncdmbStatus`, `ncdmbExpiresAt`
+ * (YYYY-MM-DD) and `ncdmbVerifiedAt`. A verified company is treated as
+ * expired from the day after its expiry date, whether or not the backend
+ * has updated its status yet.
+ */
+class Ncdmb {
+    static get statuses() {
+        return NCDMB_STATUSES;
+    }
+
+    static get actions() {
+        return NCDMB_ACTIONS;
+    }
+
+    static get files() {
+        return NCDMB_FILES;
+    }
+
+    static normalizeNumber(value) {
+        return String(value || "")
+            .trim()
+            .toUpperCase()
+            .replace(/\s+/g, "");
+    }
+
+    // Why `value` isn't a registration number, or null if it is one
+    static numberError(value, now = new Date()) {
+        const match = Ncdmb.normalizeNumber(value).match(NCDMB_NUMBER_PATTERN);
+        if (!match) {
+            return "Enter the number as on the certificate, e.g. NCDMB-006-2018.";
+        }
+
+        const year = Number(match[2]);
+        if (year < NCDMB_FIRST_YEAR || year > now.getUTCFullYear()) {
+            return `The year in the number must be between ${NCDMB_FIRST_YEAR} and ${now.getUTCFullYear()}.`;
+        }
+        return null;
+    }
+
+    // Why `date` can't be a certificate's expiry date, or null
+    static expiryError(date, now = new Date()) {
+        const today = now.toISOString().slice(0, 10);
+        const latest = new Date(now);
+        latest.setUTCFullYear(latest.getUTCFullYear() + NCDMB_MAX_VALIDITY_YEARS);
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+            return "Enter the expiry date on the certificate.";
+        }
+        if (date < today) {
+            return "The certificate has already expired.";
+        }
+        if (date > latest.toISOString().slice(0, 10)) {
+            return `Certificates are valid for at most ${NCDMB_MAX_VALIDITY_YEARS} years.`;
+        }
+        return null;
+    }
+
+    /**
+     * Problems with a verification request `{ ncdmbNumber, expiresAt,
+     * documents }` (`documents` being Files) as { field: message }. Empty
+     * when it can be sent.
+     */
+    static validateRequest(data, now = new Date()) {
+        const errors = {};
+        const numberError = Ncdmb.numberError(data.ncdmbNumber, now);
+        const expiryError = Ncdmb.expiryError(data.expiresAt, now);
+        if (numberError) errors.ncdmbNumber = numberError;
+        if (expiryError) errors.expiresAt = expiryError;
+
+        const documentsError = Ncdmb.documentsError(data.documents || []);
+        if (documentsError) errors.documents = documentsError;
+
+        return errors;
+    }
+
+    // Why supporting `documents` (Files) can't be sent, or null. Company
+    // claims (js/claims.js) take the same documents.
+    static documentsError(documents) {
+        const { max, maxSize, extensions } = NCDMB_FILES;
+        if (documents.length === 0) return "Attach the registration certificate.";
+        if (documents.length > max) return `Attach at most ${max} files.`;
+
+        for (const file of documents) {
+            const extension = file.name
+                .slice(file.name.lastIndexOf("."))
+                .toLowerCase();
+            if (!extensions.includes(extension)) {
+                return `${file.name} isn't a PDF or an image.`;
+            }
+            if (file.size > maxSize) {
+                return `${file.name} is larger than ${maxSize / 1024 / 1024} MB.`;
+            }
+        }
+        return null;
+    }
+
+    // The status to show: verified companies past their expiry date are expired
+    static status(company, now = new Date()) {
+        const status = NCDMB_STATUSES[company?.ncdmbStatus]
+            ? company.ncdmbStatus
+            : "unverified";
+        const today = now.toISOString().slice(0, 10);
+
+        return status === "verified" &&
+            company.ncdmbExpiresAt &&
+            company.ncdmbExpiresAt.slice(0, 10) < today
+            ? "expired"
+            : status;
+    }
+
+    static isVerified(company, now = new Date()) {
+        return Ncdmb.status(company, now) === "verified";
+    }
+
+    static statusLabel(status) {
+        return NCDMB_STATUSES[status]?.label || status;
+    }
+
+    /**
+     * The status `action` moves a company in `status` to. Throws, with a
+     * message for the user, when the action doesn't apply or a required
+     * reason is missing.
+     */
+    static transition(status, action, reason = "") {
+        const rule = NCDMB_ACTIONS[action];
+
+        if (!rule) {
+            throw new Error(`Unknown verification action "${action}".`);
+        }
+        if (!rule.from.includes(status)) {
+            throw new Error(
+                status === "pending"
+                    ? "This company's verification is already waiting for an editor."
+                    : `Verification is ${Ncdmb.statusLabel(
+                          status
+                      ).toLowerCase()} and can't be changed that way.`
+            );
+        }
+        if (rule.needsReason && !reason.trim()) {
+            throw new Error("Tell the company why.");
+        }
+
+        return rule.to;
+    }
+
+    // Users who may request verification for `company`: its admins (js/claims.js)
+    static canManage(user, company) {
+        return Claims.isAdmin(user, company);
+    }
+}
+
+window.NCDMB_STATUSES = NCDMB_STATUSES;
+window.Ncdmb = Ncdmb;
@@ -0,0 +1,203 @@
+/**
+ * THE PIPELINE - OPPORTUNITY SUBMISSION
+ * Steps, validation and the document built by the "Post an opportunity"
+ * form (#opportunities/new). The router renders the form and its preview.
+ */
+
+// Fields entered on each step; the last step previews the listing
+const SUBMISSION_STEPS = [
+    {
+        label: "Basics",
+        fields: ["title", "opportunityType", "companyId", "city", "state"]
+    },
+    { label: "Details", fields: ["description", "requirements", "benefits"] },
+    {
+        label: "How to Apply",
+        fields: ["closingDate", "applyUrl", "applyEmail", "documents"]
+    },
+    { label: "Preview", fields: [] }
+];
+
+// Tender documents, specifications and forms attached to a listing
+const SUBMISSION_FILES = {
+    max: 5,
+    maxSize: 10 * 1024 * 1024,
+    extensions: [".pdf", ".doc", ".docx", ".xls", ".xlsx", ".zip"]
+};
+
+// The form is kept for the browser session (files excepted)
+const SUBMISSION_DRAFT_KEY = "pipeline:opportunity-draft";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class OpportunityForm {
+    static get steps() {
+        return SUBMISSION_STEPS;
+    }
+
+    static get files() {
+        return SUBMISSION_FILES;
+    }
+
+    /**
+     * Problems with `data` (the form's values, `documents` being an array
+     * of Files) as { field: message }, for the fields of step `step` or of
+     * every step when it's null. Empty when the data is valid.
+     */
+    static validate(data, step = null, now = new Date()) {
+        const fields =
+            step === null
+                ? SUBMISSION_STEPS.flatMap(s => s.fields)
+                : SUBMISSION_STEPS[step].fields;
+        const errors = {};
+        const fail = (field, message) => {
+            if (fields.includes(field) && !errors[field]) {
+                errors[field] = message;
+            }
+        };
+        const text = field => (data[field] || "").trim();
+
+        if (!text("title")) {
+            fail("title", "Enter a title.");
+        } else if (text("title").length > 150) {
+            fail("title", "Keep the title under 150 characters.");
+        }
+
+        if (!OPPORTUNITY_TYPES.includes(data.opportunityType)) {
+            fail("opportunityType", "Choose the type of opportunity.");
+        }
+
+        if (text("description").length < 30) {
+            fail(
+                "description",
+                "Describe the opportunity in at least 30 characters."
+            );
+        }
+
+        const today = now.toISOString().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(text("closingDate"))) {
+            fail("closingDate", "Choose a closing date.");
+        } else if (text("closingDate") <= today) {
+            fail("closingDate", "The closing date must be in the future.");
+        }
+
+        if (!text("applyUrl") && !text("applyEmail")) {
+            fail("applyUrl", "Add an application link or an email address.");
+        }
+        if (text("applyUrl") && !OpportunityForm.isWebUrl(text("applyUrl"))) {
+            fail("applyUrl", "Enter a full link starting with https://");
+        }
+        if (text("applyEmail") && !EMAIL_PATTERN.test(text("applyEmail"))) {
+            fail("applyEmail", "Enter a valid email address.");
+        }
+
+        const documents = data.documents || [];
+        const { max, maxSize, extensions } = SUBMISSION_FILES;
+        if (documents.length > max) {
+            fail("documents", `Attach at most ${max} files.`);
+        }
+        documents.forEach(file => {
+            const extension = file.name.slice(file.name.lastIndexOf(".")).toLowerCase();
+            if (!extensions.includes(extension)) {
+                fail("documents", `${file.name} isn't a supported file type.`);
+            } else if (file.size > maxSize) {
+                fail(
+                    "documents",
+                    `${file.name} is larger than ${maxSize / 1024 / 1024} MB.`
+                );
+            }
+        });
+
+        return errors;
+    }
+
+    static isWebUrl(value) {
+        try {
+            return ["http:", "https:"].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // "Port Harcourt, Rivers State", matching the directory's locations
+    static location(city = "", state = "") {
+        const stateLabel = state && (state === "FCT" ? "FCT" : `${state} State`);
+        return [city.trim(), stateLabel].filter(Boolean).join(", ");
+    }
+
+    /**
+     * The document passed to createOpportunity(). `documents` are the
+     * uploaded files (uploadFile() results); providers link them and the
+     * company in their own way.
+     */
+    static toDocument(data, documents = []) {
+        const optional = field => (data[field] || "").trim() || undefined;
+        const applyUrl = optional("applyUrl");
+
+        return {
+            title: data.title.trim(),
+            opportunityType: data.opportunityType,
+            description: data.description.trim(),
+            requirements: optional("requirements"),
+            benefits: optional("benefits"),
+            location: OpportunityForm.location(data.city, data.state) || undefined,
+            closingDate: data.closingDate,
+            link: applyUrl || `mailto:${data.applyEmail.trim()}`,
+            companyId: data.companyId || undefined,
+            documents
+        };
+    }
+
+    // Form values for an existing listing, to edit a returned submission
+    static fromDocument(doc) {
+        const link = doc.link || "";
+        const parts = (doc.location || "").split(",").map(part => part.trim());
+        const stateName = parts[parts.length - 1].replace(/ State$/, "");
+        const state = NIGERIAN_STATES.some(s => s.name === stateName)
+            ? stateName
+            : "";
+        const isEmail = link.startsWith("mailto:");
+
+        return {
+            title: doc.title || "",
+            opportunityType: doc.opportunityType || "",
+            companyId: doc.companyId || doc.company?.$id || "",
+            city: (state ? parts.slice(0, -1) : parts).join(", "),
+            state,
+            description: doc.description || "",
+            requirements: doc.requirements || "",
+            benefits: doc.benefits || "",
+            closingDate: (doc.closingDate || "").slice(0, 10),
+            applyUrl: isEmail ? "" : link,
+            applyEmail: isEmail ? link.slice("mailto:".length) : ""
+        };
+    }
+
+    static loadDraft() {
+        try {
+            return JSON.parse(sessionStorage.getItem(SUBMISSION_DRAFT_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static saveDraft(data) {
+        const { documents, ...values } = data;
+
+        try {
+            sessionStorage.setItem(SUBMISSION_DRAFT_KEY, JSON.stringify(values));
+        } catch (error) {
+            // sessionStorage unavailable; the draft lasts until the page changes
+        }
+    }
+
+    static clearDraft() {
+        try {
+            sessionStorage.removeItem(SUBMISSION_DRAFT_KEY);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+}
+
+window.OpportunityForm = OpportunityForm;
@@ -0,0 +1,1481 @@
+/**
+ * THE PIPELINE - APPWRITE PROVIDER
+ * Content provider backed by Appwrite databases and storage
+ */
+
+class AppwriteProvider extends ContentProvider {
+    constructor(config = {}, options = {}) {
+        super(config, options);
+        this.name = "appwrite";
+
+        this.endpoint = config.endpoint;
+        this.projectId = config.projectId;
+        this.databaseId = config.databaseId;
+        this.bucketId = config.bucketId || "media";
+
+        // Initialize Appwrite client
+        this.client = new Appwrite.Client();
+        this.databases = new Appwrite.Databases(this.client);
+        this.storage = new Appwrite.Storage(this.client);
+        this.account = new Appwrite.Account(this.client);
+
+        this.client.setEndpoint(this.endpoint).setProject(this.projectId);
+
+        // Collection IDs (created in the Appwrite console)
+        this.collections = {
+            opportunities: "opportunities",
+            companies: "companies",
+            regulatory: "regulatory",
+            articles: "articles"
+        };
+
+        // Related documents search paths reach ("company.companyName"),
+        // by the attribute holding their ID (no joins in Appwrite)
+        this.relations = {
+            company: { collectionKey: "companies", idField: "companyId" }
+        };
+
+        // Audit trail of moderation decisions (see js/moderation.js)
+        this.moderationCollection =
+            config.moderationCollection || "moderation_events";
+
+        // NCDMB verification requests, one per company under its ID
+        this.verificationCollection =
+            config.verificationCollection || "ncdmb_verifications";
+
+        // Company claims and the edits proposed by companies' admins
+        this.claimCollection = config.claimCollection || "company_claims";
+        this.companyEditCollection =
+            config.companyEditCollection || "company_edits";
+
+        // Queue of account preference writes (see changePrefs)
+        this.prefsWrites = Promise.resolve();
+    }
+
+    isModerated(collectionKey) {
+        return Moderation.types().some(
+            definition => definition.collection === collectionKey
+        );
+    }
+
+    // Reads go through the request manager: identical ones in flight are
+    // merged, transient failures retried. The SDK takes no AbortSignal, so
+    // timed-out or cancelled calls are abandoned rather than stopped.
+    // Moderated collections list published documents only, unless
+    // `unpublished` is set (the review queue, the user's submissions).
+    listDocuments(collectionKey, queries = [], { unpublished = false } = {}) {
+        const allQueries =
+            this.isModerated(collectionKey) && !unpublished
+                ? [Appwrite.Query.equal("status", "published"), ...queries]
+                : queries;
+
+        return this.requests.run(
+            `appwrite:list:${collectionKey}:${JSON.stringify(allQueries)}`,
+            () =>
+                this.databases.listDocuments(
+                    this.databaseId,
+                    this.collections[collectionKey],
+                    allQueries
+                )
+        );
+    }
+
+    getDocument(collectionKey, id) {
+        return this.requests.run(`appwrite:get:${collectionKey}:${id}`, () =>
+            this.databases.getDocument(
+                this.databaseId,
+                this.collections[collectionKey],
+                id
+            )
+        );
+    }
+
+    createDocument(collectionKey, data, permissions) {
+        return this.databases.createDocument(
+            this.databaseId,
+            this.collections[collectionKey],
+            Appwrite.ID.unique(),
+            data,
+            permissions
+        );
+    }
+
+    // The stored `field` (state or lga, see js/locations.js), or for
+    // documents saved without it, a full-text match on location for any of
+    // `terms`. Best effort: requires a fulltext index on `location`, and
+    // Query.or/Query.and from SDK 14 (Appwrite 1.5).
+    locationQuery(field, value, terms) {
+        const { Query } = Appwrite;
+        return Query.or([
+            Query.equal(field, value),
+            Query.and([
+                Query.isNull(field),
+                Query.search("location", terms.join(" "))
+            ])
+        ]);
+    }
+
+    stateQuery(state) {
+        return this.locationQuery("state", state, ListFilters.stateTerms(state));
+    }
+
+    lgaQuery(lga) {
+        return this.locationQuery("lga", lga, Locations.lgaTerms(lga));
+    }
+
+    // Open opportunities (no closing date or not yet past it), closed ones
+    // for `closed: "only"`, or none for "include" (see js/closing-dates.js)
+    closedQuery(closed) {
+        const today = ClosingDates.today();
+
+        if (closed === "include") return null;
+        if (closed === "only") {
+            return Appwrite.Query.lessThan("closingDate", today);
+        }
+        return Appwrite.Query.or([
+            Appwrite.Query.isNull("closingDate"),
+            Appwrite.Query.greaterThanEqual("closingDate", today)
+        ]);
+    }
+
+    // Companies by NCDMB status as Ncdmb.status() shows it: verified ones
+    // past their expiry date are expired, pending ones unverified
+    ncdmbQuery(ncdmb) {
+        const { Query } = Appwrite;
+        const today = ClosingDates.today();
+        const verified = Query.equal("ncdmbStatus", "verified");
+
+        if (ncdmb === "verified") {
+            return Query.and([
+                verified,
+                Query.greaterThanEqual("ncdmbExpiresAt", today)
+            ]);
+        }
+        if (ncdmb === "expired") {
+            return Query.or([
+                Query.equal("ncdmbStatus", "expired"),
+                Query.and([verified, Query.lessThan("ncdmbExpiresAt", today)])
+            ]);
+        }
+        return Query.or([
+            Query.isNull("ncdmbStatus"),
+            Query.equal("ncdmbStatus", ["unverified", "pending"])
+        ]);
+    }
+
+    // Documents that went live after an ISO date-time (saved-search
+    // alerts): approved then or, where nothing is moderated, added then
+    publishedAfterQuery(collectionKey, publishedAfter) {
+        const { Query } = Appwrite;
+        const added = Query.greaterThan("$createdAt", publishedAfter);
+        if (!this.isModerated(collectionKey)) return added;
+
+        return Query.or([
+            Query.greaterThan("publishedAt", publishedAfter),
+            Query.and([Query.isNull("publishedAt"), added])
+        ]);
+    }
+
+    // OPPORTUNITIES
+    async getOpportunities(filters = {}) {
+        const {
+            type,
+            sector,
+            state,
+            lga,
+            closingFrom,
+            closingTo,
+            companyId,
+            closed,
+            sort,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+
+        const queries = [
+            sort === "closing"
+                ? Appwrite.Query.orderAsc("closingDate")
+                : Appwrite.Query.orderDesc("$createdAt"),
+            Appwrite.Query.limit(limit),
+            Appwrite.Query.offset(offset)
+        ];
+
+        if (type) {
+            queries.push(Appwrite.Query.equal("opportunityType", type));
+        }
+
+        // Opportunities carry their company's sector (no joins in Appwrite)
+        if (sector) {
+            queries.push(Appwrite.Query.equal("sector", sector));
+        }
+
+        if (state) {
+            queries.push(this.stateQuery(state));
+        }
+
+        if (lga) {
+            queries.push(this.lgaQuery(lga));
+        }
+
+        // Appwrite sorts missing values first, so the closing sort lists
+        // only opportunities that have a closing date
+        if (sort === "closing") {
+            queries.push(Appwrite.Query.isNotNull("closingDate"));
+        }
+
+        if (closingFrom) {
+            queries.push(
+                Appwrite.Query.greaterThanEqual("closingDate", closingFrom)
+            );
+        }
+
+        if (closingTo) {
+            queries.push(Appwrite.Query.lessThanEqual("closingDate", closingTo));
+        }
+
+        if (companyId) {
+            queries.push(Appwrite.Query.equal("companyId", companyId));
+        }
+
+        const closedQuery = this.closedQuery(closed);
+        if (closedQuery) {
+            queries.push(closedQuery);
+        }
+
+        if (publishedAfter) {
+            queries.push(this.publishedAfterQuery("opportunities", publishedAfter));
+        }
+
+        const response = await this.listDocuments("opportunities", queries);
+        return this.toPage(response.documents, response.total, offset);
+    }
+
+    async getOpportunityById(id) {
+        const opportunity = await this.getDocument("opportunities", id);
+
+        // Get related company if exists
+        if (opportunity.companyId) {
+            opportunity.company = await this.getDocument(
+                "companies",
+                opportunity.companyId
+            );
+        }
+
+        return opportunity;
+    }
+
+    // `documents` are uploadFile() results, stored as file IDs
+    async createOpportunity(data) {
+        const { documents = [], ...fields } = data;
+
+        return this.createSubmission("opportunity", {
+            ...(await this.withSector(fields)),
+            documents: documents.map(file => file.$id)
+        });
+    }
+
+    // Opportunities carry their company's sector (no joins in Appwrite)
+    async withSector(fields) {
+        const company = fields.companyId
+            ? await this.getCompanyById(fields.companyId)
+            : null;
+
+        return { ...fields, sector: fields.sector || company?.sector };
+    }
+
+    // COMPANIES
+    async getCompanies(filters = {}) {
+        const {
+            sector,
+            ncdmb,
+            state,
+            lga,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+
+        const queries = [
+            Appwrite.Query.orderAsc("companyName"),
+            Appwrite.Query.limit(limit),
+            Appwrite.Query.offset(offset)
+        ];
+
+        if (sector) {
+            queries.push(Appwrite.Query.equal("sector", sector));
+        }
+
+        if (ncdmb) {
+            queries.push(this.ncdmbQuery(ncdmb));
+        }
+
+        if (state) {
+            queries.push(this.stateQuery(state));
+        }
+
+        if (lga) {
+            queries.push(this.lgaQuery(lga));
+        }
+
+        if (publishedAfter) {
+            queries.push(this.publishedAfterQuery("companies", publishedAfter));
+        }
+
+        const response = await this.listDocuments("companies", queries);
+        return this.toPage(response.documents, response.total, offset);
+    }
+
+    getCompanyById(id) {
+        return this.getDocument("companies", id);
+    }
+
+    createCompany(data) {
+        return this.createSubmission("company", data);
+    }
+
+    // REGULATORY UPDATES
+    async getRegulatoryUpdates(filters = {}) {
+        const {
+            source,
+            publishedFrom,
+            publishedTo,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+
+        const queries = [
+            Appwrite.Query.orderDesc("publishedDate"),
+            Appwrite.Query.limit(limit),
+            Appwrite.Query.offset(offset)
+        ];
+
+        if (source) {
+            queries.push(Appwrite.Query.equal("source", source));
+        }
+
+        if (publishedFrom) {
+            queries.push(
+                Appwrite.Query.greaterThanEqual("publishedDate", publishedFrom)
+            );
+        }
+
+        if (publishedTo) {
+            queries.push(
+                Appwrite.Query.lessThanEqual("publishedDate", publishedTo)
+            );
+        }
+
+        if (publishedAfter) {
+            queries.push(this.publishedAfterQuery("regulatory", publishedAfter));
+        }
+
+        const response = await this.listDocuments("regulatory", queries);
+        return this.toPage(response.documents, response.total, offset);
+    }
+
+    getRegulatoryUpdateById(id) {
+        return this.getDocument("regulatory", id);
+    }
+
+    createRegulatoryUpdate(data) {
+        return this.createDocument("regulatory", data);
+    }
+
+    // ARTICLES
+    async getArticles(filters = {}) {
+        const { category, publishedAfter, limit = 20, offset = 0 } = filters;
+
+        const queries = [
+            Appwrite.Query.orderDesc("publishedDate"),
+            Appwrite.Query.limit(limit),
+            Appwrite.Query.offset(offset)
+        ];
+
+        if (category) {
+            queries.push(Appwrite.Query.search("tags", category));
+        }
+
+        if (publishedAfter) {
+            queries.push(this.publishedAfterQuery("articles", publishedAfter));
+        }
+
+        const response = await this.listDocuments("articles", queries);
+        return this.toPage(response.documents, response.total, offset);
+    }
+
+    getArticleById(id) {
+        return this.getDocument("articles", id);
+    }
+
+    createArticle(data) {
+        return this.createDocument("articles", {
+            ...data,
+            tags: Array.isArray(data.tags)
+                ? data.tags
+                : data.tags.split(",").map(t => t.trim())
+        });
+    }
+
+    // SEARCH
+    // Each field is queried on its own (needs a fulltext index per field).
+    // The queries start together through the request manager and the hits
+    // are merged in collection and field order.
+    async search(searchTerm, collections = []) {
+        const keys =
+            collections.length > 0
+                ? collections.filter(key => this.collections[key])
+                : Object.keys(this.collections);
+        const queries = keys.flatMap(collectionKey =>
+            (ContentTypes.byCollection(collectionKey)?.searchFields || [])
+                .filter(field => field.indexed !== false || field.items)
+                .map(field => ({ collectionKey, field }))
+        );
+
+        const responses = await Promise.all(
+            queries.map(({ collectionKey, field }) =>
+                this.searchField(collectionKey, field, searchTerm).catch(
+                    error => {
+                        console.warn(
+                            `Search failed for ${collectionKey}.${field.path}:`,
+                            error
+                        );
+                        return { documents: [] };
+                    }
+                )
+            )
+        );
+
+        // A document found by several fields keeps what each query added
+        const results = new Map();
+        responses.forEach((response, i) => {
+            const { collectionKey } = queries[i];
+            response.documents.forEach(doc => {
+                const key = `${collectionKey}:${doc.$id}`;
+                results.set(key, {
+                    ...results.get(key),
+                    ...doc,
+                    _collection: collectionKey
+                });
+            });
+        });
+
+        return [...results.values()];
+    }
+
+    /**
+     * Up to 20 documents whose search `field` matches `searchTerm`. List
+     * fields (`items`, e.g. tags) match whole items. A path into a related
+     * document searches that collection first and returns the documents
+     * pointing at the matches, with the related document attached.
+     */
+    async searchField(collectionKey, field, searchTerm) {
+        const { Query } = Appwrite;
+        const [relation, relatedPath] = field.path.split(".");
+
+        if (field.items) {
+            return this.listDocuments(collectionKey, [
+                Query.contains(field.path, this.itemTerms(searchTerm)),
+                Query.limit(20)
+            ]);
+        }
+
+        if (!relatedPath) {
+            return this.listDocuments(collectionKey, [
+                Query.search(field.path, searchTerm),
+                Query.limit(20)
+            ]);
+        }
+
+        const { collectionKey: relatedKey, idField } = this.relations[relation];
+        const related = await this.listDocuments(relatedKey, [
+            Query.search(relatedPath, searchTerm),
+            Query.limit(20)
+        ]);
+        if (related.documents.length === 0) return { documents: [] };
+
+        const byId = new Map(related.documents.map(doc => [doc.$id, doc]));
+        const response = await this.listDocuments(collectionKey, [
+            Query.equal(idField, [...byId.keys()]),
+            Query.limit(20)
+        ]);
+
+        return {
+            ...response,
+            documents: response.documents.map(doc => ({
+                ...doc,
+                [relation]: byId.get(doc[idField])
+            }))
+        };
+    }
+
+    // Query.contains matches list items exactly, so try each run of up to
+    // three words as typed, in capitals ("LNG") and in title case
+    // ("Local Content"). Appwrite takes at most 100 values.
+    itemTerms(searchTerm) {
+        const words = searchTerm.trim().split(/\s+/);
+        const titleCase = text =>
+            text.toLowerCase().replace(/(^|\s)\S/g, c => c.toUpperCase());
+
+        const terms = words
+            .flatMap((word, i) =>
+                [1, 2, 3]
+                    .filter(length => i + length <= words.length)
+                    .map(length => words.slice(i, i + length).join(" "))
+            )
+            .flatMap(term => [term, term.toUpperCase(), titleCase(term)]);
+        return [...new Set(terms)].slice(0, 100);
+    }
+
+    // DASHBOARD STATS
+    async getDashboardStats() {
+        const { today, monthStart } = this.getStatsDates();
+        const count = (collectionKey, queries = []) =>
+            this.listDocuments(collectionKey, [
+                ...queries,
+                Appwrite.Query.limit(1)
+            ]).then(response => response.total);
+        const open = Appwrite.Query.greaterThanEqual("closingDate", today);
+
+        const [
+            totalOpportunities,
+            totalCompanies,
+            totalUpdates,
+            totalArticles,
+            openOpportunities,
+            openJobs,
+            openTenders,
+            updatesThisMonth
+        ] = await Promise.all([
+            count("opportunities"),
+            count("companies"),
+            count("regulatory"),
+            count("articles"),
+            count("opportunities", [open]),
+            count("opportunities", [
+                open,
+                Appwrite.Query.equal("opportunityType", "Job")
+            ]),
+            count("opportunities", [
+                open,
+                Appwrite.Query.equal("opportunityType", "Tender")
+            ]),
+            count("regulatory", [
+                Appwrite.Query.greaterThanEqual("publishedDate", monthStart)
+            ])
+        ]);
+
+        return {
+            totalOpportunities,
+            totalCompanies,
+            totalUpdates,
+            totalArticles,
+            openOpportunities,
+            openJobs,
+            openTenders,
+            updatesThisMonth
+        };
+    }
+
+    // FEATURED CONTENT
+    async getFeaturedContent() {
+        const [
+            featuredOpportunities,
+            featuredCompanies,
+            latestUpdates,
+            recentArticles
+        ] = await Promise.all([
+            this.listDocuments("opportunities", [
+                Appwrite.Query.equal("featured", true),
+                this.closedQuery(),
+                Appwrite.Query.limit(3)
+            ]),
+            this.listDocuments("companies", [
+                Appwrite.Query.equal("featured", true),
+                Appwrite.Query.limit(6)
+            ]),
+            this.listDocuments("regulatory", [
+                Appwrite.Query.orderDesc("publishedDate"),
+                Appwrite.Query.limit(3)
+            ]),
+            this.listDocuments("articles", [
+                Appwrite.Query.orderDesc("publishedDate"),
+                Appwrite.Query.limit(3)
+            ])
+        ]);
+
+        return {
+            featuredOpportunities: featuredOpportunities.documents,
+            featuredCompanies: featuredCompanies.documents,
+            latestUpdates: latestUpdates.documents,
+            recentArticles: recentArticles.documents
+        };
+    }
+
+    // ACCOUNTS (Appwrite Account API; the session is an Appwrite cookie)
+    toUser(account) {
+        return {
+            $id: account.$id,
+            $createdAt: account.$createdAt,
+            name: account.name,
+            email: account.email,
+            emailVerified: account.emailVerification,
+            // User labels, set in the console (Auth → user → Labels)
+            roles: account.labels || []
+        };
+    }
+
+    async getCurrentUser() {
+        try {
+            const account = await this.requests.run(
+                "appwrite:account",
+                () => this.account.get(),
+                { signal: null }
+            );
+            return this.toUser(account);
+        } catch (error) {
+            // Guests get a 401 "missing scope" error
+            if (error.code === 401) return null;
+            throw error;
+        }
+    }
+
+    async signUp({ name, email, password }) {
+        await this.account.create(Appwrite.ID.unique(), email, password, name);
+        return this.logIn({ email, password });
+    }
+
+    async logIn({ email, password }) {
+        try {
+            await this.account.createEmailPasswordSession(email, password);
+        } catch (error) {
+            if (error.type !== "user_session_already_exists") throw error;
+
+            // A session left over from another account; replace it
+            await this.account.deleteSession("current");
+            await this.account.createEmailPasswordSession(email, password);
+        }
+
+        return this.toUser(await this.account.get());
+    }
+
+    async logOut() {
+        await this.account.deleteSession("current");
+    }
+
+    // The reset URL's host must be registered as a platform in the console.
+    // Appwrite adds `userId` and `secret` to it.
+    async requestPasswordReset(email, resetUrl) {
+        await this.account.createRecovery(email, resetUrl);
+    }
+
+    async resetPassword({ userId, secret }, password) {
+        if (!userId || !secret) {
+            throw new Error("This reset link is incomplete. Request a new one.");
+        }
+
+        await this.account.updateRecovery(userId, secret, password);
+    }
+
+    /**
+     * MODERATION. Submissions are readable by their submitter and editors
+     * (users labelled "editor") until approved, when anyone may read them;
+     * while changes are requested the submitter may also update them.
+     * Appwrite can't limit which attributes an update touches, so status
+     * changes are only as trusted as the users allowed to make them.
+     */
+    submissionPermissions(status, submitterId) {
+        const { Permission, Role } = Appwrite;
+        const editors = Role.label(EDITOR_ROLE);
+        const submitter = Role.user(submitterId);
+
+        if (status === "published") {
+            return [Permission.read(Role.any()), Permission.update(editors)];
+        }
+
+        return [
+            Permission.read(submitter),
+            Permission.read(editors),
+            Permission.update(editors),
+            ...(status === "draft" ? [Permission.update(submitter)] : [])
+        ];
+    }
+
+    async requireUser() {
+        const user = await this.getCurrentUser();
+        if (!user) throw new Error("Log in to continue.");
+        return user;
+    }
+
+    async requireEditor() {
+        const user = await this.requireUser();
+        if (!Moderation.isEditor(user)) {
+            throw new Error("Only editors can review submissions.");
+        }
+        return user;
+    }
+
+    // Submitters are stored by id and name; other users' emails can't be
+    // looked up from the browser
+    async createSubmission(type, data) {
+        const user = await this.requireUser();
+        const document = await this.createDocument(
+            ContentTypes.get(type).collection,
+            {
+                ...data,
+                ...Locations.fields(data),
+                status: "pending",
+                submittedBy: user.$id,
+                submitterName: user.name,
+                featured: false
+            },
+            this.submissionPermissions("pending", user.$id)
+        );
+
+        await this.recordModeration(type, document, {
+            action: "submit",
+            toStatus: "pending",
+            actor: user
+        });
+        return document;
+    }
+
+    toSubmission(type, document) {
+        return {
+            $id: document.$id,
+            type,
+            title: ContentTypes.titleOf(document, type),
+            status: document.status,
+            reviewNote: document.reviewNote || null,
+            $createdAt: document.$createdAt,
+            $updatedAt: document.$updatedAt,
+            submitter: document.submittedBy
+                ? {
+                      $id: document.submittedBy,
+                      name: document.submitterName,
+                      email: null
+                  }
+                : null,
+            document
+        };
+    }
+
+    // Submissions of every moderated type matching `queries`
+    async listSubmissions(queries) {
+        const batches = await Promise.all(
+            Moderation.types().map(async ({ type, collection }) => {
+                const response = await this.listDocuments(
+                    collection,
+                    [...queries, Appwrite.Query.limit(100)],
+                    { unpublished: true }
+                );
+                return response.documents.map(document =>
+                    this.toSubmission(type, document)
+                );
+            })
+        );
+        return batches.flat();
+    }
+
+    recordModeration(type, document, details) {
+        const { action, fromStatus, toStatus, reason, actor } = details;
+
+        return this.databases.createDocument(
+            this.databaseId,
+            this.moderationCollection,
+            Appwrite.ID.unique(),
+            {
+                contentType: type,
+                entryId: document.$id,
+                action,
+                fromStatus: fromStatus || null,
+                toStatus,
+                reason: reason || null,
+                actorId: actor.$id,
+                actorName: actor.name
+            },
+            [Appwrite.Permission.read(Appwrite.Role.label(EDITOR_ROLE))]
+        );
+    }
+
+    async getModerationQueue(status = "pending") {
+        await this.requireEditor();
+
+        const submissions = await this.listSubmissions([
+            Appwrite.Query.equal("status", status),
+            Appwrite.Query.orderAsc("$createdAt")
+        ]);
+        return submissions.sort((a, b) =>
+            a.$createdAt.localeCompare(b.$createdAt)
+        );
+    }
+
+    // Submitters aren't emailed from the browser: they see decisions on
+    // their account page, or a Function on moderation events can email them
+    async reviewSubmission(type, id, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (action === "submit") {
+            throw new Error(`Unknown moderation action "${action}".`);
+        }
+
+        const { collection } = ContentTypes.get(type);
+        const current = await this.getDocument(collection, id);
+        const status = Moderation.transition(current.status, action, reason);
+        const note = reason.trim() || null;
+
+        const document = await this.databases.updateDocument(
+            this.databaseId,
+            this.collections[collection],
+            id,
+            {
+                status,
+                reviewNote: note,
+                publishedAt:
+                    status === "published" ? new Date().toISOString() : null
+            },
+            this.submissionPermissions(status, current.submittedBy)
+        );
+
+        await this.recordModeration(type, document, {
+            action,
+            fromStatus: current.status,
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        return this.toSubmission(type, document);
+    }
+
+    async getModerationHistory(type, id) {
+        await this.requireEditor();
+
+        const response = await this.databases.listDocuments(
+            this.databaseId,
+            this.moderationCollection,
+            [
+                Appwrite.Query.equal("contentType", type),
+                Appwrite.Query.equal("entryId", id),
+                Appwrite.Query.orderAsc("$createdAt"),
+                Appwrite.Query.limit(100)
+            ]
+        );
+
+        return response.documents.map(event => ({
+            $id: event.$id,
+            action: event.action,
+            fromStatus: event.fromStatus,
+            toStatus: event.toStatus,
+            reason: event.reason,
+            actor: { $id: event.actorId, name: event.actorName, email: null },
+            $createdAt: event.$createdAt
+        }));
+    }
+
+    async getMySubmissions() {
+        const user = await this.getCurrentUser();
+        if (!user) return [];
+
+        const submissions = await this.listSubmissions([
+            Appwrite.Query.equal("submittedBy", user.$id),
+            Appwrite.Query.orderDesc("$updatedAt")
+        ]);
+        return submissions.sort((a, b) =>
+            b.$updatedAt.localeCompare(a.$updatedAt)
+        );
+    }
+
+    async resubmit(type, id, data) {
+        const user = await this.requireUser();
+        const { collection } = ContentTypes.get(type);
+        const current = await this.getDocument(collection, id);
+        const status = Moderation.transition(current.status, "submit");
+        const { documents, ...fields } = data;
+
+        const document = await this.databases.updateDocument(
+            this.databaseId,
+            this.collections[collection],
+            id,
+            {
+                ...(type === "opportunity"
+                    ? await this.withSector(fields)
+                    : fields),
+                ...Locations.fields(fields),
+                ...(documents?.length
+                    ? { documents: documents.map(file => file.$id) }
+                    : {}),
+                status,
+                reviewNote: null
+            },
+            this.submissionPermissions(status, user.$id)
+        );
+
+        await this.recordModeration(type, document, {
+            action: "submit",
+            fromStatus: current.status,
+            toStatus: status,
+            actor: user
+        });
+        return this.toSubmission(type, document);
+    }
+
+    /**
+     * NCDMB VERIFICATION. Published companies can only be updated by
+     * editors, so requests are documents of their own (readable by the
+     * company's admin and editors, stored under the company's ID) and
+     * the company's status only changes with an editor's decision: until
+     * then a verified company keeps its badge. Admins see decisions on
+     * their account page.
+     */
+    async findManagedCompany(companyId) {
+        const user = await this.requireUser();
+        const company = await this.getDocument("companies", companyId);
+
+        if (!Ncdmb.canManage(user, company)) {
+            throw new Error("Only the company's admins can manage its verification.");
+        }
+        return { user, company };
+    }
+
+    // The company's request, or null when it has never sent one
+    async findVerificationRequest(companyId) {
+        try {
+            return await this.databases.getDocument(
+                this.databaseId,
+                this.verificationCollection,
+                companyId
+            );
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    }
+
+    // A pending request stands for the company; otherwise its own fields do
+    toVerification(company, request) {
+        const pending = request?.status === "pending";
+
+        return {
+            $id: company?.$id || request.$id,
+            companyName: company?.companyName || request.companyName,
+            ncdmbNumber: pending
+                ? request.ncdmbNumber
+                : company?.ncdmbNumber || null,
+            status: pending ? "pending" : company?.ncdmbStatus || "unverified",
+            expiresAt: pending
+                ? request.expiresAt
+                : company?.ncdmbExpiresAt || null,
+            verifiedAt: company?.ncdmbVerifiedAt || null,
+            requestedAt: request?.$updatedAt || null,
+            note: request?.note || null,
+            documents: request?.documents || []
+        };
+    }
+
+    async getVerification(companyId) {
+        const { company } = await this.findManagedCompany(companyId);
+        return this.toVerification(
+            company,
+            await this.findVerificationRequest(companyId)
+        );
+    }
+
+    async requestVerification(
+        companyId,
+        { ncdmbNumber, expiresAt, documents = [] }
+    ) {
+        const { user, company } = await this.findManagedCompany(companyId);
+        const existing = await this.findVerificationRequest(companyId);
+        const fromStatus = existing?.status === "pending"
+            ? "pending"
+            : Ncdmb.status(company);
+        const status = Ncdmb.transition(fromStatus, "request-verification");
+        const problem =
+            Ncdmb.numberError(ncdmbNumber) || Ncdmb.expiryError(expiresAt);
+
+        if (problem) throw new Error(problem);
+        if (documents.length === 0) {
+            throw new Error("Attach the registration certificate.");
+        }
+
+        const { Permission, Role } = Appwrite;
+        const owner = Role.user(
+            company.claimedBy || company.submittedBy || user.$id
+        );
+        const editors = Role.label(EDITOR_ROLE);
+        const data = {
+            companyName: company.companyName,
+            ncdmbNumber: Ncdmb.normalizeNumber(ncdmbNumber),
+            expiresAt,
+            status,
+            note: null,
+            documents: documents.map(file => file.$id)
+        };
+
+        const request = existing
+            ? await this.databases.updateDocument(
+                  this.databaseId,
+                  this.verificationCollection,
+                  companyId,
+                  data
+              )
+            : await this.databases.createDocument(
+                  this.databaseId,
+                  this.verificationCollection,
+                  companyId,
+                  data,
+                  [
+                      Permission.read(owner),
+                      Permission.update(owner),
+                      Permission.read(editors),
+                      Permission.update(editors)
+                  ]
+              );
+
+        await this.recordModeration("company", company, {
+            action: "request-verification",
+            fromStatus,
+            toStatus: status,
+            actor: user
+        });
+        return this.toVerification(company, request);
+    }
+
+    async getVerificationQueue(status = "pending") {
+        await this.requireEditor();
+
+        const response = await this.databases.listDocuments(
+            this.databaseId,
+            this.verificationCollection,
+            [
+                Appwrite.Query.equal("status", status),
+                Appwrite.Query.orderAsc("$updatedAt"),
+                Appwrite.Query.limit(100)
+            ]
+        );
+        return response.documents.map(request =>
+            this.toVerification(null, request)
+        );
+    }
+
+    async reviewVerification(companyId, { action, reason = "", expiresAt }) {
+        const editor = await this.requireEditor();
+        if (!["verify", "reject-verification"].includes(action)) {
+            throw new Error(`Unknown verification decision "${action}".`);
+        }
+
+        const request = await this.findVerificationRequest(companyId);
+        if (!request) throw new Error("No verification request for this company.");
+
+        const status = Ncdmb.transition(request.status, action, reason);
+        const expires = expiresAt || request.expiresAt;
+        const note = reason.trim() || null;
+        const problem = action === "verify" && Ncdmb.expiryError(expires);
+        if (problem) throw new Error(problem);
+
+        const updated = await this.databases.updateDocument(
+            this.databaseId,
+            this.verificationCollection,
+            companyId,
+            { status, note, expiresAt: expires }
+        );
+        const company = await this.databases.updateDocument(
+            this.databaseId,
+            this.collections.companies,
+            companyId,
+            action === "verify"
+                ? {
+                      ncdmbNumber: request.ncdmbNumber,
+                      ncdmbStatus: status,
+                      ncdmbExpiresAt: expires,
+                      ncdmbVerifiedAt: new Date().toISOString()
+                  }
+                : { ncdmbStatus: status, ncdmbVerifiedAt: null }
+        );
+
+        await this.recordModeration("company", company, {
+            action,
+            fromStatus: request.status,
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        return this.toVerification(company, updated);
+    }
+
+    /**
+     * COMPANY CLAIMS. The browser can't be trusted to check an email
+     * address, so every claim waits for an editor, with `emailMatches`
+     * telling them whether the claimant's address is on the company's
+     * domain. Claims and edits are readable by their author and editors;
+     * edits keep `changes` as a JSON string. Decisions update the company,
+     * which only editors can do.
+     */
+    toClaim(document) {
+        return {
+            $id: document.$id,
+            companyId: document.companyId,
+            companyName: document.companyName,
+            method: document.method,
+            status: document.status,
+            reviewNote: document.reviewNote || null,
+            emailMatches: Boolean(document.emailMatches),
+            documents: document.documents || [],
+            claimant: {
+                $id: document.claimantId,
+                name: document.claimantName,
+                email: document.claimantEmail
+            },
+            $createdAt: document.$createdAt,
+            $updatedAt: document.$updatedAt
+        };
+    }
+
+    toCompanyEdit(document, company = null) {
+        return {
+            $id: document.$id,
+            companyId: document.companyId,
+            companyName: document.companyName,
+            changes: JSON.parse(document.changes || "{}"),
+            status: document.status,
+            reviewNote: document.reviewNote || null,
+            submitter: {
+                $id: document.submittedBy,
+                name: document.submitterName,
+                email: null
+            },
+            company,
+            $createdAt: document.$createdAt,
+            $updatedAt: document.$updatedAt
+        };
+    }
+
+    // Readable by `authorId` and editors, updated by editors only
+    claimPermissions(authorId) {
+        const { Permission, Role } = Appwrite;
+        const editors = Role.label(EDITOR_ROLE);
+
+        return [
+            Permission.read(Role.user(authorId)),
+            Permission.read(editors),
+            Permission.update(editors)
+        ];
+    }
+
+    async listClaimDocuments(collectionId, queries) {
+        const response = await this.databases.listDocuments(
+            this.databaseId,
+            collectionId,
+            [...queries, Appwrite.Query.limit(100)]
+        );
+        return response.documents;
+    }
+
+    async findAdministeredCompany(companyId) {
+        const user = await this.requireUser();
+        const company = await this.getDocument("companies", companyId);
+
+        if (!Claims.isAdmin(user, company)) {
+            throw new Error("Only the company's admins can edit its profile.");
+        }
+        return { user, company };
+    }
+
+    async claimCompany(companyId, { method, documents = [] }) {
+        const user = await this.requireUser();
+        const company = await this.getDocument("companies", companyId);
+
+        if (Claims.isAdmin(user, company)) {
+            throw new Error("You already manage this profile.");
+        }
+        if (company.claimed) {
+            throw new Error("This profile is already managed by its company.");
+        }
+
+        const pending = await this.listClaimDocuments(this.claimCollection, [
+            Appwrite.Query.equal("companyId", companyId),
+            Appwrite.Query.equal("claimantId", user.$id),
+            Appwrite.Query.equal("status", "pending")
+        ]);
+        if (pending.length) {
+            throw new Error(
+                "Your claim on this profile is already waiting for an editor."
+            );
+        }
+
+        const errors = Claims.validateClaim({ method, documents }, user, company);
+        if (Object.keys(errors).length) throw new Error(Object.values(errors)[0]);
+
+        const claim = await this.databases.createDocument(
+            this.databaseId,
+            this.claimCollection,
+            Appwrite.ID.unique(),
+            {
+                companyId,
+                companyName: company.companyName,
+                method,
+                status: "pending",
+                reviewNote: null,
+                emailMatches: Claims.emailMatches(user.email, company.website),
+                documents: documents.map(file => file.$id),
+                claimantId: user.$id,
+                claimantName: user.name,
+                claimantEmail: user.email
+            },
+            this.claimPermissions(user.$id)
+        );
+
+        await this.recordModeration("company", company, {
+            action: "claim",
+            toStatus: "pending",
+            actor: user
+        });
+        return this.toClaim(claim);
+    }
+
+    async getMyClaims() {
+        const user = await this.getCurrentUser();
+        if (!user) return [];
+
+        const claims = await this.listClaimDocuments(this.claimCollection, [
+            Appwrite.Query.equal("claimantId", user.$id),
+            Appwrite.Query.orderDesc("$createdAt")
+        ]);
+        return claims.map(claim => this.toClaim(claim));
+    }
+
+    async getClaimQueue(status = "pending") {
+        await this.requireEditor();
+
+        const claims = await this.listClaimDocuments(this.claimCollection, [
+            Appwrite.Query.equal("status", status),
+            Appwrite.Query.orderAsc("$createdAt")
+        ]);
+        return claims.map(claim => this.toClaim(claim));
+    }
+
+    async reviewClaim(claimId, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (!["approve-claim", "reject-claim"].includes(action)) {
+            throw new Error(`Unknown claim decision "${action}".`);
+        }
+
+        const claim = await this.databases.getDocument(
+            this.databaseId,
+            this.claimCollection,
+            claimId
+        );
+        const status = Claims.transition(claim.status, action, reason);
+        const note = reason.trim() || null;
+        let company = await this.getDocument("companies", claim.companyId);
+
+        if (action === "approve-claim") {
+            if (company.claimed) {
+                throw new Error("Another claim on this profile was approved first.");
+            }
+            company = await this.databases.updateDocument(
+                this.databaseId,
+                this.collections.companies,
+                company.$id,
+                { claimed: true, claimedBy: claim.claimantId }
+            );
+        }
+
+        const updated = await this.databases.updateDocument(
+            this.databaseId,
+            this.claimCollection,
+            claimId,
+            { status, reviewNote: note }
+        );
+        await this.recordModeration("company", company, {
+            action,
+            fromStatus: claim.status,
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        return this.toClaim(updated);
+    }
+
+    async getCompanyEdits(companyId) {
+        const { company } = await this.findAdministeredCompany(companyId);
+
+        const edits = await this.listClaimDocuments(this.companyEditCollection, [
+            Appwrite.Query.equal("companyId", companyId),
+            Appwrite.Query.orderDesc("$createdAt")
+        ]);
+        return edits.map(edit => this.toCompanyEdit(edit, company));
+    }
+
+    async proposeCompanyEdit(companyId, changes) {
+        const { user, company } = await this.findAdministeredCompany(companyId);
+
+        const pending = await this.listClaimDocuments(this.companyEditCollection, [
+            Appwrite.Query.equal("companyId", companyId),
+            Appwrite.Query.equal("status", "pending")
+        ]);
+        if (pending.length) {
+            throw new Error(
+                "An edit to this profile is already waiting for an editor."
+            );
+        }
+
+        const edit = await this.databases.createDocument(
+            this.databaseId,
+            this.companyEditCollection,
+            Appwrite.ID.unique(),
+            {
+                companyId,
+                companyName: company.companyName,
+                changes: JSON.stringify(
+                    changes.logo ? { ...changes, logo: changes.logo.$id } : changes
+                ),
+                status: "pending",
+                reviewNote: null,
+                submittedBy: user.$id,
+                submitterName: user.name
+            },
+            this.claimPermissions(user.$id)
+        );
+
+        await this.recordModeration("company", company, {
+            action: "propose-edit",
+            toStatus: "pending",
+            actor: user
+        });
+        return this.toCompanyEdit(edit, company);
+    }
+
+    async getCompanyEditQueue(status = "pending") {
+        await this.requireEditor();
+
+        const edits = await this.listClaimDocuments(this.companyEditCollection, [
+            Appwrite.Query.equal("status", status),
+            Appwrite.Query.orderAsc("$createdAt")
+        ]);
+        return Promise.all(
+            edits.map(async edit =>
+                this.toCompanyEdit(
+                    edit,
+                    await this.getDocument("companies", edit.companyId)
+                )
+            )
+        );
+    }
+
+    async reviewCompanyEdit(editId, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (!["approve-edit", "reject-edit"].includes(action)) {
+            throw new Error(`Unknown edit decision "${action}".`);
+        }
+
+        const document = await this.databases.getDocument(
+            this.databaseId,
+            this.companyEditCollection,
+            editId
+        );
+        const edit = this.toCompanyEdit(document);
+        const status = Claims.transition(edit.status, action, reason);
+        const note = reason.trim() || null;
+
+        const company =
+            action === "approve-edit"
+                ? await this.databases.updateDocument(
+                      this.databaseId,
+                      this.collections.companies,
+                      edit.companyId,
+                      { ...edit.changes, ...Locations.fields(edit.changes) }
+                  )
+                : await this.getDocument("companies", edit.companyId);
+
+        const updated = await this.databases.updateDocument(
+            this.databaseId,
+            this.companyEditCollection,
+            editId,
+            { status, reviewNote: note }
+        );
+        await this.recordModeration("company", company, {
+            action,
+            fromStatus: edit.status,
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        return this.toCompanyEdit(updated, company);
+    }
+
+    /**
+     * SAVED SEARCHES AND ALERTS, checked in the browser and kept in the
+     * account's preferences. Browsers can't send email: an Appwrite
+     * Function on account updates can send the digest for searches with
+     * `email` set.
+     */
+    async readAlertState() {
+        const { alerts } = await this.account.getPrefs();
+        return { searches: [], notifications: [], ...alerts };
+    }
+
+    async writeAlertState(alerts) {
+        await this.changePrefs(() => ({ alerts }));
+    }
+
+    /**
+     * Apply `change(prefs)`, the keys to replace, to the account's
+     * preferences. Bookmarks and alert state share them and are written
+     * at the same time on login, so writes run one at a time, each on a
+     * fresh read. Resolves to the new preferences.
+     */
+    changePrefs(change) {
+        const write = this.prefsWrites.then(async () => {
+            const prefs = await this.account.getPrefs();
+            const next = { ...prefs, ...change(prefs) };
+
+            await this.account.updatePrefs(next);
+            return next;
+        });
+
+        // A failed write doesn't hold up the ones queued after it
+        this.prefsWrites = write.catch(() => {});
+        return write;
+    }
+
+    // BOOKMARKS (kept in the account's preferences, 64 kB at most)
+    async syncBookmarks(bookmarks) {
+        const prefs = await this.changePrefs(current => ({
+            bookmarks: Bookmarks.merge(bookmarks, current.bookmarks || [])
+        }));
+        return prefs.bookmarks;
+    }
+
+    // FILES (images, documents)
+    uploadFile(file) {
+        return this.storage.createFile(this.bucketId, Appwrite.ID.unique(), file);
+    }
+
+    getFileUrl(fileId) {
+        return `${this.endpoint}/storage/buckets/${this.bucketId}/files/${fileId}/view?project=${this.projectId}`;
+    }
+
+    get supportsImageTransforms() {
+        return true;
+    }
+
+    // Storage preview endpoint: resized, cropped from the centre, re-encoded
+    getImageUrl(fileId, transform = {}) {
+        // Already a URL (e.g. an external logo), nothing to transform
+        if (/^(https?:|blob:|data:)/.test(fileId)) return fileId;
+
+        const { width, height, quality, output } = transform;
+        const params = new URLSearchParams({ project: this.projectId });
+
+        if (width) params.set("width", Math.min(width, 4000));
+        if (height) params.set("height", Math.min(height, 4000));
+        if (width && height) params.set("gravity", "center");
+        if (quality) params.set("quality", quality);
+        if (output) params.set("output", output);
+
+        return `${this.endpoint}/storage/buckets/${this.bucketId}/files/${fileId}/preview?${params}`;
+    }
+}
+
+window.AppwriteProvider = AppwriteProvider;
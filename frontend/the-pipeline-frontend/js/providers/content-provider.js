@@ -0,0 +1,658 @@
+/**
+ * THE PIPELINE - CONTENT PROVIDER INTERFACE
+ * Base class every backend adapter (Appwrite, Strapi, fixtures) extends
+ *
+ * Providers return plain documents in one shape regardless of backend:
+ * `$id`, `$createdAt` and the collection's own fields, with the related
+ * company inlined on opportunities as `company`. List methods return a
+ * page: `{ documents, total, hasMore }`.
+ */
+
+class ContentProvider {
+    /**
+     * `requests` is the RequestManager backend calls go through (shared
+     * with the API service so route changes cancel them).
+     */
+    constructor(config = {}, { requests = new RequestManager() } = {}) {
+        this.config = config;
+        this.name = "base";
+        this.requests = requests;
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    // Wrap one page of documents with the collection's total count
+    toPage(documents, total, offset = 0) {
+        return {
+            documents,
+            total,
+            hasMore: offset + documents.length < total
+        };
+    }
+
+    // List method for each collection key
+    lister(collectionKey) {
+        const listers = {
+            opportunities: filters => this.getOpportunities(filters),
+            companies: filters => this.getCompanies(filters),
+            regulatory: filters => this.getRegulatoryUpdates(filters),
+            articles: filters => this.getArticles(filters)
+        };
+        return listers[collectionKey];
+    }
+
+    // Number of documents matching `filters`, read from a one-item page
+    async countDocuments(collectionKey, filters = {}) {
+        const page = await this.lister(collectionKey)({
+            ...filters,
+            limit: 1,
+            offset: 0
+        });
+        return page.total;
+    }
+
+    /**
+     * Documents matching `filters`, paged through up to `max`, for facets
+     * whose options come from the data (e.g. companies on opportunities).
+     */
+    async getAllDocuments(collectionKey, filters = {}, max = 500) {
+        const list = this.lister(collectionKey);
+        const documents = [];
+        const pageSize = 100;
+
+        while (documents.length < max) {
+            const page = await list({
+                ...filters,
+                limit: pageSize,
+                offset: documents.length
+            });
+            documents.push(...page.documents);
+            if (!page.hasMore || page.documents.length === 0) break;
+        }
+
+        return documents.slice(0, max);
+    }
+
+    /**
+     * Filters every list method accepts (all optional):
+     *   opportunities: type, sector, state, lga, closingFrom, closingTo,
+     *                  companyId, closed ("include" | "only"; open ones
+     *                  only when unset, see js/closing-dates.js) and
+     *                  sort ("closing": soonest closing date first)
+     *   companies:     sector, ncdmb ("registered" | "unregistered"), state,
+     *                  lga
+     *   regulatory:    source, publishedFrom, publishedTo
+     *   articles:      category
+     * plus limit, offset and publishedAfter (an ISO date-time: documents
+     * approved later, or added later where they aren't moderated). Other dates are YYYY-MM-DD. `state` and `lga` are
+     * names from js/locations.js, matched on the stored fields or, for
+     * documents saved without them, the free-text location.
+     */
+
+    // OPPORTUNITIES
+    async getOpportunities(filters = {}) {
+        this.notImplemented("getOpportunities");
+    }
+
+    async getOpportunityById(id) {
+        this.notImplemented("getOpportunityById");
+    }
+
+    async createOpportunity(data) {
+        this.notImplemented("createOpportunity");
+    }
+
+    // COMPANIES
+    async getCompanies(filters = {}) {
+        this.notImplemented("getCompanies");
+    }
+
+    async getCompanyById(id) {
+        this.notImplemented("getCompanyById");
+    }
+
+    async createCompany(data) {
+        this.notImplemented("createCompany");
+    }
+
+    // REGULATORY UPDATES
+    async getRegulatoryUpdates(filters = {}) {
+        this.notImplemented("getRegulatoryUpdates");
+    }
+
+    async getRegulatoryUpdateById(id) {
+        this.notImplemented("getRegulatoryUpdateById");
+    }
+
+    async createRegulatoryUpdate(data) {
+        this.notImplemented("createRegulatoryUpdate");
+    }
+
+    // ARTICLES
+    async getArticles(filters = {}) {
+        this.notImplemented("getArticles");
+    }
+
+    async getArticleById(id) {
+        this.notImplemented("getArticleById");
+    }
+
+    async createArticle(data) {
+        this.notImplemented("createArticle");
+    }
+
+    /**
+     * Candidate documents for a search: those in the given collection keys
+     * (all when empty) matching any query word in the collection's indexed
+     * search fields (see js/search-engine.js). Each result is tagged with
+     * `_collection`; ranking is left to SearchEngine.
+     */
+    async search(searchTerm, collections = []) {
+        this.notImplemented("search");
+    }
+
+    /**
+     * Homepage numbers: totalOpportunities, totalCompanies, totalUpdates,
+     * totalArticles, plus openOpportunities, openJobs, openTenders (closing
+     * today or later) and updatesThisMonth (regulatory updates).
+     */
+    async getDashboardStats() {
+        this.notImplemented("getDashboardStats");
+    }
+
+    async getFeaturedContent() {
+        this.notImplemented("getFeaturedContent");
+    }
+
+    // Start of today and of the current month, as YYYY-MM-DD strings
+    getStatsDates(now = new Date()) {
+        const monthStart = new Date(
+            Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+        );
+
+        return {
+            today: now.toISOString().slice(0, 10),
+            monthStart: monthStart.toISOString().slice(0, 10)
+        };
+    }
+
+    /**
+     * ACCOUNTS (email and password). Users come back in one shape:
+     * `{ $id, name, email, emailVerified, $createdAt, roles }`, `roles`
+     * listing e.g. "editor" (see js/moderation.js). Failures throw errors
+     * whose message can be shown to the user as-is.
+     */
+
+    // The signed-in user, or null when there is no session
+    async getCurrentUser() {
+        this.notImplemented("getCurrentUser");
+    }
+
+    // Create an account and sign in to it
+    async signUp({ name, email, password }) {
+        this.notImplemented("signUp");
+    }
+
+    async logIn({ email, password }) {
+        this.notImplemented("logIn");
+    }
+
+    async logOut() {
+        this.notImplemented("logOut");
+    }
+
+    /**
+     * Email a reset link for `email`. `resetUrl` is where the link should
+     * lead (the #reset-password page); backends that configure it on the
+     * server ignore it.
+     */
+    async requestPasswordReset(email, resetUrl) {
+        this.notImplemented("requestPasswordReset");
+    }
+
+    // `params` are the query parameters the reset link arrived with
+    async resetPassword(params, password) {
+        this.notImplemented("resetPassword");
+    }
+
+    /**
+     * MODERATION. Opportunities and companies created by signed-in users
+     * are submissions: unpublished until an editor approves them, and
+     * left out of every public list, count and search. Submissions come
+     * back as `{ $id, type, title, status, reviewNote, $createdAt,
+     * $updatedAt, submitter: { $id, name, email }, document }`, `type`
+     * being "opportunity" or "company" and `document` the full entry.
+     */
+
+    // Submissions with `status`, oldest first (editors only)
+    async getModerationQueue(status = "pending") {
+        this.notImplemented("getModerationQueue");
+    }
+
+    /**
+     * Apply an editor's decision ("approve", "request-changes" or
+     * "reject", the last two with a `reason` shown to the submitter) and
+     * notify the submitter. Returns the updated submission.
+     */
+    async reviewSubmission(type, id, { action, reason }) {
+        this.notImplemented("reviewSubmission");
+    }
+
+    // Audit trail, oldest first: `{ $id, action, fromStatus, toStatus,
+    // reason, actor: { $id, name, email }, $createdAt }` (editors only)
+    async getModerationHistory(type, id) {
+        this.notImplemented("getModerationHistory");
+    }
+
+    // The signed-in user's own submissions, most recently changed first
+    async getMySubmissions() {
+        this.notImplemented("getMySubmissions");
+    }
+
+    // Replace the fields of the user's `draft` submission and queue it again
+    async resubmit(type, id, data) {
+        this.notImplemented("resubmit");
+    }
+
+    /**
+     * NCDMB VERIFICATION (see js/ncdmb.js). A published company's admin
+     * (Claims.isAdmin()) sends its registration number, certificate
+     * expiry date and documents; editors verify or reject the request.
+     * Verifications come back as `{ $id, companyName, ncdmbNumber, status,
+     * expiresAt, verifiedAt, requestedAt, note, documents }`, `$id` being
+     * the company's, `note` an editor's reason for rejecting and
+     * `documents` file references as getDocumentListHTML() takes them.
+     */
+
+    // The company's verification (its admins only)
+    async getVerification(companyId) {
+        this.notImplemented("getVerification");
+    }
+
+    // `documents` are uploadFile() results. Returns the pending verification.
+    async requestVerification(companyId, { ncdmbNumber, expiresAt, documents }) {
+        this.notImplemented("requestVerification");
+    }
+
+    // Verifications with `status`, oldest request first (editors only)
+    async getVerificationQueue(status = "pending") {
+        this.notImplemented("getVerificationQueue");
+    }
+
+    /**
+     * Apply an editor's decision: "verify", optionally correcting
+     * `expiresAt` from the certificate, or "reject-verification" with a
+     * `reason` shown to the company. Returns the updated verification.
+     */
+    async reviewVerification(companyId, { action, reason, expiresAt }) {
+        this.notImplemented("reviewVerification");
+    }
+
+    /**
+     * COMPANY CLAIMS (see js/claims.js). Signed-in users claim profiles
+     * nobody manages; the company's admins propose edits, which editors
+     * approve or reject. Claims and edits come back in the shapes
+     * described in js/claims.js.
+     */
+
+    // `documents` are uploadFile() results. Returns the claim.
+    async claimCompany(companyId, { method, documents }) {
+        this.notImplemented("claimCompany");
+    }
+
+    // The signed-in user's claims, newest first
+    async getMyClaims() {
+        this.notImplemented("getMyClaims");
+    }
+
+    // Claims with `status`, oldest first (editors only)
+    async getClaimQueue(status = "pending") {
+        this.notImplemented("getClaimQueue");
+    }
+
+    // "approve-claim", or "reject-claim" with a `reason` the claimant sees
+    async reviewClaim(claimId, { action, reason }) {
+        this.notImplemented("reviewClaim");
+    }
+
+    // The company's edits, newest first (its admins only)
+    async getCompanyEdits(companyId) {
+        this.notImplemented("getCompanyEdits");
+    }
+
+    /**
+     * Send `changes` (company fields, `logo` an uploadFile() result) for
+     * review. Returns the pending edit.
+     */
+    async proposeCompanyEdit(companyId, changes) {
+        this.notImplemented("proposeCompanyEdit");
+    }
+
+    // Edits with `status`, oldest first (editors only)
+    async getCompanyEditQueue(status = "pending") {
+        this.notImplemented("getCompanyEditQueue");
+    }
+
+    // "approve-edit" applies the changes; "reject-edit" needs a `reason`
+    async reviewCompanyEdit(editId, { action, reason }) {
+        this.notImplemented("reviewCompanyEdit");
+    }
+
+    /**
+     * SAVED SEARCHES AND ALERTS (see js/saved-searches.js). Saved searches
+     * come back as `{ $id, name, section, params, email, $createdAt,
+     * lastCheckedAt }`, `email` asking for an email digest; notifications
+     * as `{ $id, searchId, searchName, type, documentId, title,
+     * $createdAt, read }`, newest first.
+     *
+     * By default alerts are checked in the browser: getNotifications()
+     * runs each saved search for documents added since it was last run,
+     * through the provider's own list and search methods. Providers keep
+     * the state with readAlertState() / writeAlertState(); backends that
+     * check alerts in a job of their own override the methods below.
+     */
+
+    // `{ searches, notifications, checkedAt }` for the signed-in user
+    async readAlertState() {
+        this.notImplemented("readAlertState");
+    }
+
+    async writeAlertState(state) {
+        this.notImplemented("writeAlertState");
+    }
+
+    // Email new notifications from searches with `email` set, if possible
+    async sendAlertDigest(notifications) {}
+
+    async getSavedSearches() {
+        return (await this.readAlertState()).searches;
+    }
+
+    async saveSearch({ name, section, params = {}, email = false }) {
+        const state = await this.readAlertState();
+        const query = { section, params };
+
+        if (state.searches.length >= SAVED_SEARCH_LIMIT) {
+            throw new Error(
+                `You can save up to ${SAVED_SEARCH_LIMIT} searches. Delete one first.`
+            );
+        }
+        if (
+            state.searches.some(
+                search => SavedSearches.key(search) === SavedSearches.key(query)
+            )
+        ) {
+            throw new Error("You've already saved this search.");
+        }
+
+        const now = new Date().toISOString();
+        const search = {
+            $id: `search-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+            name: (name || "").trim() || SavedSearches.describe(query),
+            section,
+            params,
+            email: Boolean(email),
+            $createdAt: now,
+            lastCheckedAt: now
+        };
+
+        await this.writeAlertState({
+            ...state,
+            searches: [...state.searches, search]
+        });
+        return search;
+    }
+
+    // `changes` may rename the search or switch its email digest
+    async updateSavedSearch(id, { name, email }) {
+        const state = await this.readAlertState();
+        const search = state.searches.find(search => search.$id === id);
+        if (!search) throw new Error("This saved search no longer exists.");
+
+        const updated = {
+            ...search,
+            ...(name !== undefined && name.trim() ? { name: name.trim() } : {}),
+            ...(email !== undefined ? { email: Boolean(email) } : {})
+        };
+
+        await this.writeAlertState({
+            ...state,
+            searches: state.searches.map(other =>
+                other.$id === id ? updated : other
+            )
+        });
+        return updated;
+    }
+
+    // Its notifications go with it
+    async deleteSavedSearch(id) {
+        const state = await this.readAlertState();
+
+        await this.writeAlertState({
+            ...state,
+            searches: state.searches.filter(search => search.$id !== id),
+            notifications: state.notifications.filter(
+                notification => notification.searchId !== id
+            )
+        });
+    }
+
+    async getNotifications() {
+        const state = await this.checkSavedSearches(await this.readAlertState());
+        return state.notifications;
+    }
+
+    // Mark `ids` (all notifications when null) as read
+    async markNotificationsRead(ids = null) {
+        const state = await this.readAlertState();
+
+        await this.writeAlertState({
+            ...state,
+            notifications: state.notifications.map(notification =>
+                !ids || ids.includes(notification.$id)
+                    ? { ...notification, read: true }
+                    : notification
+            )
+        });
+    }
+
+    /**
+     * Run every saved search for documents published since its last run and
+     * add a notification for each one not already notified. Runs at most
+     * every ALERT_CHECK_INTERVAL; returns the (updated) state.
+     */
+    async checkSavedSearches(state, now = new Date()) {
+        if (
+            state.checkedAt &&
+            now - new Date(state.checkedAt) < ALERT_CHECK_INTERVAL
+        ) {
+            return state;
+        }
+
+        const checkedAt = now.toISOString();
+        const notified = new Set(
+            state.notifications.map(
+                ({ searchId, type, documentId }) =>
+                    `${searchId}:${type}:${documentId}`
+            )
+        );
+
+        const results = await Promise.all(
+            state.searches.map(async search => ({
+                search,
+                documents: await this.findNewMatches(
+                    search,
+                    search.lastCheckedAt
+                )
+            }))
+        );
+
+        const fresh = results.flatMap(({ search, documents }) =>
+            documents
+                .map(doc => {
+                    const { type } = ContentTypes.byCollection(doc._collection);
+                    return {
+                        $id: `${search.$id}:${type}:${doc.$id}`,
+                        searchId: search.$id,
+                        searchName: search.name,
+                        type,
+                        documentId: doc.$id,
+                        title: ContentTypes.titleOf(doc, type),
+                        $createdAt: checkedAt,
+                        read: false
+                    };
+                })
+                .filter(notification => !notified.has(notification.$id))
+        );
+
+        const nextState = {
+            searches: state.searches.map(search => ({
+                ...search,
+                lastCheckedAt: checkedAt
+            })),
+            notifications: [...fresh, ...state.notifications].slice(
+                0,
+                NOTIFICATION_LIMIT
+            ),
+            checkedAt
+        };
+        await this.writeAlertState(nextState);
+
+        const emailed = new Set(
+            state.searches.filter(search => search.email).map(search => search.$id)
+        );
+        const digest = fresh.filter(notification =>
+            emailed.has(notification.searchId)
+        );
+        if (digest.length > 0) await this.sendAlertDigest(digest);
+
+        return nextState;
+    }
+
+    /**
+     * Documents matching a saved search's query that were published
+     * (approved, for submissions) after `since`, tagged with `_collection`.
+     * Lists are read page by page, so none are skipped however many arrive.
+     */
+    async findNewMatches({ section, params }, since) {
+        if (section === "search") {
+            const candidates = await this.search(
+                params.q,
+                params.type ? [params.type] : []
+            );
+            return new SearchEngine().rank(
+                candidates.filter(
+                    doc => (doc.publishedAt || doc.$createdAt) > since
+                ),
+                params.q
+            );
+        }
+
+        const { collection } = ListFilters.get(section);
+        const list = this.lister(collection);
+        const documents = [];
+
+        for (let offset = 0; ; offset += ALERT_PAGE_SIZE) {
+            const page = await list({
+                ...ListFilters.toProviderFilters(section, params),
+                publishedAfter: since,
+                limit: ALERT_PAGE_SIZE,
+                offset
+            });
+            documents.push(...page.documents);
+
+            if (
+                page.documents.length < ALERT_PAGE_SIZE ||
+                documents.length >= page.total
+            ) {
+                break;
+            }
+        }
+
+        return documents.map(doc => ({ ...doc, _collection: collection }));
+    }
+
+    /**
+     * BOOKMARKS (see js/bookmarks.js). Merge `bookmarks`, removals
+     * included, into the signed-in user's stored list and return the
+     * merged list. An empty list just reads it.
+     */
+    async syncBookmarks(bookmarks) {
+        this.notImplemented("syncBookmarks");
+    }
+
+    // FILES
+    async uploadFile(file) {
+        this.notImplemented("uploadFile");
+    }
+
+    getFileUrl(fileId) {
+        this.notImplemented("getFileUrl");
+    }
+
+    // Whether getImageUrl() can resize and re-encode images
+    get supportsImageTransforms() {
+        return false;
+    }
+
+    /**
+     * URL of an image resized to `transform` ({ width, height, quality,
+     * output }). Backends without image transformations serve the original.
+     */
+    getImageUrl(fileId, transform = {}) {
+        return this.getFileUrl(fileId);
+    }
+
+    /**
+     * Newest items across every collection, merged into one date-sorted
+     * feed. Backends with a dedicated endpoint override this.
+     */
+    async getRecentUpdates(limit = 5) {
+        const [opportunities, companies, updates, articles] =
+            await Promise.all([
+                this.getOpportunities({ limit }),
+                this.getCompanies({ limit }),
+                this.getRegulatoryUpdates({ limit }),
+                this.getArticles({ limit })
+            ]);
+
+        const feed = [
+            ...opportunities.documents.map(opp => ({
+                id: opp.$id,
+                title: opp.title,
+                type: "opportunity",
+                date: opp.$createdAt,
+                summary: opp.description
+            })),
+            ...companies.documents.map(company => ({
+                id: company.$id,
+                title: company.companyName,
+                type: "company",
+                date: company.$createdAt,
+                summary: company.description
+            })),
+            ...updates.documents.map(update => ({
+                id: update.$id,
+                title: update.title,
+                type: "regulatory",
+                date: update.publishedDate,
+                summary: update.summary
+            })),
+            ...articles.documents.map(article => ({
+                id: article.$id,
+                title: article.title,
+                type: "article",
+                date: article.publishedDate,
+                summary: article.summary
+            }))
+        ];
+
+        return feed
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, limit);
+    }
+}
+
+window.ContentProvider = ContentProvider;
@@ -0,0 +1,1060 @@
+/**
+ * THE PIPELINE - FIXTURE PROVIDER
+ * In-memory content provider for local development, demos and as the
+ * fallback when the configured backend is unreachable
+ */
+
+// List order per collection, matching the Appwrite and Strapi adapters
+const FIXTURE_SORT = {
+    opportunities: (a, b) => b.$createdAt.localeCompare(a.$createdAt),
+    companies: (a, b) => a.companyName.localeCompare(b.companyName),
+    regulatory: (a, b) => b.publishedDate.localeCompare(a.publishedDate),
+    articles: (a, b) => b.publishedDate.localeCompare(a.publishedDate)
+};
+
+// Opportunities' "closing soonest" order, which lists only dated ones
+const FIXTURE_CLOSING_SORT = (a, b) => a.closingDate.localeCompare(b.closingDate);
+
+// localStorage keys for demo accounts and the signed-in account's id
+const FIXTURE_ACCOUNTS_KEY = "pipeline:fixture-accounts";
+const FIXTURE_SESSION_KEY = "pipeline:fixture-session";
+
+// Demo accounts with these emails are editors, unless `config.editors` says otherwise
+const FIXTURE_EDITORS = ["editor@example.com"];
+
+class FixtureProvider extends ContentProvider {
+    constructor(config = {}, options = {}) {
+        super(config, options);
+        this.name = "fixtures";
+
+        this.data = config.data || FixtureProvider.defaultData();
+        this.editors = (config.editors || FIXTURE_EDITORS).map(email =>
+            email.toLowerCase()
+        );
+
+        // Moderation audit trail, kept until the page is reloaded
+        this.moderationEvents = [];
+
+        // Company claims and proposed profile edits, kept likewise
+        this.claims = [];
+        this.companyEdits = [];
+    }
+
+    // Seeded demo dataset from data/mock-data.js
+    static defaultData() {
+        return MockData.generate();
+    }
+
+    // Documents the public sees (see js/moderation.js)
+    published(collectionKey) {
+        return this.data[collectionKey].filter(Moderation.isPublic);
+    }
+
+    // Keep published documents passing every predicate (and approved, or
+    // added when never moderated, after `publishedAfter`), sort (by
+    // `order`, the collection's default order otherwise), then apply
+    // offset/limit
+    query(
+        collectionKey,
+        predicates = [],
+        {
+            limit = 20,
+            offset = 0,
+            publishedAfter,
+            order = FIXTURE_SORT[collectionKey]
+        } = {}
+    ) {
+        const documents = this.published(collectionKey)
+            .filter(doc =>
+                [
+                    ...predicates,
+                    publishedAfter &&
+                        (doc =>
+                            (doc.publishedAt || doc.$createdAt) > publishedAfter)
+                ]
+                    .filter(Boolean)
+                    .every(predicate => predicate(doc))
+            )
+            .sort(order);
+
+        return this.toPage(
+            documents.slice(offset, offset + limit),
+            documents.length,
+            offset
+        );
+    }
+
+    findById(collectionKey, id) {
+        return (
+            this.published(collectionKey).find(doc => doc.$id === id) || null
+        );
+    }
+
+    insert(collectionKey, data) {
+        const now = new Date().toISOString();
+        const document = {
+            ...data,
+            $id: `local-${collectionKey}-${Date.now()}`,
+            $createdAt: now,
+            $updatedAt: now
+        };
+        this.data[collectionKey].unshift(document);
+        return document;
+    }
+
+    // A new entry from the signed-in user, waiting for review
+    async insertSubmission(type, data) {
+        const { collection } = ContentTypes.get(type);
+        const user = await this.getCurrentUser();
+        const document = this.insert(collection, {
+            ...data,
+            status: "pending",
+            submittedBy: user?.$id || null,
+            publishedAt: null,
+            featured: false
+        });
+
+        this.recordModeration(type, document, {
+            action: "submit",
+            toStatus: "pending",
+            actor: user
+        });
+        return document;
+    }
+
+    // OPPORTUNITIES
+    async getOpportunities(filters = {}) {
+        const {
+            type,
+            sector,
+            state,
+            lga,
+            closingFrom,
+            closingTo,
+            companyId,
+            closed,
+            sort
+        } = filters;
+
+        return this.query(
+            "opportunities",
+            [
+                type && (opp => opp.opportunityType === type),
+                sector &&
+                    (opp => (opp.sector || opp.company?.sector) === sector),
+                state && (opp => Locations.of(opp).state === state),
+                lga && (opp => Locations.of(opp).lga === lga),
+                sort === "closing" && (opp => Boolean(opp.closingDate)),
+                closingFrom && (opp => opp.closingDate >= closingFrom),
+                closingTo && (opp => opp.closingDate <= closingTo),
+                companyId &&
+                    (opp => (opp.companyId || opp.company?.$id) === companyId),
+                closed !== "include" &&
+                    (opp => ClosingDates.isClosed(opp) === (closed === "only"))
+            ],
+            {
+                ...filters,
+                ...(sort === "closing" ? { order: FIXTURE_CLOSING_SORT } : {})
+            }
+        );
+    }
+
+    async getOpportunityById(id) {
+        return this.findById("opportunities", id);
+    }
+
+    // The company is inlined like the generated opportunities'
+    withCompany(fields) {
+        const company =
+            fields.companyId && this.findById("companies", fields.companyId);
+
+        return {
+            ...fields,
+            company: company
+                ? {
+                      $id: company.$id,
+                      companyName: company.companyName,
+                      sector: company.sector
+                  }
+                : undefined
+        };
+    }
+
+    async createOpportunity(data) {
+        const { documents = [], ...fields } = data;
+
+        return this.insertSubmission("opportunity", {
+            ...this.withCompany(fields),
+            documents: documents.map(file => file.$id)
+        });
+    }
+
+    // COMPANIES
+    async getCompanies(filters = {}) {
+        const { sector, ncdmb, state, lga } = filters;
+
+        return this.query(
+            "companies",
+            [
+                sector && (company => company.sector === sector),
+                ncdmb &&
+                    (company =>
+                        Ncdmb.status(company) === ncdmb ||
+                        (ncdmb === "unverified" &&
+                            Ncdmb.status(company) === "pending")),
+                state && (company => Locations.of(company).state === state),
+                lga && (company => Locations.of(company).lga === lga)
+            ],
+            filters
+        );
+    }
+
+    async getCompanyById(id) {
+        return this.findById("companies", id);
+    }
+
+    async createCompany(data) {
+        return this.insertSubmission("company", data);
+    }
+
+    // REGULATORY UPDATES
+    async getRegulatoryUpdates(filters = {}) {
+        const { source, publishedFrom, publishedTo } = filters;
+
+        return this.query(
+            "regulatory",
+            [
+                source && (update => update.source === source),
+                publishedFrom && (update => update.publishedDate >= publishedFrom),
+                publishedTo && (update => update.publishedDate <= publishedTo)
+            ],
+            filters
+        );
+    }
+
+    async getRegulatoryUpdateById(id) {
+        return this.findById("regulatory", id);
+    }
+
+    async createRegulatoryUpdate(data) {
+        return this.insert("regulatory", data);
+    }
+
+    // ARTICLES
+    async getArticles(filters = {}) {
+        const { category } = filters;
+
+        return this.query(
+            "articles",
+            [category && (article => (article.tags || []).includes(category))],
+            filters
+        );
+    }
+
+    async getArticleById(id) {
+        return this.findById("articles", id);
+    }
+
+    async createArticle(data) {
+        return this.insert("articles", {
+            ...data,
+            tags: Array.isArray(data.tags)
+                ? data.tags
+                : data.tags.split(",").map(t => t.trim())
+        });
+    }
+
+    // SEARCH
+    async search(searchTerm, collections = []) {
+        const words = SearchEngine.tokenize(searchTerm);
+        const keys =
+            collections.length > 0
+                ? collections.filter(key => this.data[key])
+                : Object.keys(this.data);
+
+        const matches = (doc, path) => {
+            const text = SearchEngine.fieldText(doc, path).toLowerCase();
+            return words.some(word => text.includes(word));
+        };
+
+        // Like the real adapters, only indexed fields are matched
+        return keys.flatMap(collectionKey => {
+            const fields = SearchEngine.indexedFields(collectionKey);
+
+            return this.published(collectionKey)
+                .filter(doc => fields.some(path => matches(doc, path)))
+                .map(doc => ({ ...doc, _collection: collectionKey }));
+        });
+    }
+
+    // DASHBOARD STATS
+    async getDashboardStats() {
+        const { today, monthStart } = this.getStatsDates();
+        const opportunities = this.published("opportunities");
+        const open = opportunities.filter(opp => opp.closingDate >= today);
+
+        return {
+            totalOpportunities: opportunities.length,
+            totalCompanies: this.published("companies").length,
+            totalUpdates: this.data.regulatory.length,
+            totalArticles: this.data.articles.length,
+            openOpportunities: open.length,
+            openJobs: open.filter(opp => opp.opportunityType === "Job").length,
+            openTenders: open.filter(opp => opp.opportunityType === "Tender")
+                .length,
+            updatesThisMonth: this.data.regulatory.filter(
+                update => update.publishedDate >= monthStart
+            ).length
+        };
+    }
+
+    // FEATURED CONTENT
+    async getFeaturedContent() {
+        const featured = (collectionKey, limit, open = () => true) =>
+            this.published(collectionKey)
+                .filter(doc => doc.featured && open(doc))
+                .slice(0, limit);
+
+        return {
+            featuredOpportunities: featured(
+                "opportunities",
+                3,
+                opp => !ClosingDates.isClosed(opp)
+            ),
+            featuredCompanies: featured("companies", 6),
+            latestUpdates: this.query("regulatory", [], { limit: 3 }).documents,
+            recentArticles: this.query("articles", [], { limit: 3 }).documents
+        };
+    }
+
+    /**
+     * ACCOUNTS (demo only). Accounts and the session live in this
+     * browser's localStorage; nothing is sent anywhere. The reset link is
+     * logged to the console instead of being emailed.
+     */
+    readStore(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) ?? fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    writeStore(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            // localStorage unavailable; the session lasts until reload
+        }
+    }
+
+    get accounts() {
+        return this.readStore(FIXTURE_ACCOUNTS_KEY, []);
+    }
+
+    saveAccounts(accounts) {
+        this.writeStore(FIXTURE_ACCOUNTS_KEY, accounts);
+    }
+
+    // SHA-256 where Web Crypto is available (not on file: pages)
+    async hashPassword(password) {
+        if (!window.crypto?.subtle) return password;
+
+        const digest = await crypto.subtle.digest(
+            "SHA-256",
+            new TextEncoder().encode(password)
+        );
+        return [...new Uint8Array(digest)]
+            .map(byte => byte.toString(16).padStart(2, "0"))
+            .join("");
+    }
+
+    toUser({ passwordHash, resetCode, bookmarks, alerts, ...user }) {
+        return {
+            ...user,
+            roles: this.editors.includes(user.email) ? ["editor"] : []
+        };
+    }
+
+    findAccount(email) {
+        const normalized = String(email).trim().toLowerCase();
+        return this.accounts.find(account => account.email === normalized);
+    }
+
+    // The signed-in demo account, or null
+    currentAccount() {
+        const session = this.readStore(FIXTURE_SESSION_KEY, null);
+        return (
+            (session && this.accounts.find(account => account.$id === session)) ||
+            null
+        );
+    }
+
+    // Save `changes` to the signed-in account; `message` when there is none
+    updateCurrentAccount(changes, message) {
+        const account = this.currentAccount();
+        if (!account) throw new Error(message);
+
+        this.saveAccounts(
+            this.accounts.map(other =>
+                other.$id === account.$id ? { ...other, ...changes } : other
+            )
+        );
+    }
+
+    async getCurrentUser() {
+        const account = this.currentAccount();
+        return account ? this.toUser(account) : null;
+    }
+
+    async signUp({ name, email, password }) {
+        if (this.findAccount(email)) {
+            throw new Error("An account with this email already exists.");
+        }
+
+        const account = {
+            $id: `local-user-${Date.now()}`,
+            $createdAt: new Date().toISOString(),
+            name: name.trim(),
+            email: email.trim().toLowerCase(),
+            emailVerified: false,
+            passwordHash: await this.hashPassword(password)
+        };
+        this.saveAccounts([...this.accounts, account]);
+        this.writeStore(FIXTURE_SESSION_KEY, account.$id);
+
+        return this.toUser(account);
+    }
+
+    async logIn({ email, password }) {
+        const account = this.findAccount(email);
+        if (
+            !account ||
+            account.passwordHash !== (await this.hashPassword(password))
+        ) {
+            throw new Error("Incorrect email or password.");
+        }
+
+        this.writeStore(FIXTURE_SESSION_KEY, account.$id);
+        return this.toUser(account);
+    }
+
+    async logOut() {
+        this.writeStore(FIXTURE_SESSION_KEY, null);
+    }
+
+    async requestPasswordReset(email, resetUrl) {
+        const account = this.findAccount(email);
+        // Like a real backend, don't reveal whether the email is registered
+        if (!account) return;
+
+        const code = Math.random().toString(36).slice(2, 10);
+        this.saveAccounts(
+            this.accounts.map(other =>
+                other.$id === account.$id ? { ...other, resetCode: code } : other
+            )
+        );
+
+        console.info(`Password reset link for ${account.email}: ${resetUrl}?code=${code}`);
+    }
+
+    async resetPassword({ code }, password) {
+        const account = code && this.accounts.find(other => other.resetCode === code);
+        if (!account) {
+            throw new Error("This reset link is invalid or has already been used.");
+        }
+
+        const passwordHash = await this.hashPassword(password);
+        this.saveAccounts(
+            this.accounts.map(other =>
+                other.$id === account.$id
+                    ? { ...other, resetCode: null, passwordHash }
+                    : other
+            )
+        );
+    }
+
+    /**
+     * MODERATION (demo only). Submissions and their audit trail live in
+     * memory; emails to submitters are logged to the console.
+     */
+    async requireEditor() {
+        const user = await this.getCurrentUser();
+        if (!Moderation.isEditor(user)) {
+            throw new Error("Only editors can review submissions.");
+        }
+        return user;
+    }
+
+    // Submissions of every moderated type, as `{ type, document }`
+    submissions(predicate) {
+        return Moderation.types().flatMap(({ type, collection }) =>
+            this.data[collection]
+                .filter(doc => doc.submittedBy && predicate(doc))
+                .map(document => ({ type, document }))
+        );
+    }
+
+    findSubmission(type, id) {
+        const definition = ContentTypes.get(type);
+        const document =
+            definition?.moderated &&
+            this.data[definition.collection].find(doc => doc.$id === id);
+
+        if (!document) throw new Error("Submission not found.");
+        return document;
+    }
+
+    toSubmission(type, document) {
+        const account = this.accounts.find(
+            other => other.$id === document.submittedBy
+        );
+
+        return {
+            $id: document.$id,
+            type,
+            title: ContentTypes.titleOf(document, type),
+            status: document.status,
+            reviewNote: document.reviewNote || null,
+            $createdAt: document.$createdAt,
+            $updatedAt: document.$updatedAt,
+            submitter: account
+                ? { $id: account.$id, name: account.name, email: account.email }
+                : null,
+            document
+        };
+    }
+
+    recordModeration(type, document, details) {
+        const { action, fromStatus, toStatus, reason, actor } = details;
+        this.moderationEvents.push({
+            $id: `local-event-${this.moderationEvents.length + 1}`,
+            type,
+            entryId: document.$id,
+            action,
+            fromStatus: fromStatus || null,
+            toStatus,
+            reason: reason || null,
+            actor: actor
+                ? { $id: actor.$id, name: actor.name, email: actor.email }
+                : null,
+            $createdAt: new Date().toISOString()
+        });
+    }
+
+    async getModerationQueue(status = "pending") {
+        await this.requireEditor();
+
+        return this.submissions(doc => doc.status === status)
+            .map(({ type, document }) => this.toSubmission(type, document))
+            .sort((a, b) => a.$createdAt.localeCompare(b.$createdAt));
+    }
+
+    async reviewSubmission(type, id, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (action === "submit") {
+            throw new Error(`Unknown moderation action "${action}".`);
+        }
+
+        const document = this.findSubmission(type, id);
+        const fromStatus = document.status;
+        const note = reason.trim() || null;
+
+        Object.assign(document, {
+            status: Moderation.transition(fromStatus, action, reason),
+            reviewNote: note,
+            $updatedAt: new Date().toISOString()
+        });
+        document.publishedAt =
+            document.status === "published" ? document.$updatedAt : null;
+
+        this.recordModeration(type, document, {
+            action,
+            fromStatus,
+            toStatus: document.status,
+            reason: note,
+            actor: editor
+        });
+
+        const submission = this.toSubmission(type, document);
+        if (submission.submitter) {
+            console.info(
+                `Email to ${submission.submitter.email}: "${submission.title}" ${Moderation.actions[
+                    action
+                ].label.toLowerCase()}${note ? ` (${note})` : ""}`
+            );
+        }
+        return submission;
+    }
+
+    async getModerationHistory(type, id) {
+        await this.requireEditor();
+
+        return this.moderationEvents.filter(
+            event => event.type === type && event.entryId === id
+        );
+    }
+
+    async getMySubmissions() {
+        const user = await this.getCurrentUser();
+        if (!user) return [];
+
+        return this.submissions(doc => doc.submittedBy === user.$id)
+            .map(({ type, document }) => this.toSubmission(type, document))
+            .sort((a, b) => b.$updatedAt.localeCompare(a.$updatedAt));
+    }
+
+    async resubmit(type, id, data) {
+        const user = await this.getCurrentUser();
+        const document = this.findSubmission(type, id);
+        if (!user || document.submittedBy !== user.$id) {
+            throw new Error("Only the submitter can resubmit this entry.");
+        }
+
+        const { documents, ...fields } = data;
+        const fromStatus = document.status;
+        const status = Moderation.transition(fromStatus, "submit");
+
+        Object.assign(
+            document,
+            type === "opportunity" ? this.withCompany(fields) : fields,
+            {
+                status,
+                reviewNote: null,
+                $updatedAt: new Date().toISOString()
+            }
+        );
+        if (documents?.length) {
+            document.documents = documents.map(file => file.$id);
+        }
+
+        this.recordModeration(type, document, {
+            action: "submit",
+            fromStatus,
+            toStatus: status,
+            actor: user
+        });
+        return this.toSubmission(type, document);
+    }
+
+    /**
+     * NCDMB VERIFICATION (demo only). Requests are kept on the company in
+     * memory; decisions emailed to its admin are logged to the console.
+     */
+    async findManagedCompany(companyId) {
+        const user = await this.getCurrentUser();
+        const company = this.findById("companies", companyId);
+
+        if (!company) throw new Error("Company not found.");
+        if (!Ncdmb.canManage(user, company)) {
+            throw new Error("Only the company's admins can manage its verification.");
+        }
+        return { user, company };
+    }
+
+    toVerification(company) {
+        return {
+            $id: company.$id,
+            companyName: company.companyName,
+            ncdmbNumber: company.ncdmbNumber || null,
+            status: company.ncdmbStatus || "unverified",
+            expiresAt: company.ncdmbExpiresAt || null,
+            verifiedAt: company.ncdmbVerifiedAt || null,
+            requestedAt: company.ncdmbRequestedAt || null,
+            note: company.ncdmbNote || null,
+            documents: company.ncdmbDocuments || []
+        };
+    }
+
+    async getVerification(companyId) {
+        const { company } = await this.findManagedCompany(companyId);
+        return this.toVerification(company);
+    }
+
+    async requestVerification(
+        companyId,
+        { ncdmbNumber, expiresAt, documents = [] }
+    ) {
+        const { user, company } = await this.findManagedCompany(companyId);
+        const fromStatus = Ncdmb.status(company);
+        const status = Ncdmb.transition(fromStatus, "request-verification");
+        const problem =
+            Ncdmb.numberError(ncdmbNumber) || Ncdmb.expiryError(expiresAt);
+
+        if (problem) throw new Error(problem);
+        if (documents.length === 0) {
+            throw new Error("Attach the registration certificate.");
+        }
+
+        Object.assign(company, {
+            ncdmbNumber: Ncdmb.normalizeNumber(ncdmbNumber),
+            ncdmbStatus: status,
+            ncdmbExpiresAt: expiresAt,
+            ncdmbVerifiedAt: null,
+            ncdmbRequestedAt: new Date().toISOString(),
+            ncdmbDocuments: documents.map(file => file.$id),
+            ncdmbNote: null
+        });
+
+        this.recordModeration("company", company, {
+            action: "request-verification",
+            fromStatus,
+            toStatus: status,
+            actor: user
+        });
+        return this.toVerification(company);
+    }
+
+    async getVerificationQueue(status = "pending") {
+        await this.requireEditor();
+
+        return this.published("companies")
+            .filter(company => Ncdmb.status(company) === status)
+            .map(company => this.toVerification(company))
+            .sort((a, b) =>
+                (a.requestedAt || "").localeCompare(b.requestedAt || "")
+            );
+    }
+
+    async reviewVerification(companyId, { action, reason = "", expiresAt }) {
+        const editor = await this.requireEditor();
+        if (!["verify", "reject-verification"].includes(action)) {
+            throw new Error(`Unknown verification decision "${action}".`);
+        }
+
+        const company = this.findById("companies", companyId);
+        if (!company) throw new Error("Company not found.");
+
+        const fromStatus = Ncdmb.status(company);
+        const status = Ncdmb.transition(fromStatus, action, reason);
+        const expires = expiresAt || company.ncdmbExpiresAt;
+        const note = reason.trim() || null;
+        const problem = action === "verify" && Ncdmb.expiryError(expires);
+        if (problem) throw new Error(problem);
+
+        Object.assign(company, {
+            ncdmbStatus: status,
+            ncdmbExpiresAt: expires,
+            ncdmbVerifiedAt:
+                action === "verify" ? new Date().toISOString() : null,
+            ncdmbNote: note
+        });
+
+        this.recordModeration("company", company, {
+            action,
+            fromStatus,
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+
+        this.logEmail(
+            company.claimedBy || company.submittedBy,
+            `${Ncdmb.actions[action].label} for "${company.companyName}"`,
+            note
+        );
+        return this.toVerification(company);
+    }
+
+    // Stand-in for the backend's email to the account with `accountId`
+    logEmail(accountId, subject, note) {
+        const account = this.accounts.find(other => other.$id === accountId);
+        if (account) {
+            console.info(
+                `Email to ${account.email}: ${subject}${note ? ` (${note})` : ""}`
+            );
+        }
+    }
+
+    /**
+     * COMPANY CLAIMS (demo only). Claims and edits are kept in memory;
+     * email claims on the company's domain are approved at once, as the
+     * backend does when sign-ups confirm their address.
+     */
+    toAccountSummary(accountId) {
+        const account = this.accounts.find(other => other.$id === accountId);
+        return account
+            ? { $id: account.$id, name: account.name, email: account.email }
+            : null;
+    }
+
+    toClaim(claim) {
+        const { claimantId, ...fields } = claim;
+        return {
+            ...fields,
+            companyName: this.findById("companies", claim.companyId)?.companyName,
+            claimant: this.toAccountSummary(claimantId)
+        };
+    }
+
+    toCompanyEdit(edit) {
+        const { submittedBy, ...fields } = edit;
+        const company = this.findById("companies", edit.companyId);
+        return {
+            ...fields,
+            companyName: company?.companyName,
+            submitter: this.toAccountSummary(submittedBy),
+            company
+        };
+    }
+
+    async findAdministeredCompany(companyId) {
+        const user = await this.getCurrentUser();
+        const company = this.findById("companies", companyId);
+
+        if (!company) throw new Error("Company not found.");
+        if (!Claims.isAdmin(user, company)) {
+            throw new Error("Only the company's admins can edit its profile.");
+        }
+        return { user, company };
+    }
+
+    async claimCompany(companyId, { method, documents = [] }) {
+        const user = await this.getCurrentUser();
+        if (!user) throw new Error("Log in to claim a company.");
+
+        const company = this.findById("companies", companyId);
+        if (!company) throw new Error("Company not found.");
+        if (Claims.isAdmin(user, company)) {
+            throw new Error("You already manage this profile.");
+        }
+        if (company.claimed) {
+            throw new Error("This profile is already managed by its company.");
+        }
+        if (
+            this.claims.some(
+                claim =>
+                    claim.companyId === company.$id &&
+                    claim.claimantId === user.$id &&
+                    claim.status === "pending"
+            )
+        ) {
+            throw new Error(
+                "Your claim on this profile is already waiting for an editor."
+            );
+        }
+
+        const errors = Claims.validateClaim({ method, documents }, user, company);
+        if (Object.keys(errors).length) throw new Error(Object.values(errors)[0]);
+
+        const now = new Date().toISOString();
+        const claim = {
+            $id: `local-claim-${this.claims.length + 1}`,
+            companyId: company.$id,
+            method,
+            status: method === "email" ? "approved" : "pending",
+            reviewNote: null,
+            emailMatches: Claims.emailMatches(user.email, company.website),
+            documents: documents.map(file => file.$id),
+            claimantId: user.$id,
+            $createdAt: now,
+            $updatedAt: now
+        };
+        this.claims.push(claim);
+
+        if (claim.status === "approved") {
+            Object.assign(company, { claimed: true, claimedBy: user.$id });
+        }
+        this.recordModeration("company", company, {
+            action: "claim",
+            toStatus: claim.status,
+            actor: user
+        });
+        return this.toClaim(claim);
+    }
+
+    async getMyClaims() {
+        const user = await this.getCurrentUser();
+        if (!user) return [];
+
+        return this.claims
+            .filter(claim => claim.claimantId === user.$id)
+            .map(claim => this.toClaim(claim))
+            .sort((a, b) => b.$createdAt.localeCompare(a.$createdAt));
+    }
+
+    async getClaimQueue(status = "pending") {
+        await this.requireEditor();
+
+        return this.claims
+            .filter(claim => claim.status === status)
+            .map(claim => this.toClaim(claim))
+            .sort((a, b) => a.$createdAt.localeCompare(b.$createdAt));
+    }
+
+    async reviewClaim(claimId, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (!["approve-claim", "reject-claim"].includes(action)) {
+            throw new Error(`Unknown claim decision "${action}".`);
+        }
+
+        const claim = this.claims.find(other => other.$id === claimId);
+        if (!claim) throw new Error("Claim not found.");
+
+        const company = this.findById("companies", claim.companyId);
+        const status = Claims.transition(claim.status, action, reason);
+        const note = reason.trim() || null;
+        if (action === "approve-claim") {
+            if (company.claimed) {
+                throw new Error("Another claim on this profile was approved first.");
+            }
+            Object.assign(company, { claimed: true, claimedBy: claim.claimantId });
+        }
+
+        Object.assign(claim, {
+            status,
+            reviewNote: note,
+            $updatedAt: new Date().toISOString()
+        });
+        this.recordModeration("company", company, {
+            action,
+            fromStatus: "pending",
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        this.logEmail(
+            claim.claimantId,
+            `${Claims.actions[action].label} for "${company.companyName}"`,
+            note
+        );
+        return this.toClaim(claim);
+    }
+
+    async getCompanyEdits(companyId) {
+        const { company } = await this.findAdministeredCompany(companyId);
+
+        return this.companyEdits
+            .filter(edit => edit.companyId === company.$id)
+            .map(edit => this.toCompanyEdit(edit))
+            .sort((a, b) => b.$createdAt.localeCompare(a.$createdAt));
+    }
+
+    async proposeCompanyEdit(companyId, changes) {
+        const { user, company } = await this.findAdministeredCompany(companyId);
+        if (
+            this.companyEdits.some(
+                edit => edit.companyId === company.$id && edit.status === "pending"
+            )
+        ) {
+            throw new Error(
+                "An edit to this profile is already waiting for an editor."
+            );
+        }
+
+        const now = new Date().toISOString();
+        const edit = {
+            $id: `local-edit-${this.companyEdits.length + 1}`,
+            companyId: company.$id,
+            changes: changes.logo ? { ...changes, logo: changes.logo.$id } : changes,
+            status: "pending",
+            reviewNote: null,
+            submittedBy: user.$id,
+            $createdAt: now,
+            $updatedAt: now
+        };
+        this.companyEdits.push(edit);
+
+        this.recordModeration("company", company, {
+            action: "propose-edit",
+            toStatus: "pending",
+            actor: user
+        });
+        return this.toCompanyEdit(edit);
+    }
+
+    async getCompanyEditQueue(status = "pending") {
+        await this.requireEditor();
+
+        return this.companyEdits
+            .filter(edit => edit.status === status)
+            .map(edit => this.toCompanyEdit(edit))
+            .sort((a, b) => a.$createdAt.localeCompare(b.$createdAt));
+    }
+
+    async reviewCompanyEdit(editId, { action, reason = "" }) {
+        const editor = await this.requireEditor();
+        if (!["approve-edit", "reject-edit"].includes(action)) {
+            throw new Error(`Unknown edit decision "${action}".`);
+        }
+
+        const edit = this.companyEdits.find(other => other.$id === editId);
+        if (!edit) throw new Error("Edit not found.");
+
+        const company = this.findById("companies", edit.companyId);
+        const status = Claims.transition(edit.status, action, reason);
+        const note = reason.trim() || null;
+        if (action === "approve-edit") Object.assign(company, edit.changes);
+
+        Object.assign(edit, {
+            status,
+            reviewNote: note,
+            $updatedAt: new Date().toISOString()
+        });
+        this.recordModeration("company", company, {
+            action,
+            fromStatus: "pending",
+            toStatus: status,
+            reason: note,
+            actor: editor
+        });
+        this.logEmail(
+            edit.submittedBy,
+            `${Claims.actions[action].label} for "${company.companyName}"`,
+            note
+        );
+        return this.toCompanyEdit(edit);
+    }
+
+    // SAVED SEARCHES AND ALERTS (checked in the browser, kept on the demo
+    // account; the email digest is logged to the console)
+    async readAlertState() {
+        const account = this.currentAccount();
+        if (!account) throw new Error("Log in to get alerts.");
+
+        return { searches: [], notifications: [], ...account.alerts };
+    }
+
+    async writeAlertState(alerts) {
+        this.updateCurrentAccount({ alerts }, "Log in to get alerts.");
+    }
+
+    async sendAlertDigest(notifications) {
+        const account = this.currentAccount();
+        console.info(
+            `Alert digest for ${account.email}:\n${notifications
+                .map(({ searchName, title }) => `- ${title} (${searchName})`)
+                .join("\n")}`
+        );
+    }
+
+    // BOOKMARKS (stored on the demo account)
+    async syncBookmarks(bookmarks) {
+        const account = this.currentAccount();
+        if (!account) throw new Error("Log in to sync your saved items.");
+
+        const merged = Bookmarks.merge(bookmarks, account.bookmarks || []);
+        this.updateCurrentAccount({ bookmarks: merged });
+        return merged;
+    }
+
+    // FILES (kept in memory as object URLs)
+    async uploadFile(file) {
+        return {
+            $id: URL.createObjectURL(file),
+            name: file.name,
+            mimeType: file.type,
+            sizeOriginal: file.size
+        };
+    }
+
+    getFileUrl(fileId) {
+        return fileId;
+    }
+}
+
+window.FixtureProvider = FixtureProvider;
@@ -0,0 +1,1074 @@
+/**
+ * THE PIPELINE - STRAPI PROVIDER
+ * Content provider backed by the Strapi REST API (backend/)
+ */
+
+// localStorage key for the signed-in user's JWT
+const STRAPI_SESSION_KEY = "pipeline:strapi-jwt";
+
+class StrapiProvider extends ContentProvider {
+    constructor(config = {}, options = {}) {
+        super(config, options);
+        this.name = "strapi";
+
+        this.apiUrl = config.apiUrl;
+        this.apiToken = config.apiToken;
+
+        // Signed-in user's JWT (users-permissions plugin), kept across reloads
+        this.jwt = this.readSession();
+
+        // REST endpoints (plural API IDs of the Strapi content types)
+        this.collections = {
+            opportunities: "opportunities",
+            companies: "companies",
+            regulatory: "regulatory-updates",
+            articles: "articles"
+        };
+    }
+
+    /**
+     * Serialise nested params into Strapi's bracket syntax, e.g.
+     * { filters: { source: { $eq: "NUPRC" } } } → filters[source][$eq]=NUPRC
+     */
+    toQueryString(params, prefix = "") {
+        const parts = [];
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === "") return;
+
+            const name = prefix ? `${prefix}[${key}]` : key;
+            if (typeof value === "object") {
+                parts.push(this.toQueryString(value, name));
+            } else {
+                parts.push(
+                    `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+                );
+            }
+        });
+
+        return parts.filter(Boolean).join("&");
+    }
+
+    /**
+     * Call the REST API through the request manager. GETs are merged while
+     * in flight, retried and cancelled on route change; writes run once
+     * and are never cancelled. `asUser` sends the user's JWT on a GET.
+     */
+    request(path, params = {}, { asUser = false, ...options } = {}) {
+        const queryString = this.toQueryString(params);
+        const url = `${this.apiUrl}/${path}${queryString ? `?${queryString}` : ""}`;
+        const isRead = !options.method || options.method === "GET";
+
+        const send = signal =>
+            this.fetchJSON(url, {
+                ...options,
+                signal,
+                headers: {
+                    "Content-Type": "application/json",
+                    ...this.authHeader(asUser || !isRead),
+                    ...options.headers
+                }
+            });
+
+        return isRead
+            ? this.requests.run(`strapi:${url}`, send)
+            : this.requests.run(null, send, { signal: null, retries: 0 });
+    }
+
+    // Throws on HTTP errors with Strapi's own message and the `status`
+    async fetchJSON(url, options = {}) {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const error = new Error(
+                body?.error?.message ||
+                    `HTTP ${response.status}: ${response.statusText}`
+            );
+            error.status = response.status;
+            throw error;
+        }
+
+        return body;
+    }
+
+    // Writes act as the signed-in user when there is one; reads (and writes
+    // without a session) use the configured API token
+    authHeader(asUser = false) {
+        const token = (asUser && this.jwt) || this.apiToken;
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    }
+
+    // Absolute URL for media paths Strapi returns relative to its origin
+    toAbsoluteUrl(url) {
+        if (!url || /^https?:\/\//.test(url)) return url;
+        return `${new URL(this.apiUrl).origin}${url}`;
+    }
+
+    /**
+     * Flatten Strapi's { id, attributes } envelopes (including nested
+     * relations and media) into plain documents with `$id` / `$createdAt`.
+     */
+    normalize(entity) {
+        if (!entity) return null;
+        if (Array.isArray(entity)) return entity.map(item => this.normalize(item));
+
+        const { id, attributes = {} } = entity;
+
+        // Media: { url, mime, formats, ... } → absolute URL string
+        if (attributes.url && attributes.mime) {
+            return this.toAbsoluteUrl(attributes.url);
+        }
+
+        const document = {
+            $id: String(id),
+            $createdAt: attributes.createdAt,
+            $updatedAt: attributes.updatedAt
+        };
+
+        Object.entries(attributes).forEach(([key, value]) => {
+            const isRelation =
+                value && typeof value === "object" && "data" in value;
+            document[key] = isRelation ? this.normalize(value.data) : value;
+        });
+
+        return document;
+    }
+
+    async list(collectionKey, params = {}) {
+        const response = await this.request(this.collections[collectionKey], {
+            populate: "*",
+            ...params
+        });
+        return this.normalize(response.data);
+    }
+
+    // One page of a collection with Strapi's pagination total
+    async listPage(collectionKey, params = {}, limit = 20, offset = 0) {
+        const response = await this.request(this.collections[collectionKey], {
+            populate: "*",
+            ...params,
+            pagination: { start: offset, limit, withCount: true }
+        });
+
+        return this.toPage(
+            this.normalize(response.data),
+            response.meta.pagination.total,
+            offset
+        );
+    }
+
+    async findOne(collectionKey, id) {
+        const response = await this.request(
+            `${this.collections[collectionKey]}/${id}`,
+            { populate: "*" }
+        );
+        return this.normalize(response.data);
+    }
+
+    async create(collectionKey, data) {
+        const response = await this.request(
+            this.collections[collectionKey],
+            {},
+            { method: "POST", body: JSON.stringify({ data }) }
+        );
+        return this.normalize(response.data);
+    }
+
+    // The stored `field` (state or lga, see js/locations.js), or for
+    // entries saved without it, a location containing one of `terms`
+    locationFilter(field, value, terms) {
+        return {
+            $or: [
+                { [field]: { $eq: value } },
+                {
+                    [field]: { $null: true },
+                    $or: terms.map(term => ({ location: { $containsi: term } }))
+                }
+            ]
+        };
+    }
+
+    stateFilter(state) {
+        return this.locationFilter("state", state, ListFilters.stateTerms(state));
+    }
+
+    lgaFilter(lga) {
+        return this.locationFilter("lga", lga, Locations.lgaTerms(lga));
+    }
+
+    // Open opportunities (no closing date or not yet past it), closed ones
+    // for `closed: "only"`, or nothing for "include". Dates rather than
+    // the backend's `closed` status, which only changes once a day.
+    closedFilter(closed) {
+        const today = ClosingDates.today();
+
+        if (closed === "include") return undefined;
+        if (closed === "only") return { closingDate: { $lt: today } };
+        return {
+            $or: [
+                { closingDate: { $null: true } },
+                { closingDate: { $gte: today } }
+            ]
+        };
+    }
+
+    // Companies by NCDMB status as Ncdmb.status() shows it: verified ones
+    // past their expiry date are expired, pending ones unverified
+    ncdmbFilter(ncdmb) {
+        const today = ClosingDates.today();
+        const verified = { ncdmbStatus: { $eq: "verified" } };
+
+        return {
+            verified: { ...verified, ncdmbExpiresAt: { $gte: today } },
+            expired: {
+                $or: [
+                    { ncdmbStatus: { $eq: "expired" } },
+                    { ...verified, ncdmbExpiresAt: { $lt: today } }
+                ]
+            },
+            unverified: {
+                $or: [
+                    { ncdmbStatus: { $null: true } },
+                    { ncdmbStatus: { $in: ["unverified", "pending"] } }
+                ]
+            }
+        }[ncdmb];
+    }
+
+    // Entries published (approved, for submissions) after an ISO
+    // date-time, or nothing when unset
+    publishedAfterFilter(publishedAfter) {
+        return publishedAfter && { publishedAt: { $gt: publishedAfter } };
+    }
+
+    // AND together the filter clauses that apply; undefined when none do
+    combineFilters(clauses) {
+        const applied = clauses.filter(Boolean);
+        return applied.length > 0 ? { $and: applied } : undefined;
+    }
+
+    // OPPORTUNITIES
+    getOpportunities(filters = {}) {
+        const {
+            type,
+            sector,
+            state,
+            lga,
+            closingFrom,
+            closingTo,
+            companyId,
+            closed,
+            sort,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+
+        return this.listPage(
+            "opportunities",
+            {
+                sort:
+                    sort === "closing" ? "closingDate:asc" : "createdAt:desc",
+                filters: this.combineFilters([
+                    type && { opportunityType: { $eq: type } },
+                    sector && { company: { sector: { $eq: sector } } },
+                    state && this.stateFilter(state),
+                    lga && this.lgaFilter(lga),
+                    sort === "closing" && { closingDate: { $notNull: true } },
+                    closingFrom && { closingDate: { $gte: closingFrom } },
+                    closingTo && { closingDate: { $lte: closingTo } },
+                    companyId && { company: { id: { $eq: companyId } } },
+                    this.closedFilter(closed),
+                    this.publishedAfterFilter(publishedAfter)
+                ])
+            },
+            limit,
+            offset
+        );
+    }
+
+    getOpportunityById(id) {
+        return this.findOne("opportunities", id);
+    }
+
+    // Signed-in users' posts are queued for review by the backend
+    createOpportunity(data) {
+        return this.create("opportunities", {
+            ...this.toOpportunityData(data),
+            featured: data.featured || false
+        });
+    }
+
+    // `companyId` becomes the company relation; `documents` (uploadFile()
+    // results) are linked to the multiple-media field by ID
+    toOpportunityData({ companyId, documents = [], ...fields }) {
+        return {
+            ...fields,
+            company: companyId || null,
+            ...(documents.length
+                ? { documents: documents.map(file => file.$id) }
+                : {})
+        };
+    }
+
+    // COMPANIES
+    getCompanies(filters = {}) {
+        const {
+            sector,
+            ncdmb,
+            state,
+            lga,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+        return this.listPage(
+            "companies",
+            {
+                sort: "companyName:asc",
+                filters: this.combineFilters([
+                    sector && { sector: { $eq: sector } },
+                    this.ncdmbFilter(ncdmb),
+                    state && this.stateFilter(state),
+                    lga && this.lgaFilter(lga),
+                    this.publishedAfterFilter(publishedAfter)
+                ])
+            },
+            limit,
+            offset
+        );
+    }
+
+    getCompanyById(id) {
+        return this.findOne("companies", id);
+    }
+
+    createCompany(data) {
+        return this.create("companies", {
+            ...data,
+            featured: data.featured || false
+        });
+    }
+
+    // REGULATORY UPDATES
+    getRegulatoryUpdates(filters = {}) {
+        const {
+            source,
+            publishedFrom,
+            publishedTo,
+            publishedAfter,
+            limit = 20,
+            offset = 0
+        } = filters;
+
+        return this.listPage(
+            "regulatory",
+            {
+                sort: "publishedDate:desc",
+                filters: this.combineFilters([
+                    source && { source: { $eq: source } },
+                    publishedFrom && { publishedDate: { $gte: publishedFrom } },
+                    publishedTo && { publishedDate: { $lte: publishedTo } },
+                    this.publishedAfterFilter(publishedAfter)
+                ])
+            },
+            limit,
+            offset
+        );
+    }
+
+    getRegulatoryUpdateById(id) {
+        return this.findOne("regulatory", id);
+    }
+
+    createRegulatoryUpdate(data) {
+        return this.create("regulatory", data);
+    }
+
+    // ARTICLES
+    getArticles(filters = {}) {
+        const { category, publishedAfter, limit = 20, offset = 0 } = filters;
+
+        return this.listPage(
+            "articles",
+            {
+                sort: "publishedDate:desc",
+                filters: this.combineFilters([
+                    category && { tags: { $containsi: category } },
+                    this.publishedAfterFilter(publishedAfter)
+                ])
+            },
+            limit,
+            offset
+        );
+    }
+
+    getArticleById(id) {
+        return this.findOne("articles", id);
+    }
+
+    createArticle(data) {
+        return this.create("articles", {
+            ...data,
+            tags: Array.isArray(data.tags)
+                ? data.tags
+                : data.tags.split(",").map(t => t.trim())
+        });
+    }
+
+    // Any query word in any indexed search field; dotted paths filter on relations
+    searchFilter(collectionKey, searchTerm) {
+        const words = SearchEngine.tokenize(searchTerm);
+
+        return {
+            $or: SearchEngine.indexedFields(collectionKey).flatMap(path =>
+                words.map(word =>
+                    path
+                        .split(".")
+                        .reduceRight(
+                            (filter, key) => ({ [key]: filter }),
+                            { $containsi: word }
+                        )
+                )
+            )
+        };
+    }
+
+    // SEARCH
+    async search(searchTerm, collections = []) {
+        const keys =
+            collections.length > 0
+                ? collections.filter(key => this.collections[key])
+                : Object.keys(this.collections);
+        const results = [];
+
+        for (const collectionKey of keys) {
+            try {
+                const documents = await this.list(collectionKey, {
+                    filters: this.searchFilter(collectionKey, searchTerm),
+                    pagination: { limit: 20 }
+                });
+
+                results.push(
+                    ...documents.map(doc => ({
+                        ...doc,
+                        _collection: collectionKey
+                    }))
+                );
+            } catch (error) {
+                console.warn(`Search failed for ${collectionKey}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    // DASHBOARD STATS (custom endpoint, backend/src/api/homepage)
+    getDashboardStats() {
+        return this.request("homepage-stats");
+    }
+
+    // RECENT UPDATES (custom endpoint, backend/src/api/homepage)
+    getRecentUpdates(limit = 5) {
+        return this.request("recent-updates", { limit });
+    }
+
+    // FEATURED CONTENT
+    async getFeaturedContent() {
+        const [
+            featuredOpportunities,
+            featuredCompanies,
+            latestUpdates,
+            recentArticles
+        ] = await Promise.all([
+            this.list("opportunities", {
+                filters: this.combineFilters([
+                    { featured: { $eq: true } },
+                    this.closedFilter()
+                ]),
+                pagination: { limit: 3 }
+            }),
+            this.list("companies", {
+                filters: { featured: { $eq: true } },
+                pagination: { limit: 6 }
+            }),
+            this.list("regulatory", {
+                sort: "publishedDate:desc",
+                pagination: { limit: 3 }
+            }),
+            this.list("articles", {
+                sort: "publishedDate:desc",
+                pagination: { limit: 3 }
+            })
+        ]);
+
+        return {
+            featuredOpportunities,
+            featuredCompanies,
+            latestUpdates,
+            recentArticles
+        };
+    }
+
+    // ACCOUNTS (users-permissions plugin: local provider, JWT sessions)
+    readSession() {
+        try {
+            return localStorage.getItem(STRAPI_SESSION_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setSession(jwt) {
+        this.jwt = jwt;
+
+        try {
+            if (jwt) {
+                localStorage.setItem(STRAPI_SESSION_KEY, jwt);
+            } else {
+                localStorage.removeItem(STRAPI_SESSION_KEY);
+            }
+        } catch (error) {
+            // localStorage unavailable; the session lasts until reload
+        }
+    }
+
+    // `name` is added to the user model by backend/src/extensions
+    toUser(user) {
+        return {
+            $id: String(user.id),
+            $createdAt: user.createdAt,
+            name: user.name || user.username,
+            email: user.email,
+            emailVerified: Boolean(user.confirmed),
+            // Role type, e.g. "authenticated" or "editor"
+            roles: user.role ? [user.role.type] : []
+        };
+    }
+
+    // Auth endpoints take no token and are never retried or cancelled
+    authRequest(path, body) {
+        return this.requests.run(
+            null,
+            () =>
+                this.fetchJSON(`${this.apiUrl}/${path}`, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify(body)
+                }),
+            { signal: null, retries: 0 }
+        );
+    }
+
+    async getCurrentUser() {
+        if (!this.jwt) return null;
+
+        try {
+            const user = await this.requests.run(
+                "strapi:users/me",
+                signal =>
+                    this.fetchJSON(`${this.apiUrl}/users/me?populate=role`, {
+                        signal,
+                        headers: { Authorization: `Bearer ${this.jwt}` }
+                    }),
+                { signal: null }
+            );
+            return this.toUser(user);
+        } catch (error) {
+            // Expired or revoked token: forget it
+            if (error.status === 401 || error.status === 403) {
+                this.setSession(null);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async signUp({ name, email, password }) {
+        const { jwt, user } = await this.authRequest("auth/local/register", {
+            username: email,
+            email,
+            password,
+            name
+        });
+
+        // Without a JWT, Strapi wants the email address confirmed first
+        if (!jwt) {
+            throw new Error(
+                "Check your inbox to confirm your email address, then log in."
+            );
+        }
+
+        this.setSession(jwt);
+        return this.toUser(user);
+    }
+
+    async logIn({ email, password }) {
+        const { jwt } = await this.authRequest("auth/local", {
+            identifier: email,
+            password
+        });
+
+        // The login response leaves out the role
+        this.setSession(jwt);
+        return this.getCurrentUser();
+    }
+
+    // JWTs can't be revoked; forgetting the token ends the session here
+    async logOut() {
+        this.setSession(null);
+    }
+
+    // The link target is the "Reset password page" set under Settings →
+    // Users & Permissions → Advanced settings; Strapi adds `code`
+    async requestPasswordReset(email) {
+        await this.authRequest("auth/forgot-password", { email });
+    }
+
+    async resetPassword({ code }, password) {
+        if (!code) {
+            throw new Error("This reset link is incomplete. Request a new one.");
+        }
+
+        await this.authRequest("auth/reset-password", {
+            code,
+            password,
+            passwordConfirmation: password
+        });
+    }
+
+    /**
+     * MODERATION (backend/src/api/moderation). The backend decides who may
+     * review and emails submitters its decisions. Its entries come without
+     * the { id, attributes } envelope.
+     */
+    fromEntry(entry) {
+        if (!entry) return null;
+        if (entry.url && entry.mime) return this.toAbsoluteUrl(entry.url);
+
+        const { id, createdAt, updatedAt, ...fields } = entry;
+        const isEntry = value =>
+            Boolean(value) && typeof value === "object" && "id" in value;
+        const document = {
+            $id: String(id),
+            $createdAt: createdAt,
+            $updatedAt: updatedAt
+        };
+
+        Object.entries(fields).forEach(([key, value]) => {
+            if (Array.isArray(value) && value.length && value.every(isEntry)) {
+                document[key] = value.map(item => this.fromEntry(item));
+            } else {
+                document[key] = isEntry(value) ? this.fromEntry(value) : value;
+            }
+        });
+
+        return document;
+    }
+
+    toSubmission(submission) {
+        const { submitter } = submission;
+
+        return {
+            $id: String(submission.id),
+            type: submission.type,
+            title: submission.title,
+            status: submission.status,
+            reviewNote: submission.reviewNote,
+            $createdAt: submission.createdAt,
+            $updatedAt: submission.updatedAt,
+            submitter: submitter && {
+                $id: String(submitter.id),
+                name: submitter.name,
+                email: submitter.email
+            },
+            document: this.fromEntry(submission.entry)
+        };
+    }
+
+    async getModerationQueue(status = "pending") {
+        const { data } = await this.request(
+            "moderation/queue",
+            { status },
+            { asUser: true }
+        );
+        return data.map(submission => this.toSubmission(submission));
+    }
+
+    async reviewSubmission(type, id, { action, reason = "" }) {
+        const { data } = await this.request(
+            `moderation/${type}/${id}/decisions`,
+            {},
+            { method: "POST", body: JSON.stringify({ action, reason }) }
+        );
+        return this.toSubmission(data);
+    }
+
+    async getModerationHistory(type, id) {
+        const { data } = await this.request(
+            `moderation/${type}/${id}/history`,
+            {},
+            { asUser: true }
+        );
+
+        return data.map(event => ({
+            $id: String(event.id),
+            action: event.action,
+            fromStatus: event.fromStatus,
+            toStatus: event.toStatus,
+            reason: event.reason,
+            actor: event.actor && {
+                $id: String(event.actor.id),
+                name: event.actor.name,
+                email: event.actor.email
+            },
+            $createdAt: event.createdAt
+        }));
+    }
+
+    async getMySubmissions() {
+        if (!this.jwt) return [];
+
+        const { data } = await this.request(
+            "moderation/submissions",
+            {},
+            { asUser: true }
+        );
+        return data.map(submission => this.toSubmission(submission));
+    }
+
+    async resubmit(type, id, data) {
+        const { data: submission } = await this.request(
+            `moderation/${type}/${id}/resubmit`,
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({
+                    data:
+                        type === "opportunity"
+                            ? this.toOpportunityData(data)
+                            : data
+                })
+            }
+        );
+        return this.toSubmission(submission);
+    }
+
+    /**
+     * NCDMB VERIFICATION (backend/src/api/verification). The backend
+     * decides who may request and review, and emails the company's
+     * admin its decisions.
+     */
+    toVerification(verification) {
+        return {
+            $id: String(verification.id),
+            companyName: verification.companyName,
+            ncdmbNumber: verification.ncdmbNumber,
+            status: verification.status,
+            expiresAt: verification.expiresAt,
+            verifiedAt: verification.verifiedAt,
+            requestedAt: verification.requestedAt,
+            note: verification.note,
+            documents: (verification.documents || []).map(file =>
+                this.toAbsoluteUrl(file.url)
+            )
+        };
+    }
+
+    async getVerification(companyId) {
+        const { data } = await this.request(
+            `verifications/${companyId}`,
+            {},
+            { asUser: true }
+        );
+        return this.toVerification(data);
+    }
+
+    async requestVerification(
+        companyId,
+        { ncdmbNumber, expiresAt, documents = [] }
+    ) {
+        const { data } = await this.request(
+            `verifications/${companyId}`,
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({
+                    data: {
+                        ncdmbNumber,
+                        expiresAt,
+                        documents: documents.map(file => file.$id)
+                    }
+                })
+            }
+        );
+        return this.toVerification(data);
+    }
+
+    async getVerificationQueue(status = "pending") {
+        const { data } = await this.request(
+            "verifications",
+            { status },
+            { asUser: true }
+        );
+        return data.map(verification => this.toVerification(verification));
+    }
+
+    async reviewVerification(companyId, { action, reason = "", expiresAt }) {
+        const { data } = await this.request(
+            `verifications/${companyId}/decisions`,
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({ action, reason, expiresAt })
+            }
+        );
+        return this.toVerification(data);
+    }
+
+    /**
+     * COMPANY CLAIMS (backend/src/api/claim). The backend approves email
+     * claims from confirmed addresses on the company's domain, decides
+     * who manages a company and emails users decisions.
+     */
+    toAccountSummary(user) {
+        return user
+            ? { $id: String(user.id), name: user.name, email: user.email }
+            : null;
+    }
+
+    toClaim(claim) {
+        return {
+            $id: String(claim.id),
+            companyId: String(claim.companyId),
+            companyName: claim.companyName,
+            method: claim.method,
+            status: claim.status,
+            reviewNote: claim.reviewNote,
+            emailMatches: claim.emailMatches,
+            documents: (claim.documents || []).map(file =>
+                this.toAbsoluteUrl(file.url)
+            ),
+            claimant: this.toAccountSummary(claim.claimant),
+            $createdAt: claim.createdAt,
+            $updatedAt: claim.updatedAt
+        };
+    }
+
+    toCompanyEdit(edit) {
+        return {
+            $id: String(edit.id),
+            companyId: String(edit.companyId),
+            companyName: edit.companyName,
+            changes: edit.changes,
+            status: edit.status,
+            reviewNote: edit.reviewNote,
+            submitter: this.toAccountSummary(edit.submitter),
+            company: this.fromEntry(edit.company),
+            $createdAt: edit.createdAt,
+            $updatedAt: edit.updatedAt
+        };
+    }
+
+    async claimCompany(companyId, { method, documents = [] }) {
+        const { data } = await this.request(
+            "claims",
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({
+                    data: {
+                        company: companyId,
+                        method,
+                        documents: documents.map(file => file.$id)
+                    }
+                })
+            }
+        );
+        return this.toClaim(data);
+    }
+
+    async getMyClaims() {
+        if (!this.jwt) return [];
+
+        const { data } = await this.request("claims/mine", {}, { asUser: true });
+        return data.map(claim => this.toClaim(claim));
+    }
+
+    async getClaimQueue(status = "pending") {
+        const { data } = await this.request(
+            "claims",
+            { status },
+            { asUser: true }
+        );
+        return data.map(claim => this.toClaim(claim));
+    }
+
+    async reviewClaim(claimId, { action, reason = "" }) {
+        const { data } = await this.request(
+            `claims/${claimId}/decisions`,
+            {},
+            { method: "POST", body: JSON.stringify({ action, reason }) }
+        );
+        return this.toClaim(data);
+    }
+
+    async getCompanyEdits(companyId) {
+        const { data } = await this.request(
+            `claims/companies/${companyId}/edits`,
+            {},
+            { asUser: true }
+        );
+        return data.map(edit => this.toCompanyEdit(edit));
+    }
+
+    async proposeCompanyEdit(companyId, changes) {
+        const { data } = await this.request(
+            `claims/companies/${companyId}/edits`,
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({
+                    data: changes.logo
+                        ? { ...changes, logo: changes.logo.$id }
+                        : changes
+                })
+            }
+        );
+        return this.toCompanyEdit(data);
+    }
+
+    async getCompanyEditQueue(status = "pending") {
+        const { data } = await this.request(
+            "claims/edits",
+            { status },
+            { asUser: true }
+        );
+        return data.map(edit => this.toCompanyEdit(edit));
+    }
+
+    async reviewCompanyEdit(editId, { action, reason = "" }) {
+        const { data } = await this.request(
+            `claims/edits/${editId}/decisions`,
+            {},
+            { method: "POST", body: JSON.stringify({ action, reason }) }
+        );
+        return this.toCompanyEdit(data);
+    }
+
+    /**
+     * SAVED SEARCHES AND ALERTS. The backend checks saved searches as
+     * entries are published and emails digests (backend/src/api/alert).
+     */
+    toSavedSearch(search) {
+        return {
+            $id: String(search.id),
+            name: search.name,
+            section: search.section,
+            params: search.params || {},
+            email: Boolean(search.email),
+            $createdAt: search.createdAt,
+            lastCheckedAt: search.lastCheckedAt
+        };
+    }
+
+    async getSavedSearches() {
+        const { data } = await this.request(
+            "alerts/searches",
+            {},
+            { asUser: true }
+        );
+        return data.map(search => this.toSavedSearch(search));
+    }
+
+    async saveSearch({ name, section, params = {}, email = false }) {
+        const { data } = await this.request(
+            "alerts/searches",
+            {},
+            {
+                method: "POST",
+                body: JSON.stringify({
+                    data: {
+                        name: (name || "").trim() ||
+                            SavedSearches.describe({ section, params }),
+                        section,
+                        params,
+                        email
+                    }
+                })
+            }
+        );
+        return this.toSavedSearch(data);
+    }
+
+    async updateSavedSearch(id, changes) {
+        const { data } = await this.request(
+            `alerts/searches/${id}`,
+            {},
+            { method: "PUT", body: JSON.stringify({ data: changes }) }
+        );
+        return this.toSavedSearch(data);
+    }
+
+    async deleteSavedSearch(id) {
+        await this.request(`alerts/searches/${id}`, {}, { method: "DELETE" });
+    }
+
+    async getNotifications() {
+        const { data } = await this.request(
+            "alerts/notifications",
+            {},
+            { asUser: true }
+        );
+
+        return data.map(notification => ({
+            $id: String(notification.id),
+            searchId: String(notification.savedSearch?.id ?? ""),
+            searchName: notification.savedSearch?.name || "",
+            type: notification.contentType,
+            documentId: String(notification.entryId),
+            title: notification.title,
+            $createdAt: notification.createdAt,
+            read: Boolean(notification.readAt)
+        }));
+    }
+
+    async markNotificationsRead(ids = null) {
+        await this.request(
+            "alerts/notifications/read",
+            {},
+            { method: "POST", body: JSON.stringify({ ids }) }
+        );
+    }
+
+    // BOOKMARKS (merged on the server, see backend/src/api/bookmark)
+    async syncBookmarks(bookmarks) {
+        const { data } = await this.request(
+            "bookmarks/sync",
+            {},
+            { method: "POST", body: JSON.stringify({ data: bookmarks }) }
+        );
+        return data;
+    }
+
+    // FILES (Strapi upload plugin)
+    async uploadFile(file) {
+        const body = new FormData();
+        body.append("files", file);
+
+        const [uploaded] = await this.fetchJSON(`${this.apiUrl}/upload`, {
+            method: "POST",
+            headers: this.authHeader(true),
+            body
+        });
+        return { $id: String(uploaded.id), ...uploaded };
+    }
+
+    // Media fields are already normalised to URLs; this resolves relative ones
+    getFileUrl(fileUrl) {
+        return this.toAbsoluteUrl(fileUrl);
+    }
+}
+
+window.StrapiProvider = StrapiProvider;
@@ -0,0 +1,187 @@
+/**
+ * THE PIPELINE - REQUEST MANAGER
+ * Runs backend requests with coalescing of identical in-flight requests,
+ * per-attempt timeouts, retries with jittered exponential backoff, and
+ * cancellation of everything a page started when the route changes
+ */
+
+class RequestTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Request timed out after ${timeout}ms`);
+        this.name = "TimeoutError";
+        this.timeout = timeout;
+    }
+}
+
+class RequestManager {
+    constructor({
+        timeout = 10000,
+        retries = 2,
+        retryDelay = 500,
+        maxRetryDelay = 5000
+    } = {}) {
+        this.timeout = timeout;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.maxRetryDelay = maxRetryDelay;
+
+        // key -> { controller, callers, promise }
+        this.inFlight = new Map();
+
+        // Requests join the current page's scope unless given a signal
+        this.scope = new AbortController();
+    }
+
+    static abortError() {
+        return new DOMException("Request cancelled", "AbortError");
+    }
+
+    static isAbort(error) {
+        return error?.name === "AbortError";
+    }
+
+    /**
+     * Worth another attempt: timeouts, network failures, 408, 429 and 5xx.
+     * Strapi errors carry `status`; Appwrite's carry `code`, and Appwrite
+     * wraps network failures in an AppwriteException without one.
+     */
+    static isTransient(error) {
+        if (RequestManager.isAbort(error)) return false;
+        if (error instanceof RequestTimeoutError) return true;
+        if (error instanceof TypeError) return true;
+
+        const status = error?.status ?? error?.code;
+        if (typeof status !== "number") {
+            return error?.name === "AppwriteException";
+        }
+        return status === 0 || status === 408 || status === 429 || status >= 500;
+    }
+
+    // Cancel what the previous page started; later requests join a new scope
+    cancelScope() {
+        this.scope.abort();
+        this.scope = new AbortController();
+    }
+
+    /**
+     * Run `task(signal)`, retrying transient failures. Calls with the same
+     * `key` while one is in flight share its result; the shared request is
+     * only aborted once every caller has cancelled. A null `key` never
+     * coalesces, and a null `signal` opts out of route cancellation (use
+     * both, with `retries: 0`, for writes).
+     */
+    run(key, task, options = {}) {
+        const {
+            signal = this.scope.signal,
+            timeout = this.timeout,
+            retries = this.retries
+        } = options;
+
+        if (signal?.aborted) {
+            return Promise.reject(RequestManager.abortError());
+        }
+
+        let shared = key !== null && this.inFlight.get(key);
+        if (!shared) {
+            const controller = new AbortController();
+            shared = { controller, callers: 0 };
+            shared.promise = this.attempt(task, controller.signal, {
+                timeout,
+                retries
+            }).finally(() => {
+                if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+            });
+
+            if (key !== null) this.inFlight.set(key, shared);
+        }
+        shared.callers++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(RequestManager.abortError());
+
+                if (--shared.callers === 0) {
+                    if (this.inFlight.get(key) === shared) this.inFlight.delete(key);
+                    shared.controller.abort();
+                }
+            };
+
+            signal?.addEventListener("abort", onAbort, { once: true });
+            shared.promise
+                .then(resolve, reject)
+                .finally(() => signal?.removeEventListener("abort", onAbort));
+        });
+    }
+
+    async attempt(task, signal, { timeout, retries }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.withTimeout(task, signal, timeout);
+            } catch (error) {
+                const retry =
+                    !signal.aborted &&
+                    attempt < retries &&
+                    RequestManager.isTransient(error);
+                if (!retry) throw error;
+
+                await this.sleep(this.backoff(attempt), signal);
+            }
+        }
+    }
+
+    // "Full jitter": a random delay up to retryDelay * 2^attempt, capped
+    backoff(attempt) {
+        return (
+            Math.random() *
+            Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt)
+        );
+    }
+
+    /**
+     * One attempt of `task`, rejected after `timeout` ms or when `signal`
+     * aborts. The task gets its own signal so transports that support it
+     * (fetch) stop the underlying request; others are just abandoned.
+     */
+    withTimeout(task, signal, timeout) {
+        const controller = new AbortController();
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                reject(RequestManager.abortError());
+                controller.abort();
+            };
+            const timer = setTimeout(() => {
+                reject(new RequestTimeoutError(timeout));
+                controller.abort();
+            }, timeout);
+
+            signal.addEventListener("abort", onAbort, { once: true });
+
+            Promise.resolve()
+                .then(() => task(controller.signal))
+                .then(resolve, reject)
+                .finally(() => {
+                    clearTimeout(timer);
+                    signal.removeEventListener("abort", onAbort);
+                });
+        });
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal.removeEventListener("abort", onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(RequestManager.abortError());
+            };
+
+            signal.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+}
+
+window.RequestTimeoutError = RequestTimeoutError;
+window.RequestManager = RequestManager;
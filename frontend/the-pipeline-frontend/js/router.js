@@ -9,6 +9,19 @@ class PipelineRouter {
         this.currentRoute = null;
         this.contentContainer = null;
         this.loadingElement = null;
+        this.currentPath = null;
+        this.currentQuery = {};
+        this.pageSize = 12;
+
+        // Routes (and everything below them) that need a signed-in user;
+        // visitors are sent to #login
+        this.protectedRoutes = [
+            "account",
+            "post",
+            "opportunities/new",
+            "review",
+            "alerts"
+        ];
 
         this.init();
     }
@@ -24,18 +37,45 @@ class PipelineRouter {
     }
 
     setupRoutes() {
-        // Define all routes
+        // Define all routes. Patterns support `:param`, optional `:param?`
+        // and a trailing catch-all `*` (or `*name`); first match wins.
         this.addRoute("", this.renderHome);
         this.addRoute("home", this.renderHome);
-        this.addRoute("opportunities", this.renderOpportunities);
-        this.addRoute("opportunities/:id", this.renderOpportunityDetail);
-        this.addRoute("directory", this.renderDirectory);
-        this.addRoute("directory/:id", this.renderCompanyDetail);
-        this.addRoute("regulatory", this.renderRegulatory);
-        this.addRoute("regulatory/:id", this.renderRegulatoryDetail);
-        this.addRoute("insights", this.renderInsights);
-        this.addRoute("insights/:id", this.renderInsightDetail);
+
+        // Must come before opportunities/:id
+        this.addRoute("opportunities/new", this.renderPostOpportunity);
+        this.addRoute("post", () => this.redirect("opportunities/new"));
+
+        // Must come before directory/:id
+        this.addRoute("directory/compare", this.renderCompanyCompare);
+
+        // List and detail pages for every content type (js/content-types.js)
+        ContentTypes.all().forEach(definition => {
+            this.addRoute(definition.routePrefix, this[definition.renderList]);
+            this.addRoute(
+                `${definition.routePrefix}/:id`,
+                this[definition.renderDetail]
+            );
+        });
+
         this.addRoute("search", this.renderSearch);
+        this.addRoute("saved", this.renderSaved);
+        this.addRoute("alerts", this.renderAlerts);
+
+        // Accounts
+        this.addRoute("login", this.renderLogin);
+        this.addRoute("signup", this.renderSignup);
+        this.addRoute("forgot-password", this.renderForgotPassword);
+        this.addRoute("reset-password", this.renderResetPassword);
+        this.addRoute("account", this.renderAccount);
+        this.addRoute("account/companies/:id", this.renderVerification);
+        this.addRoute("account/companies/:id/claim", this.renderClaim);
+        this.addRoute("account/companies/:id/edit", this.renderCompanyEdit);
+        this.addRoute("review", this.renderReviewQueue);
+        this.addRoute("review/verifications", this.renderVerificationQueue);
+        this.addRoute("review/claims", this.renderClaimQueue);
+
+        this.addRoute("*", this.render404);
     }
 
     setupEventListeners() {
@@ -48,9 +88,131 @@ class PipelineRouter {
             if (link) {
                 e.preventDefault();
                 const route = link.getAttribute("href").substring(1);
+
+                // In-page anchors (e.g. #features) scroll instead of routing
+                const anchorTarget = route && document.getElementById(route);
+                if (anchorTarget) {
+                    anchorTarget.scrollIntoView({ behavior: "smooth" });
+                    return;
+                }
+
                 this.navigate(route);
             }
         });
+
+        // The API cache refreshed data in the background; redraw the page
+        // if it shows that data
+        document.addEventListener("dataUpdated", e =>
+            this.handleDataUpdated(e.detail)
+        );
+
+        document.addEventListener("authChanged", e =>
+            this.handleAuthChanged(e.detail)
+        );
+
+        // Bookmark toggles sit inside clickable cards; handle them before
+        // the card's own click navigates away
+        document.addEventListener(
+            "click",
+            e => {
+                const button = e.target.closest("[data-bookmark]");
+                if (!button) return;
+
+                e.stopPropagation();
+                this.toggleBookmark(button);
+            },
+            true
+        );
+        document.addEventListener("bookmarksChanged", () =>
+            this.handleBookmarksChanged()
+        );
+
+        // Compare toggles sit inside company cards too
+        document.addEventListener(
+            "click",
+            e => {
+                if (e.target.closest('[data-compare-action="clear"]')) {
+                    Compare.clear();
+                    return;
+                }
+
+                const adopt = e.target.closest('[data-compare-action="adopt"]');
+                if (adopt) {
+                    Compare.set(Compare.parseIds(adopt.dataset.compareIds));
+                    return;
+                }
+
+                const button = e.target.closest("[data-compare]");
+                if (!button) return;
+
+                e.stopPropagation();
+                this.toggleCompare(button);
+            },
+            true
+        );
+        document.addEventListener("compareChanged", () =>
+            this.handleCompareChanged()
+        );
+    }
+
+    // Leave pages the user may no longer see; redraw the account page
+    handleAuthChanged({ user }) {
+        const route = this.getCurrentRoute();
+
+        if (!user && this.requiresLogin(route)) {
+            this.redirect("");
+        } else if (this.currentPath === "account") {
+            this.refresh();
+        }
+    }
+
+    requiresLogin(route) {
+        const path = route.replace(/^\/+/, "").split("?")[0];
+        return this.protectedRoutes.some(
+            protectedRoute =>
+                path === protectedRoute || path.startsWith(`${protectedRoute}/`)
+        );
+    }
+
+    // Navigate without leaving `route` in the history (back skips it)
+    redirect(route) {
+        window.location.replace(`#${route}`);
+    }
+
+    /**
+     * Re-render the current list or detail page when `collections` include
+     * its content type. Several entries (list, facet counts) usually refresh
+     * together, so redraws are batched.
+     */
+    handleDataUpdated({ collections }) {
+        const [section] = (this.currentPath || "").split("/");
+        const definition = ContentTypes.byRoutePrefix(section);
+        if (!definition || !collections.includes(definition.collection)) return;
+
+        const dataPages = [definition.routePrefix, `${definition.routePrefix}/:id`];
+        if (!dataPages.includes(this.currentPath)) return;
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.refresh(), 100);
+    }
+
+    // Re-run the current route's handler in place: no spinner, same scroll
+    async refresh() {
+        if (this.currentRoute !== this.getCurrentRoute()) return;
+
+        const { path, params } = this.parseRoute(this.currentRoute);
+        const handler = this.routes.get(path);
+        if (!handler) return;
+
+        const scrollY = window.scrollY;
+        try {
+            await handler(params);
+            window.scrollTo(0, scrollY);
+        } catch (error) {
+            if (!RequestManager.isAbort(error)) {
+                console.warn("Background refresh failed:", error);
+            }
+        }
     }
 
     addRoute(path, handler) {
@@ -67,52 +229,107 @@ class PipelineRouter {
         return window.location.hash.substring(1) || "";
     }
 
+    /**
+     * Match `route` ("directory?page=2", "opportunities/abc?ref=home")
+     * against the registered patterns. Handlers receive the parsed query
+     * merged with the path params; path params win on a name clash.
+     */
     parseRoute(route) {
-        const parts = route.split("/");
+        const [rawPath] = route.split("?");
+        const path = rawPath.replace(/^\/+|\/+$/g, "");
+        const parts = path ? path.split("/") : [];
+        const query = this.parseQueryParams(route);
+
+        for (const [pattern] of this.routes) {
+            const pathParams = this.matchPattern(pattern, parts);
+
+            if (pathParams) {
+                return {
+                    path: pattern,
+                    params: { ...query, ...pathParams },
+                    query,
+                    route
+                };
+            }
+        }
+
+        return { path: null, params: query, query, route };
+    }
+
+    // Params for `parts` if they fit `pattern`, otherwise null. A part
+    // with a malformed escape ("%E0") fits nothing, so it shows the 404 page.
+    matchPattern(pattern, parts) {
+        try {
+            return this.matchParts(pattern, parts);
+        } catch (error) {
+            if (error instanceof URIError) return null;
+            throw error;
+        }
+    }
+
+    matchParts(pattern, parts) {
+        const patternParts = pattern ? pattern.split("/") : [];
         const params = {};
-        let matchedPath = "";
-
-        // Find matching route pattern
-        for (const [path] of this.routes) {
-            const pathParts = path.split("/");
-
-            if (pathParts.length === parts.length) {
-                let isMatch = true;
-                const tempParams = {};
-
-                for (let i = 0; i < pathParts.length; i++) {
-                    if (pathParts[i].startsWith(":")) {
-                        // Parameter placeholder
-                        const paramName = pathParts[i].substring(1);
-                        tempParams[paramName] = parts[i];
-                    } else if (pathParts[i] !== parts[i]) {
-                        isMatch = false;
-                        break;
-                    }
-                }
 
-                if (isMatch) {
-                    matchedPath = path;
-                    Object.assign(params, tempParams);
-                    break;
+        for (let i = 0; i < patternParts.length; i++) {
+            const segment = patternParts[i];
+            const part = parts[i];
+
+            // Catch-all: swallow the rest of the path
+            if (segment.startsWith("*")) {
+                params[segment.substring(1) || "wildcard"] = parts
+                    .slice(i)
+                    .map(decodeURIComponent)
+                    .join("/");
+                return params;
+            }
+
+            if (segment.startsWith(":")) {
+                const optional = segment.endsWith("?");
+                const paramName = segment.substring(
+                    1,
+                    optional ? segment.length - 1 : segment.length
+                );
+
+                if (part === undefined) {
+                    if (optional) continue;
+                    return null;
                 }
+
+                params[paramName] = decodeURIComponent(part);
+            } else if (segment !== part) {
+                return null;
             }
         }
 
-        return { path: matchedPath, params, route };
+        return parts.length <= patternParts.length ? params : null;
     }
 
     async handleRoute() {
         const route = this.getCurrentRoute();
-        const { path, params } = this.parseRoute(route);
+        const { path, params, query } = this.parseRoute(route);
+
+        // Stop loading whatever the previous page still waits for
+        window.contentAPI?.cancelPageRequests();
 
         // Show loading state
         this.showLoading();
 
         try {
+            // Protected pages wait for the stored session to be checked
+            if (
+                this.requiresLogin(route) &&
+                !(await window.contentAPI.getCurrentUser())
+            ) {
+                this.redirect(`login?next=${encodeURIComponent(route)}`);
+                return;
+            }
+
             const handler = this.routes.get(path);
             if (handler) {
                 this.currentRoute = route;
+                this.currentPath = path;
+                this.currentQuery = query;
                 await handler(params);
                 this.updateNavigation();
                 this.trackPageView(route);
@@ -120,10 +337,15 @@ class PipelineRouter {
                 this.render404();
             }
         } catch (error) {
+            // Cancelled because the user navigated on; the new route renders
+            if (RequestManager.isAbort(error)) return;
+
             console.error("Route handling error:", error);
             this.renderError(error);
         } finally {
-            this.hideLoading();
+            if (route === this.getCurrentRoute()) {
+                this.hideLoading();
+            }
         }
     }
 
@@ -134,7 +356,7 @@ class PipelineRouter {
         });
 
         const route = this.getCurrentRoute();
-        const mainRoute = route.split("/")[0];
+        const mainRoute = route.split("?")[0].split("/")[0];
 
         const activeNavItem = document.querySelector(
             `.nav-item[href="#${mainRoute}"]`
@@ -181,36 +403,42 @@ class PipelineRouter {
     }
 
     async renderOpportunities(params = {}) {
-        const { page = 1, type = "", sector = "" } = params;
+        const page = this.getPageNumber(params);
 
         try {
-            const opportunities = await window.appwriteAPI.getOpportunities({
-                type,
-                sector,
-                limit: 12,
-                offset: (page - 1) * 12
-            });
+            const [{ documents: opportunities, total }, facets] =
+                await Promise.all([
+                    window.contentAPI.getOpportunities({
+                        ...ListFilters.toProviderFilters("opportunities", params),
+                        limit: this.pageSize,
+                        offset: (page - 1) * this.pageSize
+                    }),
+                    window.contentAPI.getFacetCounts("opportunities", params)
+                ]);
 
             const template = `
                 <div class="page-header">
                     <div class="container">
                         <h1 class="page-title">Opportunities Hub</h1>
                         <p class="page-subtitle">Latest jobs, tenders, and procurement opportunities</p>
+                        <a href="#opportunities/new" class="btn btn-primary page-header-action">Post an Opportunity</a>
                     </div>
                 </div>
                 
                 <div class="page-content">
                     <div class="container">
-                        ${this.getFiltersHTML("opportunities", {
-                            type,
-                            sector
-                        })}
+                        ${this.getFiltersHTML("opportunities", params, facets)}
+                        ${
+                            params.view === "map"
+                                ? this.getStateMapHTML("opportunities", params, facets)
+                                : ""
+                        }
                         <div class="opportunities-grid">
                             ${opportunities
                                 .map(opp => this.getOpportunityCardHTML(opp))
                                 .join("")}
                         </div>
-                        ${this.getPaginationHTML(page, opportunities.length)}
+                        ${this.getPaginationHTML(page, total)}
                     </div>
                 </div>
             `;
@@ -225,149 +453,573 @@ class PipelineRouter {
         const { id } = params;
 
         try {
-            const opportunity = await window.appwriteAPI.getOpportunityById(id);
+            const opportunity = await window.contentAPI.getOpportunityById(id);
 
             if (!opportunity) {
                 this.render404();
                 return;
             }
 
-            const template = `
-                <div class="detail-page">
-                    <div class="detail-header">
-                        <div class="container">
-                            <nav class="breadcrumb">
-                                <a href="#opportunities">Opportunities</a> › ${
-                                    opportunity.title
-                                }
-                            </nav>
-                            <div class="detail-meta">
-                                <span class="badge badge-primary">${
-                                    opportunity.opportunityType
-                                }</span>
-                                <span class="detail-date">Closes: ${window.appwriteAPI.formatDate(
-                                    opportunity.closingDate
-                                )}</span>
-                            </div>
-                            <h1 class="detail-title">${opportunity.title}</h1>
-                            <div class="company-info">
-                                <strong>${
-                                    opportunity.company.companyName
-                                }</strong> • ${opportunity.company.sector}
-                            </div>
+            this.setContent(this.getOpportunityDetailHTML(opportunity));
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    /**
+     * Detail page markup for an opportunity, also used to preview a
+     * submission before it is posted (without the save toggle, as
+     * `bookmarkable: false`). Submitted text is escaped.
+     */
+    getOpportunityDetailHTML(opportunity, { bookmarkable = true } = {}) {
+        const escape = value => this.escapeHTML(value);
+        const { company } = opportunity;
+
+        return `
+            <div class="detail-page">
+                <div class="detail-header">
+                    <div class="container">
+                        ${this.getBreadcrumbHTML("opportunity", opportunity)}
+                        <div class="detail-meta">
+                            <span class="badge badge-primary">${escape(
+                                opportunity.opportunityType
+                            )}</span>
+                            <span class="detail-date">Closes: ${window.contentAPI.formatDate(
+                                opportunity.closingDate
+                            )}</span>
+                            ${this.getClosingBadgeHTML(opportunity)}
+                            ${
+                                bookmarkable
+                                    ? this.getBookmarkButtonHTML(
+                                          "opportunity",
+                                          opportunity.$id,
+                                          opportunity.title,
+                                          { labelled: true }
+                                      )
+                                    : ""
+                            }
+                        </div>
+                        <h1 class="detail-title">${escape(opportunity.title)}</h1>
+                        ${
+                            company
+                                ? `
+                        <div class="company-info">
+                            <strong>${escape(company.companyName)}</strong> • ${escape(
+                                      company.sector
+                                  )}
                         </div>
+                        `
+                                : ""
+                        }
                     </div>
-                    
-                    <div class="detail-content">
-                        <div class="container">
-                            <div class="content-grid">
-                                <div class="main-content">
+                </div>
+                
+                <div class="detail-content">
+                    <div class="container">
+                        <div class="content-grid">
+                            <div class="main-content">
+                                <section class="detail-section">
+                                    <h3>Description</h3>
+                                    ${this.formatText(opportunity.description)}
+                                </section>
+                                
+                                ${
+                                    opportunity.requirements
+                                        ? `
                                     <section class="detail-section">
-                                        <h3>Description</h3>
-                                        <p>${opportunity.description}</p>
+                                        <h3>Requirements</h3>
+                                        ${this.formatText(opportunity.requirements)}
                                     </section>
-                                    
+                                `
+                                        : ""
+                                }
+                                
+                                ${
+                                    opportunity.benefits
+                                        ? `
+                                    <section class="detail-section">
+                                        <h3>Benefits</h3>
+                                        ${this.formatText(opportunity.benefits)}
+                                    </section>
+                                `
+                                        : ""
+                                }
+
+                                ${
+                                    opportunity.documents?.length
+                                        ? `
+                                    <section class="detail-section">
+                                        <h3>Documents</h3>
+                                        ${this.getDocumentListHTML(opportunity.documents)}
+                                    </section>
+                                `
+                                        : ""
+                                }
+                            </div>
+                            
+                            <div class="sidebar">
+                                <div class="card">
+                                    <h4>Application Details</h4>
+                                    <div class="detail-item">
+                                        <strong>Closing Date:</strong>
+                                        <span>${window.contentAPI.formatDate(
+                                            opportunity.closingDate
+                                        )}</span>
+                                    </div>
                                     ${
-                                        opportunity.requirements
+                                        opportunity.location
                                             ? `
-                                        <section class="detail-section">
-                                            <h3>Requirements</h3>
-                                            <p>${opportunity.requirements}</p>
-                                        </section>
+                                        <div class="detail-item">
+                                            <strong>Location:</strong>
+                                            <span>${escape(opportunity.location)}</span>
+                                        </div>
                                     `
                                             : ""
                                     }
-                                    
                                     ${
-                                        opportunity.benefits
+                                        ClosingDates.isClosed(opportunity)
                                             ? `
-                                        <section class="detail-section">
-                                            <h3>Benefits</h3>
-                                            <p>${opportunity.benefits}</p>
-                                        </section>
+                                    <p class="closed-notice">Applications closed on ${window.contentAPI.formatDate(
+                                        opportunity.closingDate
+                                    )}.</p>
+                                    `
+                                            : `
+                                    <a href="${escape(
+                                        this.safeUrl(opportunity.link)
+                                    )}" target="_blank" rel="noopener" class="btn btn-primary">
+                                        Apply Now
+                                    </a>
                                     `
-                                            : ""
                                     }
                                 </div>
                                 
-                                <div class="sidebar">
-                                    <div class="card">
-                                        <h4>Application Details</h4>
-                                        <div class="detail-item">
-                                            <strong>Closing Date:</strong>
-                                            <span>${window.appwriteAPI.formatDate(
-                                                opportunity.closingDate
-                                            )}</span>
-                                        </div>
+                                ${
+                                    company
+                                        ? `
+                                <div class="card">
+                                    <h4>Company Information</h4>
+                                    <div class="company-card">
+                                        <h5>${escape(company.companyName)}</h5>
+                                        <p>Sector: ${escape(company.sector)}</p>
                                         ${
-                                            opportunity.location
+                                            company.website
                                                 ? `
-                                            <div class="detail-item">
-                                                <strong>Location:</strong>
-                                                <span>${opportunity.location}</span>
-                                            </div>
+                                            <a href="${escape(
+                                                this.safeUrl(company.website)
+                                            )}" target="_blank" rel="noopener">Visit Website</a>
                                         `
                                                 : ""
                                         }
-                                        <a href="${
-                                            opportunity.link
-                                        }" target="_blank" class="btn btn-primary">
-                                            Apply Now
-                                        </a>
-                                    </div>
-                                    
-                                    <div class="card">
-                                        <h4>Company Information</h4>
-                                        <div class="company-card">
-                                            <h5>${
-                                                opportunity.company.companyName
-                                            }</h5>
-                                            <p>Sector: ${
-                                                opportunity.company.sector
-                                            }</p>
-                                            ${
-                                                opportunity.company.website
-                                                    ? `
-                                                <a href="${opportunity.company.website}" target="_blank">Visit Website</a>
-                                            `
-                                                    : ""
-                                            }
-                                        </div>
                                     </div>
                                 </div>
+                                `
+                                        : ""
+                                }
                             </div>
                         </div>
                     </div>
                 </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Attached files as links. Stored documents are file references
+     * (IDs or URLs); a preview passes `{ name }` for files not yet uploaded.
+     */
+    getDocumentListHTML(documents) {
+        const items = documents.map((doc, index) => {
+            if (typeof doc !== "string") {
+                return `<li><span>${this.escapeHTML(doc.name)}</span></li>`;
+            }
+
+            const url = window.contentAPI.getFileUrl(doc);
+            const fileName = decodeURIComponent(
+                url.split("?")[0].split("/").pop() || ""
+            );
+            const label = /\.[a-z0-9]{2,4}$/i.test(fileName)
+                ? fileName
+                : `Document ${index + 1}`;
+
+            return `<li><a href="${this.escapeHTML(url)}" target="_blank" rel="noopener">${this.escapeHTML(label)}</a></li>`;
+        });
+
+        return `<ul class="document-list">${items.join("")}</ul>`;
+    }
+
+    /**
+     * "Post an opportunity": one fieldset per OpportunityForm step, the
+     * last one previewing the listing as its detail page. Values are kept
+     * as a draft for the session; attached files only while on the page.
+     * With `?edit=id` the form edits the user's submission that an editor
+     * returned for changes, and resubmits it.
+     */
+    async renderPostOpportunity(params = {}) {
+        try {
+            const [{ documents: companies }, editing] = await Promise.all([
+                window.contentAPI.getCompanies({ limit: 100 }),
+                params.edit ? this.findReturnedSubmission(params.edit) : null
+            ]);
+
+            if (params.edit && !editing) {
+                window.pipelineApp?.showToast(
+                    "That submission can't be edited any more.",
+                    "warning"
+                );
+                this.redirect("account");
+                return;
+            }
+
+            const draft = editing
+                ? OpportunityForm.fromDocument(editing.document)
+                : OpportunityForm.loadDraft();
+            const field = (name, label, attributes = {}) =>
+                this.getFormFieldHTML(name, label, {
+                    value: draft[name],
+                    ...attributes
+                });
+
+            const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000)
+                .toISOString()
+                .slice(0, 10);
+            const { max, maxSize, extensions } = OpportunityForm.files;
+
+            const stepFields = [
+                `
+                    ${field("title", "Title", { maxlength: 150 })}
+                    ${field("opportunityType", "Type", {
+                        type: "select",
+                        options: [
+                            { value: "", label: "Choose a type" },
+                            ...OPPORTUNITY_TYPES
+                        ]
+                    })}
+                    ${field("companyId", "Company", {
+                        type: "select",
+                        required: false,
+                        options: [
+                            { value: "", label: "Not listed in the directory" },
+                            ...companies.map(company => ({
+                                value: company.$id,
+                                label: company.companyName
+                            }))
+                        ]
+                    })}
+                    <div class="form-row">
+                        ${field("city", "City", { required: false })}
+                        ${field("state", "State", {
+                            type: "select",
+                            required: false,
+                            options: [
+                                { value: "", label: "Choose a state" },
+                                ...NIGERIAN_STATES.map(state => state.name)
+                            ]
+                        })}
+                    </div>
+                `,
+                `
+                    ${field("description", "Description", {
+                        type: "textarea",
+                        rows: 8,
+                        hint: "What the role or contract involves. Leave a blank line between paragraphs."
+                    })}
+                    ${field("requirements", "Requirements", {
+                        type: "textarea",
+                        rows: 5,
+                        required: false
+                    })}
+                    ${field("benefits", "Benefits", {
+                        type: "textarea",
+                        rows: 4,
+                        required: false
+                    })}
+                `,
+                `
+                    ${field("closingDate", "Closing date", {
+                        type: "date",
+                        min: tomorrow
+                    })}
+                    ${field("applyUrl", "Application link", {
+                        type: "url",
+                        required: false,
+                        placeholder: "https://",
+                        hint: "Where to apply. Give a link, an email address or both."
+                    })}
+                    ${field("applyEmail", "Application email", {
+                        type: "email",
+                        required: false
+                    })}
+                    ${this.getFormFieldHTML("documents", "Tender documents", {
+                        type: "file",
+                        required: false,
+                        multiple: "",
+                        accept: extensions.join(","),
+                        hint: `Up to ${max} files (${extensions.join(", ")}), ${
+                            maxSize / 1024 / 1024
+                        } MB each.${
+                            editing?.document.documents?.length
+                                ? " Files chosen here replace the ones already attached."
+                                : ""
+                        }`
+                    })}
+                `,
+                `<div class="submission-preview"></div>`
+            ];
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">${
+                            editing ? "Edit Your Submission" : "Post an Opportunity"
+                        }</h1>
+                        <p class="page-subtitle">${
+                            editing
+                                ? "Make the changes our editors asked for, then resubmit"
+                                : "Share a job, tender or partnership with the industry. Our editors review every listing before it goes live."
+                        }</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        ${
+                            editing?.reviewNote
+                                ? `<div class="review-note submission-form">
+                            <strong>Editor's note</strong>
+                            ${this.formatText(editing.reviewNote)}
+                        </div>`
+                                : ""
+                        }
+                        <form class="submission-form card" id="opportunityForm" novalidate>
+                            <ol class="form-steps">
+                                ${OpportunityForm.steps
+                                    .map(
+                                        (step, index) =>
+                                            `<li class="form-step-label" data-step="${index}">${step.label}</li>`
+                                    )
+                                    .join("")}
+                            </ol>
+                            ${stepFields
+                                .map(
+                                    (html, index) => `
+                                <fieldset class="form-step" data-step="${index}" hidden>
+                                    <legend class="form-step-title">Step ${index + 1} of ${OpportunityForm.steps.length}: ${OpportunityForm.steps[index].label}</legend>
+                                    ${html}
+                                </fieldset>
+                            `
+                                )
+                                .join("")}
+                            <p class="form-error" role="alert" hidden></p>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline" data-step-action="back">Back</button>
+                                <button type="button" class="btn btn-primary" data-step-action="next">Next</button>
+                                <button type="submit" class="btn btn-primary">${
+                                    editing ? "Resubmit for Review" : "Submit for Review"
+                                }</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
             `;
 
+            this.submission = { step: 0, companies, editing };
             this.setContent(template);
+            this.showSubmissionStep(0);
         } catch (error) {
             this.renderError(error);
         }
     }
 
+    // The form's values; `documents` are the selected Files
+    getSubmissionData(form) {
+        const data = Object.fromEntries(new FormData(form));
+        return { ...data, documents: [...form.elements.documents.files] };
+    }
+
+    showSubmissionStep(step) {
+        const form = document.getElementById("opportunityForm");
+        const last = OpportunityForm.steps.length - 1;
+        this.submission.step = step;
+
+        form.querySelectorAll(".form-step").forEach(fieldset => {
+            fieldset.hidden = Number(fieldset.dataset.step) !== step;
+        });
+        form.querySelectorAll(".form-step-label").forEach(label => {
+            const index = Number(label.dataset.step);
+            label.classList.toggle("active", index === step);
+            label.classList.toggle("complete", index < step);
+        });
+        form.querySelector('[data-step-action="back"]').hidden = step === 0;
+        form.querySelector('[data-step-action="next"]').hidden = step === last;
+        form.querySelector('[type="submit"]').hidden = step !== last;
+
+        if (step === last) {
+            form.querySelector(".submission-preview").innerHTML =
+                this.getSubmissionPreviewHTML(this.getSubmissionData(form));
+        }
+    }
+
+    // The listing as it will appear, before anything is uploaded
+    getSubmissionPreviewHTML(data) {
+        const listing = OpportunityForm.toDocument(
+            data,
+            data.documents.map(file => ({ name: file.name }))
+        );
+        const company = this.submission.companies.find(
+            company => company.$id === listing.companyId
+        );
+
+        return this.getOpportunityDetailHTML(
+            { ...listing, $id: "preview", company },
+            { bookmarkable: false }
+        );
+    }
+
+    /**
+     * Show `errors` ({ field: message }) next to their fields, clearing
+     * the others. Returns whether there were any.
+     */
+    showFieldErrors(form, errors) {
+        form.querySelectorAll(".field-error").forEach(element => {
+            const message = errors[element.dataset.errorFor];
+            element.textContent = message || "";
+            element.hidden = !message;
+            form.elements[element.dataset.errorFor]?.setAttribute(
+                "aria-invalid",
+                message ? "true" : "false"
+            );
+        });
+
+        const [first] = Object.keys(errors);
+        if (first) form.elements[first]?.focus();
+        return Boolean(first);
+    }
+
+    handleSubmissionStep(form, action) {
+        const { step } = this.submission;
+
+        if (action === "back") {
+            this.showSubmissionStep(step - 1);
+        } else {
+            const data = this.getSubmissionData(form);
+            if (!this.submission.editing) OpportunityForm.saveDraft(data);
+            if (this.showFieldErrors(form, OpportunityForm.validate(data, step))) {
+                return;
+            }
+            this.showSubmissionStep(step + 1);
+        }
+        form.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    // Upload the documents, then create the listing
+    async handleSubmissionSubmit(form) {
+        const data = this.getSubmissionData(form);
+        const errors = OpportunityForm.validate(data);
+        const submit = form.querySelector('[type="submit"]');
+        const api = window.contentAPI;
+
+        form.querySelector(".form-error").hidden = true;
+        const invalidStep = OpportunityForm.steps.findIndex(step =>
+            step.fields.some(name => errors[name])
+        );
+        if (invalidStep !== -1) {
+            this.showSubmissionStep(invalidStep);
+            this.showFieldErrors(form, errors);
+            return;
+        }
+
+        const { editing } = this.submission;
+        const label = submit.textContent;
+        submit.disabled = true;
+        try {
+            const uploaded = [];
+            for (const file of data.documents) {
+                submit.textContent = `Uploading ${file.name}…`;
+                uploaded.push(await api.uploadFile(file));
+            }
+
+            submit.textContent = "Submitting…";
+            const listing = OpportunityForm.toDocument(data, uploaded);
+
+            if (editing) {
+                await api.resubmit("opportunity", editing.$id, listing);
+                window.pipelineApp?.showToast(
+                    "Resubmitted. An editor will take another look.",
+                    "success"
+                );
+                this.navigate("account");
+                return;
+            }
+
+            const opportunity = await api.createOpportunity(listing);
+            OpportunityForm.clearDraft();
+
+            // Users' posts normally wait in the review queue
+            if (Moderation.isPublic(opportunity)) {
+                window.pipelineApp?.showToast("Your opportunity is live.", "success");
+                this.navigate(ContentTypes.pathTo(opportunity, "opportunity"));
+            } else {
+                window.pipelineApp?.showToast(
+                    "Thanks! Your opportunity goes live once an editor approves it.",
+                    "success"
+                );
+                this.navigate("account");
+            }
+        } catch (error) {
+            console.error("Opportunity submission failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            submit.disabled = false;
+            submit.textContent = label;
+        }
+    }
+
+    // The user's opportunity with `id`, if an editor returned it for changes
+    async findReturnedSubmission(id) {
+        const submissions = await window.contentAPI.getMySubmissions();
+        return (
+            submissions.find(
+                submission =>
+                    submission.type === "opportunity" &&
+                    submission.$id === id &&
+                    submission.status === "draft"
+            ) || null
+        );
+    }
+
     async renderDirectory(params = {}) {
-        const { page = 1, sector = "" } = params;
+        const page = this.getPageNumber(params);
 
         try {
-            const companies = await window.appwriteAPI.getCompanies({
-                sector,
-                limit: 12,
-                offset: (page - 1) * 12
-            });
+            const [{ documents: companies, total }, facets] =
+                await Promise.all([
+                    window.contentAPI.getCompanies({
+                        ...ListFilters.toProviderFilters("directory", params),
+                        limit: this.pageSize,
+                        offset: (page - 1) * this.pageSize
+                    }),
+                    window.contentAPI.getFacetCounts("directory", params)
+                ]);
 
             const template = `
                 <div class="page-header">
                     <div class="container">
                         <h1 class="page-title">Company Directory</h1>
-                        <p class="page-subtitle">NCDMB-verified companies in Nigeria's oil and gas sector</p>
+                        <p class="page-subtitle">Companies in Nigeria's oil and gas sector, with their NCDMB verification</p>
                     </div>
                 </div>
                 
                 <div class="page-content">
                     <div class="container">
-                        ${this.getFiltersHTML("directory", { sector })}
+                        ${this.getFiltersHTML("directory", params, facets)}
+                        ${
+                            params.view === "map"
+                                ? this.getStateMapHTML("directory", params, facets)
+                                : ""
+                        }
+                        <div id="compareBar">${this.getCompareBarHTML()}</div>
                         <div class="companies-grid">
                             ${companies
                                 .map(company =>
@@ -375,7 +1027,7 @@ class PipelineRouter {
                                 )
                                 .join("")}
                         </div>
-                        ${this.getPaginationHTML(page, companies.length)}
+                        ${this.getPaginationHTML(page, total)}
                     </div>
                 </div>
             `;
@@ -390,31 +1042,41 @@ class PipelineRouter {
         const { id } = params;
 
         try {
-            const company = await window.appwriteAPI.getCompanyById(id);
+            const [company, user] = await Promise.all([
+                window.contentAPI.getCompanyById(id),
+                window.contentAPI.getCurrentUser()
+            ]);
 
             if (!company) {
                 this.render404();
                 return;
             }
 
+            const activity = await window.contentAPI.getCompanyActivity(company);
+
             const template = `
                 <div class="detail-page">
                     <div class="detail-header">
                         <div class="container">
-                            <nav class="breadcrumb">
-                                <a href="#directory">Directory</a> › ${
-                                    company.companyName
-                                }
-                            </nav>
+                            ${this.getBreadcrumbHTML("company", company)}
                             <div class="detail-meta">
                                 <span class="badge badge-secondary">${
                                     company.sector
                                 }</span>
                                 ${
-                                    company.ncdmbNumber
-                                        ? `<span class="badge badge-success">NCDMB: ${company.ncdmbNumber}</span>`
+                                    Ncdmb.isVerified(company)
+                                        ? this.getNcdmbBadgeHTML("verified")
                                         : ""
                                 }
+                                ${this.getBookmarkButtonHTML(
+                                    "company",
+                                    company.$id,
+                                    company.companyName,
+                                    { labelled: true }
+                                )}
+                                ${this.getCompareButtonHTML(company, {
+                                    labelled: true
+                                })}
                             </div>
                             <h1 class="detail-title">${company.companyName}</h1>
                         </div>
@@ -471,6 +1133,15 @@ class PipelineRouter {
                                     `
                                             : ""
                                     }
+
+                                    ${
+                                        activity
+                                            ? this.getCompanyOpportunitiesHTML(
+                                                  company,
+                                                  activity
+                                              ) + this.getCompanyMentionsHTML(activity)
+                                            : ""
+                                    }
                                 </div>
                                 
                                 <div class="sidebar">
@@ -500,17 +1171,17 @@ class PipelineRouter {
                                             <strong>Sector:</strong>
                                             <span>${company.sector}</span>
                                         </div>
-                                        ${
-                                            company.ncdmbNumber
-                                                ? `
-                                            <div class="detail-item">
-                                                <strong>NCDMB Number:</strong>
-                                                <span>${company.ncdmbNumber}</span>
-                                            </div>
-                                        `
-                                                : ""
-                                        }
                                     </div>
+                                    ${this.getNcdmbCardHTML(company, user)}
+                                    ${this.getCompanyAdminCardHTML(company, user)}
+                                    ${
+                                        activity
+                                            ? this.getCompanyTimelineHTML(
+                                                  company,
+                                                  activity
+                                              )
+                                            : ""
+                                    }
                                 </div>
                             </div>
                         </div>
@@ -524,15 +1195,395 @@ class PipelineRouter {
         }
     }
 
+    /**
+     * The company's open and past opportunities (from
+     * getCompanyActivity()), with links to the full filtered lists when
+     * there are more than shown.
+     */
+    getCompanyOpportunitiesHTML(company, { open, past }) {
+        const list = ({ documents }) => `
+            <div class="related-updates">
+                ${documents
+                    .map(
+                        opportunity => `
+                    <div class="related-item">
+                        <h4><a href="#${ContentTypes.pathTo(
+                            opportunity,
+                            "opportunity"
+                        )}">${this.escapeHTML(opportunity.title)}</a></h4>
+                        <span class="meta">${this.escapeHTML(
+                            opportunity.opportunityType
+                        )} • ${
+                            opportunity.closingDate
+                                ? `${
+                                      ClosingDates.isClosed(opportunity)
+                                          ? "Closed"
+                                          : "Closes"
+                                  } ${window.contentAPI.formatDate(
+                                      opportunity.closingDate
+                                  )}`
+                                : "No closing date"
+                        }</span>
+                    </div>
+                `
+                    )
+                    .join("")}
+            </div>
+        `;
+        const more = (result, query, label) =>
+            result.total > result.documents.length
+                ? `<a href="#opportunities?company=${encodeURIComponent(
+                      company.$id
+                  )}${query}" class="activity-more">All ${result.total} ${label} →</a>`
+                : "";
+
+        return `
+            <section class="detail-section company-activity">
+                <h3>Opportunities</h3>
+                <h4 class="activity-heading">Open (${open.total})</h4>
+                ${
+                    open.total > 0
+                        ? list(open) + more(open, "", "open opportunities")
+                        : '<p class="activity-empty">No open opportunities right now.</p>'
+                }
+                ${
+                    past.total > 0
+                        ? `
+                    <h4 class="activity-heading">Past (${past.total})</h4>
+                    ${list(past)}
+                    ${more(past, "&closed=only", "past opportunities")}
+                `
+                        : ""
+                }
+            </section>
+        `;
+    }
+
+    // Regulatory updates and articles naming the company, newest first
+    getCompanyMentionsHTML({ regulatory, articles }) {
+        const mentions = [
+            ...regulatory.map(update => ({
+                doc: update,
+                type: "regulatory",
+                meta: update.source
+            })),
+            ...articles.map(article => ({
+                doc: article,
+                type: "article",
+                meta: article.author ? `Insight by ${article.author}` : "Insight"
+            }))
+        ].sort((a, b) => b.doc.publishedDate.localeCompare(a.doc.publishedDate));
+
+        if (mentions.length === 0) return "";
+
+        return `
+            <section class="detail-section company-activity">
+                <h3>In the News</h3>
+                <div class="related-updates">
+                    ${mentions
+                        .map(
+                            ({ doc, type, meta }) => `
+                        <div class="related-item">
+                            <h4><a href="#${ContentTypes.pathTo(
+                                doc,
+                                type
+                            )}">${this.escapeHTML(doc.title)}</a></h4>
+                            <span class="meta">${this.escapeHTML(
+                                meta
+                            )} • ${window.contentAPI.formatDate(doc.publishedDate)}</span>
+                        </div>
+                    `
+                        )
+                        .join("")}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * What has happened around the company, newest first: its listing and
+     * verification, opportunities posted and closed, and news mentions.
+     */
+    getCompanyTimeline(company, { open, past, regulatory, articles }, limit = 8) {
+        const opportunities = [...open.documents, ...past.documents];
+        const link = (doc, type) => ({
+            title: doc.title,
+            path: ContentTypes.pathTo(doc, type)
+        });
+
+        return [
+            { date: company.$createdAt, label: "Listed in the directory" },
+            { date: company.ncdmbVerifiedAt, label: "NCDMB verification approved" },
+            ...opportunities.map(opportunity => ({
+                date: opportunity.publishedAt || opportunity.$createdAt,
+                label: `${opportunity.opportunityType} posted`,
+                ...link(opportunity, "opportunity")
+            })),
+            ...past.documents.map(opportunity => ({
+                date: opportunity.closingDate,
+                label: `${opportunity.opportunityType} closed`,
+                ...link(opportunity, "opportunity")
+            })),
+            ...regulatory.map(update => ({
+                date: update.publishedDate,
+                label: `Named by ${update.source}`,
+                ...link(update, "regulatory")
+            })),
+            ...articles.map(article => ({
+                date: article.publishedDate,
+                label: "In the news",
+                ...link(article, "article")
+            }))
+        ]
+            .filter(entry => entry.date)
+            .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+            .slice(0, limit);
+    }
+
+    getCompanyTimelineHTML(company, activity) {
+        const entries = this.getCompanyTimeline(company, activity);
+        if (entries.length === 0) return "";
+
+        return `
+            <div class="card company-timeline">
+                <h4>Activity</h4>
+                <ol class="activity-timeline">
+                    ${entries
+                        .map(
+                            entry => `
+                        <li>
+                            <time datetime="${this.escapeHTML(
+                                entry.date
+                            )}">${window.contentAPI.formatDate(entry.date)}</time>
+                            <span>${this.escapeHTML(entry.label)}</span>
+                            ${
+                                entry.path
+                                    ? `<a href="#${entry.path}">${this.escapeHTML(
+                                          entry.title
+                                      )}</a>`
+                                    : ""
+                            }
+                        </li>
+                    `
+                        )
+                        .join("")}
+                </ol>
+            </div>
+        `;
+    }
+
+    /**
+     * Shortlisted companies side by side (js/compare.js), with the rows
+     * where they differ highlighted, laid out to print for bid evaluation.
+     * The route's IDs become the shortlist, so a shared comparison can be
+     * changed like one built here.
+     */
+    /**
+     * The saved shortlist, or the companies of a shared `?ids=` link. A
+     * shared comparison is only shown until the user adopts it, so opening
+     * a link never replaces their own shortlist.
+     */
+    async renderCompanyCompare(params = {}) {
+        const saved = Compare.ids();
+        const ids =
+            params.ids === undefined ? saved : Compare.parseIds(params.ids);
+        const route = Compare.route(ids);
+        const shared = ids.join(",") !== saved.join(",");
+
+        if (ids.length > 0 && route !== this.getCurrentRoute()) {
+            this.redirect(route);
+            return;
+        }
+
+        try {
+            const api = window.contentAPI;
+            const found = await Promise.all(ids.map(id => api.findCompany(id)));
+            const companies = found.filter(Boolean);
+            const missing = ids.filter((id, i) => !found[i]);
+
+            // Drop companies the backend no longer has from the user's own
+            // shortlist; the change brings the page back without them
+            if (missing.length > 0 && !shared) {
+                window.pipelineApp?.showToast(
+                    "A shortlisted company is no longer in the directory, so it was removed.",
+                    "warning"
+                );
+                Compare.set(saved.filter(id => !missing.includes(id)));
+                return;
+            }
+
+            const openCounts = Object.fromEntries(
+                await Promise.all(
+                    companies.map(async company => [
+                        company.$id,
+                        (await api.getOpportunities({ companyId: company.$id, limit: 1 }))
+                            .total
+                    ])
+                )
+            );
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Compare Companies</h1>
+                        <p class="page-subtitle">Up to ${
+                            Compare.limit
+                        } companies side by side. Rows where they differ are highlighted.</p>
+                        ${
+                            companies.length > 0
+                                ? `<button type="button" class="btn btn-outline page-header-action compare-print" onclick="window.print()">Print</button>`
+                                : ""
+                        }
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        ${
+                            shared
+                                ? this.getSharedCompareHTML(
+                                      companies.map(company => company.$id),
+                                      missing.length
+                                  )
+                                : ""
+                        }
+                        ${
+                            companies.length > 0
+                                ? this.getCompareTableHTML(companies, openCounts, {
+                                      shared
+                                  })
+                                : `
+                            <div class="no-results">
+                                <h3>Nothing to compare yet</h3>
+                                <p>Use ⇄ on companies in the <a href="#directory">directory</a> to shortlist up to ${Compare.limit}.</p>
+                            </div>
+                        `
+                        }
+                        ${
+                            companies.length === 1
+                                ? `<p class="compare-note">Add another company from the <a href="#directory">directory</a> to compare.</p>`
+                                : ""
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    // Notice above a shared comparison, with a button to make it the shortlist
+    getSharedCompareHTML(ids, missingCount) {
+        const missing =
+            missingCount > 0
+                ? ` ${missingCount} of its companies ${
+                      missingCount === 1 ? "is" : "are"
+                  } no longer in the directory.`
+                : "";
+
+        return `
+            <div class="compare-bar compare-shared">
+                <span>This comparison was shared with you; your own shortlist is unchanged.${missing}</span>
+                ${
+                    ids.length > 0
+                        ? `<button type="button" class="btn btn-primary" data-compare-action="adopt" data-compare-ids="${this.escapeHTML(
+                              ids.join(",")
+                          )}">Use as my shortlist</button>`
+                        : ""
+                }
+            </div>
+        `;
+    }
+
+    // In a shared comparison, Remove leaves the user's shortlist alone
+    getCompareTableHTML(companies, openCounts, { shared = false } = {}) {
+        const ids = companies.map(company => company.$id);
+        const remove = company =>
+            shared
+                ? `<a href="#${Compare.route(
+                      ids.filter(id => id !== company.$id)
+                  )}" class="compare-remove">Remove</a>`
+                : `<button type="button" class="compare-remove" data-compare="${this.escapeHTML(
+                      company.$id
+                  )}" data-compare-name="${this.escapeHTML(
+                      company.companyName
+                  )}">Remove</button>`;
+
+        const cell = value =>
+            typeof value === "boolean"
+                ? value
+                    ? '<span class="compare-yes" aria-label="Yes">✓</span>'
+                    : '<span class="compare-no" aria-label="No">—</span>'
+                : this.escapeHTML(String(value));
+
+        return `
+            <div class="compare-table-wrap">
+                <table class="compare-table">
+                    <caption>Compared on ${window.contentAPI.formatDate(
+                        new Date().toISOString()
+                    )}</caption>
+                    <thead>
+                        <tr>
+                            <td></td>
+                            ${companies
+                                .map(
+                                    company => `
+                                <th scope="col">
+                                    <a href="#${ContentTypes.pathTo(
+                                        company,
+                                        "company"
+                                    )}">${this.escapeHTML(company.companyName)}</a>
+                                    ${remove(company)}
+                                </th>
+                            `
+                                )
+                                .join("")}
+                        </tr>
+                    </thead>
+                    ${Compare.sections(companies, openCounts)
+                        .map(
+                            section => `
+                        <tbody>
+                            <tr class="compare-section">
+                                <th scope="colgroup" colspan="${
+                                    companies.length + 1
+                                }">${section.title}</th>
+                            </tr>
+                            ${section.rows
+                                .map(
+                                    row => `
+                                <tr${row.differs ? ' class="differs"' : ""}>
+                                    <th scope="row">${this.escapeHTML(row.label)}</th>
+                                    ${row.values
+                                        .map(value => `<td>${cell(value)}</td>`)
+                                        .join("")}
+                                </tr>
+                            `
+                                )
+                                .join("")}
+                        </tbody>
+                    `
+                        )
+                        .join("")}
+                </table>
+            </div>
+        `;
+    }
+
     async renderRegulatory(params = {}) {
-        const { page = 1, source = "" } = params;
+        const page = this.getPageNumber(params);
 
         try {
-            const updates = await window.appwriteAPI.getRegulatoryUpdates({
-                source,
-                limit: 12,
-                offset: (page - 1) * 12
-            });
+            const [{ documents: updates, total }, facets] = await Promise.all([
+                window.contentAPI.getRegulatoryUpdates({
+                    ...ListFilters.toProviderFilters("regulatory", params),
+                    limit: this.pageSize,
+                    offset: (page - 1) * this.pageSize
+                }),
+                window.contentAPI.getFacetCounts("regulatory", params)
+            ]);
 
             const template = `
                 <div class="page-header">
@@ -544,7 +1595,7 @@ class PipelineRouter {
                 
                 <div class="page-content">
                     <div class="container">
-                        ${this.getFiltersHTML("regulatory", { source })}
+                        ${this.getFiltersHTML("regulatory", params, facets)}
                         <div class="updates-list">
                             ${updates
                                 .map(update =>
@@ -552,7 +1603,7 @@ class PipelineRouter {
                                 )
                                 .join("")}
                         </div>
-                        ${this.getPaginationHTML(page, updates.length)}
+                        ${this.getPaginationHTML(page, total)}
                     </div>
                 </div>
             `;
@@ -567,7 +1618,7 @@ class PipelineRouter {
         const { id } = params;
 
         try {
-            const update = await window.appwriteAPI.getRegulatoryUpdateById(id);
+            const update = await window.contentAPI.getRegulatoryUpdateById(id);
 
             if (!update) {
                 this.render404();
@@ -578,18 +1629,20 @@ class PipelineRouter {
                 <div class="detail-page">
                     <div class="detail-header">
                         <div class="container">
-                            <nav class="breadcrumb">
-                                <a href="#regulatory">Regulatory Updates</a> › ${
-                                    update.title
-                                }
-                            </nav>
+                            ${this.getBreadcrumbHTML("regulatory", update)}
                             <div class="detail-meta">
                                 <span class="badge badge-warning">${
                                     update.source
                                 }</span>
-                                <span class="detail-date">${window.appwriteAPI.formatDate(
+                                <span class="detail-date">${window.contentAPI.formatDate(
                                     update.publishedDate
                                 )}</span>
+                                ${this.getBookmarkButtonHTML(
+                                    "regulatory",
+                                    update.$id,
+                                    update.title,
+                                    { labelled: true }
+                                )}
                             </div>
                             <h1 class="detail-title">${update.title}</h1>
                         </div>
@@ -637,14 +1690,15 @@ class PipelineRouter {
                                                     .map(
                                                         related => `
                                                     <div class="related-item">
-                                                        <h4><a href="#regulatory/${
-                                                            related._id
-                                                        }">${
+                                                        <h4><a href="#${ContentTypes.pathTo(
+                                                            related,
+                                                            "regulatory"
+                                                        )}">${
                                                             related.title
                                                         }</a></h4>
                                                         <span class="meta">${
                                                             related.source
-                                                        } • ${window.appwriteAPI.formatDate(
+                                                        } • ${window.contentAPI.formatDate(
                                                             related.publishedDate
                                                         )}</span>
                                                     </div>
@@ -667,7 +1721,7 @@ class PipelineRouter {
                                         </div>
                                         <div class="detail-item">
                                             <strong>Published:</strong>
-                                            <span>${window.appwriteAPI.formatDate(
+                                            <span>${window.contentAPI.formatDate(
                                                 update.publishedDate
                                             )}</span>
                                         </div>
@@ -676,7 +1730,7 @@ class PipelineRouter {
                                                 ? `
                                             <div class="detail-item">
                                                 <strong>Effective Date:</strong>
-                                                <span>${window.appwriteAPI.formatDate(
+                                                <span>${window.contentAPI.formatDate(
                                                     update.effectiveDate
                                                 )}</span>
                                             </div>
@@ -709,14 +1763,17 @@ class PipelineRouter {
     // Continue with the remaining methods that were cut off...
 
     async renderInsights(params = {}) {
-        const { page = 1, category = "" } = params;
+        const page = this.getPageNumber(params);
 
         try {
-            const articles = await window.appwriteAPI.getArticles({
-                category,
-                limit: 12,
-                offset: (page - 1) * 12
-            });
+            const [{ documents: articles, total }, facets] = await Promise.all([
+                window.contentAPI.getArticles({
+                    ...ListFilters.toProviderFilters("insights", params),
+                    limit: this.pageSize,
+                    offset: (page - 1) * this.pageSize
+                }),
+                window.contentAPI.getFacetCounts("insights", params)
+            ]);
 
             const template = `
                 <div class="page-header">
@@ -728,7 +1785,7 @@ class PipelineRouter {
                 
                 <div class="page-content">
                     <div class="container">
-                        ${this.getFiltersHTML("insights", { category })}
+                        ${this.getFiltersHTML("insights", params, facets)}
                         <div class="insights-grid">
                             ${articles
                                 .map(article =>
@@ -736,7 +1793,7 @@ class PipelineRouter {
                                 )
                                 .join("")}
                         </div>
-                        ${this.getPaginationHTML(page, articles.length)}
+                        ${this.getPaginationHTML(page, total)}
                     </div>
                 </div>
             `;
@@ -751,7 +1808,7 @@ class PipelineRouter {
         const { id } = params;
 
         try {
-            const article = await window.appwriteAPI.getArticleById(id);
+            const article = await window.contentAPI.getArticleById(id);
 
             if (!article) {
                 this.render404();
@@ -762,11 +1819,7 @@ class PipelineRouter {
                 <div class="detail-page article-detail">
                     <div class="detail-header">
                         <div class="container">
-                            <nav class="breadcrumb">
-                                <a href="#insights">Market Intelligence</a> › ${
-                                    article.title
-                                }
-                            </nav>
+                            ${this.getBreadcrumbHTML("article", article)}
                             <div class="detail-meta">
                                 ${article.tags
                                     .map(
@@ -774,15 +1827,21 @@ class PipelineRouter {
                                             `<span class="badge badge-primary">${tag}</span>`
                                     )
                                     .join("")}
-                                <span class="detail-date">${window.appwriteAPI.formatDate(
+                                <span class="detail-date">${window.contentAPI.formatDate(
                                     article.publishedDate
                                 )}</span>
+                                ${this.getBookmarkButtonHTML(
+                                    "article",
+                                    article.$id,
+                                    article.title,
+                                    { labelled: true }
+                                )}
                             </div>
                             <h1 class="detail-title">${article.title}</h1>
                             <div class="article-meta">
                                 By <strong>${
                                     article.author
-                                }</strong> • ${window.appwriteAPI.getTimeAgo(
+                                }</strong> • ${window.contentAPI.getTimeAgo(
                                     article.publishedDate
                                 )}
                             </div>
@@ -793,9 +1852,11 @@ class PipelineRouter {
                         article.coverImage
                             ? `
                         <div class="article-image">
-                            <img src="${window.appwriteAPI.urlFor(
-                                article.coverImage
-                            )}" alt="${article.title}">
+                            ${ResponsiveImages.html(
+                                article.coverImage,
+                                "articleCover",
+                                { alt: article.title }
+                            )}
                         </div>
                     `
                             : ""
@@ -823,11 +1884,12 @@ class PipelineRouter {
                                                 .map(
                                                     related => `
                                                 <div class="related-card">
-                                                    <h4><a href="#insights/${
-                                                        related._id
-                                                    }">${related.title}</a></h4>
+                                                    <h4><a href="#${ContentTypes.pathTo(
+                                                        related,
+                                                        "article"
+                                                    )}">${related.title}</a></h4>
                                                     <p>${related.summary}</p>
-                                                    <span class="meta">${window.appwriteAPI.formatDate(
+                                                    <span class="meta">${window.contentAPI.formatDate(
                                                         related.publishedDate
                                                     )}</span>
                                                 </div>
@@ -843,75 +1905,2474 @@ class PipelineRouter {
                         </div>
                     </div>
                 </div>
-            `;
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    async renderSearch(params = {}) {
+        const { q = "", type = "", view = "" } = params;
+
+        if (!q.trim()) {
+            this.setContent(this.getSearchPageHTML());
+            return;
+        }
+
+        try {
+            const results = await window.contentAPI.search(
+                q,
+                type ? [type] : []
+            );
+
+            const grouped = view === "grouped";
+            const viewQuery = nextView =>
+                `search?q=${encodeURIComponent(q)}${
+                    type ? `&type=${type}` : ""
+                }${nextView ? `&view=${nextView}` : ""}`;
+
+            const resultsHTML = grouped
+                ? window.contentAPI.searchEngine
+                      .group(results)
+                      .map(
+                          group => `
+                            <section class="search-result-group">
+                                <h2 class="search-result-group-title">${
+                                    ContentTypes.byCollection(group.collection)
+                                        .pluralLabel
+                                } <span class="search-result-count">${
+                              group.results.length
+                          }</span></h2>
+                                ${group.results
+                                    .map(result =>
+                                        this.getSearchResultHTML(result)
+                                    )
+                                    .join("")}
+                            </section>
+                        `
+                      )
+                      .join("")
+                : results
+                      .map(result => this.getSearchResultHTML(result))
+                      .join("");
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Search Results</h1>
+                        <p class="page-subtitle">Found ${
+                            results.length
+                        } results for "${q}"</p>
+                    </div>
+                </div>
+                
+                <div class="page-content">
+                    <div class="container">
+                        ${this.getSearchFormHTML(q, type)}
+                        <div class="search-alert">
+                            ${this.getSaveSearchButtonHTML()}
+                            <span>Get told when new content matches this search</span>
+                        </div>
+
+                        ${
+                            results.length > 0
+                                ? `
+                            <div class="search-view-toggle">
+                                <a href="#${viewQuery("")}" class="${
+                                    grouped ? "" : "active"
+                                }">Best match</a>
+                                <a href="#${viewQuery("grouped")}" class="${
+                                    grouped ? "active" : ""
+                                }">By type</a>
+                            </div>
+                            <div class="search-results-list">
+                                ${resultsHTML}
+                            </div>
+                        `
+                                : `
+                            <div class="no-results">
+                                <h3>No results found</h3>
+                                <p>Try adjusting your search terms or filters</p>
+                            </div>
+                        `
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    // ALERTS
+
+    /**
+     * Notifications from the user's saved searches and the searches
+     * themselves (js/saved-searches.js). Opening the page marks the
+     * notifications as read.
+     */
+    async renderAlerts() {
+        try {
+            const [notifications, searches] = await Promise.all([
+                window.contentAPI.getNotifications(),
+                window.contentAPI.getSavedSearches()
+            ]);
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Alerts</h1>
+                        <p class="page-subtitle">New content matching your saved searches</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container alerts-layout">
+                        <section class="alerts-section">
+                            <h2 class="saved-group-title">Notifications</h2>
+                            ${
+                                notifications.length > 0
+                                    ? `<ul class="notification-list">${notifications
+                                          .map(notification =>
+                                              this.getNotificationHTML(notification)
+                                          )
+                                          .join("")}</ul>`
+                                    : `<p class="auth-message">No new matches yet. We'll list them here as they're published.</p>`
+                            }
+                        </section>
+
+                        <section class="alerts-section">
+                            <h2 class="saved-group-title">Saved Searches <span class="search-result-count">${
+                                searches.length
+                            }/${SAVED_SEARCH_LIMIT}</span></h2>
+                            ${
+                                searches.length > 0
+                                    ? searches
+                                          .map(search =>
+                                              this.getSavedSearchFormHTML(search)
+                                          )
+                                          .join("")
+                                    : `<p class="auth-message">Run a <a href="#search">search</a> or filter a list, then choose <strong>Alert me</strong> to be told about new matches.</p>`
+                            }
+                        </section>
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+
+            if (notifications.some(notification => !notification.read)) {
+                window.contentAPI
+                    .markNotificationsRead()
+                    .catch(error =>
+                        console.warn("Could not mark notifications read:", error)
+                    );
+            }
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    getNotificationHTML(notification) {
+        const definition = ContentTypes.get(notification.type);
+        if (!definition) return "";
+
+        return `
+            <li class="notification-item${notification.read ? "" : " unread"}">
+                <span class="badge badge-primary">${definition.label}</span>
+                <a href="#${definition.routePrefix}/${encodeURIComponent(
+                    notification.documentId
+                )}">${this.escapeHTML(notification.title)}</a>
+                <span class="card-date">Matches ${this.escapeHTML(
+                    notification.searchName
+                )} · ${window.contentAPI.getTimeAgo(notification.$createdAt)}</span>
+            </li>
+        `;
+    }
+
+    getSavedSearchFormHTML(search) {
+        const id = `saved-search-${this.escapeHTML(search.$id)}`;
+
+        return `
+            <form class="saved-search-form card" data-search-id="${this.escapeHTML(
+                search.$id
+            )}" novalidate>
+                <div class="form-group">
+                    <label class="form-label" for="${id}-name">Name</label>
+                    <input class="form-input" id="${id}-name" name="name" type="text" maxlength="100" value="${this.escapeHTML(
+                        search.name
+                    )}" required>
+                    <p class="form-hint">${this.escapeHTML(
+                        SavedSearches.describe(search)
+                    )} · <a href="#${SavedSearches.routeOf(
+                        search
+                    )}">View results</a></p>
+                </div>
+                <label class="checkbox-field" for="${id}-email">
+                    <input type="checkbox" id="${id}-email" name="email" ${
+                        search.email ? "checked" : ""
+                    }>
+                    Email me a digest of new matches
+                </label>
+                <p class="form-error" role="alert" hidden></p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" data-search-action="delete">Delete</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+    }
+
+    // "Alert me" button for a search or list page (see handleSaveSearch)
+    getSaveSearchButtonHTML() {
+        return `<button type="button" class="btn btn-outline save-search" onclick="router.handleSaveSearch(this)">🔔 Alert me</button>`;
+    }
+
+    /**
+     * Save the current search or filtered list. Visitors are asked to log
+     * in first and brought back to the page.
+     */
+    async handleSaveSearch(button) {
+        const route = this.getCurrentRoute();
+        const query = SavedSearches.fromRoute(route);
+        if (!query) return;
+
+        if (!(await window.contentAPI.getCurrentUser())) {
+            this.navigate(`login?next=${encodeURIComponent(route)}`);
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const search = await window.contentAPI.saveSearch(query);
+            window.pipelineApp?.showToast(
+                `Saved "${search.name}". New matches will appear under Alerts.`,
+                "success"
+            );
+        } catch (error) {
+            window.pipelineApp?.showToast(
+                error.message || "Couldn't save this search.",
+                "error"
+            );
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async handleSavedSearchSubmit(form) {
+        const id = form.dataset.searchId;
+        const name = form.elements.name.value.trim();
+        form.querySelector(".form-error").hidden = true;
+
+        if (!name) {
+            this.showFormError(form, "Give the search a name.");
+            return;
+        }
+
+        try {
+            await window.contentAPI.updateSavedSearch(id, {
+                name,
+                email: form.elements.email.checked
+            });
+            window.pipelineApp?.showToast("Saved search updated.", "success");
+        } catch (error) {
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+        }
+    }
+
+    async handleSavedSearchDelete(form) {
+        try {
+            await window.contentAPI.deleteSavedSearch(form.dataset.searchId);
+            window.pipelineApp?.showToast("Saved search deleted.", "success");
+            this.refresh();
+        } catch (error) {
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+        }
+    }
+
+    // SAVED ITEMS
+
+    /**
+     * Bookmarked documents (js/bookmarks.js), grouped by content type.
+     * Documents that can't be loaded any more are listed by their saved
+     * title so they can still be removed.
+     */
+    async renderSaved() {
+        const user = await window.contentAPI.getCurrentUser();
+        const saved = window.bookmarks.all();
+
+        try {
+            const groups = await Promise.all(
+                ContentTypes.all()
+                    .map(definition => ({
+                        definition,
+                        bookmarks: saved.filter(
+                            bookmark => bookmark.type === definition.type
+                        )
+                    }))
+                    .filter(group => group.bookmarks.length > 0)
+                    .map(async ({ definition, bookmarks }) => ({
+                        definition,
+                        items: await Promise.all(
+                            bookmarks.map(async bookmark => ({
+                                bookmark,
+                                doc: await this.loadBookmark(bookmark)
+                            }))
+                        )
+                    }))
+            );
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Saved Items</h1>
+                        <p class="page-subtitle">${
+                            user
+                                ? "Synced to your account on every device"
+                                : 'Saved in this browser. <a href="#login?next=saved">Log in</a> to keep them on every device.'
+                        }</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        ${
+                            groups.length > 0
+                                ? groups
+                                      .map(group => this.getSavedGroupHTML(group))
+                                      .join("")
+                                : `
+                            <div class="no-results">
+                                <h3>Nothing saved yet</h3>
+                                <p>Use the ☆ on any opportunity, company, regulatory update or article to keep it here.</p>
+                            </div>
+                        `
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    // The bookmarked document, or null when it's gone or can't be loaded
+    async loadBookmark({ type, id }) {
+        try {
+            return await window.contentAPI.getById(type, id);
+        } catch (error) {
+            if (RequestManager.isAbort(error)) throw error;
+            console.warn(`Could not load saved ${type} ${id}:`, error);
+            return null;
+        }
+    }
+
+    getSavedGroupHTML({ definition, items }) {
+        return `
+            <section class="saved-group">
+                <h2 class="saved-group-title">${
+                    definition.pluralLabel
+                } <span class="search-result-count">${items.length}</span></h2>
+                <div class="${definition.listClass}">
+                    ${items
+                        .map(({ bookmark, doc }) =>
+                            doc
+                                ? ContentTypes.renderCard(doc, bookmark.type, this)
+                                : `
+                        <div class="saved-missing card">
+                            <div class="card-header">
+                                <span class="card-date">No longer available</span>
+                                ${this.getBookmarkButtonHTML(
+                                    bookmark.type,
+                                    bookmark.id,
+                                    bookmark.title
+                                )}
+                            </div>
+                            <h3 class="card-title">${this.escapeHTML(
+                                bookmark.title || definition.label
+                            )}</h3>
+                        </div>
+                    `
+                        )
+                        .join("")}
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Save toggle for a document. Cards show the star alone; `labelled`
+     * adds "Save" / "Saved" for detail pages. Clicks are handled by
+     * toggleBookmark() for every toggle on the page.
+     */
+    getBookmarkButtonHTML(type, id, title, { labelled = false } = {}) {
+        const state = this.getBookmarkState(window.bookmarks.has(type, id));
+
+        return `
+            <button type="button" class="bookmark-toggle${
+                labelled ? " labelled" : ""
+            }" data-bookmark="${type}" data-bookmark-id="${this.escapeHTML(
+                id
+            )}" data-bookmark-title="${this.escapeHTML(title)}" aria-pressed="${
+                state.pressed
+            }" title="${state.title}"${
+                labelled ? "" : ` aria-label="${state.title}"`
+            }>
+                <span class="bookmark-icon" aria-hidden="true">${state.icon}</span>${
+                    labelled
+                        ? `<span class="bookmark-label">${state.label}</span>`
+                        : ""
+                }
+            </button>
+        `;
+    }
+
+    getBookmarkState(saved) {
+        return {
+            pressed: String(saved),
+            icon: saved ? "★" : "☆",
+            label: saved ? "Saved" : "Save",
+            title: saved ? "Remove from saved items" : "Save for later"
+        };
+    }
+
+    toggleBookmark(button) {
+        const { bookmark: type, bookmarkId: id, bookmarkTitle: title } =
+            button.dataset;
+        const saved = window.bookmarks.toggle(type, id, title);
+
+        window.pipelineApp?.showToast(
+            saved ? "Saved. Find it under Saved Items." : "Removed from Saved Items.",
+            "success"
+        );
+    }
+
+    // Bring every toggle on the page in line with the saved list; the
+    // Saved Items page is redrawn instead
+    handleBookmarksChanged() {
+        if (this.currentPath === "saved") {
+            this.refresh();
+            return;
+        }
+
+        document.querySelectorAll("[data-bookmark]").forEach(button => {
+            const state = this.getBookmarkState(
+                window.bookmarks.has(
+                    button.dataset.bookmark,
+                    button.dataset.bookmarkId
+                )
+            );
+
+            button.setAttribute("aria-pressed", state.pressed);
+            button.title = state.title;
+            if (!button.classList.contains("labelled")) {
+                button.setAttribute("aria-label", state.title);
+            }
+            button.querySelector(".bookmark-icon").textContent = state.icon;
+            const label = button.querySelector(".bookmark-label");
+            if (label) label.textContent = state.label;
+        });
+    }
+
+    /**
+     * "Add to compare" toggle for a company (js/compare.js). Cards show the
+     * icon alone; `labelled` adds "Compare" / "Comparing" for the detail
+     * page. Clicks are handled by toggleCompare().
+     */
+    getCompareButtonHTML(company, { labelled = false } = {}) {
+        const state = this.getCompareState(Compare.has(company.$id));
+
+        return `
+            <button type="button" class="compare-toggle${
+                labelled ? " labelled" : ""
+            }" data-compare="${this.escapeHTML(
+                company.$id
+            )}" data-compare-name="${this.escapeHTML(
+                company.companyName
+            )}" aria-pressed="${state.pressed}" title="${state.title}"${
+                labelled ? "" : ` aria-label="${state.title}"`
+            }>
+                <span class="compare-icon" aria-hidden="true">⇄</span>${
+                    labelled
+                        ? `<span class="compare-label">${state.label}</span>`
+                        : ""
+                }
+            </button>
+        `;
+    }
+
+    getCompareState(selected) {
+        return {
+            pressed: String(selected),
+            label: selected ? "Comparing" : "Compare",
+            title: selected ? "Remove from comparison" : "Add to compare"
+        };
+    }
+
+    toggleCompare(button) {
+        const { compare: id, compareName: name } = button.dataset;
+
+        try {
+            const added = Compare.toggle(id);
+            window.pipelineApp?.showToast(
+                added
+                    ? `${name} added to compare (${Compare.ids().length} of ${Compare.limit}).`
+                    : `${name} removed from compare.`,
+                "success"
+            );
+        } catch (error) {
+            window.pipelineApp?.showToast(error.message, "warning");
+        }
+    }
+
+    // Shortlist bar for the directory; empty until a company is added
+    getCompareBarHTML() {
+        const count = Compare.ids().length;
+        if (count === 0) return "";
+
+        return `
+            <div class="compare-bar">
+                <span>${count} of ${Compare.limit} companies shortlisted to compare</span>
+                <div class="compare-bar-actions">
+                    <button type="button" class="btn btn-outline" data-compare-action="clear">Clear</button>
+                    <a href="#${Compare.route()}" class="btn btn-primary">Compare</a>
+                </div>
+            </div>
+        `;
+    }
+
+    // Bring toggles and the directory's bar in line with the shortlist; the
+    // comparison itself follows it to a new route
+    handleCompareChanged() {
+        if (this.currentPath === "directory/compare") {
+            const route = Compare.route();
+            if (route !== this.getCurrentRoute()) this.redirect(route);
+            else this.refresh();
+            return;
+        }
+
+        document.querySelectorAll("[data-compare]").forEach(button => {
+            const state = this.getCompareState(Compare.has(button.dataset.compare));
+
+            button.setAttribute("aria-pressed", state.pressed);
+            button.title = state.title;
+            if (!button.classList.contains("labelled")) {
+                button.setAttribute("aria-label", state.title);
+            }
+            const label = button.querySelector(".compare-label");
+            if (label) label.textContent = state.label;
+        });
+
+        const bar = document.getElementById("compareBar");
+        if (bar) bar.innerHTML = this.getCompareBarHTML();
+    }
+
+    // ACCOUNT PAGES
+
+    async renderLogin(params = {}) {
+        const next = params.next || "account";
+
+        if (await window.contentAPI.getCurrentUser()) {
+            this.redirect(next);
+            return;
+        }
+
+        this.setContent(
+            this.getAuthPageHTML(
+                "Log In",
+                "Welcome back to The Pipeline",
+                `
+                <form class="auth-form" data-auth="login">
+                    <input type="hidden" name="next" value="${this.escapeHTML(next)}">
+                    ${this.getFormFieldHTML("email", "Email", {
+                        type: "email",
+                        autocomplete: "email",
+                        value: params.email
+                    })}
+                    ${this.getFormFieldHTML("password", "Password", {
+                        type: "password",
+                        autocomplete: "current-password"
+                    })}
+                    <p class="form-error" role="alert" hidden></p>
+                    <button type="submit" class="btn btn-primary action-btn">Log In</button>
+                </form>
+                <div class="auth-links">
+                    <a href="#forgot-password">Forgot your password?</a>
+                    <span>New here? <a href="#signup?next=${encodeURIComponent(next)}">Create an account</a></span>
+                </div>
+            `
+            )
+        );
+    }
+
+    async renderSignup(params = {}) {
+        const next = params.next || "account";
+
+        if (await window.contentAPI.getCurrentUser()) {
+            this.redirect(next);
+            return;
+        }
+
+        this.setContent(
+            this.getAuthPageHTML(
+                "Create Account",
+                "Save opportunities, follow companies and post to the hub",
+                `
+                <form class="auth-form" data-auth="signup">
+                    <input type="hidden" name="next" value="${this.escapeHTML(next)}">
+                    ${this.getFormFieldHTML("name", "Full name", {
+                        autocomplete: "name",
+                        maxlength: 100
+                    })}
+                    ${this.getFormFieldHTML("email", "Email", {
+                        type: "email",
+                        autocomplete: "email"
+                    })}
+                    ${this.getPasswordFieldsHTML()}
+                    <p class="form-error" role="alert" hidden></p>
+                    <button type="submit" class="btn btn-primary action-btn">Create Account</button>
+                </form>
+                <div class="auth-links">
+                    <span>Already registered? <a href="#login?next=${encodeURIComponent(next)}">Log in</a></span>
+                </div>
+            `
+            )
+        );
+    }
+
+    async renderForgotPassword(params = {}) {
+        this.setContent(
+            this.getAuthPageHTML(
+                "Reset Password",
+                "We'll email you a link to choose a new password",
+                `
+                <form class="auth-form" data-auth="forgot-password">
+                    ${this.getFormFieldHTML("email", "Email", {
+                        type: "email",
+                        autocomplete: "email",
+                        value: params.email
+                    })}
+                    <p class="form-error" role="alert" hidden></p>
+                    <button type="submit" class="btn btn-primary action-btn">Send Reset Link</button>
+                </form>
+                <div class="auth-links">
+                    <a href="#login">Back to log in</a>
+                </div>
+            `
+            )
+        );
+    }
+
+    async renderResetPassword(params = {}) {
+        this.setContent(
+            this.getAuthPageHTML(
+                "Choose a New Password",
+                "Use at least 8 characters",
+                `
+                <form class="auth-form" data-auth="reset-password">
+                    ${this.getPasswordFieldsHTML()}
+                    <p class="form-error" role="alert" hidden></p>
+                    <button type="submit" class="btn btn-primary action-btn">Update Password</button>
+                </form>
+            `
+            )
+        );
+    }
+
+    async renderAccount() {
+        const user = await window.contentAPI.getCurrentUser();
+        if (!user) return;
+
+        let submissionsHTML;
+        try {
+            submissionsHTML = this.getSubmissionsHTML(
+                await window.contentAPI.getMySubmissions()
+            );
+        } catch (error) {
+            console.warn("Could not load submissions:", error);
+            submissionsHTML = `<p class="auth-message">Your submissions couldn't be loaded. Try again later.</p>`;
+        }
+
+        let claimsHTML;
+        try {
+            claimsHTML = this.getClaimsHTML(await window.contentAPI.getMyClaims());
+        } catch (error) {
+            console.warn("Could not load claims:", error);
+            claimsHTML = `<p class="auth-message">Your companies couldn't be loaded. Try again later.</p>`;
+        }
+
+        const template = `
+            <div class="page-header">
+                <div class="container">
+                    <h1 class="page-title">Your Account</h1>
+                    <p class="page-subtitle">Signed in as ${this.escapeHTML(user.email)}</p>
+                </div>
+            </div>
+
+            <div class="page-content">
+                <div class="container">
+                    <div class="account-card card">
+                        <div class="detail-item">
+                            <strong>Name</strong>
+                            <span>${this.escapeHTML(user.name) || "—"}</span>
+                        </div>
+                        <div class="detail-item">
+                            <strong>Email</strong>
+                            <span>
+                                ${this.escapeHTML(user.email)}
+                                ${
+                                    user.emailVerified
+                                        ? '<span class="badge badge-success">Verified</span>'
+                                        : '<span class="badge badge-warning">Not verified</span>'
+                                }
+                            </span>
+                        </div>
+                        ${
+                            user.$createdAt
+                                ? `
+                        <div class="detail-item">
+                            <strong>Member since</strong>
+                            <span>${window.contentAPI.formatDate(user.$createdAt)}</span>
+                        </div>
+                        `
+                                : ""
+                        }
+                        <div class="account-actions">
+                            <a href="#forgot-password?email=${encodeURIComponent(user.email)}" class="btn btn-outline">Change Password</a>
+                            <button class="btn btn-secondary" onclick="router.logOut()">Log Out</button>
+                            ${
+                                Moderation.isEditor(user)
+                                    ? `
+                                <a href="#review" class="btn btn-primary">Review Queue</a>
+                                <a href="#review/verifications" class="btn btn-outline">NCDMB Verifications</a>
+                                <a href="#review/claims" class="btn btn-outline">Company Claims</a>
+                            `
+                                    : ""
+                            }
+                        </div>
+                    </div>
+
+                    <div class="account-card card submissions-card">
+                        <h3>Your Submissions</h3>
+                        ${submissionsHTML}
+                    </div>
+
+                    <div class="account-card card submissions-card">
+                        <h3>Your Companies</h3>
+                        ${claimsHTML}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setContent(template);
+    }
+
+    // MODERATION PAGES
+
+    /**
+     * Editors' review queue: submissions with the `status` tab's status,
+     * oldest first, each with a preview, its history and, while pending,
+     * the decision form.
+     */
+    async renderReviewQueue(params = {}) {
+        const user = await window.contentAPI.getCurrentUser();
+        if (!Moderation.isEditor(user)) {
+            this.setContent(
+                this.getAuthPageHTML(
+                    "Review Queue",
+                    "Submissions waiting for an editor",
+                    `<p class="auth-message">Only editors can review submissions.</p>`
+                )
+            );
+            return;
+        }
+
+        const status = MODERATION_STATUSES[params.status]
+            ? params.status
+            : "pending";
+
+        try {
+            const submissions =
+                await window.contentAPI.getModerationQueue(status);
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Review Queue</h1>
+                        <p class="page-subtitle">Approve, return or reject what users submit</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        <nav class="review-tabs">
+                            ${Object.keys(MODERATION_STATUSES)
+                                .map(
+                                    key =>
+                                        `<a href="#review?status=${key}" class="review-tab ${
+                                            key === status ? "active" : ""
+                                        }">${Moderation.statusLabel(key)}</a>`
+                                )
+                                .join("")}
+                            <a href="#review/verifications" class="review-tab review-tab-switch">NCDMB Verifications</a>
+                            <a href="#review/claims" class="review-tab review-tab-switch">Company Claims</a>
+                        </nav>
+                        ${
+                            submissions.length > 0
+                                ? submissions
+                                      .map(submission =>
+                                          this.getReviewItemHTML(submission)
+                                      )
+                                      .join("")
+                                : `
+                            <div class="no-results">
+                                <h3>Nothing here</h3>
+                                <p>No submissions are ${Moderation.statusLabel(
+                                    status
+                                ).toLowerCase()} right now.</p>
+                            </div>
+                        `
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    getReviewItemHTML(submission) {
+        const { type, document, submitter } = submission;
+        const definition = ContentTypes.get(type);
+        const pending = submission.status === "pending";
+
+        return `
+            <article class="review-item card" data-type="${type}" data-id="${this.escapeHTML(
+                submission.$id
+            )}">
+                <div class="review-item-header">
+                    <span class="badge badge-primary">${definition.label}</span>
+                    ${this.getStatusBadgeHTML(submission.status)}
+                    <span class="card-date">Submitted ${window.contentAPI.getTimeAgo(
+                        submission.$createdAt
+                    )}${
+                        submitter
+                            ? ` by ${this.escapeHTML(submitter.name || submitter.email)}`
+                            : ""
+                    }</span>
+                </div>
+                <h3 class="card-title">${this.escapeHTML(submission.title)}</h3>
+                ${
+                    submission.reviewNote
+                        ? `<div class="review-note"><strong>Note to submitter</strong>${this.formatText(
+                              submission.reviewNote
+                          )}</div>`
+                        : ""
+                }
+
+                <details class="review-preview">
+                    <summary>Preview</summary>
+                    <div class="submission-preview">
+                        ${
+                            type === "opportunity"
+                                ? this.getOpportunityDetailHTML(document, {
+                                      bookmarkable: false
+                                  })
+                                : this.getCompanySubmissionHTML(document)
+                        }
+                    </div>
+                </details>
+
+                <details class="review-history">
+                    <summary>History</summary>
+                    <div class="review-history-list">Loading…</div>
+                </details>
+
+                ${
+                    pending
+                        ? `
+                <form class="review-form">
+                    ${this.getFormFieldHTML("reason", "Reason", {
+                        id: `review-reason-${type}-${submission.$id}`,
+                        type: "textarea",
+                        rows: 3,
+                        required: false,
+                        hint: "Shown to the submitter. Needed to request changes or reject."
+                    })}
+                    <p class="form-error" role="alert" hidden></p>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-outline" data-review-action="reject">Reject</button>
+                        <button type="button" class="btn btn-secondary" data-review-action="request-changes">Request Changes</button>
+                        <button type="button" class="btn btn-primary" data-review-action="approve">Approve</button>
+                    </div>
+                </form>
+                `
+                        : ""
+                }
+            </article>
+        `;
+    }
+
+    // Companies have no shared detail markup; editors see the key fields
+    getCompanySubmissionHTML(company) {
+        const escape = value => this.escapeHTML(value);
+
+        return `
+            <div class="detail-content">
+                <div class="container">
+                    <h2 class="detail-title">${escape(company.companyName)}</h2>
+                    <div class="detail-item"><strong>Sector:</strong> <span>${escape(
+                        company.sector
+                    )}</span></div>
+                    ${
+                        company.location
+                            ? `<div class="detail-item"><strong>Location:</strong> <span>${escape(
+                                  company.location
+                              )}</span></div>`
+                            : ""
+                    }
+                    ${
+                        company.website
+                            ? `<div class="detail-item"><strong>Website:</strong> <span>${escape(
+                                  company.website
+                              )}</span></div>`
+                            : ""
+                    }
+                    <section class="detail-section">
+                        ${this.formatText(company.description)}
+                    </section>
+                </div>
+            </div>
+        `;
+    }
+
+    getStatusBadgeHTML(status) {
+        const { badge = "badge-secondary" } = MODERATION_STATUSES[status] || {};
+        return `<span class="badge ${badge}">${this.escapeHTML(
+            Moderation.statusLabel(status)
+        )}</span>`;
+    }
+
+    // Load a review item's audit trail the first time it's opened
+    async loadReviewHistory(details) {
+        const item = details.closest(".review-item");
+        const list = details.querySelector(".review-history-list");
+        details.dataset.loaded = "true";
+
+        try {
+            const events = await window.contentAPI.getModerationHistory(
+                item.dataset.type,
+                item.dataset.id
+            );
+
+            list.innerHTML = events.length
+                ? `<ol class="review-events">${events
+                      .map(
+                          event => `
+                    <li>
+                        <strong>${
+                            Moderation.actions[event.action]?.label ||
+                            Ncdmb.actions[event.action]?.label ||
+                            Claims.actions[event.action]?.label ||
+                            this.escapeHTML(event.action)
+                        }</strong>
+                        ${
+                            // Expiries are recorded by the backend's daily job
+                            event.actor || !Ncdmb.actions[event.action]
+                                ? `by ${this.escapeHTML(event.actor?.name || event.actor?.email || "unknown")},`
+                                : "automatically,"
+                        }
+                        ${window.contentAPI.formatDate(event.$createdAt)}
+                        ${event.reason ? `<p>${this.escapeHTML(event.reason)}</p>` : ""}
+                    </li>
+                `
+                      )
+                      .join("")}</ol>`
+                : "<p>No recorded decisions.</p>";
+        } catch (error) {
+            delete details.dataset.loaded;
+            list.textContent = "Couldn't load the history.";
+        }
+    }
+
+    async handleReviewDecision(form, action) {
+        const item = form.closest(".review-item");
+        const reason = form.elements.reason.value;
+        const buttons = form.querySelectorAll("[data-review-action]");
+
+        form.querySelector(".form-error").hidden = true;
+        if (Moderation.actions[action].needsReason && !reason.trim()) {
+            this.showFieldErrors(form, {
+                reason: "Tell the submitter why."
+            });
+            return;
+        }
+
+        buttons.forEach(button => (button.disabled = true));
+        try {
+            const submission = await window.contentAPI.reviewSubmission(
+                item.dataset.type,
+                item.dataset.id,
+                { action, reason }
+            );
+
+            window.pipelineApp?.showToast(
+                `${Moderation.actions[action].label}: ${submission.title}`,
+                "success"
+            );
+            this.refresh();
+        } catch (error) {
+            console.error("Review failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            buttons.forEach(button => (button.disabled = false));
+        }
+    }
+
+    // The signed-in user's submissions, for the account page
+    getSubmissionsHTML(submissions) {
+        if (submissions.length === 0) {
+            return `<p class="auth-message">Nothing yet. <a href="#opportunities/new">Post an opportunity</a> and follow its review here.</p>`;
+        }
+
+        return `
+            <ul class="submission-list">
+                ${submissions
+                    .map(
+                        submission => `
+                    <li class="submission-item">
+                        <div class="submission-item-header">
+                            <strong>${
+                                submission.status === "published"
+                                    ? `<a href="#${ContentTypes.pathTo(
+                                          submission,
+                                          submission.type
+                                      )}">${this.escapeHTML(submission.title)}</a>`
+                                    : this.escapeHTML(submission.title)
+                            }</strong>
+                            ${this.getStatusBadgeHTML(submission.status)}
+                        </div>
+                        <span class="card-date">${
+                            ContentTypes.get(submission.type).label
+                        } · updated ${window.contentAPI.getTimeAgo(
+                            submission.$updatedAt
+                        )}</span>
+                        ${
+                            submission.reviewNote
+                                ? `<div class="review-note"><strong>Editor's note</strong>${this.formatText(
+                                      submission.reviewNote
+                                  )}</div>`
+                                : ""
+                        }
+                        ${
+                            submission.status === "draft" &&
+                            submission.type === "opportunity"
+                                ? `<a href="#opportunities/new?edit=${encodeURIComponent(
+                                      submission.$id
+                                  )}" class="btn btn-outline">Edit and Resubmit</a>`
+                                : ""
+                        }
+                        ${
+                            submission.status === "published" &&
+                            submission.type === "company"
+                                ? `
+                            <div class="account-actions">
+                                <a href="#account/companies/${encodeURIComponent(
+                                    submission.$id
+                                )}/edit" class="btn btn-outline">Edit Profile</a>
+                                <a href="#account/companies/${encodeURIComponent(
+                                    submission.$id
+                                )}" class="btn btn-outline">NCDMB Verification</a>
+                            </div>
+                        `
+                                : ""
+                        }
+                    </li>
+                `
+                    )
+                    .join("")}
+            </ul>
+        `;
+    }
+
+    // NCDMB VERIFICATION PAGES
+
+    // A verification's status as shown (js/ncdmb.js): expired once past its date
+    getVerificationStatus(verification) {
+        return Ncdmb.status({
+            ncdmbStatus: verification.status,
+            ncdmbExpiresAt: verification.expiresAt
+        });
+    }
+
+    // Number, dates, editor's note and documents of a verification
+    getVerificationDetailsHTML(verification) {
+        const formatDate = date => window.contentAPI.formatDate(date);
+
+        return `
+            ${
+                verification.ncdmbNumber
+                    ? `<div class="detail-item"><strong>Number:</strong> <span>${this.escapeHTML(
+                          verification.ncdmbNumber
+                      )}</span></div>`
+                    : ""
+            }
+            ${
+                verification.expiresAt
+                    ? `<div class="detail-item"><strong>Certificate expires:</strong> <span>${formatDate(
+                          verification.expiresAt
+                      )}</span></div>`
+                    : ""
+            }
+            ${
+                verification.verifiedAt
+                    ? `<div class="detail-item"><strong>Verified:</strong> <span>${formatDate(
+                          verification.verifiedAt
+                      )}</span></div>`
+                    : ""
+            }
+            ${
+                verification.note
+                    ? `<div class="review-note"><strong>Editor's note</strong>${this.formatText(
+                          verification.note
+                      )}</div>`
+                    : ""
+            }
+            ${
+                verification.documents.length > 0
+                    ? `<div class="detail-item"><strong>Documents:</strong></div>${this.getDocumentListHTML(
+                          verification.documents
+                      )}`
+                    : ""
+            }
+        `;
+    }
+
+    /**
+     * A company's verification page for its admins: the current status
+     * and, unless a request is waiting for an editor, the form to send the
+     * registration number, expiry date and certificate.
+     */
+    async renderVerification(params) {
+        const { id } = params;
+        const user = await window.contentAPI.getCurrentUser();
+        if (!user) return;
+
+        let verification;
+        try {
+            verification = await window.contentAPI.getVerification(id);
+        } catch (error) {
+            console.warn("Could not load verification:", error);
+            this.setContent(
+                this.getAuthPageHTML(
+                    "NCDMB Verification",
+                    "Verify a company's NCDMB registration",
+                    `<p class="auth-message">${this.escapeHTML(
+                        error.message || "This verification couldn't be loaded."
+                    )}</p>`
+                )
+            );
+            return;
+        }
+
+        const status = this.getVerificationStatus(verification);
+        const { max, extensions } = Ncdmb.files;
+        const today = new Date().toISOString().slice(0, 10);
+
+        const template = `
+            <div class="page-header">
+                <div class="container">
+                    <h1 class="page-title">NCDMB Verification</h1>
+                    <p class="page-subtitle">${this.escapeHTML(verification.companyName)}</p>
+                </div>
+            </div>
+
+            <div class="page-content">
+                <div class="container">
+                    <div class="account-card card">
+                        <div class="detail-item">
+                            <strong>Status</strong>
+                            ${this.getNcdmbBadgeHTML(status)}
+                        </div>
+                        ${this.getVerificationDetailsHTML(verification)}
+                        <div class="account-actions">
+                            <a href="#${ContentTypes.pathTo(
+                                verification,
+                                "company"
+                            )}" class="btn btn-outline">View Company</a>
+                        </div>
+                    </div>
+
+                    <div class="account-card card submissions-card">
+                        ${
+                            status === "pending"
+                                ? `<p class="auth-message">An editor is checking your request${
+                                      verification.requestedAt
+                                          ? ` from ${window.contentAPI.getTimeAgo(
+                                                verification.requestedAt
+                                            )}`
+                                          : ""
+                                  }. You'll be told the outcome by email.</p>`
+                                : `
+                        <h3>${status === "unverified" ? "Request Verification" : "Send a Renewed Certificate"}</h3>
+                        <p class="form-hint">The company shows as unverified until an editor checks the certificate.</p>
+                        <form id="verificationForm" class="verification-form" data-company-id="${this.escapeHTML(
+                            verification.$id
+                        )}" novalidate>
+                            ${this.getFormFieldHTML("ncdmbNumber", "NCDMB registration number", {
+                                value: verification.ncdmbNumber || "",
+                                placeholder: "NCDMB-006-2018",
+                                autocomplete: "off"
+                            })}
+                            ${this.getFormFieldHTML("expiresAt", "Certificate expiry date", {
+                                type: "date",
+                                min: today
+                            })}
+                            ${this.getFormFieldHTML("documents", "Supporting documents", {
+                                type: "file",
+                                multiple: "multiple",
+                                accept: extensions.join(","),
+                                hint: `The registration certificate, and any letters from the Board. Up to ${max} PDFs or images.`
+                            })}
+                            <p class="form-error" role="alert" hidden></p>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary">Request Verification</button>
+                            </div>
+                        </form>
+                        `
+                        }
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.setContent(template);
+    }
+
+    // Upload the documents, then send the request
+    async handleVerificationSubmit(form) {
+        const data = {
+            ncdmbNumber: form.elements.ncdmbNumber.value,
+            expiresAt: form.elements.expiresAt.value,
+            documents: [...form.elements.documents.files]
+        };
+        const submit = form.querySelector('[type="submit"]');
+        const api = window.contentAPI;
+
+        form.querySelector(".form-error").hidden = true;
+        if (this.showFieldErrors(form, Ncdmb.validateRequest(data))) return;
+
+        const label = submit.textContent;
+        submit.disabled = true;
+        try {
+            const uploaded = [];
+            for (const file of data.documents) {
+                submit.textContent = `Uploading ${file.name}…`;
+                uploaded.push(await api.uploadFile(file));
+            }
+
+            submit.textContent = "Sending…";
+            await api.requestVerification(form.dataset.companyId, {
+                ...data,
+                documents: uploaded
+            });
+
+            window.pipelineApp?.showToast(
+                "Sent. An editor will check the certificate.",
+                "success"
+            );
+            this.refresh();
+        } catch (error) {
+            console.error("Verification request failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            submit.disabled = false;
+            submit.textContent = label;
+        }
+    }
+
+    /**
+     * Editors' verification queue: companies with the `status` tab's
+     * status, oldest request first, each with its documents, history and,
+     * while pending, the decision form.
+     */
+    async renderVerificationQueue(params = {}) {
+        const user = await window.contentAPI.getCurrentUser();
+        if (!Moderation.isEditor(user)) {
+            this.setContent(
+                this.getAuthPageHTML(
+                    "NCDMB Verifications",
+                    "Verification requests waiting for an editor",
+                    `<p class="auth-message">Only editors can verify companies.</p>`
+                )
+            );
+            return;
+        }
+
+        const status = NCDMB_STATUSES[params.status] ? params.status : "pending";
+
+        try {
+            const verifications =
+                await window.contentAPI.getVerificationQueue(status);
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">NCDMB Verifications</h1>
+                        <p class="page-subtitle">Check companies' certificates before they get the verified badge</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        <nav class="review-tabs">
+                            ${Object.keys(NCDMB_STATUSES)
+                                .map(
+                                    key =>
+                                        `<a href="#review/verifications?status=${key}" class="review-tab ${
+                                            key === status ? "active" : ""
+                                        }">${Ncdmb.statusLabel(key)}</a>`
+                                )
+                                .join("")}
+                            <a href="#review" class="review-tab review-tab-switch">Submissions</a>
+                            <a href="#review/claims" class="review-tab review-tab-switch">Company Claims</a>
+                        </nav>
+                        ${
+                            verifications.length > 0
+                                ? verifications
+                                      .map(verification =>
+                                          this.getVerificationItemHTML(verification)
+                                      )
+                                      .join("")
+                                : `
+                            <div class="no-results">
+                                <h3>Nothing here</h3>
+                                <p>No companies are ${Ncdmb.statusLabel(
+                                    status
+                                ).toLowerCase()} right now.</p>
+                            </div>
+                        `
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    // Uses the review item markup so its history loads like a submission's
+    getVerificationItemHTML(verification) {
+        const status = this.getVerificationStatus(verification);
+        const id = this.escapeHTML(verification.$id);
+
+        return `
+            <article class="review-item card" data-type="company" data-id="${id}">
+                <div class="review-item-header">
+                    <span class="badge badge-primary">NCDMB</span>
+                    ${this.getNcdmbBadgeHTML(status)}
+                    ${
+                        verification.requestedAt
+                            ? `<span class="card-date">Requested ${window.contentAPI.getTimeAgo(
+                                  verification.requestedAt
+                              )}</span>`
+                            : ""
+                    }
+                </div>
+                <h3 class="card-title"><a href="#${ContentTypes.pathTo(
+                    verification,
+                    "company"
+                )}">${this.escapeHTML(verification.companyName)}</a></h3>
+                ${this.getVerificationDetailsHTML(verification)}
+
+                <details class="review-history">
+                    <summary>History</summary>
+                    <div class="review-history-list">Loading…</div>
+                </details>
+
+                ${
+                    status === "pending"
+                        ? `
+                <form class="verification-review-form">
+                    ${this.getFormFieldHTML("expiresAt", "Certificate expiry date", {
+                        id: `verification-expires-${id}`,
+                        type: "date",
+                        value: verification.expiresAt || "",
+                        hint: "Correct it if the certificate says otherwise."
+                    })}
+                    ${this.getFormFieldHTML("reason", "Reason", {
+                        id: `verification-reason-${id}`,
+                        type: "textarea",
+                        rows: 3,
+                        required: false,
+                        hint: "Shown to the company. Needed to reject."
+                    })}
+                    <p class="form-error" role="alert" hidden></p>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-outline" data-verification-action="reject-verification">Reject</button>
+                        <button type="button" class="btn btn-primary" data-verification-action="verify">Verify</button>
+                    </div>
+                </form>
+                `
+                        : ""
+                }
+            </article>
+        `;
+    }
+
+    async handleVerificationDecision(form, action) {
+        const item = form.closest(".review-item");
+        const reason = form.elements.reason.value;
+        const expiresAt = form.elements.expiresAt.value;
+        const buttons = form.querySelectorAll("[data-verification-action]");
+
+        form.querySelector(".form-error").hidden = true;
+        const errors = {};
+        if (Ncdmb.actions[action].needsReason && !reason.trim()) {
+            errors.reason = "Tell the company why.";
+        }
+        if (action === "verify") {
+            const expiryError = Ncdmb.expiryError(expiresAt);
+            if (expiryError) errors.expiresAt = expiryError;
+        }
+        if (this.showFieldErrors(form, errors)) return;
+
+        buttons.forEach(button => (button.disabled = true));
+        try {
+            const verification = await window.contentAPI.reviewVerification(
+                item.dataset.id,
+                { action, reason, expiresAt }
+            );
+
+            window.pipelineApp?.showToast(
+                `${Ncdmb.actions[action].label}: ${verification.companyName}`,
+                "success"
+            );
+            this.refresh();
+        } catch (error) {
+            console.error("Verification decision failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            buttons.forEach(button => (button.disabled = false));
+        }
+    }
+
+    // COMPANY CLAIM PAGES
+
+    getClaimStatusBadgeHTML(status) {
+        const { badge = "badge-secondary" } = CLAIM_STATUSES[status] || {};
+        return `<span class="badge ${badge}">${this.escapeHTML(
+            Claims.statusLabel(status)
+        )}</span>`;
+    }
+
+    /**
+     * The company page's card for managing the profile: links for its
+     * admins, an invitation to claim it while nobody manages it.
+     */
+    getCompanyAdminCardHTML(company, user) {
+        const base = `#account/companies/${encodeURIComponent(company.$id)}`;
+
+        if (Claims.isAdmin(user, company)) {
+            return `
+                <div class="card company-admin-card">
+                    <h4>Your Company</h4>
+                    <p>Keep this profile up to date. Editors review each change before it goes live.</p>
+                    <a href="${base}/edit" class="btn btn-primary">Edit Profile</a>
+                </div>
+            `;
+        }
+        if (company.claimed) {
+            return `
+                <div class="card company-admin-card">
+                    <p class="form-hint">This profile is managed by the company.</p>
+                </div>
+            `;
+        }
+        return `
+            <div class="card company-admin-card">
+                <h4>Work at ${this.escapeHTML(company.companyName)}?</h4>
+                <p>Claim this profile to keep its services, projects and contact details up to date.</p>
+                <a href="${base}/claim" class="btn btn-outline">Claim This Profile</a>
+            </div>
+        `;
+    }
+
+    // The signed-in user's claims, for the account page
+    getClaimsHTML(claims) {
+        if (claims.length === 0) {
+            return `<p class="auth-message">Work for a company in the <a href="#directory">directory</a>? Claim its profile from its page to keep it up to date.</p>`;
+        }
+
+        return `
+            <ul class="submission-list">
+                ${claims
+                    .map(claim => {
+                        const base = `#account/companies/${encodeURIComponent(
+                            claim.companyId
+                        )}`;
+
+                        return `
+                    <li class="submission-item">
+                        <div class="submission-item-header">
+                            <strong><a href="#${ContentTypes.pathTo(
+                                { $id: claim.companyId },
+                                "company"
+                            )}">${this.escapeHTML(claim.companyName)}</a></strong>
+                            ${this.getClaimStatusBadgeHTML(claim.status)}
+                        </div>
+                        <span class="card-date">Claimed with ${Claims.methods[
+                            claim.method
+                        ]?.label.toLowerCase()} · ${window.contentAPI.getTimeAgo(
+                            claim.$createdAt
+                        )}</span>
+                        ${
+                            claim.reviewNote
+                                ? `<div class="review-note"><strong>Editor's note</strong>${this.formatText(
+                                      claim.reviewNote
+                                  )}</div>`
+                                : ""
+                        }
+                        ${
+                            claim.status === "approved"
+                                ? `
+                            <div class="account-actions">
+                                <a href="${base}/edit" class="btn btn-outline">Edit Profile</a>
+                                <a href="${base}" class="btn btn-outline">NCDMB Verification</a>
+                            </div>
+                        `
+                                : ""
+                        }
+                    </li>
+                `;
+                    })
+                    .join("")}
+            </ul>
+        `;
+    }
+
+    /**
+     * Claim a company's profile: with the account's work email or with
+     * documents. Users who manage it already, or can't claim it, are told
+     * why instead.
+     */
+    async renderClaim(params) {
+        const { id } = params;
+        const user = await window.contentAPI.getCurrentUser();
+        if (!user) return;
+
+        let company;
+        let claims;
+        try {
+            [company, claims] = await Promise.all([
+                window.contentAPI.getCompanyById(id),
+                window.contentAPI.getMyClaims()
+            ]);
+        } catch (error) {
+            this.renderError(error);
+            return;
+        }
+        if (!company) {
+            this.render404();
+            return;
+        }
+
+        const name = this.escapeHTML(company.companyName);
+        const pending = claims.find(
+            claim => claim.companyId === company.$id && claim.status === "pending"
+        );
+        const page = body =>
+            this.setContent(
+                this.getAuthPageHTML("Claim This Profile", name, body)
+            );
+
+        if (Claims.isAdmin(user, company)) {
+            page(
+                `<p class="auth-message">You already manage this profile. <a href="#account/companies/${encodeURIComponent(
+                    company.$id
+                )}/edit">Edit it</a>.</p>`
+            );
+            return;
+        }
+        if (company.claimed) {
+            page(
+                `<p class="auth-message">This profile is already managed by the company.</p>`
+            );
+            return;
+        }
+        if (pending) {
+            page(
+                `<p class="auth-message">An editor is checking your claim from ${window.contentAPI.getTimeAgo(
+                    pending.$createdAt
+                )}. You'll be told the outcome by email.</p>`
+            );
+            return;
+        }
+
+        const domain = Claims.domainOf(company.website);
+        const matches = Claims.emailMatches(user.email, company.website);
+        const email = this.escapeHTML(user.email);
+        const { max, extensions } = Ncdmb.files;
+
+        page(`
+            <p class="form-hint">Claiming lets you keep ${name}'s profile up to date. Editors review each change before it goes live.</p>
+            <form id="claimForm" class="claim-form" data-company-id="${this.escapeHTML(
+                company.$id
+            )}" novalidate>
+                ${this.getFormFieldHTML("method", "How can we tell you work there?", {
+                    type: "select",
+                    value: matches ? "email" : "document",
+                    options: Object.entries(CLAIM_METHODS).map(
+                        ([value, { label }]) => ({ value, label })
+                    ),
+                    hint: matches
+                        ? `${email} is on ${this.escapeHTML(domain)}, the company's website.`
+                        : domain
+                          ? `${email} isn't on ${this.escapeHTML(domain)}, the company's website, so send documents.`
+                          : "The company lists no website, so send documents."
+                })}
+                ${this.getFormFieldHTML("documents", "Documents", {
+                    type: "file",
+                    multiple: "multiple",
+                    accept: extensions.join(","),
+                    required: false,
+                    hint: `${Claims.methods.document.hint} Up to ${max} PDFs or images.`
+                })}
+                <p class="form-error" role="alert" hidden></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Claim Profile</button>
+                </div>
+            </form>
+        `);
+    }
+
+    // Upload any documents, then send the claim
+    async handleClaimSubmit(form) {
+        const api = window.contentAPI;
+        const { companyId } = form.dataset;
+        const method = form.elements.method.value;
+        const data = {
+            method,
+            documents:
+                method === "document" ? [...form.elements.documents.files] : []
+        };
+        const submit = form.querySelector('[type="submit"]');
+
+        form.querySelector(".form-error").hidden = true;
+        const [user, company] = await Promise.all([
+            api.getCurrentUser(),
+            api.getCompanyById(companyId)
+        ]);
+        if (this.showFieldErrors(form, Claims.validateClaim(data, user, company))) {
+            return;
+        }
+
+        const label = submit.textContent;
+        submit.disabled = true;
+        try {
+            const uploaded = [];
+            for (const file of data.documents) {
+                submit.textContent = `Uploading ${file.name}…`;
+                uploaded.push(await api.uploadFile(file));
+            }
+
+            submit.textContent = "Sending…";
+            const claim = await api.claimCompany(companyId, {
+                method,
+                documents: uploaded
+            });
+
+            if (claim.status === "approved") {
+                window.pipelineApp?.showToast(
+                    `You now manage ${company.companyName}.`,
+                    "success"
+                );
+                this.navigate(`account/companies/${encodeURIComponent(companyId)}/edit`);
+            } else {
+                window.pipelineApp?.showToast(
+                    "Sent. An editor will check your claim.",
+                    "success"
+                );
+                this.refresh();
+            }
+        } catch (error) {
+            console.error("Claim failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            submit.disabled = false;
+            submit.textContent = label;
+        }
+    }
+
+    // A profile field as shown when comparing an edit with the live profile
+    getProfileValueHTML(field, value) {
+        if (field === "logo") return value ? "New logo" : "—";
+        if (field === "projects") {
+            return value?.length
+                ? `<ul>${value
+                      .map(
+                          project =>
+                              `<li>${this.escapeHTML(project.title)} (${this.escapeHTML(
+                                  project.status
+                              )})</li>`
+                      )
+                      .join("")}</ul>`
+                : "—";
+        }
+        if (Array.isArray(value)) {
+            return value.length
+                ? `<ul>${value
+                      .map(item => `<li>${this.escapeHTML(item)}</li>`)
+                      .join("")}</ul>`
+                : "—";
+        }
+        return value ? this.formatText(value) : "—";
+    }
+
+    // The fields an edit changes, live value next to proposed
+    getProfileChangesHTML(company, changes) {
+        const rows = Object.entries(Claims.editFields).filter(
+            ([field]) => field in changes
+        );
+
+        return `
+            <table class="profile-changes">
+                <thead>
+                    <tr><th>Field</th><th>Now</th><th>Proposed</th></tr>
+                </thead>
+                <tbody>
+                    ${rows
+                        .map(
+                            ([field, label]) => `
+                        <tr>
+                            <th scope="row">${label}</th>
+                            <td>${
+                                field === "logo"
+                                    ? company?.logo
+                                        ? "Current logo"
+                                        : "—"
+                                    : this.getProfileValueHTML(field, company?.[field])
+                            }</td>
+                            <td>${this.getProfileValueHTML(field, changes[field])}</td>
+                        </tr>
+                    `
+                        )
+                        .join("")}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * A company's profile editor for its admins, with the latest edit's
+     * outcome. While an edit waits for an editor it is shown instead of
+     * the form.
+     */
+    async renderCompanyEdit(params) {
+        const { id } = params;
+        const user = await window.contentAPI.getCurrentUser();
+        if (!user) return;
+
+        let company;
+        try {
+            company = await window.contentAPI.getCompanyById(id);
+        } catch (error) {
+            this.renderError(error);
+            return;
+        }
+        if (!company) {
+            this.render404();
+            return;
+        }
+
+        let edits;
+        try {
+            edits = await window.contentAPI.getCompanyEdits(id);
+        } catch (error) {
+            console.warn("Could not load edits:", error);
+            this.setContent(
+                this.getAuthPageHTML(
+                    "Edit Profile",
+                    this.escapeHTML(company.companyName),
+                    `<p class="auth-message">${this.escapeHTML(
+                        error.message || "This profile's edits couldn't be loaded."
+                    )}${
+                        company.claimed
+                            ? ""
+                            : ` <a href="#account/companies/${encodeURIComponent(
+                                  company.$id
+                              )}/claim">Claim this profile</a> to edit it.`
+                    }</p>`
+                )
+            );
+            return;
+        }
+
+        const [latest] = edits;
+        const pending = latest?.status === "pending";
+        const field = (name, label, attributes = {}) =>
+            this.getFormFieldHTML(name, label, {
+                value: company[name] || "",
+                required: false,
+                ...attributes
+            });
+        const projects = [
+            ...(company.projects || []),
+            { title: "", description: "", status: "" }
+        ];
+        const { maxSize, extensions } = Claims.logoFile;
+
+        const template = `
+            <div class="page-header">
+                <div class="container">
+                    <h1 class="page-title">Edit Profile</h1>
+                    <p class="page-subtitle">${this.escapeHTML(company.companyName)}</p>
+                </div>
+            </div>
+
+            <div class="page-content">
+                <div class="container">
+                    ${
+                        latest
+                            ? `
+                    <div class="account-card card">
+                        <div class="detail-item">
+                            <strong>${pending ? "Waiting for an editor" : "Your last edit"}</strong>
+                            ${this.getClaimStatusBadgeHTML(latest.status)}
+                            <span class="card-date">${window.contentAPI.getTimeAgo(
+                                latest.$createdAt
+                            )}</span>
+                        </div>
+                        ${
+                            latest.reviewNote
+                                ? `<div class="review-note"><strong>Editor's note</strong>${this.formatText(
+                                      latest.reviewNote
+                                  )}</div>`
+                                : ""
+                        }
+                        ${
+                            pending
+                                ? `
+                        <p class="form-hint">You can propose more changes once an editor has reviewed these.</p>
+                        ${this.getProfileChangesHTML(company, latest.changes)}
+                        `
+                                : ""
+                        }
+                    </div>
+                    `
+                            : ""
+                    }
+
+                    ${
+                        pending
+                            ? ""
+                            : `
+                    <div class="account-card card submissions-card">
+                        <p class="form-hint">Editors review your changes before they appear in the directory.</p>
+                        <form id="companyEditForm" class="company-edit-form" data-company-id="${this.escapeHTML(
+                            company.$id
+                        )}" data-projects="${projects.length}" novalidate>
+                            ${field("description", "About", {
+                                type: "textarea",
+                                rows: 6,
+                                required: true,
+                                hint: "What the company does. Leave a blank line between paragraphs."
+                            })}
+                            ${field("servicesOffered", "Services offered", {
+                                type: "textarea",
+                                rows: 5,
+                                value: (company.servicesOffered || []).join("\n"),
+                                hint: "One per line."
+                            })}
+                            <fieldset class="project-fields">
+                                <legend class="form-label">Recent projects</legend>
+                                <p class="form-hint">Clear a project's title to remove it.</p>
+                                ${projects
+                                    .map(
+                                        (project, index) => `
+                                <div class="project-field-row">
+                                    <div class="form-row">
+                                        ${this.getFormFieldHTML(`projectTitle-${index}`, "Title", {
+                                            value: project.title,
+                                            required: false
+                                        })}
+                                        ${this.getFormFieldHTML(`projectStatus-${index}`, "Status", {
+                                            type: "select",
+                                            value: project.status || "",
+                                            required: false,
+                                            options: [
+                                                { value: "", label: "Choose a status" },
+                                                ...Claims.projectStatuses
+                                            ]
+                                        })}
+                                    </div>
+                                    ${this.getFormFieldHTML(`projectDescription-${index}`, "Description", {
+                                        type: "textarea",
+                                        rows: 2,
+                                        value: project.description,
+                                        required: false
+                                    })}
+                                </div>
+                                `
+                                    )
+                                    .join("")}
+                                <p class="field-error" data-error-for="projects" hidden></p>
+                            </fieldset>
+                            ${this.getFormFieldHTML("logo", "Logo", {
+                                type: "file",
+                                accept: extensions.join(","),
+                                required: false,
+                                hint: `PNG, JPEG, WebP or SVG, up to ${
+                                    maxSize / 1024 / 1024
+                                } MB. Leave empty to keep the current logo.`
+                            })}
+                            <div class="form-row">
+                                ${field("website", "Website", { type: "url" })}
+                                ${field("contactEmail", "Contact email", { type: "email" })}
+                            </div>
+                            ${field("location", "Location")}
+                            <p class="form-error" role="alert" hidden></p>
+                            <div class="form-actions">
+                                <a href="#${ContentTypes.pathTo(
+                                    company,
+                                    "company"
+                                )}" class="btn btn-outline">View Company</a>
+                                <button type="submit" class="btn btn-primary">Send for Review</button>
+                            </div>
+                        </form>
+                    </div>
+                    `
+                    }
+                </div>
+            </div>
+        `;
+
+        this.setContent(template);
+    }
+
+    // Send what changed, after uploading a new logo
+    async handleCompanyEditSubmit(form) {
+        const api = window.contentAPI;
+        const { companyId } = form.dataset;
+        const value = name => form.elements[name]?.value;
+        const profile = Claims.toProfile({
+            description: value("description"),
+            servicesOffered: value("servicesOffered"),
+            projects: Array.from(
+                { length: Number(form.dataset.projects) },
+                (_, index) => ({
+                    title: value(`projectTitle-${index}`),
+                    status: value(`projectStatus-${index}`),
+                    description: value(`projectDescription-${index}`)
+                })
+            ),
+            website: value("website"),
+            contactEmail: value("contactEmail"),
+            location: value("location"),
+            logo: form.elements.logo.files[0]
+        });
+        const submit = form.querySelector('[type="submit"]');
+
+        form.querySelector(".form-error").hidden = true;
+        if (this.showFieldErrors(form, Claims.validateProfile(profile))) return;
+
+        const company = await api.getCompanyById(companyId);
+        const changes = Claims.changesOf(company, profile);
+        if (!profile.logo && Object.keys(changes).length === 0) {
+            this.showFormError(form, "Nothing has changed.");
+            return;
+        }
+
+        const label = submit.textContent;
+        submit.disabled = true;
+        try {
+            if (profile.logo) {
+                submit.textContent = "Uploading logo…";
+                changes.logo = await api.uploadFile(profile.logo);
+            }
+
+            submit.textContent = "Sending…";
+            await api.proposeCompanyEdit(companyId, changes);
+
+            window.pipelineApp?.showToast(
+                "Sent. An editor will review your changes.",
+                "success"
+            );
+            this.refresh();
+        } catch (error) {
+            console.error("Profile edit failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            submit.disabled = false;
+            submit.textContent = label;
+        }
+    }
+
+    /**
+     * Editors' queue of claims and profile edits with the `status` tab's
+     * status, oldest first. Both are company review items, so their
+     * history loads like a submission's.
+     */
+    async renderClaimQueue(params = {}) {
+        const user = await window.contentAPI.getCurrentUser();
+        if (!Moderation.isEditor(user)) {
+            this.setContent(
+                this.getAuthPageHTML(
+                    "Company Claims",
+                    "Claims and profile edits waiting for an editor",
+                    `<p class="auth-message">Only editors can review claims.</p>`
+                )
+            );
+            return;
+        }
+
+        const status = CLAIM_STATUSES[params.status] ? params.status : "pending";
+        const none = kind => `
+            <div class="no-results">
+                <p>No ${kind} are ${Claims.statusLabel(status).toLowerCase()} right now.</p>
+            </div>
+        `;
+
+        try {
+            const [claims, edits] = await Promise.all([
+                window.contentAPI.getClaimQueue(status),
+                window.contentAPI.getCompanyEditQueue(status)
+            ]);
+
+            const template = `
+                <div class="page-header">
+                    <div class="container">
+                        <h1 class="page-title">Company Claims</h1>
+                        <p class="page-subtitle">Check who claims a profile, and what its admins change</p>
+                    </div>
+                </div>
+
+                <div class="page-content">
+                    <div class="container">
+                        <nav class="review-tabs">
+                            ${Object.keys(CLAIM_STATUSES)
+                                .map(
+                                    key =>
+                                        `<a href="#review/claims?status=${key}" class="review-tab ${
+                                            key === status ? "active" : ""
+                                        }">${Claims.statusLabel(key)}</a>`
+                                )
+                                .join("")}
+                            <a href="#review" class="review-tab review-tab-switch">Submissions</a>
+                            <a href="#review/verifications" class="review-tab review-tab-switch">NCDMB Verifications</a>
+                        </nav>
+
+                        <h2 class="review-section-title">Claims</h2>
+                        ${
+                            claims.length > 0
+                                ? claims.map(claim => this.getClaimItemHTML(claim)).join("")
+                                : none("claims")
+                        }
+
+                        <h2 class="review-section-title">Profile Edits</h2>
+                        ${
+                            edits.length > 0
+                                ? edits
+                                      .map(edit => this.getCompanyEditItemHTML(edit))
+                                      .join("")
+                                : none("edits")
+                        }
+                    </div>
+                </div>
+            `;
+
+            this.setContent(template);
+        } catch (error) {
+            this.renderError(error);
+        }
+    }
+
+    // Reason and decision buttons for a pending claim or edit
+    getClaimReviewFormHTML(kind, id) {
+        return `
+            <form class="claim-review-form">
+                ${this.getFormFieldHTML("reason", "Reason", {
+                    id: `${kind}-reason-${id}`,
+                    type: "textarea",
+                    rows: 3,
+                    required: false,
+                    hint: "Shown to the user. Needed to reject."
+                })}
+                <p class="form-error" role="alert" hidden></p>
+                <div class="form-actions">
+                    <button type="button" class="btn btn-outline" data-claim-action="reject-${kind}">Reject</button>
+                    <button type="button" class="btn btn-primary" data-claim-action="approve-${kind}">Approve</button>
+                </div>
+            </form>
+        `;
+    }
+
+    getClaimItemHTML(claim) {
+        const id = this.escapeHTML(claim.$id);
+        const { claimant } = claim;
+
+        return `
+            <article class="review-item card" data-type="company" data-id="${this.escapeHTML(
+                claim.companyId
+            )}" data-claim-id="${id}">
+                <div class="review-item-header">
+                    <span class="badge badge-primary">Claim</span>
+                    ${this.getClaimStatusBadgeHTML(claim.status)}
+                    <span class="card-date">Claimed ${window.contentAPI.getTimeAgo(
+                        claim.$createdAt
+                    )}${
+                        claimant
+                            ? ` by ${this.escapeHTML(claimant.name || claimant.email)}`
+                            : ""
+                    }</span>
+                </div>
+                <h3 class="card-title"><a href="#${ContentTypes.pathTo(
+                    { $id: claim.companyId },
+                    "company"
+                )}">${this.escapeHTML(claim.companyName)}</a></h3>
+                <div class="detail-item"><strong>Proof:</strong> <span>${
+                    Claims.methods[claim.method]?.label || this.escapeHTML(claim.method)
+                }</span></div>
+                <div class="detail-item">
+                    <strong>Email:</strong>
+                    <span>${this.escapeHTML(claimant?.email || "unknown")}</span>
+                    ${
+                        claim.emailMatches
+                            ? '<span class="badge badge-success">On the company\'s domain</span>'
+                            : '<span class="badge badge-warning">Not on the company\'s domain</span>'
+                    }
+                </div>
+                ${
+                    claim.reviewNote
+                        ? `<div class="review-note"><strong>Note to claimant</strong>${this.formatText(
+                              claim.reviewNote
+                          )}</div>`
+                        : ""
+                }
+                ${
+                    claim.documents.length > 0
+                        ? `<div class="detail-item"><strong>Documents:</strong></div>${this.getDocumentListHTML(
+                              claim.documents
+                          )}`
+                        : ""
+                }
+
+                <details class="review-history">
+                    <summary>History</summary>
+                    <div class="review-history-list">Loading…</div>
+                </details>
+
+                ${claim.status === "pending" ? this.getClaimReviewFormHTML("claim", id) : ""}
+            </article>
+        `;
+    }
+
+    getCompanyEditItemHTML(edit) {
+        const id = this.escapeHTML(edit.$id);
+        const { submitter } = edit;
+
+        return `
+            <article class="review-item card" data-type="company" data-id="${this.escapeHTML(
+                edit.companyId
+            )}" data-edit-id="${id}">
+                <div class="review-item-header">
+                    <span class="badge badge-primary">Profile edit</span>
+                    ${this.getClaimStatusBadgeHTML(edit.status)}
+                    <span class="card-date">Proposed ${window.contentAPI.getTimeAgo(
+                        edit.$createdAt
+                    )}${
+                        submitter
+                            ? ` by ${this.escapeHTML(submitter.name || submitter.email)}`
+                            : ""
+                    }</span>
+                </div>
+                <h3 class="card-title"><a href="#${ContentTypes.pathTo(
+                    { $id: edit.companyId },
+                    "company"
+                )}">${this.escapeHTML(edit.companyName)}</a></h3>
+                ${
+                    edit.reviewNote
+                        ? `<div class="review-note"><strong>Note to submitter</strong>${this.formatText(
+                              edit.reviewNote
+                          )}</div>`
+                        : ""
+                }
+                ${this.getProfileChangesHTML(edit.company, edit.changes)}
 
-            this.setContent(template);
+                <details class="review-history">
+                    <summary>History</summary>
+                    <div class="review-history-list">Loading…</div>
+                </details>
+
+                ${edit.status === "pending" ? this.getClaimReviewFormHTML("edit", id) : ""}
+            </article>
+        `;
+    }
+
+    async handleClaimDecision(form, action) {
+        const item = form.closest(".review-item");
+        const reason = form.elements.reason.value;
+        const buttons = form.querySelectorAll("[data-claim-action]");
+        const api = window.contentAPI;
+
+        form.querySelector(".form-error").hidden = true;
+        if (Claims.actions[action].needsReason && !reason.trim()) {
+            this.showFieldErrors(form, { reason: "Tell the user why." });
+            return;
+        }
+
+        buttons.forEach(button => (button.disabled = true));
+        try {
+            const result = action.endsWith("-claim")
+                ? await api.reviewClaim(item.dataset.claimId, { action, reason })
+                : await api.reviewCompanyEdit(item.dataset.editId, {
+                      action,
+                      reason
+                  });
+
+            window.pipelineApp?.showToast(
+                `${Claims.actions[action].label}: ${result.companyName}`,
+                "success"
+            );
+            this.refresh();
         } catch (error) {
-            this.renderError(error);
+            console.error("Claim decision failed:", error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
+            );
+            buttons.forEach(button => (button.disabled = false));
         }
     }
 
-    async renderSearch(params = {}) {
-        const urlParams = new URLSearchParams(
-            window.location.hash.split("?")[1] || ""
-        );
-        const q = urlParams.get("q") || "";
-        const type = urlParams.get("type") || "";
-
-        if (!q.trim()) {
-            this.setContent(this.getSearchPageHTML());
+    /**
+     * Submit one of the account forms (`data-auth` names which). Errors
+     * from the backend are shown above the submit button.
+     */
+    async handleAuthSubmit(form) {
+        const action = form.dataset.auth;
+        const data = Object.fromEntries(new FormData(form));
+        const submit = form.querySelector('[type="submit"]');
+        const errorElement = form.querySelector(".form-error");
+        const api = window.contentAPI;
+
+        errorElement.hidden = true;
+        if ("confirmPassword" in data && data.password !== data.confirmPassword) {
+            this.showFormError(form, "The passwords don't match.");
             return;
         }
 
+        submit.disabled = true;
         try {
-            const results = await window.appwriteAPI.search(
-                q,
-                type ? [type] : []
+            if (action === "login" || action === "signup") {
+                const user =
+                    action === "login"
+                        ? await api.logIn(data)
+                        : await api.signUp(data);
+
+                window.pipelineApp?.showToast(
+                    action === "login"
+                        ? `Welcome back, ${this.escapeHTML(user.name || user.email)}.`
+                        : "Your account is ready.",
+                    "success"
+                );
+                this.redirect(data.next || "account");
+            } else if (action === "forgot-password") {
+                await api.requestPasswordReset(data.email);
+
+                form.outerHTML = `
+                    <p class="auth-message">
+                        If an account exists for <strong>${this.escapeHTML(data.email)}</strong>,
+                        a link to reset its password is on its way.
+                    </p>
+                `;
+            } else if (action === "reset-password") {
+                // Appwrite puts its parameters before the hash
+                const params = {
+                    ...Object.fromEntries(new URLSearchParams(location.search)),
+                    ...this.currentQuery
+                };
+                await api.resetPassword(params, data.password);
+
+                if (location.search) {
+                    history.replaceState(null, "", location.pathname + location.hash);
+                }
+                window.pipelineApp?.showToast(
+                    "Password updated. Log in with your new password.",
+                    "success"
+                );
+                this.redirect("login");
+            }
+        } catch (error) {
+            console.error(`${action} failed:`, error);
+            this.showFormError(
+                form,
+                error.message || "Something went wrong. Please try again."
             );
+        } finally {
+            submit.disabled = false;
+        }
+    }
 
-            const template = `
-                <div class="page-header">
-                    <div class="container">
-                        <h1 class="page-title">Search Results</h1>
-                        <p class="page-subtitle">Found ${
-                            results.length
-                        } results for "${q}"</p>
-                    </div>
+    showFormError(form, message) {
+        const errorElement = form.querySelector(".form-error");
+        errorElement.textContent = message;
+        errorElement.hidden = false;
+    }
+
+    async logOut() {
+        await window.contentAPI.logOut();
+        window.pipelineApp?.showToast("You've been logged out.", "info");
+    }
+
+    // HELPER METHODS FOR GENERATING HTML
+
+    // Page header and a centred card around an account form
+    getAuthPageHTML(title, subtitle, body) {
+        return `
+            <div class="page-header">
+                <div class="container">
+                    <h1 class="page-title">${title}</h1>
+                    <p class="page-subtitle">${subtitle}</p>
                 </div>
-                
-                <div class="page-content">
-                    <div class="container">
-                        ${this.getSearchFormHTML(q, type)}
-                        
-                        ${
-                            results.length > 0
-                                ? `
-                            <div class="search-results">
-                                ${results
-                                    .map(result =>
-                                        this.getSearchResultHTML(result)
-                                    )
-                                    .join("")}
-                            </div>
-                        `
-                                : `
-                            <div class="no-results">
-                                <h3>No results found</h3>
-                                <p>Try adjusting your search terms or filters</p>
-                            </div>
-                        `
-                        }
+            </div>
+
+            <div class="page-content">
+                <div class="container">
+                    <div class="auth-card card">
+                        ${body}
                     </div>
                 </div>
-            `;
+            </div>
+        `;
+    }
 
-            this.setContent(template);
-        } catch (error) {
-            this.renderError(error);
+    /**
+     * A labelled input. `type` may also be "select" (with `options`, as
+     * strings or { value, label }) or "textarea"; other attributes are
+     * copied onto the control. `hint` adds help text under the label; `id`
+     * (default `field-<name>`) must be unique when a page repeats a field.
+     */
+    getFormFieldHTML(name, label, attributes = {}) {
+        const {
+            id = `field-${name}`,
+            type = "text",
+            value,
+            options = [],
+            hint,
+            required = true,
+            ...rest
+        } = attributes;
+        const extra = Object.entries(rest)
+            .map(([key, attr]) => `${key}="${this.escapeHTML(attr)}"`)
+            .concat(required ? ["required"] : [])
+            .join(" ");
+
+        let control;
+        if (type === "select") {
+            control = `
+                <select class="form-input" id="${id}" name="${name}" ${extra}>
+                    ${options
+                        .map(option => {
+                            const { value: optionValue, label: optionLabel } =
+                                typeof option === "string"
+                                    ? { value: option, label: option }
+                                    : option;
+                            return `<option value="${this.escapeHTML(optionValue)}" ${
+                                optionValue === (value ?? "") ? "selected" : ""
+                            }>${this.escapeHTML(optionLabel)}</option>`;
+                        })
+                        .join("")}
+                </select>
+            `;
+        } else if (type === "textarea") {
+            control = `<textarea class="form-input" id="${id}" name="${name}" ${extra}>${this.escapeHTML(value)}</textarea>`;
+        } else {
+            control = `<input class="form-input" id="${id}" name="${name}" type="${type}" value="${this.escapeHTML(value)}" ${extra}>`;
         }
+
+        return `
+            <div class="form-group">
+                <label class="form-label" for="${id}">${label}${
+                    required ? "" : ' <span class="form-optional">(optional)</span>'
+                }</label>
+                ${hint ? `<p class="form-hint">${hint}</p>` : ""}
+                ${control}
+                <p class="field-error" data-error-for="${name}" hidden></p>
+            </div>
+        `;
     }
 
-    // HELPER METHODS FOR GENERATING HTML
+    getPasswordFieldsHTML() {
+        return `
+            ${this.getFormFieldHTML("password", "Password", {
+                type: "password",
+                autocomplete: "new-password",
+                minlength: 8
+            })}
+            ${this.getFormFieldHTML("confirmPassword", "Confirm password", {
+                type: "password",
+                autocomplete: "new-password",
+                minlength: 8
+            })}
+        `;
+    }
+
+    // Text from users (names, emails) before it goes into markup
+    escapeHTML(value) {
+        return String(value ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    // Escaped paragraphs from plain text separated by blank lines
+    formatText(value) {
+        return String(value ?? "")
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean)
+            .map(
+                paragraph =>
+                    `<p>${this.escapeHTML(paragraph).replace(/\n/g, "<br>")}</p>`
+            )
+            .join("");
+    }
+
+    // Links entered by users may only be web or email links
+    safeUrl(value) {
+        return /^(https?:|mailto:)/i.test(String(value ?? "").trim())
+            ? value.trim()
+            : "#";
+    }
 
     getHeroHTML() {
         return `
@@ -952,15 +4413,15 @@ class PipelineRouter {
                 </div>
                 <div class="hero-stats">
                     <div class="stat-item">
-                        <span class="stat-number" data-count="500">0</span>
+                        <span class="stat-number" data-stat="companies" data-count="500">0</span>
                         <span class="stat-label">Companies</span>
                     </div>
                     <div class="stat-item">
-                        <span class="stat-number" data-count="1250">0</span>
+                        <span class="stat-number" data-stat="opportunities" data-count="1250">0</span>
                         <span class="stat-label">Opportunities</span>
                     </div>
                     <div class="stat-item">
-                        <span class="stat-number" data-count="48">0</span>
+                        <span class="stat-number" data-stat="updates" data-count="48">0</span>
                         <span class="stat-label">Updates/Month</span>
                     </div>
                 </div>
@@ -991,11 +4452,11 @@ class PipelineRouter {
                         </p>
                         <div class="feature-stats">
                             <div class="stat">
-                                <span class="stat-value" data-count="156">0</span>
+                                <span class="stat-value" data-stat="jobs" data-count="156">0</span>
                                 <span class="stat-text">Active Jobs</span>
                             </div>
                             <div class="stat">
-                                <span class="stat-value" data-count="89">0</span>
+                                <span class="stat-value" data-stat="tenders" data-count="89">0</span>
                                 <span class="stat-text">Open Tenders</span>
                             </div>
                         </div>
@@ -1018,7 +4479,7 @@ class PipelineRouter {
                         </p>
                         <div class="feature-stats">
                             <div class="stat">
-                                <span class="stat-value" data-count="500">0</span>
+                                <span class="stat-value" data-stat="companies" data-count="500">0</span>
                                 <span class="stat-text">Companies</span>
                             </div>
                             <div class="stat">
@@ -1045,7 +4506,7 @@ class PipelineRouter {
                         </p>
                         <div class="feature-stats">
                             <div class="stat">
-                                <span class="stat-value" data-count="24">0</span>
+                                <span class="stat-value" data-stat="updates" data-count="24">0</span>
                                 <span class="stat-text">This Month</span>
                             </div>
                             <div class="stat">
@@ -1091,7 +4552,7 @@ class PipelineRouter {
 
     async getQuickAccessHTML() {
         try {
-            const featured = await window.appwriteAPI.getFeaturedContent();
+            const featured = await window.contentAPI.getFeaturedContent();
 
             // Check if data exists and has properties
             if (!featured) {
@@ -1144,28 +4605,40 @@ class PipelineRouter {
 
     getOpportunityCardHTML(opportunity) {
         return `
-            <div class="opportunity-card card" onclick="router.navigate('opportunities/${
-                opportunity._id
-            }')">
+            <div class="opportunity-card card ${
+                ClosingDates.isClosed(opportunity) ? "opportunity-card-closed" : ""
+            }" onclick="router.navigate('${ContentTypes.pathTo(
+                opportunity,
+                "opportunity"
+            )}')">
                 <div class="card-header">
-                    <span class="badge badge-primary">${
-                        opportunity.opportunityType
-                    }</span>
-                    <span class="card-date">${window.appwriteAPI.getTimeAgo(
-                        opportunity.publishedAt || opportunity._createdAt
-                    )}</span>
+                    <div class="card-badges">
+                        <span class="badge badge-primary">${
+                            opportunity.opportunityType
+                        }</span>
+                        ${this.getClosingBadgeHTML(opportunity)}
+                    </div>
+                    <div class="card-header-actions">
+                        <span class="card-date">${window.contentAPI.getTimeAgo(
+                            opportunity.publishedAt || opportunity.$createdAt
+                        )}</span>
+                        ${this.getBookmarkButtonHTML(
+                            "opportunity",
+                            opportunity.$id,
+                            opportunity.title
+                        )}
+                    </div>
                 </div>
                 <div class="card-body">
-                    <h3 class="card-title">${opportunity.title}</h3>
-                    <p class="card-description">${opportunity.description.substring(
-                        0,
-                        150
+                    <h3 class="card-title">${this.escapeHTML(opportunity.title)}</h3>
+                    <p class="card-description">${this.escapeHTML(
+                        opportunity.description.substring(0, 150)
                     )}...</p>
                     <div class="card-meta">
-                        <strong>${
+                        <strong>${this.escapeHTML(
                             opportunity.company?.companyName || "Company"
-                        }</strong>
-                        <span class="closing-date">Closes: ${window.appwriteAPI.formatDate(
+                        )}</strong>
+                        <span class="closing-date">Closes: ${window.contentAPI.formatDate(
                             opportunity.closingDate
                         )}</span>
                     </div>
@@ -1174,22 +4647,95 @@ class PipelineRouter {
         `;
     }
 
+    // "Closing in N days" or "Closed" (see js/closing-dates.js), if either applies
+    getClosingBadgeHTML(opportunity) {
+        const urgency = ClosingDates.urgency(opportunity);
+        return urgency
+            ? `<span class="badge ${urgency.badge}">${urgency.label}</span>`
+            : "";
+    }
+
+    // A verification status (js/ncdmb.js) as a badge
+    getNcdmbBadgeHTML(status) {
+        const { badge = "badge-secondary" } = NCDMB_STATUSES[status] || {};
+        return `<span class="badge ${badge}">${this.escapeHTML(
+            Ncdmb.statusLabel(status)
+        )}</span>`;
+    }
+
+    /**
+     * The company page's NCDMB card: number, status and expiry, and a link
+     * to the verification page for the company's admins. Companies that
+     * never registered show it to those users only.
+     */
+    getNcdmbCardHTML(company, user) {
+        const status = Ncdmb.status(company);
+        const canManage = Ncdmb.canManage(user, company);
+        if (!company.ncdmbNumber && !canManage) return "";
+
+        return `
+            <div class="card ncdmb-card">
+                <h4>NCDMB Registration</h4>
+                ${
+                    company.ncdmbNumber
+                        ? `
+                <div class="detail-item">
+                    <strong>Number:</strong>
+                    <span>${this.escapeHTML(company.ncdmbNumber)}</span>
+                </div>
+                `
+                        : ""
+                }
+                <div class="detail-item">
+                    <strong>Status:</strong>
+                    ${this.getNcdmbBadgeHTML(status)}
+                </div>
+                ${
+                    company.ncdmbExpiresAt &&
+                    (status === "verified" || status === "expired")
+                        ? `
+                <div class="detail-item">
+                    <strong>${status === "verified" ? "Valid until" : "Expired"}:</strong>
+                    <span>${window.contentAPI.formatDate(company.ncdmbExpiresAt)}</span>
+                </div>
+                `
+                        : ""
+                }
+                ${
+                    canManage
+                        ? `<a href="#account/companies/${encodeURIComponent(
+                              company.$id
+                          )}" class="btn btn-outline">Manage Verification</a>`
+                        : ""
+                }
+            </div>
+        `;
+    }
+
     getCompanyCardHTML(company) {
         return `
-            <div class="company-card card" onclick="router.navigate('directory/${
-                company._id
-            }')">
+            <div class="company-card card" onclick="router.navigate('${ContentTypes.pathTo(
+                company,
+                "company"
+            )}')">
                 <div class="card-header">
                     ${
                         company.logo
-                            ? `<img src="${window.appwriteAPI.urlFor(
-                                  company.logo
-                              )}" alt="${
-                                  company.companyName
-                              }" class="company-logo">`
+                            ? ResponsiveImages.html(company.logo, "companyLogo", {
+                                  alt: company.companyName,
+                                  className: "company-logo"
+                              })
                             : ""
                     }
-                    <span class="badge badge-secondary">${company.sector}</span>
+                    <div class="card-header-actions">
+                        <span class="badge badge-secondary">${company.sector}</span>
+                        ${this.getBookmarkButtonHTML(
+                            "company",
+                            company.$id,
+                            company.companyName
+                        )}
+                        ${this.getCompareButtonHTML(company)}
+                    </div>
                 </div>
                 <div class="card-body">
                     <h3 class="card-title">${company.companyName}</h3>
@@ -1198,8 +4744,10 @@ class PipelineRouter {
                         120
                     )}...</p>
                     ${
-                        company.ncdmbNumber
-                            ? `<div class="ncdmb-badge">NCDMB: ${company.ncdmbNumber}</div>`
+                        Ncdmb.isVerified(company)
+                            ? `<div class="ncdmb-badge">NCDMB verified · ${this.escapeHTML(
+                                  company.ncdmbNumber
+                              )}</div>`
                             : ""
                     }
                 </div>
@@ -1209,14 +4757,22 @@ class PipelineRouter {
 
     getRegulatoryCardHTML(update) {
         return `
-            <div class="regulatory-card card" onclick="router.navigate('regulatory/${
-                update._id
-            }')">
+            <div class="regulatory-card card" onclick="router.navigate('${ContentTypes.pathTo(
+                update,
+                "regulatory"
+            )}')">
                 <div class="card-header">
                     <span class="badge badge-warning">${update.source}</span>
-                    <span class="card-date">${window.appwriteAPI.formatDate(
-                        update.publishedDate
-                    )}</span>
+                    <div class="card-header-actions">
+                        <span class="card-date">${window.contentAPI.formatDate(
+                            update.publishedDate
+                        )}</span>
+                        ${this.getBookmarkButtonHTML(
+                            "regulatory",
+                            update.$id,
+                            update.title
+                        )}
+                    </div>
                 </div>
                 <div class="card-body">
                     <h3 class="card-title">${update.title}</h3>
@@ -1231,16 +4787,18 @@ class PipelineRouter {
 
     getInsightCardHTML(article) {
         return `
-            <div class="insight-card card" onclick="router.navigate('insights/${
-                article._id
-            }')">
+            <div class="insight-card card" onclick="router.navigate('${ContentTypes.pathTo(
+                article,
+                "article"
+            )}')">
+                ${this.getBookmarkButtonHTML("article", article.$id, article.title)}
                 ${
                     article.coverImage
                         ? `
                     <div class="card-image">
-                        <img src="${window.appwriteAPI.urlFor(
-                            article.coverImage
-                        )}" alt="${article.title}">
+                        ${ResponsiveImages.html(article.coverImage, "cardCover", {
+                            alt: article.title
+                        })}
                     </div>
                 `
                         : ""
@@ -1252,7 +4810,7 @@ class PipelineRouter {
                                 ?.map(tag => `<span class="tag">${tag}</span>`)
                                 .join("") || ""
                         }
-                        <span class="card-date">${window.appwriteAPI.formatDate(
+                        <span class="card-date">${window.contentAPI.formatDate(
                             article.publishedDate
                         )}</span>
                     </div>
@@ -1269,108 +4827,252 @@ class PipelineRouter {
         `;
     }
 
-    getFiltersHTML(section, currentFilters) {
-        const filterOptions = {
-            opportunities: [
-                {
-                    key: "type",
-                    label: "Type",
-                    options: ["Job", "Tender", "Procurement", "Partnership"]
-                }
-            ],
-            directory: [
-                {
-                    key: "sector",
-                    label: "Sector",
-                    options: ["Upstream", "Midstream", "Downstream", "Services"]
-                }
-            ],
-            regulatory: [
-                {
-                    key: "source",
-                    label: "Source",
-                    options: ["NUPRC", "NCDMB", "NNPC", "DPR"]
-                }
-            ],
-            insights: [
-                {
-                    key: "category",
-                    label: "Category",
-                    options: [
-                        "Production",
-                        "Market Analysis",
-                        "Policy",
-                        "Technology"
-                    ]
-                }
-            ]
+    /**
+     * Filter bar for a list section: one select per facet (see
+     * js/filters.js) with result counts, plus date inputs for ranges
+     */
+    getFiltersHTML(section, params = {}, facetCounts = {}) {
+        const { facets, ranges = [], sort } = ListFilters.get(section);
+        const current = ListFilters.pick(section, params);
+        const currentSort = ListFilters.sortOf(section, params);
+
+        const facetHTML = facet => {
+            const selected = current[facet.key] || "";
+            const options = (
+                facetCounts?.[facet.key] ||
+                (facet.options || []).map(ListFilters.option)
+            ).slice();
+
+            // Keep a selection visible even when it isn't among the counted terms
+            if (selected && !options.some(option => option.value === selected)) {
+                options.unshift({ value: selected, label: selected });
+            }
+
+            return `
+                <select class="filter-select" data-filter="${facet.key}" aria-label="${
+                    facet.label
+                }">
+                    <option value="">${facet.allLabel || `All ${facet.label}s`}</option>
+                    ${options
+                        .map(option => {
+                            const isSelected = option.value === selected;
+                            const hasCount = typeof option.count === "number";
+                            return `
+                        <option value="${option.value}" ${
+                                isSelected ? "selected" : ""
+                            } ${hasCount && option.count === 0 && !isSelected ? "disabled" : ""}>${
+                                option.label
+                            }${hasCount ? ` (${option.count})` : ""}</option>
+                    `;
+                        })
+                        .join("")}
+                </select>
+            `;
         };
 
-        const filters = filterOptions[section] || [];
+        const rangeHTML = range => `
+            <div class="filter-range">
+                <span class="filter-range-label">${range.label}</span>
+                <input type="date" class="filter-select filter-date" data-filter="${
+                    range.from
+                }" value="${current[range.from] || ""}" aria-label="${range.label} from">
+                <span class="filter-range-separator">–</span>
+                <input type="date" class="filter-select filter-date" data-filter="${
+                    range.to
+                }" value="${current[range.to] || ""}" aria-label="${range.label} to">
+            </div>
+        `;
+
+        const sortHTML = () => `
+            <select class="filter-select" data-filter="sort" aria-label="Sort">
+                <option value="">${sort.allLabel}</option>
+                ${sort.options
+                    .map(
+                        option => `
+                <option value="${option.value}" ${
+                            option.value === currentSort ? "selected" : ""
+                        }>${option.label}</option>
+                `
+                    )
+                    .join("")}
+            </select>
+        `;
+
+        const hasFilters = Object.keys(current).length > 0;
 
         return `
             <div class="filters-section">
                 <div class="filters-bar">
-                    ${filters
-                        .map(
-                            filter => `
-                        <select class="filter-select" data-filter="${
-                            filter.key
-                        }">
-                            <option value="">All ${filter.label}s</option>
-                            ${filter.options
-                                .map(
-                                    option => `
-                                <option value="${option}" ${
-                                    currentFilters[filter.key] === option
-                                        ? "selected"
-                                        : ""
-                                }>${option}</option>
-                            `
-                                )
-                                .join("")}
-                        </select>
-                    `
-                        )
-                        .join("")}
-                    <button class="btn btn-outline" onclick="router.clearFilters('${section}')">Clear Filters</button>
+                    ${facets.map(facetHTML).join("")}
+                    ${ranges.map(rangeHTML).join("")}
+                    ${sort ? sortHTML() : ""}
+                    <button class="btn btn-outline" onclick="router.clearFilters('${section}')" ${
+                        hasFilters ? "" : "disabled"
+                    }>Clear Filters</button>
+                    ${this.getMapToggleHTML(section, params)}
+                    ${this.getSaveSearchButtonHTML()}
                 </div>
             </div>
         `;
     }
 
-    getPaginationHTML(currentPage, itemCount, itemsPerPage = 12) {
-        const totalPages = Math.ceil(itemCount / itemsPerPage);
-        if (totalPages <= 1) return "";
+    // Show or hide the state map, on sections filtered by state
+    getMapToggleHTML(section, params = {}) {
+        const { facets } = ListFilters.get(section);
+        if (!facets.some(facet => facet.key === "state")) return "";
+
+        const open = params.view === "map";
+        return `<a href="#${this.getFilterRoute(
+            "view",
+            open ? "" : "map"
+        )}" class="btn btn-outline map-toggle" aria-pressed="${open}">${
+            open ? "Hide Map" : "Map"
+        }</a>`;
+    }
+
+    /**
+     * Grid map of the states (js/locations.js), each shaded by how many
+     * results it has alongside the other filters (the state facet's
+     * counts). Clicking a state filters by it; clicking it again clears
+     * the filter. The Niger Delta states are also listed beside the map.
+     */
+    getStateMapHTML(section, params = {}, facetCounts = {}) {
+        const counts = Object.fromEntries(
+            (facetCounts?.state || []).map(option => [option.value, option.count])
+        );
+        const max = Math.max(1, ...Object.values(counts));
+        const { pluralLabel } = ContentTypes.byCollection(
+            ListFilters.get(section).collection
+        );
+        const noun = pluralLabel.toLowerCase();
+        const selected = params.state || "";
+        const route = state =>
+            this.getFilterRoute("state", state === selected ? "" : state);
+
+        const size = 60;
+        const cells = Object.entries(Locations.grid);
+        const columns = Math.max(...cells.map(([, cell]) => cell.at[0])) + 1;
+        const rows = Math.max(...cells.map(([, cell]) => cell.at[1])) + 1;
+
+        const cellHTML = ([state, { code, at: [column, row] }]) => {
+            const count = counts[state] || 0;
+            const level = count === 0 ? 0 : Math.ceil((count / max) * 4);
+            const x = column * size;
+            const y = row * size;
+            const label = `${state}: ${count} ${noun}`;
 
-        let paginationHTML = '<div class="pagination">';
+            return `
+                <a href="#${route(state)}" class="map-state${
+                    state === selected ? " selected" : ""
+                }${
+                    Locations.focusStates.includes(state) ? " focus" : ""
+                }" data-level="${level}" aria-label="${label}">
+                    <title>${label}</title>
+                    <rect x="${x + 2}" y="${y + 2}" width="${size - 4}" height="${
+                        size - 4
+                    }" rx="6"></rect>
+                    <text x="${x + size / 2}" y="${y + size / 2 - 4}" class="map-code">${code}</text>
+                    <text x="${x + size / 2}" y="${y + size / 2 + 14}" class="map-count">${count}</text>
+                </a>
+            `;
+        };
 
-        if (currentPage > 1) {
-            paginationHTML += `<a href="#" class="pagination-item" onclick="router.goToPage(${
-                currentPage - 1
-            })">‹</a>`;
-        }
+        return `
+            <div class="state-map">
+                <svg viewBox="0 0 ${columns * size} ${rows * size}" role="group" aria-label="${pluralLabel} by state">
+                    ${cells.map(cellHTML).join("")}
+                </svg>
+                <div class="state-map-side">
+                    <h4>Niger Delta</h4>
+                    <ul class="state-map-focus">
+                        ${Locations.focusStates
+                            .map(
+                                state => `
+                            <li>
+                                <a href="#${route(state)}"${
+                                    state === selected ? ' class="selected"' : ""
+                                }>${state}</a>
+                                <span>${counts[state] || 0}</span>
+                            </li>
+                        `
+                            )
+                            .join("")}
+                    </ul>
+                    <div class="state-map-legend" aria-hidden="true">
+                        <span>Fewer</span>
+                        ${[0, 1, 2, 3, 4]
+                            .map(
+                                level =>
+                                    `<span class="state-map-swatch" data-level="${level}"></span>`
+                            )
+                            .join("")}
+                        <span>More</span>
+                    </div>
+                    <p class="state-map-hint">${
+                        selected
+                            ? `Showing ${noun} in ${selected}. Select it again to show every state.`
+                            : `Select a state to show its ${noun}.`
+                    }</p>
+                </div>
+            </div>
+        `;
+    }
+
+    getPaginationHTML(currentPage, totalItems, itemsPerPage = this.pageSize) {
+        if (!totalItems) return "";
+
+        const totalPages = Math.ceil(totalItems / itemsPerPage);
+        const firstItem = (currentPage - 1) * itemsPerPage + 1;
+        const lastItem = Math.min(currentPage * itemsPerPage, totalItems);
+
+        const pageLink = (page, label, extraClass = "") =>
+            `<a href="#" class="pagination-item ${extraClass}" data-page="${page}">${label}</a>`;
+
+        let paginationHTML = `
+            <div class="pagination-summary">
+                Showing ${firstItem}–${lastItem} of ${totalItems}
+            </div>
+        `;
+
+        if (totalPages <= 1) return paginationHTML;
+
+        paginationHTML += '<div class="pagination">';
+
+        const isFirst = currentPage <= 1;
+        const isLast = currentPage >= totalPages;
+
+        paginationHTML += pageLink(1, "«", isFirst ? "disabled" : "");
+        paginationHTML += pageLink(
+            currentPage - 1,
+            "‹",
+            isFirst ? "disabled" : ""
+        );
 
         for (
             let i = Math.max(1, currentPage - 2);
             i <= Math.min(totalPages, currentPage + 2);
             i++
         ) {
-            paginationHTML += `<a href="#" class="pagination-item ${
-                i === currentPage ? "active" : ""
-            }" onclick="router.goToPage(${i})">${i}</a>`;
+            paginationHTML += pageLink(i, i, i === currentPage ? "active" : "");
         }
 
-        if (currentPage < totalPages) {
-            paginationHTML += `<a href="#" class="pagination-item" onclick="router.goToPage(${
-                currentPage + 1
-            })">›</a>`;
-        }
+        paginationHTML += pageLink(
+            currentPage + 1,
+            "›",
+            isLast ? "disabled" : ""
+        );
+        paginationHTML += pageLink(totalPages, "»", isLast ? "disabled" : "");
 
         paginationHTML += "</div>";
         return paginationHTML;
     }
 
+    // Current page from route params, clamped to a positive integer
+    getPageNumber(params = {}) {
+        const page = parseInt(params.page, 10);
+        return Number.isNaN(page) || page < 1 ? 1 : page;
+    }
+
     getSearchPageHTML() {
         return `
             <div class="page-header">
@@ -1405,18 +5107,15 @@ class PipelineRouter {
                     <input type="text" class="search-input" placeholder="Search opportunities, companies, updates..." value="${query}" id="searchInput">
                     <select class="search-type-select" id="searchType">
                         <option value="">All Types</option>
-                        <option value="opportunity" ${
-                            type === "opportunity" ? "selected" : ""
-                        }>Opportunities</option>
-                        <option value="companyProfile" ${
-                            type === "companyProfile" ? "selected" : ""
-                        }>Companies</option>
-                        <option value="regulatoryUpdate" ${
-                            type === "regulatoryUpdate" ? "selected" : ""
-                        }>Regulatory</option>
-                        <option value="article" ${
-                            type === "article" ? "selected" : ""
-                        }>Insights</option>
+                        ${ContentTypes.all()
+                            .map(
+                                definition => `
+                        <option value="${definition.type}" ${
+                                    type === definition.type ? "selected" : ""
+                                }>${definition.pluralLabel}</option>
+                        `
+                            )
+                            .join("")}
                     </select>
                     <button class="btn btn-primary" onclick="router.performSearch()">Search</button>
                 </div>
@@ -1425,40 +5124,49 @@ class PipelineRouter {
     }
 
     getSearchResultHTML(result) {
-        const typeLabels = {
-            opportunity: "Opportunity",
-            companyProfile: "Company",
-            regulatoryUpdate: "Regulatory Update",
-            article: "Article"
-        };
-
-        const routePaths = {
-            opportunity: "opportunities",
-            companyProfile: "directory",
-            regulatoryUpdate: "regulatory",
-            article: "insights"
-        };
+        const definition = ContentTypes.get(result._type);
 
         return `
-            <div class="search-result-item" onclick="router.navigate('${
-                routePaths[result._type]
-            }/${result._id}')">
+            <div class="search-result-item" onclick="router.navigate('${ContentTypes.pathTo(
+                result,
+                result._type
+            )}')">
                 <div class="search-result-header">
-                    <span class="badge">${typeLabels[result._type]}</span>
+                    <span class="badge">${definition.label}</span>
                     ${
-                        result.date
-                            ? `<span class="search-result-date">${window.appwriteAPI.formatDate(
-                                  result.date
+                        result.date || result._date
+                            ? `<span class="search-result-date">${window.contentAPI.formatDate(
+                                  result.date || result._date
                               )}</span>`
                             : ""
                     }
                 </div>
-                <h3 class="search-result-title">${result.title}</h3>
+                <h3 class="search-result-title">${
+                    result._titleHTML || ContentTypes.titleOf(result, result._type)
+                }</h3>
                 <p class="search-result-subtitle">${result.subtitle || ""}</p>
+                ${
+                    result._snippet
+                        ? `<p class="search-result-snippet">${result._snippet}</p>`
+                        : ""
+                }
             </div>
         `;
     }
 
+    // "Section › Title" trail for a detail page, from the content-type registry
+    getBreadcrumbHTML(type, doc) {
+        const definition = ContentTypes.get(type);
+
+        return `
+            <nav class="breadcrumb">
+                <a href="#${definition.routePrefix}">${
+                    definition.sectionLabel
+                }</a> › ${this.escapeHTML(ContentTypes.titleOf(doc, type))}
+            </nav>
+        `;
+    }
+
     // ERROR AND 404 HANDLING
 
     render404() {
@@ -1482,6 +5190,9 @@ class PipelineRouter {
     }
 
     renderError(error) {
+        // Cancelled by navigating away; the next page renders instead
+        if (RequestManager.isAbort(error)) return;
+
         const template = `
             <div class="error-page">
                 <div class="container">
@@ -1536,12 +5247,113 @@ class PipelineRouter {
             });
         }
 
+        // Saved searches on the alerts page
+        document.querySelectorAll(".saved-search-form").forEach(form => {
+            form.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleSavedSearchSubmit(form);
+            });
+            form
+                .querySelector('[data-search-action="delete"]')
+                .addEventListener("click", () =>
+                    this.handleSavedSearchDelete(form)
+                );
+        });
+
+        // Review queue decisions, and each item's history on first open
+        document.querySelectorAll(".review-form").forEach(form => {
+            form.addEventListener("click", e => {
+                const button = e.target.closest("[data-review-action]");
+                if (button) {
+                    this.handleReviewDecision(form, button.dataset.reviewAction);
+                }
+            });
+        });
+        document.querySelectorAll(".review-history").forEach(details => {
+            details.addEventListener("toggle", () => {
+                if (details.open && !details.dataset.loaded) {
+                    this.loadReviewHistory(details);
+                }
+            });
+        });
+
+        // NCDMB verification requests and editors' decisions
+        const verificationForm = document.getElementById("verificationForm");
+        if (verificationForm) {
+            verificationForm.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleVerificationSubmit(verificationForm);
+            });
+        }
+        document.querySelectorAll(".verification-review-form").forEach(form => {
+            form.addEventListener("click", e => {
+                const button = e.target.closest("[data-verification-action]");
+                if (button) {
+                    this.handleVerificationDecision(
+                        form,
+                        button.dataset.verificationAction
+                    );
+                }
+            });
+        });
+
+        // Company claims, profile edits and editors' decisions on them
+        const claimForm = document.getElementById("claimForm");
+        if (claimForm) {
+            claimForm.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleClaimSubmit(claimForm);
+            });
+        }
+        const companyEditForm = document.getElementById("companyEditForm");
+        if (companyEditForm) {
+            companyEditForm.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleCompanyEditSubmit(companyEditForm);
+            });
+        }
+        document.querySelectorAll(".claim-review-form").forEach(form => {
+            form.addEventListener("click", e => {
+                const button = e.target.closest("[data-claim-action]");
+                if (button) {
+                    this.handleClaimDecision(form, button.dataset.claimAction);
+                }
+            });
+        });
+
+        // "Post an opportunity" steps and submission
+        const submissionForm = document.getElementById("opportunityForm");
+        if (submissionForm) {
+            submissionForm.addEventListener("click", e => {
+                const button = e.target.closest("[data-step-action]");
+                if (button) {
+                    this.handleSubmissionStep(
+                        submissionForm,
+                        button.dataset.stepAction
+                    );
+                }
+            });
+            submissionForm.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleSubmissionSubmit(submissionForm);
+            });
+        }
+
+        // Account forms (login, sign-up, password reset)
+        document.querySelectorAll(".auth-form").forEach(form => {
+            form.addEventListener("submit", e => {
+                e.preventDefault();
+                this.handleAuthSubmit(form);
+            });
+        });
+
         // Setup pagination listeners
         const paginationItems = document.querySelectorAll(".pagination-item");
         paginationItems.forEach(item => {
             item.addEventListener("click", e => {
                 e.preventDefault();
-                const page = parseInt(item.textContent);
+                e.stopPropagation();
+                const page = parseInt(item.dataset.page, 10);
                 if (!isNaN(page)) {
                     this.goToPage(page);
                 }
@@ -1550,18 +5362,33 @@ class PipelineRouter {
     }
 
     handleFilterChange(selectElement) {
-        const filterKey = selectElement.getAttribute("data-filter");
-        const filterValue = selectElement.value;
-        const currentRoute = this.getCurrentRoute();
-        const [basePath] = currentRoute.split("?");
+        this.navigate(
+            this.getFilterRoute(
+                selectElement.getAttribute("data-filter"),
+                selectElement.value
+            )
+        );
+    }
+
+    // The current route with one filter set (or removed when empty),
+    // keeping the others except those it clears, back on page 1
+    getFilterRoute(key, value) {
+        const [basePath, queryString] = this.getCurrentRoute().split("?");
+        const facet = ListFilters.get(basePath).facets.find(
+            facet => facet.key === key
+        );
 
-        // Build new URL with filter
-        let newRoute = basePath;
-        if (filterValue) {
-            newRoute += `?${filterKey}=${encodeURIComponent(filterValue)}`;
+        const urlParams = new URLSearchParams(queryString || "");
+        if (value) {
+            urlParams.set(key, value);
+        } else {
+            urlParams.delete(key);
         }
+        (facet?.clears || []).forEach(cleared => urlParams.delete(cleared));
+        urlParams.delete("page");
 
-        this.navigate(newRoute);
+        const query = urlParams.toString();
+        return query ? `${basePath}?${query}` : basePath;
     }
 
     performSearch() {
@@ -1589,8 +5416,11 @@ class PipelineRouter {
         this.navigate(newRoute);
     }
 
+    // Drop every filter; the map stays open if it was
     clearFilters(section) {
-        this.navigate(section);
+        this.navigate(
+            this.currentQuery.view === "map" ? `${section}?view=map` : section
+        );
     }
 
     // Parse URL query parameters
@@ -1617,11 +5447,27 @@ class PipelineRouter {
             directory: "Company Directory - The Pipeline",
             regulatory: "Regulatory Updates - The Pipeline",
             insights: "Market Intelligence - The Pipeline",
-            search: "Search - The Pipeline"
+            search: "Search - The Pipeline",
+            saved: "Saved Items - The Pipeline",
+            alerts: "Alerts - The Pipeline",
+            login: "Log In - The Pipeline",
+            signup: "Create Account - The Pipeline",
+            "forgot-password": "Reset Password - The Pipeline",
+            "reset-password": "Reset Password - The Pipeline",
+            account: "Your Account - The Pipeline",
+            "opportunities/new": "Post an Opportunity - The Pipeline",
+            review: "Review Queue - The Pipeline"
         };
 
-        const basePath = route.split("/")[0].split("?")[0];
-        const title = titles[basePath] || "The Pipeline";
+        const path = route.split("?")[0];
+        const basePath = path.split("/")[0];
+        const contentType = ContentTypes.byRoutePrefix(basePath);
+        const title =
+            titles[path] ||
+            titles[basePath] ||
+            (contentType
+                ? `${contentType.sectionLabel} - The Pipeline`
+                : "The Pipeline");
         document.title = title;
     }
 
@@ -1677,18 +5523,18 @@ class PipelineRouter {
             const { path, params } = this.parseRoute(route);
 
             // Preload common data based on route
-            switch (path.split("/")[0]) {
+            switch ((path || "").split("/")[0]) {
                 case "opportunities":
-                    await window.appwriteAPI.getOpportunities({ limit: 5 });
+                    await window.contentAPI.getOpportunities({ limit: 5 });
                     break;
                 case "directory":
-                    await window.appwriteAPI.getCompanies({ limit: 5 });
+                    await window.contentAPI.getCompanies({ limit: 5 });
                     break;
                 case "regulatory":
-                    await window.appwriteAPI.getRegulatoryUpdates({ limit: 5 });
+                    await window.contentAPI.getRegulatoryUpdates({ limit: 5 });
                     break;
                 case "insights":
-                    await window.appwriteAPI.getArticles({ limit: 5 });
+                    await window.contentAPI.getArticles({ limit: 5 });
                     break;
             }
         } catch (error) {
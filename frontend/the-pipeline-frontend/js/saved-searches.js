@@ -0,0 +1,101 @@
+/**
+ * THE PIPELINE - SAVED SEARCHES
+ * Searches and filtered lists users save to be alerted when new content
+ * matches them
+ */
+
+// Saved searches per user
+const SAVED_SEARCH_LIMIT = 20;
+
+// Notifications kept per user, newest first
+const NOTIFICATION_LIMIT = 50;
+
+// Browser-side checks (see ContentProvider.checkSavedSearches) run at most this often
+const ALERT_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Documents read per request when a browser-side check pages through a list
+const ALERT_PAGE_SIZE = 100;
+
+/**
+ * A saved search's query is `{ section, params }`. `section` is "search",
+ * with `q` and optionally `type` (a collection key), or a list section of
+ * js/filters.js, with that section's filters.
+ */
+class SavedSearches {
+    // The query behind a hash route, or null when the page can't be saved
+    static fromRoute(route) {
+        const [path, queryString = ""] = route
+            .replace(/^#?\/*/, "")
+            .split("?");
+        const params = Object.fromEntries(new URLSearchParams(queryString));
+
+        if (path === "search") {
+            const q = (params.q || "").trim();
+            if (!q) return null;
+            return {
+                section: "search",
+                params: params.type ? { q, type: params.type } : { q }
+            };
+        }
+
+        if (!LIST_FILTERS[path]) return null;
+        return { section: path, params: ListFilters.pick(path, params) };
+    }
+
+    // Hash route (without the #) showing a query's current results
+    static routeOf({ section, params = {} }) {
+        const query = new URLSearchParams(params).toString();
+        return query ? `${section}?${query}` : section;
+    }
+
+    // Identifies a query regardless of parameter order
+    static key({ section, params = {} }) {
+        return SavedSearches.routeOf({
+            section,
+            params: Object.fromEntries(Object.entries(params).sort())
+        });
+    }
+
+    /**
+     * Default name: `"offshore tender" in Opportunities` for searches,
+     * "Opportunities: Tender, Rivers" for lists. Facets without fixed
+     * options (e.g. company) only show their label.
+     */
+    static describe({ section, params = {} }) {
+        if (section === "search") {
+            const definition =
+                params.type && ContentTypes.byCollection(params.type);
+            return `"${params.q}"${
+                definition ? ` in ${definition.pluralLabel}` : ""
+            }`;
+        }
+
+        const { collection, facets, ranges = [] } = ListFilters.get(section);
+        const labels = [
+            ...facets
+                .filter(facet => params[facet.key])
+                .map(facet => {
+                    const option = (facet.options || [])
+                        .map(ListFilters.option)
+                        .find(option => option.value === params[facet.key]);
+                    return option ? option.label : facet.label;
+                }),
+            ...ranges
+                .filter(range => params[range.from] || params[range.to])
+                .map(
+                    range =>
+                        `${range.label} ${params[range.from] || "…"}–${
+                            params[range.to] || "…"
+                        }`
+                )
+        ];
+
+        const { pluralLabel } = ContentTypes.byCollection(collection);
+        return labels.length > 0
+            ? `${pluralLabel}: ${labels.join(", ")}`
+            : `All ${pluralLabel.toLowerCase()}`;
+    }
+}
+
+window.SAVED_SEARCH_LIMIT = SAVED_SEARCH_LIMIT;
+window.SavedSearches = SavedSearches;
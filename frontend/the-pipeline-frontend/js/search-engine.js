@@ -0,0 +1,256 @@
+/**
+ * THE PIPELINE - SEARCH ENGINE
+ * Relevance ranking for cross-collection search: weighted field matches,
+ * a recency boost, highlighted titles and snippets
+ */
+
+class SearchEngine {
+    constructor(options = {}) {
+        // Search fields and date field per collection, from js/content-types.js
+        this.fields = {};
+        this.dateFields = {};
+        ContentTypes.all().forEach(definition => {
+            this.fields[definition.collection] = definition.searchFields;
+            this.dateFields[definition.collection] = definition.dateField;
+        });
+
+        // A brand-new item scores up to 50% higher; the boost halves every 90 days
+        this.recencyWeight = options.recencyWeight ?? 0.5;
+        this.recencyHalfLife = options.recencyHalfLife ?? 90;
+
+        this.snippetLength = options.snippetLength || 160;
+    }
+
+    // Fields the backend should match candidates on
+    static indexedFields(collectionKey) {
+        const definition = ContentTypes.byCollection(collectionKey);
+        return (definition?.searchFields || [])
+            .filter(field => field.indexed !== false)
+            .map(field => field.path);
+    }
+
+    static tokenize(text) {
+        return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter((token, i, tokens) => tokens.indexOf(token) === i);
+    }
+
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    // Text at a dotted path; arrays and JSON values are flattened to words
+    static fieldText(doc, path) {
+        const value = path
+            .split(".")
+            .reduce((current, key) => current?.[key], doc);
+
+        if (value === undefined || value === null) return "";
+        if (typeof value === "string") return value;
+        if (Array.isArray(value)) {
+            return value
+                .map(item =>
+                    typeof item === "object" ? Object.values(item).join(" ") : item
+                )
+                .join(", ");
+        }
+        return typeof value === "object"
+            ? Object.values(value).join(", ")
+            : String(value);
+    }
+
+    // Whether any of `phrases` appears, as whole words, in the fields at `paths`
+    static mentions(doc, phrases, paths) {
+        const words = text => {
+            const tokens = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu);
+            return ` ${(tokens || []).join(" ")} `;
+        };
+        const text = words(
+            paths.map(path => SearchEngine.fieldText(doc, path)).join(" ")
+        );
+
+        return phrases.some(phrase => text.includes(words(phrase)));
+    }
+
+    /**
+     * How well one field matches: each query term scores 1 for a whole
+     * word, 0.5 for a word prefix; the whole phrase adds 1 more
+     */
+    matchField(text, terms, phrase) {
+        if (!text) return { score: 0, matched: [] };
+
+        const words = SearchEngine.tokenize(text);
+        const matched = [];
+        let score = 0;
+
+        terms.forEach(term => {
+            if (words.includes(term)) {
+                score += 1;
+                matched.push(term);
+            } else if (words.some(word => word.startsWith(term))) {
+                score += 0.5;
+                matched.push(term);
+            }
+        });
+
+        if (terms.length > 1 && text.toLowerCase().includes(phrase)) {
+            score += 1;
+        }
+
+        return { score, matched };
+    }
+
+    // Multiplier in [1, 1 + recencyWeight] for how recent `date` is
+    recencyBoost(date, now = Date.now()) {
+        const time = new Date(date).getTime();
+        if (!date || Number.isNaN(time)) return 1;
+
+        const ageDays = Math.max(0, (now - time) / (1000 * 60 * 60 * 24));
+        return (
+            1 +
+            this.recencyWeight * Math.pow(0.5, ageDays / this.recencyHalfLife)
+        );
+    }
+
+    /**
+     * Score one document. Terms the document doesn't contain anywhere
+     * scale the score down, so documents matching every term rank first.
+     */
+    score(doc, collectionKey, terms, phrase, now) {
+        const matchedTerms = new Set();
+        let score = 0;
+
+        (this.fields[collectionKey] || []).forEach(({ path, weight }) => {
+            const match = this.matchField(
+                SearchEngine.fieldText(doc, path),
+                terms,
+                phrase
+            );
+            score += weight * match.score;
+            match.matched.forEach(term => matchedTerms.add(term));
+        });
+
+        if (score === 0) return 0;
+
+        const coverage = matchedTerms.size / terms.length;
+        const date = doc[this.dateFields[collectionKey]];
+        return score * coverage * coverage * this.recencyBoost(date, now);
+    }
+
+    // Escape `text` and wrap words starting with a query term in <mark>
+    highlight(text, terms) {
+        if (terms.length === 0) return SearchEngine.escapeHTML(text || "");
+
+        const pattern = terms
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join("|");
+
+        // Split before escaping so entities like &amp; can't be matched
+        return String(text || "")
+            .split(new RegExp(`(?<![\\p{L}\\p{N}])(${pattern})`, "giu"))
+            .map((part, i) =>
+                i % 2 === 1
+                    ? `<mark>${SearchEngine.escapeHTML(part)}</mark>`
+                    : SearchEngine.escapeHTML(part)
+            )
+            .join("");
+    }
+
+    /**
+     * A window of the best-weighted text field around the first match,
+     * highlighted. Falls back to the start of the first long field. The
+     * title (first field) is shown separately, so it's skipped here.
+     */
+    snippet(doc, collectionKey, terms) {
+        const fields = (this.fields[collectionKey] || [])
+            .slice(1)
+            .map(({ path }) => SearchEngine.fieldText(doc, path))
+            .filter(text => text.length > 40);
+
+        let text = fields[0] || "";
+        let start = 0;
+
+        for (const candidate of fields) {
+            const lower = candidate.toLowerCase();
+            const index = Math.min(
+                ...terms.map(term => lower.indexOf(term)).filter(i => i >= 0)
+            );
+
+            if (Number.isFinite(index)) {
+                text = candidate;
+                start = Math.max(0, index - Math.floor(this.snippetLength / 4));
+                break;
+            }
+        }
+
+        if (!text) return "";
+
+        // Snap to word boundaries so the snippet doesn't open or close mid-word
+        if (start > 0) {
+            start = text.indexOf(" ", start) + 1 || start;
+        }
+        let end = Math.min(text.length, start + this.snippetLength);
+        const lastSpace = text.lastIndexOf(" ", end);
+        if (end < text.length && lastSpace > start) {
+            end = lastSpace;
+        }
+
+        const body = this.highlight(text.slice(start, end).trim(), terms);
+        return `${start > 0 ? "… " : ""}${body}${end < text.length ? " …" : ""}`;
+    }
+
+    /**
+     * Rank documents tagged with `_collection` against `query`. Returns
+     * matches sorted by `_score` (highest first), each with `_title`,
+     * `_titleHTML`, `_snippet` (HTML, query terms in <mark>) and `_date`.
+     */
+    rank(documents, query, now = Date.now()) {
+        const terms = SearchEngine.tokenize(query);
+        if (terms.length === 0) return [];
+        const phrase = terms.join(" ");
+
+        return documents
+            .map(doc => {
+                const collectionKey = doc._collection;
+                const [titleField] = this.fields[collectionKey] || [];
+                const title = titleField
+                    ? SearchEngine.fieldText(doc, titleField.path)
+                    : "";
+
+                return {
+                    ...doc,
+                    _score: this.score(doc, collectionKey, terms, phrase, now),
+                    _title: title,
+                    _titleHTML: this.highlight(title, terms),
+                    _snippet: this.snippet(doc, collectionKey, terms),
+                    _date: doc[this.dateFields[collectionKey]]
+                };
+            })
+            .filter(result => result._score > 0)
+            .sort((a, b) => b._score - a._score);
+    }
+
+    // Ranked results split per collection, groups ordered by their best score
+    group(results) {
+        const groups = new Map();
+
+        results.forEach(result => {
+            if (!groups.has(result._collection)) {
+                groups.set(result._collection, {
+                    collection: result._collection,
+                    topScore: result._score,
+                    results: []
+                });
+            }
+            groups.get(result._collection).results.push(result);
+        });
+
+        return [...groups.values()].sort((a, b) => b.topScore - a.topScore);
+    }
+}
+
+window.SearchEngine = SearchEngine;
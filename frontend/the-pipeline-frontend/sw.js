@@ -0,0 +1,207 @@
+/**
+ * THE PIPELINE - SERVICE WORKER
+ * Offline support: pre-caches the app shell and keeps the most recently
+ * viewed content and images so detail pages can be read without signal
+ */
+
+// Bump when the shell file list changes; old caches are dropped on activate
+const VERSION = "v13";
+const SHELL_CACHE = `pipeline-shell-${VERSION}`;
+const CONTENT_CACHE = `pipeline-content-${VERSION}`;
+const MEDIA_CACHE = `pipeline-media-${VERSION}`;
+
+// Keep in step with the <link> and <script> tags in index.html
+const SHELL_FILES = [
+    "./",
+    "index.html",
+    "css/main.css",
+    "css/components.css",
+    "css/responsive.css",
+    "js/config.js",
+    "js/request-manager.js",
+    "js/content-types.js",
+    "js/moderation.js",
+    "js/filters.js",
+    "js/locations.js",
+    "js/closing-dates.js",
+    "js/ncdmb.js",
+    "js/opportunity-form.js",
+    "js/claims.js",
+    "js/compare.js",
+    "js/search-engine.js",
+    "js/saved-searches.js",
+    "data/mock-data.js",
+    "js/providers/content-provider.js",
+    "js/providers/appwrite-provider.js",
+    "js/providers/strapi-provider.js",
+    "js/providers/fixture-provider.js",
+    "js/cache-store.js",
+    "js/api.js",
+    "js/bookmarks.js",
+    "js/images.js",
+    "js/router.js",
+    "js/navigation.js",
+    "js/parallax.js",
+    "js/main.js",
+    "https://cdn.jsdelivr.net/npm/appwrite@14.0.1",
+    "https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=Space+Grotesk:wght@400;500;600;700&display=swap"
+];
+
+// Public backend reads kept for offline use: the content collections on
+// Appwrite and Strapi, and Strapi's homepage endpoints. The cache is shared
+// by whoever uses this device, so per-user calls (accounts, bookmarks,
+// alerts, moderation, claims, verification) and anything sent with an
+// Authorization header are never cached.
+const CONTENT_PATTERNS = [
+    /\/v1\/databases\/[^/]+\/collections\/(opportunities|companies|regulatory|articles)\/documents/,
+    /\/api\/(opportunities|companies|regulatory-updates|articles|homepage-stats|recent-updates)(\/|\?|$)/
+];
+
+// Backend calls, which go straight to the network unless they're content
+const API_PATTERNS = [/\/v1\//, /\/api\//];
+
+// Logos, covers (Appwrite storage, Strapi uploads) and web fonts
+const MEDIA_PATTERNS = [
+    /\/v1\/storage\/buckets\/[^/]+\/files\/[^/]+\/(view|preview)/,
+    /\/uploads\//,
+    /^https:\/\/fonts\.gstatic\.com\//
+];
+
+// Most recent entries kept; the oldest are evicted first
+const CONTENT_LIMIT = 100;
+const MEDIA_LIMIT = 60;
+
+self.addEventListener("install", event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            // One missing file must not stop the rest being cached
+            Promise.allSettled(SHELL_FILES.map(url => cache.add(url)))
+        ).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", event => {
+    const current = [SHELL_CACHE, CONTENT_CACHE, MEDIA_CACHE];
+
+    event.waitUntil(
+        caches.keys().then(names =>
+            Promise.all(
+                names
+                    .filter(
+                        name =>
+                            name.startsWith("pipeline-") &&
+                            !current.includes(name)
+                    )
+                    .map(name => caches.delete(name))
+            )
+        ).then(() => self.clients.claim())
+    );
+});
+
+// Signing out forgets saved content, which may include the user's own
+// submissions, so the next person on this device can't read it offline
+self.addEventListener("message", event => {
+    if (event.data?.type === "logout") {
+        event.waitUntil(caches.delete(CONTENT_CACHE));
+    }
+});
+
+self.addEventListener("fetch", event => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    const url = request.url;
+
+    if (request.mode === "navigate") {
+        event.respondWith(
+            networkFirst(request, SHELL_CACHE, { fallback: "index.html" })
+        );
+    } else if (MEDIA_PATTERNS.some(pattern => pattern.test(url))) {
+        event.respondWith(cacheFirst(request, MEDIA_CACHE, MEDIA_LIMIT));
+    } else if (
+        !request.headers.has("Authorization") &&
+        CONTENT_PATTERNS.some(pattern => pattern.test(url))
+    ) {
+        event.respondWith(
+            networkFirst(request, CONTENT_CACHE, { limit: CONTENT_LIMIT })
+        );
+    } else if (API_PATTERNS.some(pattern => pattern.test(url))) {
+        return;
+    } else if (
+        url.startsWith(self.location.origin) ||
+        SHELL_FILES.includes(url)
+    ) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// Fresh copy when the network answers, the saved one when it doesn't
+async function networkFirst(request, cacheName, { limit, fallback } = {}) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await store(cache, request, response.clone(), limit);
+        }
+        return response;
+    } catch (error) {
+        const cached =
+            (await cache.match(request, { ignoreVary: true })) ||
+            (fallback && (await cache.match(fallback)));
+
+        if (cached) {
+            notifyOffline();
+            return cached;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName, limit) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (no-cors) images report status 0 but are still usable
+    if (response.ok || response.type === "opaque") {
+        await store(cache, request, response.clone(), limit);
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok) await cache.put(request, response.clone());
+            return response;
+        })
+        .catch(error => cached || Promise.reject(error));
+
+    return cached || refresh;
+}
+
+// Put `response` last in insertion order, then evict beyond `limit`
+async function store(cache, request, response, limit) {
+    await cache.delete(request, { ignoreVary: true });
+    await cache.put(request, response);
+
+    if (!limit) return;
+
+    const keys = await cache.keys();
+    await Promise.all(
+        keys
+            .slice(0, Math.max(0, keys.length - limit))
+            .map(key => cache.delete(key))
+    );
+}
+
+// Pages show the offline banner when content came from the cache
+async function notifyOffline() {
+    const clients = await self.clients.matchAll({ type: "window" });
+    clients.forEach(client => client.postMessage({ type: "offline" }));
+}